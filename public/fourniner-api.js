@@ -0,0 +1,408 @@
+/**
+ * Geoguessr Trainer - API Client
+ *
+ * Shared client for the FourNiner HTTP API, used by every page instead of
+ * building fetch calls by hand. Requests go to the server the page was loaded
+ * from. The server describes each operation in /api/openapi.json; the methods
+ * here follow those operation IDs.
+ *
+ * Failed requests throw an ApiError carrying the server's error body.
+ */
+
+/**
+ * @typedef {Object} AvailableCountry
+ * @property {string} id - Country folder under map_data/countries
+ * @property {string} name - Display name
+ */
+
+/**
+ * @typedef {Object} Card
+ * @property {number} index - Position in the note
+ * @property {boolean} reversed - Whether the card is reviewed in both directions
+ * @property {{image: ?string, imageAlt: ?string, text: ?string}} question - Question side
+ * @property {{image: ?string, imageAlt: ?string, text: ?string}} answer - Answer side
+ * @property {?string} location - Location line of the answer
+ * @property {?{lat: number, lng: number}} coordinates - Coordinates parsed from the location
+ * @property {Object[]} schedule - Spaced repetition data
+ */
+
+/**
+ * @typedef {Object} FlashcardNote
+ * @property {string} countryId - Country folder name
+ * @property {string} regionId - Region/cell ID
+ * @property {string[]} tags - Tags of the note
+ * @property {string} status - 'untouched', 'learning' or 'mastered'
+ * @property {Card[]} cards - Cards of the note
+ */
+
+/**
+ * Error returned by the server
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {Object} body - Error body with error, message and details
+   */
+  constructor(status, body = {}) {
+    super(body.message || body.error || `Server returned ${status}`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.error = body.error || null; // Short error category, e.g. 'Flashcard not found'
+    this.details = body.details || [];
+  }
+}
+
+class FourNinerApi {
+  /**
+   * @param {string} baseUrl - Origin of the server (defaults to the page's own)
+   */
+  constructor(baseUrl = '') {
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Build the URL of an API path with a query string
+   *
+   * @param {string} path - Path starting with /api
+   * @param {Object} query - Query parameters, undefined and null values are left out
+   * @returns {string} URL
+   */
+  url(path, query = {}) {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) {
+        params.append(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+      }
+    });
+
+    const queryString = params.toString();
+    return `${this.baseUrl}${path}${queryString ? `?${queryString}` : ''}`;
+  }
+
+  /**
+   * Send a request and parse the JSON response
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Path starting with /api
+   * @param {Object} options - Request options
+   * @param {Object} options.query - Query parameters
+   * @param {Object} options.body - JSON body
+   * @param {Blob} options.file - File sent as is instead of a JSON body
+   * @returns {Promise<*>} Parsed response body
+   * @throws {ApiError} If the server responds with an error status
+   */
+  async request(method, path, options = {}) {
+    const init = { method, credentials: 'same-origin' };
+    if (options.file !== undefined) {
+      init.headers = { 'Content-Type': 'application/octet-stream' };
+      init.body = options.file;
+    } else if (options.body !== undefined) {
+      init.headers = { 'Content-Type': 'application/json' };
+      init.body = JSON.stringify(options.body);
+    }
+
+    const response = await fetch(this.url(path, options.query), init);
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new ApiError(response.status, body);
+    }
+    return body;
+  }
+
+  // Users
+
+  /**
+   * @returns {Promise<{enabled: boolean, current: ?string, users: {id: string, name: string}[]}>} User profiles
+   */
+  listUsers() {
+    return this.request('GET', '/api/users');
+  }
+
+  /**
+   * @param {string} token - User token
+   * @returns {Promise<{success: boolean, user: {id: string, name: string}}>} Signed-in user
+   */
+  login(token) {
+    return this.request('POST', '/api/auth/login', { body: { token } });
+  }
+
+  logout() {
+    return this.request('POST', '/api/auth/logout');
+  }
+
+  // Vaults and progress
+
+  /**
+   * @returns {Promise<{active: ?string, profiles: Object[]}>} Vault profiles
+   */
+  listVaults() {
+    return this.request('GET', '/api/vaults');
+  }
+
+  /**
+   * @param {string} profile - Vault profile ID
+   * @returns {Promise<Object>} The newly active profile
+   */
+  setActiveVault(profile) {
+    return this.request('POST', '/api/vaults/active', { body: { profile } });
+  }
+
+  /**
+   * @param {Object} options - Options
+   * @param {boolean} options.details - Include spaced repetition details for each cell
+   * @returns {Promise<Object>} Statuses by country folder and cell ID
+   */
+  getProgress(options = {}) {
+    return this.request('GET', '/api/progress', { query: { details: options.details ? 'true' : undefined } });
+  }
+
+  /**
+   * @returns {string} URL of the Server-Sent Events stream of vault changes
+   */
+  vaultEventsUrl() {
+    return this.url('/api/vault/events');
+  }
+
+  // Flashcards
+
+  /**
+   * Create or replace a region note
+   *
+   * @param {{countryId: string, cellId: string, content: string, status: ?string}} flashcard - Note to save
+   * @returns {Promise<{success: boolean}>} Result
+   */
+  saveFlashcard(flashcard) {
+    return this.request('POST', '/api/flashcard', { body: flashcard });
+  }
+
+  /**
+   * Add a Street View location and screenshot to a region note
+   *
+   * @param {Object} location - countryId, cellId, lat, lng, imageData, locationInfo and isAnswer
+   * @returns {Promise<{success: boolean}>} Result
+   */
+  addLocationCard(location) {
+    return this.request('POST', '/api/flashcard/location', { body: location });
+  }
+
+  /**
+   * @param {string} countryId - Country folder name
+   * @param {string} regionId - Region/cell ID
+   * @returns {Promise<FlashcardNote>} Region note parsed into cards
+   */
+  getFlashcard(countryId, regionId) {
+    return this.request('GET', `/api/flashcard/${encodeURIComponent(countryId)}/${encodeURIComponent(regionId)}`);
+  }
+
+  /**
+   * @param {string} countryId - Country folder name
+   * @param {string} regionId - Region/cell ID
+   * @param {number} cardIndex - Index of the card
+   * @returns {Promise<{success: boolean, card: Card, deletedImages: string[]}>} The deleted card
+   */
+  deleteCard(countryId, regionId, cardIndex) {
+    return this.request('DELETE', this.cardPath(countryId, regionId, cardIndex));
+  }
+
+  /**
+   * @param {string} countryId - Country folder name
+   * @param {string} regionId - Region/cell ID
+   * @param {number} cardIndex - Index of the card
+   * @param {number} to - New index
+   * @returns {Promise<{success: boolean, cards: Card[]}>} The cards in their new order
+   */
+  moveCard(countryId, regionId, cardIndex, to) {
+    return this.request('POST', `${this.cardPath(countryId, regionId, cardIndex)}/move`, { body: { to } });
+  }
+
+  /**
+   * @param {string} countryId - Country folder name
+   * @param {string} regionId - Region/cell ID
+   * @param {number} cardIndex - Index of the card
+   * @returns {string} API path of a single card
+   */
+  cardPath(countryId, regionId, cardIndex) {
+    return `/api/flashcard/${encodeURIComponent(countryId)}/${encodeURIComponent(regionId)}/cards/${cardIndex}`;
+  }
+
+  /**
+   * @param {string} countryId - Country folder name
+   * @param {string} fileName - Image file name
+   * @returns {string} URL of the sidebar thumbnail
+   */
+  thumbnailUrl(countryId, fileName) {
+    return this.url(`/api/images/${encodeURIComponent(countryId)}/${encodeURIComponent(fileName)}/thumbnail`);
+  }
+
+  // Map data
+
+  /**
+   * @returns {Promise<Object>} GeoJSON of all countries
+   */
+  getCountryBoundaries() {
+    return this.request('GET', '/api/countries');
+  }
+
+  /**
+   * @returns {Promise<AvailableCountry[]>} Countries with location data and generated regions
+   */
+  listAvailableCountries() {
+    return this.request('GET', '/api/available-countries');
+  }
+
+  /**
+   * @param {string} countryId - Country ID
+   * @param {Object} options - Options
+   * @param {boolean} options.admin - Get administrative instead of natural regions
+   * @returns {Promise<Object>} GeoJSON of the regions
+   */
+  getRegions(countryId, options = {}) {
+    return this.request('GET', `/api/regions/${encodeURIComponent(countryId)}`, {
+      query: { admin: options.admin ? 'true' : undefined }
+    });
+  }
+
+  /**
+   * @param {string} countryId - Country ID
+   * @param {string} regionId - Region ID
+   * @param {Object} options - Options
+   * @param {number} options.zoom - Map zoom level
+   * @param {boolean} options.admin - Look the region up among the administrative regions
+   * @returns {Promise<Object>} Locations as GeoJSON features or customCoordinates
+   */
+  getLocations(countryId, regionId, options = {}) {
+    return this.request('GET', `/api/locations/${encodeURIComponent(countryId)}/${encodeURIComponent(regionId)}`, {
+      query: { zoom: options.zoom, admin: options.admin ? 'true' : undefined }
+    });
+  }
+
+  /**
+   * @param {string} countryId - Country ID
+   * @param {Object} options - Options
+   * @param {string} options.format - 'kml', 'gpx' (centroid waypoints) or 'geojson'
+   * @param {boolean} options.admin - Export the administrative regions
+   * @returns {string} Download URL of the regions file, for a link (sent with the session cookie)
+   */
+  regionsExportUrl(countryId, options = {}) {
+    return this.url(`/api/export/regions/${encodeURIComponent(countryId)}`, {
+      format: options.format,
+      admin: options.admin ? 'true' : undefined
+    });
+  }
+
+  /**
+   * @param {string} countryId - Country ID
+   * @param {string|string[]} regionIds - Region IDs, or 'learning' for the regions marked as learning
+   * @param {Object} options - Options
+   * @param {boolean} options.admin - Look the regions up among the administrative regions
+   * @param {number} options.count - Most locations to export
+   * @param {string[]} options.tags - Only export locations with one of these tags
+   * @param {string[]} options.excludeTags - Leave out locations with any of these tags
+   * @param {boolean} options.extra - Keep the extra data of each location (default true)
+   * @param {boolean} options.pano - Keep pano IDs and camera angles (default true)
+   * @returns {Promise<Object>} GeoGuessr custom map with name and customCoordinates
+   */
+  exportLocations(countryId, regionIds, options = {}) {
+    const regions = Array.isArray(regionIds) ? regionIds.join(',') : regionIds;
+    return this.request('GET', `/api/locations/${encodeURIComponent(countryId)}/${encodeURIComponent(regions)}/export`, {
+      query: {
+        admin: options.admin ? 'true' : undefined,
+        count: options.count,
+        tags: options.tags && options.tags.length > 0 ? options.tags.join(',') : undefined,
+        excludeTags: options.excludeTags && options.excludeTags.length > 0 ? options.excludeTags.join(',') : undefined,
+        extra: options.extra === false ? 'false' : undefined,
+        pano: options.pano === false ? 'false' : undefined
+      }
+    });
+  }
+
+  /**
+   * @param {string} countryId - Country ID
+   * @param {Object} options - Options
+   * @param {number} options.zoom - Map zoom level
+   * @param {number} options.max - Most locations to return
+   * @param {number[]} options.bounds - Map bounds [south, west, north, east]
+   * @returns {Promise<Object>} Locations as GeoJSON features or customCoordinates
+   */
+  getCountryLocations(countryId, options = {}) {
+    return this.request('GET', `/api/country-locations/${encodeURIComponent(countryId)}`, {
+      query: { zoom: options.zoom, max: options.max, bounds: options.bounds }
+    });
+  }
+
+  /**
+   * @param {string} countryId - Country ID
+   * @param {{z: number, x: number, y: number}} coords - Tile coordinates
+   * @param {Object} options - Options
+   * @param {boolean} options.region - Tag locations with their region ID
+   * @param {boolean} options.status - Tag locations with the status of their region
+   * @param {boolean} options.admin - Use administrative instead of natural regions
+   * @returns {Promise<{extent: number, features: Object[]}>} Tile in the geojson-vt format
+   */
+  getLocationTile(countryId, coords, options = {}) {
+    return this.request('GET', `/api/tiles/${encodeURIComponent(countryId)}/${coords.z}/${coords.x}/${coords.y}`, {
+      query: {
+        region: options.region ? 'true' : undefined,
+        status: options.status ? 'true' : undefined,
+        admin: options.admin ? 'true' : undefined
+      }
+    });
+  }
+
+  /**
+   * Add a country from a coverage map file and queue the generation of its regions
+   *
+   * @param {string} countryId - Country ID for the new map_data folder
+   * @param {Blob} file - JSON file with customCoordinates or a GeoJSON FeatureCollection
+   * @param {Object} options - Options
+   * @param {number} options.regions - Number of natural regions
+   * @param {boolean} options.admin - Also generate administrative regions
+   * @param {number} options.level - Administrative level of those regions
+   * @param {boolean} options.overwrite - Replace the country's existing data
+   * @returns {Promise<{success: boolean, country: Object, jobs: Object[]}>} Stored dataset and the queued jobs
+   */
+  uploadCountryDataset(countryId, file, options = {}) {
+    return this.request('POST', `/api/datasets/${encodeURIComponent(countryId)}`, {
+      file,
+      query: {
+        regions: options.regions,
+        admin: options.admin ? 'true' : undefined,
+        level: options.admin ? options.level : undefined,
+        overwrite: options.overwrite ? 'true' : undefined
+      }
+    });
+  }
+
+  // Jobs
+
+  /**
+   * @param {string} countryId - Country with uploaded location data
+   * @param {Object} options - method ('natural' or 'admin'), regionCount and adminLevel
+   * @returns {Promise<Object>} The queued job
+   */
+  startRegionJob(countryId, options = {}) {
+    return this.request('POST', '/api/jobs/regions', { body: { countryId, ...options } });
+  }
+
+  /**
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Job with its status, stage, log lines, result and error
+   */
+  getJob(jobId) {
+    return this.request('GET', `/api/jobs/${encodeURIComponent(jobId)}`);
+  }
+
+  /**
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} The cancelled job
+   */
+  cancelJob(jobId) {
+    return this.request('POST', `/api/jobs/${encodeURIComponent(jobId)}/cancel`);
+  }
+}
+
+// Export for use in the main application
+window.ApiError = ApiError;
+window.FourNinerApi = FourNinerApi;
+window.fourNinerApi = new FourNinerApi();
@@ -6,6 +6,96 @@
  * Supports both natural regions and administrative boundaries.
  */
 
+/**
+ * Tile layer drawing the Street View locations of a country from /api/tiles
+ * 
+ * Builds on the leaflet-geojson-vt layer and its canvas drawing, but loads
+ * finished tiles from the server instead of cutting them from GeoJSON in the
+ * browser. The tiles on screen are kept so clicks can be matched to a location.
+ */
+const LocationTileLayer = L.GeoJSON.VT.extend({
+  options: {
+    zIndex: 10,
+    tileOptions: {} // Tag options passed to fourNinerApi.getLocationTile
+  },
+  
+  initialize(countryId, options) {
+    L.GridLayer.prototype.initialize.call(this, options);
+    this.countryId = countryId;
+    this.loadedTiles = {}; // 'z/x/y' -> tile data
+    
+    this.on('tileunload', (e) => {
+      delete this.loadedTiles[this.getTileKey(this._wrapCoords(e.coords))];
+    });
+  },
+  
+  getTileKey(coords) {
+    return `${coords.z}/${coords.x}/${coords.y}`;
+  },
+  
+  createTile(coords, done) {
+    const tile = L.DomUtil.create('canvas', 'leaflet-tile');
+    const size = this.getTileSize();
+    tile.width = size.x;
+    tile.height = size.y;
+    
+    fourNinerApi.getLocationTile(this.countryId, coords, this.options.tileOptions)
+      .then((data) => {
+        const ctx = tile.getContext('2d');
+        data.features.forEach(feature => this.drawFeature(ctx, feature));
+        this.loadedTiles[this.getTileKey(coords)] = data;
+        done(null, tile);
+      })
+      .catch((error) => done(error, tile));
+    
+    return tile;
+  },
+  
+  /**
+   * Find the location drawn closest to a point of the map
+   * 
+   * @param {L.LatLng} latlng - Point of the map
+   * @param {number} tolerance - Furthest distance in pixels
+   * @returns {Object|null} The location's latlng and tile tags, or null if none is that close
+   */
+  findLocation(latlng, tolerance = 6) {
+    if (!this._map || this._tileZoom === undefined) {
+      return null;
+    }
+    
+    const zoom = this._tileZoom;
+    const size = this.getTileSize();
+    const point = this._map.project(latlng, zoom);
+    const coords = this._wrapCoords(L.point(Math.floor(point.x / size.x), Math.floor(point.y / size.y)));
+    coords.z = zoom;
+    
+    // Tiles carry the locations just past their edges too, so one tile is enough
+    const data = this.loadedTiles[this.getTileKey(coords)];
+    if (!data) {
+      return null;
+    }
+    
+    const origin = L.point(Math.floor(point.x / size.x) * size.x, Math.floor(point.y / size.y) * size.y);
+    const scale = size.x / data.extent;
+    let closest = null;
+    let closestFeature = null;
+    let closestDistance = tolerance;
+    
+    data.features.forEach((feature) => {
+      const [x, y] = feature.geometry[0];
+      const location = origin.add(L.point(x * scale, y * scale));
+      const distance = location.distanceTo(point);
+      if (distance <= closestDistance) {
+        closest = location;
+        closestFeature = feature;
+        closestDistance = distance;
+      }
+    });
+    
+    return closest ? { latlng: this._map.unproject(closest, zoom), tags: closestFeature.tags || {} } : null;
+  }
+});
+
 class GeoRegions {
   constructor(map) {
     this.map = map;
@@ -14,16 +104,23 @@ class GeoRegions {
     this.currentCountry = null;
     this.regionLayer = null;
     this.locationLayer = null;
+    this.locationTileLayer = null; // Coverage of the whole country, drawn in country view
     this.statusColors = {
       untouched: '#ecf0f1',
       learning: '#f39c12',
       mastered: '#27ae60'
     };
+    // Colors used when regions are colored by spaced repetition urgency
+    this.reviewColors = {
+      overdue: '#e74c3c',
+      dueSoon: '#f39c12',
+      scheduled: '#27ae60',
+      unscheduled: '#95a5a6'
+    };
+    this.colorMode = 'status'; // 'status' or 'review'
     this.selectedRegion = null;
     this.cache = {}; // Cache for street view locations by region
     this.viewMode = 'country'; // Default to 'country' instead of 'regions'
-    this.countryCache = {}; // Cache for country-wide locations
-    this._moveListenersAdded = false;
     this.useAdminRegions = true; // Default to using administrative regions
 
     // Add zoom change listener to handle adaptive loading
@@ -53,23 +150,7 @@ class GeoRegions {
       }
       
       // Fetch regions from the server - always request administrative regions
-      const url = `/api/regions/${countryId}?admin=true`;
-      
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        const error = await response.json();
-        console.error(`Error loading administrative regions: ${error.message}`);
-        
-        // If regions need to be generated, show a message
-        if (error.error === 'Regions not generated') {
-          alert(`Administrative regions have not been generated for this country yet. Please run the region generation script first.`);
-        }
-        
-        return false;
-      }
-      
-      const regions = await response.json();
+      const regions = await fourNinerApi.getRegions(countryId, { admin: true });
       
       // Store in the admin regions cache
       this.adminRegions[countryId] = regions;
@@ -79,6 +160,12 @@ class GeoRegions {
       return true;
     } catch (error) {
       console.error(`Error loading administrative regions:`, error);
+      
+      // If regions need to be generated, show a message
+      if (error.error === 'Regions not generated') {
+        alert(`Administrative regions have not been generated for this country yet. Please run the region generation script first.`);
+      }
+      
       return false;
     }
   }
@@ -94,6 +181,7 @@ class GeoRegions {
       this.map.removeLayer(this.regionLayer);
     }
     this.clearLocationMarkers();
+    this.clearLocationTiles();
     
     // Get the appropriate regions based on whether we're using admin regions or natural regions
     const regions = this.useAdminRegions ? 
@@ -116,6 +204,11 @@ class GeoRegions {
           props.clusterID;
           
         layer.on('click', (e) => {
+          // Regions are invisible in country view, so a click on a location opens it instead
+          if (this.openLocationAt(e.latlng)) {
+            L.DomEvent.stopPropagation(e);
+            return;
+          }
           this.selectRegion(countryId, regionId);
         });
       }
@@ -123,6 +216,10 @@ class GeoRegions {
     
     // Fit map to bounds of the regions
     this.map.fitBounds(this.regionLayer.getBounds());
+    
+    if (this.viewMode === 'country') {
+      this.showLocationTiles(countryId);
+    }
   }
   
   /**
@@ -160,7 +257,9 @@ class GeoRegions {
       opacity: 1,
       color: '#333',
       fillOpacity: 0.2,
-      fillColor: this.statusColors[status]
+      fillColor: this.colorMode === 'review' ?
+        this.getReviewColor(countryId, progressId) :
+        this.statusColors[status]
     };
     
     // Highlight selected region - just with borders, not fill
@@ -179,6 +278,62 @@ class GeoRegions {
     return style;
   }
   
+  /**
+   * Get the fill color for a region based on its spaced repetition schedule
+   * 
+   * @param {string} countryId - The country ID
+   * @param {string} progressId - The progress ID of the region
+   * @returns {string} Fill color
+   */
+  getReviewColor(countryId, progressId) {
+    const countryReview = window.reviewProgress && window.reviewProgress[countryId];
+    const review = countryReview && (countryReview[progressId] || countryReview[`r${progressId}`]);
+    
+    // Regions without a flashcard keep the untouched color
+    if (!review) {
+      return this.statusColors.untouched;
+    }
+    
+    if (review.overdue > 0) {
+      return this.reviewColors.overdue;
+    }
+    
+    if (!review.nextDue) {
+      return this.reviewColors.unscheduled;
+    }
+    
+    // Treat anything due within the next three days as due soon
+    const soon = new Date();
+    soon.setDate(soon.getDate() + 3);
+    const soonStr = `${soon.getFullYear()}-${String(soon.getMonth() + 1).padStart(2, '0')}-${String(soon.getDate()).padStart(2, '0')}`;
+    
+    return review.nextDue <= soonStr ? this.reviewColors.dueSoon : this.reviewColors.scheduled;
+  }
+  
+  /**
+   * Switch between coloring regions by learning status or review urgency
+   * 
+   * @param {string} mode - The color mode ('status' or 'review')
+   */
+  setColorMode(mode) {
+    if (mode !== 'status' && mode !== 'review') {
+      console.error(`Invalid color mode: ${mode}`);
+      return;
+    }
+    
+    this.colorMode = mode;
+    
+    // Regions are hidden in country mode, so only restyle when they are visible
+    if (this.regionLayer && this.viewMode === 'regions') {
+      this.regionLayer.setStyle((feature) => this.styleRegion(feature));
+    }
+    
+    const toggleButton = document.getElementById('color-mode-toggle');
+    if (toggleButton) {
+      toggleButton.textContent = mode === 'review' ? 'Color by Status' : 'Color by Review Urgency';
+    }
+  }
+  
   /**
    * Select a region
    * 
@@ -701,6 +856,9 @@ class GeoRegions {
     if (this.regionLayer) {
       this.regionLayer.setStyle((feature) => this.styleRegion(feature));
     }
+    if (this.locationTileLayer) {
+      this.locationTileLayer.redraw(); // Locations are colored by the status of their region
+    }
     
     // Update sidebar
     document.querySelectorAll(`.grid-cell[data-cell-id="${regionId}"][data-country-id="${countryId}"]`).forEach(cell => {
@@ -718,6 +876,108 @@ class GeoRegions {
     }
   }
   
+  /**
+   * Subscribe to live vault changes pushed by the server
+   * 
+   * When the Spaced Repetition plugin or any other editor rewrites a region note,
+   * the server sends an event and the map and sidebar grid are recolored.
+   * 
+   * @param {string} url - URL of the Server-Sent Events stream
+   */
+  subscribeToVaultChanges(url = fourNinerApi.vaultEventsUrl()) {
+    if (this.vaultEvents || typeof EventSource === 'undefined') {
+      return;
+    }
+    
+    this.vaultEvents = new EventSource(url);
+    
+    const handleEvent = (event) => {
+      try {
+        this.handleVaultChange(event.type, JSON.parse(event.data));
+      } catch (error) {
+        console.error('Error handling vault change:', error);
+      }
+    };
+    
+    ['note-created', 'note-updated', 'note-deleted'].forEach(type => {
+      this.vaultEvents.addEventListener(type, handleEvent);
+    });
+    
+    this.vaultEvents.onerror = () => {
+      // EventSource reconnects on its own, just note it for debugging
+      console.log('Vault event stream disconnected, reconnecting...');
+    };
+  }
+
+  /**
+   * Close the vault change stream, e.g. before reconnecting as another user
+   */
+  unsubscribeFromVaultChanges() {
+    if (this.vaultEvents) {
+      this.vaultEvents.close();
+      this.vaultEvents = null;
+    }
+  }
+
+  /**
+   * Apply a vault change received from the server
+   * 
+   * @param {string} type - Event type ('note-created', 'note-updated' or 'note-deleted')
+   * @param {Object} change - Change data with country, cellId, status and review
+   */
+  handleVaultChange(type, change) {
+    const countryId = this.getCountryIdForFolder(change.country);
+    if (!countryId) {
+      return;
+    }
+    
+    console.log(`Vault ${type}: ${change.country}/${change.cellId}`);
+    
+    // Keep the review details in sync for urgency coloring
+    if (window.reviewProgress) {
+      if (!window.reviewProgress[countryId]) {
+        window.reviewProgress[countryId] = {};
+      }
+      if (type === 'note-deleted') {
+        delete window.reviewProgress[countryId][change.cellId];
+      } else {
+        window.reviewProgress[countryId][change.cellId] = { status: change.status, ...change.review };
+      }
+    }
+    
+    const status = type === 'note-deleted' ? 'untouched' : change.status;
+    this.updateRegionStatus(countryId, change.cellId, status);
+    
+    // Refresh the flashcard preview if the changed region is selected
+    if (this.selectedRegion &&
+        this.selectedRegion.countryId === countryId &&
+        this.selectedRegion.regionId === parseInt(change.cellId.substring(1)) &&
+        typeof window.updateFlashcardPreview === 'function') {
+      window.updateFlashcardPreview(countryId, change.cellId);
+    }
+  }
+  
+  /**
+   * Find the country ID for a vault folder name (e.g. 'united-states' -> 'usa')
+   * 
+   * @param {string} folderName - Country folder name in the vault
+   * @returns {string|null} Country ID or null if no country matches
+   */
+  getCountryIdForFolder(folderName) {
+    if (!window.countries) {
+      return null;
+    }
+    
+    const normalizedDirName = folderName.replace(/-/g, ' ').toLowerCase();
+    for (const [id, country] of Object.entries(window.countries)) {
+      if (country.name && country.name.toLowerCase() === normalizedDirName) {
+        return id;
+      }
+    }
+    
+    return null;
+  }
+  
   /**
    * Get the number of regions for the current country
    * 
@@ -815,16 +1075,7 @@ class GeoRegions {
     try {
       // Fetch locations from the server with the current zoom level
       // Always use admin=true to get administrative regions
-      const url = `/api/locations/${countryId}/${regionId}?zoom=${currentZoom}&admin=true`;
-          
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        console.error('Failed to load locations:', response.status, response.statusText);
-        return;
-      }
-      
-      const data = await response.json();
+      const data = await fourNinerApi.getLocations(countryId, regionId, { zoom: currentZoom, admin: true });
       
       // Cache the results
       this.cache[cacheKey] = data;
@@ -844,11 +1095,13 @@ class GeoRegions {
   /**
    * Display location markers on the map
    * 
+   * Used for the locations of a selected region; the coverage of a whole
+   * country is drawn as tiles instead (see showLocationTiles).
+   * 
    * @param {Object} locationsData - The location data from the API
-   * @param {boolean} preserveExisting - Whether to preserve existing markers (default: false)
-   * @param {number} maxPoints - Maximum total points to show (if exceeded, old points will be removed)
+   * @param {number} maxPoints - Maximum number of markers to show
    */
-  displayLocationMarkers(locationsData, preserveExisting = false, maxPoints = 3000) {
+  displayLocationMarkers(locationsData, maxPoints = 3000) {
     // Check which format the data is in
     const isGeoJSON = locationsData && locationsData.type === 'FeatureCollection' && Array.isArray(locationsData.features);
     
@@ -858,179 +1111,22 @@ class GeoRegions {
       return;
     }
     
-    // Store the zoom threshold from the data if available
-    const zoomThreshold = locationsData.zoomThreshold;
-    
     // Get the locations based on format
-    let locations;
-    if (isGeoJSON) {
-      locations = locationsData.features || [];
-      console.log(`Displaying ${locations.length} location markers (GeoJSON format)`);
-    } else {
-      locations = locationsData.customCoordinates || [];
-      console.log(`Displaying ${locations.length} location markers`);
-    }
-    
-    // Create a map of existing markers by coordinate if we're preserving them
-    const existingMarkers = new Map();
-    if (preserveExisting && this.locationLayer) {
-      this.locationLayer.eachLayer(marker => {
-        if (marker.locationData) {
-          const key = `${marker.locationData.lat},${marker.locationData.lng}`;
-          existingMarkers.set(key, marker);
-        }
-      });
-      console.log(`Preserving ${existingMarkers.size} existing markers`);
-    } else {
-      // Clear existing markers if not preserving
-      this.clearLocationMarkers();
-    }
-    
-    // Create a layer group for the location markers if it doesn't exist
-    if (!this.locationLayer) {
-      this.locationLayer = L.layerGroup().addTo(this.map);
-    }
-    
-    // Calculate if we would exceed maxPoints 
-    const totalExpectedMarkers = existingMarkers.size + 
-      locations.filter(loc => {
-        // Check if this marker already exists
-        const locationKey = isGeoJSON ? 
-          `${loc.geometry.coordinates[1]},${loc.geometry.coordinates[0]}` : 
-          `${loc.lat},${loc.lng}`;
-        return !existingMarkers.has(locationKey);
-      }).length;
-    
-    console.log(`Expected total markers: ${totalExpectedMarkers}, max allowed: ${maxPoints}`);
+    const locations = (isGeoJSON ? locationsData.features : locationsData.customCoordinates) || [];
+    console.log(`Displaying ${Math.min(locations.length, maxPoints)} of ${locations.length} location markers`);
     
-    // If adding new points would exceed our max, we need to clear some old ones
-    if (totalExpectedMarkers > maxPoints) {
-      if (preserveExisting && this.locationLayer) {
-        console.log(`Removing old markers to stay within the ${maxPoints} limit`);
-        
-        // Calculate how many markers to remove
-        const markersToRemove = totalExpectedMarkers - maxPoints;
-        
-        // Only keep markers in the current view bounds if possible
-        if (this.currentViewBounds) {
-          let outsideViewCount = 0;
-          const toRemove = [];
-          
-          // First count markers outside the current view bounds
-          this.locationLayer.eachLayer(marker => {
-            if (marker.locationData) {
-              const lat = marker.locationData.lat;
-              const lng = marker.locationData.lng;
-              
-              // Check if the marker is outside the current view
-              if (lat < this.currentViewBounds[0] || lat > this.currentViewBounds[2] ||
-                  lng < this.currentViewBounds[1] || lng > this.currentViewBounds[3]) {
-                outsideViewCount++;
-                toRemove.push(marker);
-              }
-            }
-          });
-          
-          console.log(`Found ${outsideViewCount} markers outside current view bounds`);
-          
-          // If we have enough markers outside the view, remove them
-          if (outsideViewCount >= markersToRemove) {
-            // Only remove as many as needed
-            toRemove.slice(0, markersToRemove).forEach(marker => {
-              this.locationLayer.removeLayer(marker);
-              const key = `${marker.locationData.lat},${marker.locationData.lng}`;
-              existingMarkers.delete(key);
-            });
-            console.log(`Removed ${markersToRemove} markers that were outside view bounds`);
-          } else {
-            // We need to remove some markers inside the view too
-            // Remove all outside first
-            toRemove.forEach(marker => {
-              this.locationLayer.removeLayer(marker);
-              const key = `${marker.locationData.lat},${marker.locationData.lng}`;
-              existingMarkers.delete(key);
-            });
-            
-            // Then we need to remove some older markers
-            const remainingToRemove = markersToRemove - outsideViewCount;
-            console.log(`Need to remove ${remainingToRemove} additional markers within view`);
-            
-            // Get array of all markers still in the layer
-            const remainingMarkers = [];
-            this.locationLayer.eachLayer(marker => {
-              remainingMarkers.push(marker);
-            });
-            
-            // Remove oldest markers (first ones added to the group)
-            remainingMarkers.slice(0, remainingToRemove).forEach(marker => {
-              this.locationLayer.removeLayer(marker);
-              const key = `${marker.locationData.lat},${marker.locationData.lng}`;
-              existingMarkers.delete(key);
-            });
-          }
-        } else {
-          // No view bounds info available, just remove oldest markers
-          console.log('No view bounds info, removing oldest markers');
-          
-          // Get array of all markers
-          const allMarkers = [];
-          this.locationLayer.eachLayer(marker => {
-            allMarkers.push(marker);
-          });
-          
-          // Remove oldest markers (first ones added to the group)
-          allMarkers.slice(0, markersToRemove).forEach(marker => {
-            this.locationLayer.removeLayer(marker);
-            const key = `${marker.locationData.lat},${marker.locationData.lng}`;
-            existingMarkers.delete(key);
-          });
-        }
-      } else {
-        // If not preserving, just clear all
-        this.clearLocationMarkers();
-        existingMarkers.clear();
-      }
-    }
-    
-    // Add markers for each location (if not already on the map)
-    console.log(`Processing ${locations.length} location markers...`);
-    let addedCount = 0;
-    
-    // Count how many markers we already have
-    let currentMarkerCount = 0;
-    if (this.locationLayer) {
-      this.locationLayer.eachLayer(() => currentMarkerCount++);
-    }
-    console.log(`Currently have ${currentMarkerCount} markers`);
-    
-    // Only add new markers if we won't exceed maxPoints
-    const canAddCount = Math.max(0, maxPoints - currentMarkerCount);
-    console.log(`Can add up to ${canAddCount} new markers`);
+    this.clearLocationMarkers();
+    this.locationLayer = L.layerGroup().addTo(this.map);
     
-    // Process locations, but limit to what we can add
-    for (let i = 0; i < locations.length && addedCount < canAddCount; i++) {
-      const loc = locations[i];
-      // Get coordinates based on format
-      let lat, lng, tags;
+    locations.slice(0, maxPoints).forEach(loc => {
+      // GeoJSON coordinates are [lng, lat]; the old format has lat/lng properties
+      const lat = isGeoJSON ? loc.geometry.coordinates[1] : loc.lat;
+      const lng = isGeoJSON ? loc.geometry.coordinates[0] : loc.lng;
+      const tags = (isGeoJSON ? loc.properties?.tags : loc.extra?.tags) || [];
       
-      if (isGeoJSON) {
-        // GeoJSON format: coordinates are [lng, lat] in the geometry
-        lng = loc.geometry.coordinates[0];
-        lat = loc.geometry.coordinates[1];
-        tags = loc.properties?.tags || [];
-      } else {
-        // Old format: direct lat/lng properties
-        lat = loc.lat;
-        lng = loc.lng;
-        tags = loc.extra?.tags || [];
-      }
-      
-      // Check if this marker already exists
-      const locationKey = `${lat},${lng}`;
-      if (preserveExisting && existingMarkers.has(locationKey)) {
-        // Marker already exists, skip
-        continue;
-      }
+      // Pano ID and camera view the map author chose, if the location has them
+      const { panoId, heading, pitch, zoom } = (isGeoJSON ? loc.properties : loc) || {};
+      const view = { panoId, heading, pitch, zoom };
       
       // Create a marker for each location
       const marker = L.circleMarker([lat, lng], {
@@ -1042,79 +1138,91 @@ class GeoRegions {
         fillOpacity: 0.8
       });
       
-      // Store the coordinates and zoom threshold for later use
+      // Store the coordinates for later use
       marker.locationData = {
         lat: lat,
         lng: lng,
-        yearInfo: tags,
-        zoomThreshold: zoomThreshold
+        yearInfo: tags
       };
       
       // Instead of a popup, open Street View when clicked
       marker.on('click', (e) => {
-        this.openStreetView(lat, lng);
+        L.DomEvent.stopPropagation(e); // Don't also match the click to a location tile
+        this.openStreetView(lat, lng, view);
       });
       
-      // Add to layer group
       this.locationLayer.addLayer(marker);
-      addedCount++;
-    }
-    
-    console.log(`Added ${addedCount} new markers to the map`);
-    
-    // For debugging: count total markers
-    let totalMarkers = 0;
-    if (this.locationLayer) {
-      this.locationLayer.eachLayer(() => totalMarkers++);
-      console.log(`Total markers on map: ${totalMarkers}`);
+    });
+  }
+  
+  /**
+   * Initialize the country view feature
+   */
+  initCountryView() {
+    // Location tiles are drawn on canvas, so clicks are matched to a location here
+    this.map.on('click', (e) => this.openLocationAt(e.latlng));
+  }
+  
+  /**
+   * Show the Street View coverage of a country as a tile layer
+   * 
+   * @param {string} countryId - The country ID
+   */
+  showLocationTiles(countryId) {
+    this.clearLocationTiles();
+    
+    this.locationTileLayer = new LocationTileLayer(countryId, {
+      tileOptions: { status: true, admin: this.useAdminRegions },
+      style: (tags) => ({
+        color: this.getLocationColor(tags.status),
+        weight: 3,
+        opacity: 0.9
+      })
+    }).addTo(this.map);
+  }
+  
+  /**
+   * Get the dot color of a location from the status of its region
+   * 
+   * @param {string} status - Region status, undefined outside all regions
+   * @returns {string} Color
+   */
+  getLocationColor(status) {
+    if (status === 'learning' || status === 'mastered') {
+      return this.statusColors[status];
     }
+    return '#c0392b'; // Red stands out from the map for untouched regions
   }
   
   /**
-   * Add map movement listeners for country view mode
+   * Open Street View at the location drawn under a point of the map, in country view
+   * 
+   * @param {L.LatLng} latlng - Point that was clicked
+   * @returns {boolean} True if a location was opened
    */
-  addMapMoveListeners() {
-    // Only add once
-    if (this._moveListenersAdded) return;
-    
-    // Listen for the map moveend event to load points in the new view area
-    this.map.on('moveend', () => {
-      if (this.viewMode === 'country' && this.currentCountry) {
-        // Debounce move events to reduce network traffic
-        if (this._moveTimeout) {
-          clearTimeout(this._moveTimeout);
-        }
-        
-        this._moveTimeout = setTimeout(() => {
-          // Use isMove=true to indicate this is from a map move
-          this.loadCountryLocations(this.currentCountry, 5000, true);
-        }, 200); // 200ms debounce
-      }
-    });
+  openLocationAt(latlng) {
+    if (this.viewMode !== 'country' || !this.locationTileLayer) {
+      return false;
+    }
+    
+    const location = this.locationTileLayer.findLocation(latlng);
+    if (!location) {
+      return false;
+    }
     
-    this._moveListenersAdded = true;
+    const { panoId, heading, pitch, zoom } = location.tags;
+    this.openStreetView(location.latlng.lat, location.latlng.lng, { panoId, heading, pitch, zoom });
+    return true;
   }
   
   /**
-   * Initialize the country view feature
+   * Remove the location tile layer from the map
    */
-  initCountryView() {
-    // Add map movement listeners
-    this.addMapMoveListeners();
-    
-    // Limit cache size to prevent memory issues
-    this._cleanupCacheInterval = setInterval(() => {
-      // Keep only the 20 most recent cache entries
-      const cacheKeys = Object.keys(this.countryCache);
-      if (cacheKeys.length > 20) {
-        // Sort by timestamp if we added that, or just remove oldest entries
-        const keysToRemove = cacheKeys.slice(0, cacheKeys.length - 20);
-        keysToRemove.forEach(key => {
-          delete this.countryCache[key];
-        });
-        console.log(`Cleaned up location cache, removed ${keysToRemove.length} old entries`);
-      }
-    }, 60000); // Check every minute
+  clearLocationTiles() {
+    if (this.locationTileLayer) {
+      this.map.removeLayer(this.locationTileLayer);
+      this.locationTileLayer = null;
+    }
   }
   
   /**
@@ -1187,9 +1295,6 @@ class GeoRegions {
           console.log(`Loading locations for ${this.selectedRegion.countryId} region ${regionId} after zoom change`);
           this.loadLocationsByRegion(this.selectedRegion.countryId, regionId, this.useAdminRegions);
         }
-      } else if (this.viewMode === 'country' && this.currentCountry) {
-        // Reload country-wide points with new zoom level
-        this.loadCountryLocations(this.currentCountry);
       }
     }
   }
@@ -1213,8 +1318,9 @@ class GeoRegions {
     console.log(`Switching to ${mode} view mode`);
     this.viewMode = mode;
     
-    // Clear any existing location markers
+    // Clear any existing location markers and tiles
     this.clearLocationMarkers();
+    this.clearLocationTiles();
     
     // Handle mode change based on new view mode
     if (mode === 'regions') {
@@ -1278,9 +1384,9 @@ class GeoRegions {
         });
       }
     } else if (mode === 'country') {
-      // Load all country locations
+      // Show the coverage of the whole country
       if (this.currentCountry) {
-        this.loadCountryLocations(this.currentCountry);
+        this.showLocationTiles(this.currentCountry);
       }
       
       // Hide regions completely in country mode
@@ -1345,106 +1451,16 @@ class GeoRegions {
     }
   }
   
-  /**
-   * Load all street view locations for the current country
-   * 
-   * @param {string} countryId - The country ID
-   * @param {number} maxPoints - Maximum number of points to display (default: 5000)
-   * @param {boolean} isMove - Whether this is from a map move event
-   */
-  async loadCountryLocations(countryId, maxPoints = 3000, isMove = false) {
-    // Skip if we're at a very low zoom level (performance)
-    const currentZoom = this.map.getZoom();
-    if (currentZoom < 5) {
-      console.log('Zoom level too low for country view, skipping location loading');
-      this.clearLocationMarkers(); // Clear markers at very low zoom
-      return;
-    }
-    
-    // Get the current map bounds
-    const bounds = this.map.getBounds();
-    const boundArray = [
-      bounds.getSouth(), // south
-      bounds.getWest(),  // west
-      bounds.getNorth(), // north
-      bounds.getEast()   // east
-    ];
-    
-    // Map zoom level to the nearest threshold for caching purposes
-    let zoomThreshold;
-    if (currentZoom <= 5) zoomThreshold = 5;
-    else if (currentZoom <= 7) zoomThreshold = 7;
-    else if (currentZoom <= 9) zoomThreshold = 9;
-    else zoomThreshold = 11;
-    
-    // Use zoom threshold and bounds for caching
-    // Create a simplified bounds string for the cache key (rounded to 1 decimal place)
-    const boundsKey = boundArray.map(coord => Math.round(coord * 10) / 10).join('_');
-    const cacheKey = `${countryId}_${zoomThreshold}_${maxPoints}_${boundsKey}`;
-    
-    // Track current view bounds
-    this.currentViewBounds = boundArray;
-    
-    if (this.countryCache[cacheKey]) {
-      console.log(`Using cached locations for country ${countryId} at zoom threshold ${zoomThreshold} with bounds`);
-      
-      // If it's a map move, we need to enforce the total marker count
-      if (isMove) {
-        this.displayLocationMarkers(this.countryCache[cacheKey], true, maxPoints);
-      } else {
-        // On zoom changes, just display normally
-        this.displayLocationMarkers(this.countryCache[cacheKey], true, maxPoints);
-      }
-      return;
-    }
-    
-    // Show loading indicator
-    const loadingIndicator = document.getElementById('loading-indicator');
-    if (loadingIndicator) {
-      loadingIndicator.style.display = 'block';
-    }
-    
-    try {
-      console.log(`Loading locations for country ${countryId} at zoom level ${currentZoom} (threshold: ${zoomThreshold}) with bounds`);
-      
-      // Encode the bounds for the URL
-      const boundsParam = encodeURIComponent(JSON.stringify(boundArray));
-      
-      // Fetch country-wide locations from the server with current zoom level, max points and bounds
-      const response = await fetch(`/api/country-locations/${countryId}?zoom=${currentZoom}&max=${maxPoints}&bounds=${boundsParam}`);
-      
-      if (!response.ok) {
-        console.error('Failed to load country locations:', response.status, response.statusText);
-        return;
-      }
-      
-      const data = await response.json();
-      
-      // Cache the results using the zoom threshold and bounds for better reuse
-      this.countryCache[cacheKey] = data;
-      
-      // Display the locations, preserving existing markers when appropriate
-      this.displayLocationMarkers(data, isMove, maxPoints);
-      
-    } catch (error) {
-      console.error('Error loading country locations:', error);
-    } finally {
-      // Hide loading indicator
-      if (loadingIndicator) {
-        loadingIndicator.style.display = 'none';
-      }
-    }
-  }
-  
   /**
    * Open Google Street View in the modal for a given location
    * 
    * @param {number} lat - Latitude
    * @param {number} lng - Longitude
+   * @param {Object} view - panoId, heading, pitch and zoom of the location (optional)
    */
-  openStreetView(lat, lng) {
+  openStreetView(lat, lng, view = {}) {
     // Store the current location data globally for later use with screenshots
-    window.currentStreetViewLocation = { lat, lng };
+    window.currentStreetViewLocation = { lat, lng, ...view };
     
     // Get the modal and iframe elements
     const modal = document.getElementById('streetview-modal');
@@ -1466,7 +1482,13 @@ class GeoRegions {
     // Set the Street View URL - use the embed format with environment variable for API key
     // Note: The embed API doesn't support hiding road labels directly,
     // so we'll need to rely on the user to take a screenshot carefully
-    const streetViewUrl = `https://www.google.com/maps/embed/v1/streetview?key=${window.GOOGLE_MAPS_API_KEY || '${GOOGLE_MAPS_API_KEY}'}&location=${lat},${lng}&heading=0&pitch=0&fov=90`;
+    // A pano ID opens the exact panorama instead of the one nearest the coordinates.
+    // GeoGuessr zoom halves the field of view per level; the embed API takes 10 to 100 degrees.
+    const place = view.panoId ? `pano=${encodeURIComponent(view.panoId)}` : `location=${lat},${lng}`;
+    const heading = Number.isFinite(view.heading) ? view.heading : 0;
+    const pitch = Number.isFinite(view.pitch) ? view.pitch : 0;
+    const fov = Number.isFinite(view.zoom) ? Math.round(Math.max(10, Math.min(100, 90 / 2 ** view.zoom))) : 90;
+    const streetViewUrl = `https://www.google.com/maps/embed/v1/streetview?key=${window.GOOGLE_MAPS_API_KEY || '${GOOGLE_MAPS_API_KEY}'}&${place}&heading=${heading}&pitch=${pitch}&fov=${fov}`;
     iframe.src = streetViewUrl;
     
     // Display the modal
@@ -1723,13 +1745,9 @@ class GeoRegions {
     const locationInfo = `${roadName || 'Unnamed Road'}, ${adminArea || 'Unknown Area'} (${lat.toFixed(6)}, ${lng.toFixed(6)})`;
     
     try {
-      // Check if the flashcard already exists
-      const response = await fetch('/api/flashcard/location', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
+      // Add the answer to the existing flashcard
+      try {
+        await fourNinerApi.addLocationCard({
           countryId: countryId.replace(/\s+/g, '-').toLowerCase(),
           cellId: regionId_str,
           lat,
@@ -1737,34 +1755,30 @@ class GeoRegions {
           imageData: answerImageData,
           locationInfo,
           isAnswer: true // Flag this as answer image
-        })
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        
+        });
+      } catch (error) {
         // If flashcard not found, create a new one
-        if (errorData.error === 'Flashcard not found') {
+        if (error.error === 'Flashcard not found') {
           await this.createNewFlashcardWithStreetViewAndMap(countryId, regionId_str, answerImageData, locationInfo, lat, lng);
-        } else {
-          throw new Error(`Server error: ${errorData.error}`);
-        }
-      } else {
-        // Flashcard updated successfully
-        console.log('Flashcard updated successfully with new image');
-        
-        // Update the flashcard preview
-        window.updateFlashcardPreview(countryId, regionId_str);
-        
-        // Update region status to at least "learning" if it was untouched
-        const currentStatus = window.userProgress[countryId]?.[regionId_str] || 'untouched';
-        if (currentStatus === 'untouched') {
-          window.updateRegionStatus('learning');
+          return;
         }
-        
-        // Alert with clearer instructions and the actual location info
-        alert(`STEP 1: Take a screenshot of the current Street View with your computer's screenshot tool.\n\nSTEP 2: Manually add this screenshot to your Obsidian flashcard for ${countryId}, region ${regionId_str}.\n\nThe answer part has been added: ${locationInfo}`);
+        throw error;
+      }
+      
+      // Flashcard updated successfully
+      console.log('Flashcard updated successfully with new image');
+      
+      // Update the flashcard preview
+      window.updateFlashcardPreview(countryId, regionId_str);
+      
+      // Update region status to at least "learning" if it was untouched
+      const currentStatus = window.userProgress[countryId]?.[regionId_str] || 'untouched';
+      if (currentStatus === 'untouched') {
+        window.updateRegionStatus('learning');
       }
+      
+      // Alert with clearer instructions and the actual location info
+      alert(`STEP 1: Take a screenshot of the current Street View with your computer's screenshot tool.\n\nSTEP 2: Manually add this screenshot to your Obsidian flashcard for ${countryId}, region ${regionId_str}.\n\nThe answer part has been added: ${locationInfo}`);
     } catch (error) {
       console.error('Error adding image to flashcard:', error);
       alert(`Error adding image to flashcard: ${error.message}`);
@@ -1786,27 +1800,16 @@ class GeoRegions {
       await window.createFlashcardInObsidian(countryId, regionId_str, 'learning');
       
       // Then add the answer map image
-      const response = await fetch('/api/flashcard/location', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          countryId: countryId.replace(/\s+/g, '-').toLowerCase(),
-          cellId: regionId_str,
-          lat,
-          lng,
-          imageData: answerImageData,
-          locationInfo,
-          isAnswer: true
-        })
+      await fourNinerApi.addLocationCard({
+        countryId: countryId.replace(/\s+/g, '-').toLowerCase(),
+        cellId: regionId_str,
+        lat,
+        lng,
+        imageData: answerImageData,
+        locationInfo,
+        isAnswer: true
       });
       
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`Server error: ${errorData.error}`);
-      }
-      
       // Update the flashcard preview
       window.updateFlashcardPreview(countryId, regionId_str);
       
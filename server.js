@@ -1,17 +1,39 @@
+// Load environment variables (Google Maps API key, vault and upload settings)
+require('dotenv').config();
+
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
+const { loadVaultConfig, getActiveProfile, getVaultPath, listProfiles, setActiveProfile } = require('./src/vault-config');
+const { getNoteStatus } = require('./src/vault-index');
+const storage = require('./src/storage');
+const { parseNote, updateCard, mergeCard, normalizeCard, removeCard, moveCard } = require('./src/flashcard-parser');
+const { deleteUnreferencedImages, restoreTrashedImages } = require('./src/vault-images');
+const { storeImage, ensureThumbnail } = require('./src/image-pipeline');
+const { getCountryDisplayName, getVaultFolderName, getRegionNoteId } = require('./src/countries');
+const { getLocationIndex } = require('./src/location-index');
+const { isValidTile, buildLocationTile, getRegionLookup } = require('./src/location-tiles');
+const { getIndexMinZooms, getFileMinZooms } = require('./src/location-lod');
+const { getRegionKey, getRegionLocationsPath, findRegionLocations, saveRegionLocations, loadRegionLocations } = require('./src/region-locations');
+const { getCountryDataPath, saveCountryDataset } = require('./src/country-datasets');
+const { buildGeoGuessrMap } = require('./src/geoguessr-export');
+const { exportRegions } = require('./src/region-export');
+const { queueRegionJob, getRegionJob, cancelRegionJob, listActiveRegionJobs } = require('./src/region-jobs');
+const { checkVault, fixVaultIssues } = require('./src/vault-checker');
+const { recordChange, listChanges, getChange } = require('./src/vault-history');
+const { buildAnkiPackage } = require('./src/anki-export');
+const { createBackup, restoreBackup } = require('./src/vault-backup');
+const { usersEnabled, listUsers, authenticateToken } = require('./src/user-profiles');
+const { buildOpenApiDocument, validateOperation, AUTHENTICATED_PATHS } = require('./src/api-spec');
+const { ValidationError, resolveVaultPath, decodeImage, handleValidationError, JSON_BODY_LIMIT, MAX_BACKUP_BYTES, MAX_DATASET_BYTES } = require('./src/request-validation');
 const app = express();
 const port = 3001;
 
-// Load environment variables for Google Maps API key
-require('dotenv').config();
-
-// Configure CORS and JSON parsing with increased size limits
+// Configure CORS and JSON parsing, sized to fit one screenshot per request
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ limit: '50mb', extended: true }));
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+app.use(express.urlencoded({ limit: JSON_BODY_LIMIT, extended: true }));
 
 // Set up a middleware to inject environment variables into templates
 app.use((req, res, next) => {
@@ -38,54 +60,194 @@ app.get('*.html', (req, res, next) => {
 
 app.use(express.static('public'));  // Serve static files from the public directory
 
-// Set the path to your Obsidian vault
-const OBSIDIAN_PATH = '/home/nondescript/mind/mind/Projects/Geoguessr/Regions';
+// Resolve the Obsidian vault from --vault/--profile flags, OBSIDIAN_PATH or fourniner.config.json
+loadVaultConfig();
 
-// Add route to serve map data
+/**
+ * Open the storage backend of a vault profile (an indexed markdown vault or a JSON store)
+ *
+ * In single-user mode the vault root is opened right away; user namespaces
+ * are opened when their user first signs in.
+ *
+ * @param {Object} profile - Vault profile
+ */
+function openVaultStorage(profile) {
+    storage.openStorage(profile);
+    if (!usersEnabled()) {
+        storage.getStorage();
+    }
+}
+
+openVaultStorage(getActiveProfile());
+
+// Add route to serve map data (shared by all users)
 app.use('/map_data', express.static(path.join(__dirname, 'map_data')));
 
-// API endpoint to get all countries and cells
-app.get('/api/progress', (req, res) => {
+// Serve the tile layer plugin the frontend draws location tiles with
+app.use('/vendor/leaflet-geojson-vt', express.static(path.join(path.dirname(require.resolve('leaflet-geojson-vt/package.json')), 'src')));
+
+// Cookie that keeps a browser signed in as a user
+const AUTH_COOKIE = 'fourniner_token';
+const AUTH_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000; // One year
+
+/**
+ * Read a cookie from a request
+ *
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+function readCookie(req, name) {
+    const cookies = (req.headers.cookie || '').split(';');
+    for (const cookie of cookies) {
+        const [key, ...value] = cookie.trim().split('=');
+        if (key === name) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+}
+
+/**
+ * Middleware that resolves the user of a request and their storage backend
+ *
+ * With user profiles configured, requests must carry a user token, either as
+ * "Authorization: Bearer <token>" or in the cookie set by /api/auth/login.
+ * Sets req.user (null in single-user mode) and req.storage.
+ */
+function authenticate(req, res, next) {
     try {
-        const progress = {};
+        if (!usersEnabled()) {
+            req.user = null;
+            req.storage = storage.getStorage();
+            return next();
+        }
+        
+        const header = req.get('Authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.substring(7) : readCookie(req, AUTH_COOKIE);
+        const user = authenticateToken(token);
         
-        // Check if the directory exists
-        if (!fs.existsSync(OBSIDIAN_PATH)) {
-            console.log(`Creating directory: ${OBSIDIAN_PATH}`);
-            fs.mkdirSync(OBSIDIAN_PATH, { recursive: true });
-            return res.json(progress); // Return empty progress
+        if (!user) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Sign in with your user token to use this server'
+            });
         }
         
-        // Read all directories (countries) in the Obsidian path
-        const countries = fs.readdirSync(OBSIDIAN_PATH, { withFileTypes: true })
-            .filter(dirent => dirent.isDirectory())
-            .map(dirent => dirent.name);
+        req.user = user;
+        req.storage = storage.getStorage(user.namespace);
+        next();
+    } catch (error) {
+        console.error('Error authenticating request:', error);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+// Everything that reads or writes progress, cards or images belongs to a user
+app.use(AUTHENTICATED_PATHS, authenticate);
+
+// API endpoint to list the user profiles for the profile switcher
+app.get('/api/users', validateOperation('listUsers'), (req, res) => {
+    try {
+        const token = (req.get('Authorization') || '').replace(/^Bearer /, '') || readCookie(req, AUTH_COOKIE);
+        const current = authenticateToken(token);
         
-        // For each country, read all markdown files (cells)
-        countries.forEach(country => {
-            const countryPath = path.join(OBSIDIAN_PATH, country);
-            progress[country] = {};
-            
-            const files = fs.readdirSync(countryPath, { withFileTypes: true })
-                .filter(dirent => dirent.isFile() && dirent.name.endsWith('.md'))
-                .map(dirent => dirent.name);
-            
-            // For each file, determine its status
-            files.forEach(file => {
-                const cellId = file.replace('.md', '');
-                const filePath = path.join(countryPath, file);
-                const content = fs.readFileSync(filePath, 'utf8');
-                
-                if (content.includes('#status/mastered')) {
-                    progress[country][cellId] = 'mastered';
-                } else if (content.includes('#status/learning')) {
-                    progress[country][cellId] = 'learning';
-                } else {
-                    progress[country][cellId] = 'learning'; // Default to learning if file exists
-                }
+        res.json({
+            enabled: usersEnabled(),
+            current: current ? current.id : null,
+            users: listUsers().map(user => ({ id: user.id, name: user.name }))
+        });
+    } catch (error) {
+        console.error('Error listing users:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to sign in as a user; the token is kept in a cookie
+app.post('/api/auth/login', validateOperation('login'), (req, res) => {
+    try {
+        const user = authenticateToken(req.body.token);
+        
+        if (!user) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Unknown user token'
             });
+        }
+        
+        res.cookie(AUTH_COOKIE, req.body.token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            maxAge: AUTH_COOKIE_MAX_AGE
+        });
+        res.json({ success: true, user: { id: user.id, name: user.name } });
+    } catch (error) {
+        console.error('Error signing in:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to sign out
+app.post('/api/auth/logout', validateOperation('logout'), (req, res) => {
+    res.clearCookie(AUTH_COOKIE, { httpOnly: true, sameSite: 'strict' });
+    res.json({ success: true });
+});
+
+// API endpoint to list the configured vault profiles
+app.get('/api/vaults', validateOperation('listVaults'), (req, res) => {
+    try {
+        const profiles = listProfiles();
+        const active = profiles.find(profile => profile.active);
+        
+        res.json({
+            active: active ? active.id : null,
+            switchable: !usersEnabled(),
+            profiles: profiles
         });
+    } catch (error) {
+        console.error('Error listing vault profiles:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to switch the active vault profile
+// Only in single-user mode: the profile is server-wide, so one user switching it would switch it for everyone
+app.post('/api/vaults/active', validateOperation('setActiveVault'), (req, res) => {
+    try {
+        const { profile } = req.body;
+        
+        if (usersEnabled()) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'The vault profile is shared by all users and can only be switched in single-user mode'
+            });
+        }
+        
+        if (!listProfiles().some(entry => entry.id === profile)) {
+            return res.status(404).json({
+                error: 'Vault profile not found',
+                message: `No vault profile named '${profile}'`
+            });
+        }
+        
+        const activeProfile = setActiveProfile(profile);
         
+        // Open the storage backend of the newly selected vault
+        openVaultStorage(activeProfile);
+        
+        res.json({ success: true, active: activeProfile.id, path: activeProfile.path, storage: activeProfile.storage });
+    } catch (error) {
+        console.error('Error switching vault profile:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to get all countries and cells
+// Pass ?details=true to get spaced repetition scheduling data for each cell
+app.get('/api/progress', validateOperation('getProgress'), (req, res) => {
+    try {
+        // Served from the notes the storage backend holds in memory
+        const progress = req.storage.getProgress({ details: req.query.details === 'true' });
         res.json(progress);
     } catch (error) {
         console.error('Error reading progress:', error);
@@ -93,53 +255,155 @@ app.get('/api/progress', (req, res) => {
     }
 });
 
-// API endpoint to create or update a flashcard
-app.post('/api/flashcard', (req, res) => {
+/**
+ * Middleware for routes that read or write the .md files of a vault directly
+ *
+ * These need the markdown backend; a JSON store can be migrated to a vault first.
+ */
+function requireMarkdownStorage(req, res, next) {
+    if (req.storage.type !== 'markdown') {
+        return res.status(409).json({
+            error: 'Not available for this storage backend',
+            message: `${req.path} only works with a markdown vault, migrate the notes with npm run migrate-storage first`
+        });
+    }
+    next();
+}
+
+// API endpoint to check the vault for broken tags, missing/orphaned images,
+// placeholder cards and notes for regions that no longer exist
+app.get('/api/vault/check', requireMarkdownStorage, validateOperation('checkVault'), (req, res) => {
     try {
-        const { countryId, cellId, content, status } = req.body;
+        res.json(checkVault(req.storage.path));
+    } catch (error) {
+        console.error('Error checking vault:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to apply the safe fixes found by the vault check
+// Body (optional): { types: ['missing-tag', 'tag-mismatch', 'orphaned-image'] }
+app.post('/api/vault/check/fix', requireMarkdownStorage, validateOperation('fixVault'), (req, res) => {
+    try {
+        const vaultPath = req.storage.path;
+        const fixes = fixVaultIssues(vaultPath, checkVault(vaultPath).issues, { types: req.body.types });
+        
+        // Update the index right away instead of waiting for the file watcher
+        fixes
+            .filter(fix => fix.cellId)
+            .forEach(fix => req.storage.refreshNote(fix.country, fix.cellId));
         
-        if (!countryId || !cellId || !content) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        res.json({ success: true, fixes, report: checkVault(vaultPath) });
+    } catch (error) {
+        console.error('Error fixing vault:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Server-Sent Events stream of vault changes, so the map can recolor live
+// Events: note-created, note-updated, note-deleted and status-changed
+app.get('/api/vault/events', validateOperation('getVaultEvents'), (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    
+    // Ask the browser to reconnect after 3 seconds if the connection drops
+    res.write('retry: 3000\n\n');
+    
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    const namespace = req.user ? req.user.namespace : null;
+    
+    const onChange = (change) => {
+        // Only send changes of the signed-in user's notes
+        if (change.namespace !== namespace) {
+            return;
         }
         
-        // Create country directory if it doesn't exist
-        const countryPath = path.join(OBSIDIAN_PATH, countryId);
-        if (!fs.existsSync(countryPath)) {
-            fs.mkdirSync(countryPath, { recursive: true });
+        const data = {
+            country: change.country,
+            cellId: change.cellId,
+            status: change.note ? change.note.status : null,
+            previousStatus: change.previous ? change.previous.status : null,
+            review: change.note ? change.note.review : null
+        };
+        
+        sendEvent(`note-${change.type}`, data);
+        
+        if (data.status !== data.previousStatus) {
+            sendEvent('status-changed', data);
         }
+    };
+    
+    storage.events.on('change', onChange);
+    
+    // Keep the connection open through proxies with a periodic comment line
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 30000);
+    
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        storage.events.removeListener('change', onChange);
+    });
+});
+
+/**
+ * Write a region note to the storage backend, recording the previous content in the history
+ *
+ * @param {Object} notes - Storage backend of the request
+ * @param {string} countryId - Country folder name
+ * @param {string} cellId - Region/cell ID
+ * @param {string|null} content - New content, or null to delete the note
+ * @param {string} action - What caused the write, e.g. 'create' or 'add-location'
+ * @param {Object} details - Extra information stored with the change (optional)
+ * @returns {Object|null} The history entry, or null if nothing changed
+ */
+function writeNote(notes, countryId, cellId, content, action, details = null) {
+    const previousContent = notes.readNote(countryId, cellId);
+    
+    if (previousContent === content) {
+        return null;
+    }
+    
+    notes.writeNote(countryId, cellId, content);
+    return recordChange(notes.path, { country: countryId, cellId, action, details, previousContent, content });
+}
+
+// API endpoint to create or update a flashcard
+app.post('/api/flashcard', validateOperation('saveFlashcard'), (req, res, next) => {
+    try {
+        const { countryId, cellId, content, status } = req.body;
         
         // Write the file
-        const filePath = path.join(countryPath, `${cellId}.md`);
-        fs.writeFileSync(filePath, content);
+        writeNote(req.storage, countryId, cellId, content, 'save', status ? { status } : null);
         
         res.json({ success: true });
     } catch (error) {
+        if (error instanceof ValidationError) {
+            return next(error);
+        }
         console.error('Error creating flashcard:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 // API endpoint to add a Street View location to a flashcard
-app.post('/api/flashcard/location', (req, res) => {
+app.post('/api/flashcard/location', validateOperation('addLocationCard'), async (req, res, next) => {
     try {
         const { countryId, cellId, lat, lng, imageData, locationInfo } = req.body;
         
-        if (!countryId || !cellId || !lat || !lng) {
-            return res.status(400).json({ error: 'Missing required fields' });
-        }
-        
-        // Get the path to the flashcard file
-        const countryPath = path.join(OBSIDIAN_PATH, countryId);
-        const filePath = path.join(countryPath, `${cellId}.md`);
+        // Decode and check the image before touching the vault
+        const image = imageData ? decodeImage(imageData) : null;
         
-        // Check if the file exists
-        if (!fs.existsSync(filePath)) {
+        // Read the current content
+        let content = req.storage.readNote(countryId, cellId);
+        if (content === null) {
             return res.status(404).json({ error: 'Flashcard not found' });
         }
         
-        // Read the current content
-        let content = fs.readFileSync(filePath, 'utf8');
-        
         // Check if this is an answer image (goes after the question mark)
         const isAnswer = req.body.isAnswer === true;
         
@@ -160,23 +424,15 @@ app.post('/api/flashcard/location', (req, res) => {
         }
         
         // If we have image data (Base64 encoded), save it as a file and add it to the flashcard
-        if (imageData) {
-            // Determine the images directory
-            const imagesDir = path.join(countryPath, 'images');
-            if (!fs.existsSync(imagesDir)) {
-                fs.mkdirSync(imagesDir, { recursive: true });
+        if (image) {
+            // Re-encode, resize and store the image under a content hash, so
+            // identical captures share one file
+            const imagesDir = resolveVaultPath(req.storage.path, countryId, 'images');
+            const { filename, duplicate } = await storeImage(imagesDir, image.buffer);
+            if (duplicate) {
+                console.log(`Reusing existing image ${filename}`);
             }
             
-            // Generate a unique filename based on coordinates and timestamp
-            const filename = `${countryId}_${cellId}_${lat.toFixed(6)}_${lng.toFixed(6)}_${Date.now()}.png`;
-            const imagePath = path.join(imagesDir, filename);
-            
-            // Remove the data:image/png;base64, part from the data
-            const base64Data = imageData.replace(/^data:image\/[^;]+;base64,/, '');
-            
-            // Write the image file
-            fs.writeFileSync(imagePath, base64Data, 'base64');
-            
             // Format the caption based on whether this is an answer or question image
             let caption;
             if (isAnswer) {
@@ -254,18 +510,363 @@ app.post('/api/flashcard/location', (req, res) => {
         }
         
         // Write the updated content back to the file
-        fs.writeFileSync(filePath, content);
+        writeNote(req.storage, countryId, cellId, content, 'add-location', { lat, lng, isAnswer, image: image !== null });
         
         res.json({ success: true });
         
     } catch (error) {
+        if (error instanceof ValidationError) {
+            return next(error);
+        }
         console.error('Error adding location to flashcard:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
+/**
+ * Build the JSON model of a region note
+ *
+ * @param {string} countryId - Country folder name
+ * @param {string} regionId - Region/cell ID
+ * @param {string} content - Markdown content of the note
+ * @returns {Object} Note with tags, status and cards
+ */
+function buildFlashcardModel(countryId, regionId, content) {
+    const { tags, cards } = parseNote(content);
+    return {
+        countryId,
+        regionId,
+        tags,
+        status: getNoteStatus(content),
+        cards
+    };
+}
+
+// API endpoint to get a region note parsed into individual cards
+app.get('/api/flashcard/:countryId/:regionId', validateOperation('getFlashcard'), (req, res) => {
+    try {
+        const { countryId, regionId } = req.params;
+        const note = req.storage.getNote(countryId, regionId);
+        
+        if (!note) {
+            return res.status(404).json({ error: 'Flashcard not found' });
+        }
+        
+        res.json(buildFlashcardModel(countryId, regionId, note.content));
+    } catch (error) {
+        console.error('Error reading flashcard:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Create a handler that edits a single card of a region note
+ *
+ * @param {Function} applyChanges - Receives the current card and the request body, returns the new card
+ * @returns {Function} Express route handler
+ */
+function editCardHandler(applyChanges) {
+    return (req, res, next) => {
+        try {
+            const { countryId, regionId } = req.params;
+            const cardIndex = parseInt(req.params.cardIndex, 10);
+            
+            // Read from storage rather than the index so edits made elsewhere aren't lost
+            const content = req.storage.readNote(countryId, regionId);
+            if (content === null) {
+                return res.status(404).json({ error: 'Flashcard not found' });
+            }
+            
+            const result = updateCard(content, cardIndex, card => applyChanges(card, req.body));
+            
+            if (!result) {
+                return res.status(404).json({
+                    error: 'Card not found',
+                    message: `${regionId} has no card ${cardIndex}`
+                });
+            }
+            
+            writeNote(req.storage, countryId, regionId, result.content, 'edit-card', { card: cardIndex, method: req.method });
+            
+            res.json({ success: true, card: result.card });
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return next(error);
+            }
+            console.error('Error editing flashcard:', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+// API endpoint to replace a single card; fields left out are cleared
+app.put('/api/flashcard/:countryId/:regionId/cards/:cardIndex',
+    validateOperation('replaceCard'),
+    editCardHandler((card, body) => normalizeCard(body)));
+
+// API endpoint to change some fields of a single card
+app.patch('/api/flashcard/:countryId/:regionId/cards/:cardIndex',
+    validateOperation('updateCard'),
+    editCardHandler((card, body) => mergeCard(card, body)));
+
+// API endpoint to delete a single card, along with images no other note uses
+app.delete('/api/flashcard/:countryId/:regionId/cards/:cardIndex', validateOperation('deleteCard'), (req, res, next) => {
+    try {
+        const { countryId, regionId } = req.params;
+        const cardIndex = parseInt(req.params.cardIndex, 10);
+        const content = req.storage.readNote(countryId, regionId);
+        
+        if (content === null) {
+            return res.status(404).json({ error: 'Flashcard not found' });
+        }
+        
+        const result = removeCard(content, cardIndex);
+        if (!result) {
+            return res.status(404).json({
+                error: 'Card not found',
+                message: `${regionId} has no card ${cardIndex}`
+            });
+        }
+        
+        writeNote(req.storage, countryId, regionId, result.content, 'delete-card', { card: cardIndex });
+        
+        // Only check images once the index no longer holds the removed card
+        const deletedImages = deleteUnreferencedImages(req.storage, countryId, [
+            result.card.question.image,
+            result.card.answer.image
+        ]);
+        
+        res.json({ success: true, card: result.card, deletedImages });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return next(error);
+        }
+        console.error('Error deleting card:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to move a single card to another position in the note
+app.post('/api/flashcard/:countryId/:regionId/cards/:cardIndex/move', validateOperation('moveCard'), (req, res, next) => {
+    try {
+        const { countryId, regionId } = req.params;
+        const cardIndex = parseInt(req.params.cardIndex, 10);
+        const content = req.storage.readNote(countryId, regionId);
+        
+        if (content === null) {
+            return res.status(404).json({ error: 'Flashcard not found' });
+        }
+        
+        const result = moveCard(content, cardIndex, req.body.to);
+        if (!result) {
+            return res.status(404).json({
+                error: 'Card not found',
+                message: `${regionId} has no card ${cardIndex} or ${req.body.to}`
+            });
+        }
+        
+        writeNote(req.storage, countryId, regionId, result.content, 'move-card', { card: cardIndex, to: req.body.to });
+        
+        res.json({ success: true, cards: result.cards });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return next(error);
+        }
+        console.error('Error moving card:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to list the recent changes of a region note, newest first
+// Pass ?content=true to include the note content before and after each change
+app.get('/api/flashcard/:countryId/:regionId/history', validateOperation('getFlashcardHistory'), (req, res) => {
+    try {
+        const { countryId, regionId } = req.params;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        
+        res.json(listChanges(req.storage.path, countryId, regionId, {
+            limit,
+            content: req.query.content === 'true'
+        }));
+    } catch (error) {
+        console.error('Error reading history:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to roll a region note back to the version before a change
+// The rollback is recorded as a change itself, so it can be undone too
+app.post('/api/flashcard/:countryId/:regionId/history/:changeId/rollback', validateOperation('rollbackChange'), (req, res, next) => {
+    try {
+        const { countryId, regionId, changeId } = req.params;
+        const change = getChange(req.storage.path, countryId, regionId, changeId);
+        
+        if (!change) {
+            return res.status(404).json({
+                error: 'Change not found',
+                message: `${regionId} has no change ${changeId}`
+            });
+        }
+        
+        // A note that didn't exist before the change is removed again
+        const rollback = writeNote(req.storage, countryId, regionId, change.previousContent, 'rollback', { changeId });
+        
+        // Screenshots deleted with a card since then come back from the trash
+        const restoredImages = change.previousContent === null ?
+            [] :
+            restoreTrashedImages(req.storage, countryId, change.previousContent);
+        
+        res.json({
+            success: true,
+            change: rollback ? rollback.id : null,
+            deleted: change.previousContent === null,
+            restoredImages
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return next(error);
+        }
+        console.error('Error rolling back flashcard:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to download region flashcards as an Anki package
+// Pass ?countries=russia,mongolia to limit the export and ?deck=Name to name the deck
+app.get('/api/export/anki', requireMarkdownStorage, validateOperation('exportAnki'), async (req, res) => {
+    try {
+        const countries = req.query.countries ? req.query.countries.split(',') : [];
+        const { buffer, stats } = await buildAnkiPackage(req.storage.path, {
+            countries,
+            deckName: req.query.deck
+        });
+        
+        if (stats.countries === 0) {
+            return res.status(404).json({
+                error: 'Country not found',
+                message: `No vault folder for ${countries.join(', ')}`
+            });
+        }
+        
+        const fileName = `fourniner-${countries.length > 0 ? countries.join('-') : 'all'}.apkg`;
+        res.setHeader('Content-Type', 'application/octet-stream');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(buffer);
+    } catch (error) {
+        console.error('Error exporting to Anki:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to download the regions of a country for Google Earth, QGIS or phone map apps
+// Pass ?format=kml|gpx|geojson (GeoJSON by default) and ?admin=true for the administrative regions
+app.get('/api/export/regions/:countryId', validateOperation('exportRegions'), async (req, res) => {
+    try {
+        const countryId = req.params.countryId.toLowerCase();
+        const format = req.query.format || 'geojson';
+        const { regionsPath, locationsPath, isAdmin } = findCountryMapFiles(countryId, req.query.admin === 'true');
+        
+        if (!fs.existsSync(regionsPath)) {
+            return res.status(404).json({
+                error: 'Regions not found',
+                message: `No region data found for country '${countryId}'`
+            });
+        }
+        
+        const regions = JSON.parse(fs.readFileSync(regionsPath, 'utf8'));
+        
+        // Point counts and years are counted from the locations inside each region
+        const locationIndex = fs.existsSync(locationsPath) ? await getLocationIndex(locationsPath, countryId) : null;
+        
+        const countryName = getCountryDisplayName(countryId);
+        const { content, contentType, extension } = exportRegions(regions, {
+            format,
+            title: `${countryName} ${isAdmin ? 'administrative' : 'natural'} regions`,
+            useAdminRegions: isAdmin,
+            progress: req.storage.getProgress()[getVaultFolderName(countryId)] || {},
+            locationIndex
+        });
+        
+        const fileName = `fourniner-${countryId}-${isAdmin ? 'admin-' : ''}regions.${extension}`;
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(content);
+    } catch (error) {
+        console.error('Error exporting regions:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to download a backup of the progress, notes, images and region definitions
+app.get('/api/backup', requireMarkdownStorage, validateOperation('downloadBackup'), (req, res) => {
+    try {
+        const { buffer } = createBackup(req.storage.path);
+        const fileName = `fourniner-backup-${new Date().toISOString().slice(0, 10)}.zip`;
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(buffer);
+    } catch (error) {
+        console.error('Error creating backup:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to restore a backup archive sent as the request body
+// Pass ?dryRun=true to only get the conflicts, and ?strategy=skip|overwrite|merge to resolve them
+app.post('/api/backup/restore',
+    requireMarkdownStorage,
+    express.raw({ type: ['application/zip', 'application/octet-stream'], limit: MAX_BACKUP_BYTES }),
+    validateOperation('restoreBackup'),
+    (req, res, next) => {
+    try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            throw new ValidationError('Invalid backup', 'Send the archive as the request body with Content-Type application/zip');
+        }
+
+        const result = restoreBackup(req.storage.path, req.body, {
+            strategy: req.query.strategy,
+            dryRun: req.query.dryRun === 'true',
+            regions: req.query.regions !== 'false'
+        });
+
+        // Update the index right away instead of waiting for the file watcher
+        result.notes.forEach(note => req.storage.refreshNote(note.country, note.cellId));
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return next(error);
+        }
+        console.error('Error restoring backup:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to get the sidebar thumbnail of a flashcard image
+app.get('/api/images/:countryId/:fileName/thumbnail', validateOperation('getThumbnail'), async (req, res, next) => {
+    try {
+        const { countryId, fileName } = req.params;
+        const imagePath = resolveVaultPath(req.storage.path, countryId, 'images', fileName);
+        
+        // Images stored before thumbnails existed get one on first request
+        const thumbnailPath = await ensureThumbnail(imagePath);
+        if (!thumbnailPath) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        
+        res.sendFile(thumbnailPath);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return next(error);
+        }
+        console.error('Error creating thumbnail:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // API endpoint to get country boundaries in GeoJSON format
-app.get('/api/countries', (req, res) => {
+app.get('/api/countries', validateOperation('getCountryBoundaries'), (req, res) => {
     try {
         const countriesPath = path.join(__dirname, 'map_data', 'countries.geojson');
         
@@ -299,7 +900,7 @@ app.get('/api/countries', (req, res) => {
 });
 
 // API endpoint to get regions for a country
-app.get('/api/regions/:countryId', (req, res) => {
+app.get('/api/regions/:countryId', validateOperation('getRegions'), (req, res) => {
     try {
         const countryId = req.params.countryId.toLowerCase();
         const useAdminRegions = req.query.admin === 'true';
@@ -347,13 +948,23 @@ app.get('/api/regions/:countryId', (req, res) => {
                 }
             }
             
+            // Regions of a freshly uploaded country may still be on their way
+            const activeJobs = listActiveRegionJobs(countryId);
+            if (activeJobs.length > 0) {
+                return res.status(404).json({
+                    error: 'Regions not generated',
+                    message: `Regions for '${countryId}' are being generated, try again when the job has finished.`,
+                    jobs: activeJobs
+                });
+            }
+            
             const createCommand = useAdminRegions 
                 ? `node src/create-regions.js ${countryId} --admin` 
                 : `node src/create-regions.js ${countryId}`;
                 
             return res.status(404).json({
                 error: 'Regions not generated',
-                message: `Regions have not been generated for '${countryId}'. Run '${createCommand}' to generate them.`
+                message: `Regions have not been generated for '${countryId}'. Start a job with POST /api/jobs/regions or run '${createCommand}' to generate them.`
             });
         }
         
@@ -368,8 +979,54 @@ app.get('/api/regions/:countryId', (req, res) => {
     }
 });
 
+/**
+ * Find the regions file and the locations file of a country
+ * 
+ * @param {string} countryId - Country ID (lowercase)
+ * @param {boolean} useAdminRegions - Prefer the administrative regions, falling back to natural ones
+ * @returns {Object} regionsPath and locationsPath (either may not exist) and whether the regions are administrative
+ */
+function findCountryMapFiles(countryId, useAdminRegions) {
+    // Countries have their own folder in the new structure, the old one keeps all files in map_data
+    const countryDir = path.join(__dirname, 'map_data', 'countries', countryId);
+    const dataDir = fs.existsSync(countryDir) ? countryDir : path.join(__dirname, 'map_data');
+    
+    // Load the appropriate regions file (admin or natural)
+    const locationsPath = path.join(dataDir, `${countryId}.json`);
+    if (useAdminRegions) {
+        const adminRegionsPath = path.join(dataDir, `${countryId}_admin_regions.json`);
+        if (fs.existsSync(adminRegionsPath)) {
+            return { regionsPath: adminRegionsPath, locationsPath, isAdmin: true };
+        }
+        
+        // If admin regions file doesn't exist, fall back to natural regions
+        console.log(`Admin regions file not found, falling back to natural regions`);
+    }
+    
+    return { regionsPath: path.join(dataDir, `${countryId}_regions.json`), locationsPath, isAdmin: false };
+}
+
+/**
+ * Find a region by ID, checking both clusterID and regionCode (for admin regions)
+ * 
+ * @param {Object} regionsData - GeoJSON FeatureCollection of the regions
+ * @param {string} regionId - Cluster ID or region code
+ * @returns {Object|undefined} Region feature
+ */
+function findRegion(regionsData, regionId) {
+    // Convert numeric string to number for comparison if needed
+    const numericRegionId = !isNaN(regionId) ? parseInt(regionId, 10) : regionId;
+    
+    return regionsData.features.find(feature => 
+        // Try exact string match first
+        (feature.properties.clusterID === regionId) || 
+        (feature.properties.regionCode === regionId) ||
+        // Try numeric comparison for clusterID if regionId is a number
+        (typeof feature.properties.clusterID === 'number' && feature.properties.clusterID === numericRegionId));
+}
+
 // API endpoint to get street view locations for a specific region
-app.get('/api/locations/:countryId/:regionId', (req, res) => {
+app.get('/api/locations/:countryId/:regionId', validateOperation('getLocations'), async (req, res) => {
     try {
         const countryId = req.params.countryId.toLowerCase();
         const regionId = req.params.regionId;
@@ -378,27 +1035,7 @@ app.get('/api/locations/:countryId/:regionId', (req, res) => {
         
         console.log(`API request for locations: country=${countryId}, region=${regionId}, zoom=${zoomLevel}, adminRegions=${useAdminRegions}`);
         
-        // First, check if the country folder exists in the new structure
-        const countryDir = path.join(__dirname, 'map_data', 'countries', countryId);
-        const useNewStructure = fs.existsSync(countryDir);
-        
-        // Load the appropriate regions file (admin or natural)
-        let regionsPath;
-        if (useNewStructure) {
-            if (useAdminRegions) {
-                regionsPath = path.join(countryDir, `${countryId}_admin_regions.json`);
-                
-                // If admin regions file doesn't exist, fall back to natural regions
-                if (!fs.existsSync(regionsPath)) {
-                    console.log(`Admin regions file not found, falling back to natural regions`);
-                    regionsPath = path.join(countryDir, `${countryId}_regions.json`);
-                }
-            } else {
-                regionsPath = path.join(countryDir, `${countryId}_regions.json`);
-            }
-        } else {
-            regionsPath = path.join(__dirname, 'map_data', `${countryId}_regions.json`);
-        }
+        const { regionsPath, locationsPath } = findCountryMapFiles(countryId, useAdminRegions);
         
         if (!fs.existsSync(regionsPath)) {
             return res.status(404).json({
@@ -408,17 +1045,7 @@ app.get('/api/locations/:countryId/:regionId', (req, res) => {
         }
         
         const regionsData = JSON.parse(fs.readFileSync(regionsPath, 'utf8'));
-        
-        // Find the specific region by ID, checking both clusterID and regionCode (for admin regions)
-        // Convert numeric string to number for comparison if needed
-        const numericRegionId = !isNaN(regionId) ? parseInt(regionId, 10) : regionId;
-        
-        const region = regionsData.features.find(feature => 
-            // Try exact string match first
-            (feature.properties.clusterID === regionId) || 
-            (feature.properties.regionCode === regionId) ||
-            // Try numeric comparison for clusterID if regionId is a number
-            (typeof feature.properties.clusterID === 'number' && feature.properties.clusterID === numericRegionId));
+        const region = findRegion(regionsData, regionId);
         
         if (!region) {
             return res.status(404).json({
@@ -428,13 +1055,6 @@ app.get('/api/locations/:countryId/:regionId', (req, res) => {
         }
         
         // Load the country locations file
-        let locationsPath;
-        if (useNewStructure) {
-            locationsPath = path.join(countryDir, `${countryId}.json`);
-        } else {
-            locationsPath = path.join(__dirname, 'map_data', `${countryId}.json`);
-        }
-        
         if (!fs.existsSync(locationsPath)) {
             return res.status(404).json({
                 error: 'Locations not found',
@@ -442,157 +1062,31 @@ app.get('/api/locations/:countryId/:regionId', (req, res) => {
             });
         }
         
-        const locationsData = JSON.parse(fs.readFileSync(locationsPath, 'utf8'));
-        
-        // Check if we have a preprocessed file for this region already
-        let regionLocationsPath;
-        // For admin regions, the file name format is different
-        if (useNewStructure) {
-            if (useAdminRegions && region.properties.regionCode) {
-                regionLocationsPath = path.join(countryDir, `${countryId}_${region.properties.regionCode}_locations.json`);
-            } else {
-                regionLocationsPath = path.join(countryDir, `${countryId}_${regionId}_locations.json`);
-            }
-        } else {
-            regionLocationsPath = path.join(__dirname, 'map_data', `${countryId}_${regionId}_locations.json`);
-        }
+        // Locations inside the region's polygon are stored next to the regions file
+        const regionLocationsPath = getRegionLocationsPath(regionsPath, countryId, getRegionKey(region, useAdminRegions));
+        let locations = loadRegionLocations(regionLocationsPath, [regionsPath, locationsPath]);
         
-        let locations;
-        if (fs.existsSync(regionLocationsPath)) {
-            // Use preprocessed file if it exists
-            console.log(`Using preprocessed locations file: ${regionLocationsPath}`);
-            locations = JSON.parse(fs.readFileSync(regionLocationsPath, 'utf8'));
-        } else {
-            // Process locations dynamically (this could be slow for large datasets)
-            let turf;
-            try {
-                turf = require('@turf/turf');
-            } catch (e) {
-                console.error('Error loading @turf/turf, falling back to turf:', e);
-                turf = require('turf');
-            }
-            const regionPolygon = region.geometry;
-            
-            // Filter locations that are within this region's polygon
-            let filteredLocations = [];
-            
-            try {
-                // Check if customCoordinates exists and log appropriately
-                if (locationsData.customCoordinates) {
-                    console.log(`Filtering ${locationsData.customCoordinates.length} locations for region ${regionId}`);
-                } else {
-                    console.warn(`Warning: No customCoordinates found in location data for ${countryId}/${regionId}`);
-                    console.log('locationsData structure:', Object.keys(locationsData));
-                }
-                
-                // Let's try both polygon and bbox approaches for maximum coverage
-                // First use bbox method since it's more reliable
-                let bbox;
-                try {
-                    // Get the bounding box of the region
-                    bbox = turf.bbox(region);
-                    console.log(`Region ${regionId} bbox: ${JSON.stringify(bbox)}`);
-                } catch (bboxError) {
-                    console.error('Error calculating bbox:', bboxError);
-                    // Manual bbox calculation from coords as fallback
-                    const coords = region.geometry.coordinates[0];
-                    const lngs = coords.map(c => c[0]);
-                    const lats = coords.map(c => c[1]);
-                    bbox = [
-                        Math.min(...lngs), // min lng
-                        Math.min(...lats), // min lat
-                        Math.max(...lngs), // max lng
-                        Math.max(...lats)  // max lat
-                    ];
-                    console.log(`Manually calculated bbox: ${JSON.stringify(bbox)}`);
-                }
-                
-                // Check if we're dealing with a GeoJSON or older format
-                const isGeoJSON = locationsData.type === 'FeatureCollection' && Array.isArray(locationsData.features);
-                
-                if (isGeoJSON) {
-                    // Filter GeoJSON features based on bbox
-                    filteredLocations = locationsData.features ? locationsData.features.filter(feature => {
-                        const coords = feature.geometry.coordinates;
-                        // In GeoJSON coordinates are [lng, lat]
-                        return coords[0] >= bbox[0] && 
-                               coords[0] <= bbox[2] && 
-                               coords[1] >= bbox[1] && 
-                               coords[1] <= bbox[3];
-                    }) : [];
-                } else {
-                    // Filter older format with customCoordinates
-                    filteredLocations = locationsData.customCoordinates ? locationsData.customCoordinates.filter(coord => {
-                        return coord.lng >= bbox[0] && 
-                               coord.lng <= bbox[2] && 
-                               coord.lat >= bbox[1] && 
-                               coord.lat <= bbox[3];
-                    }) : [];
-                }
-                
-                // Store which format we're using
-                const usingGeoJSON = isGeoJSON;
-                
-                console.log(`Found ${filteredLocations.length} locations within region bbox`);
-                
-                // If we have many points in the bbox, we could try to refine with point-in-polygon
-                // but it's better to have too many points than none
-            } catch (e) {
-                console.error('Error during location filtering:', e);
-                filteredLocations = []; // Empty array as fallback
-            }
-            
-            // Create locations in the right format based on what we detected earlier
-            if (usingGeoJSON) {
-                locations = { 
-                    type: 'FeatureCollection',
-                    features: filteredLocations 
-                };
-            } else {
-                locations = { customCoordinates: filteredLocations };
-            }
-            
-            // Cache the results to a file for future use
-            fs.writeFileSync(regionLocationsPath, JSON.stringify(locations));
+        if (!locations) {
+            const locationIndex = await getLocationIndex(locationsPath, countryId);
+            locations = saveRegionLocations(regionLocationsPath, findRegionLocations(region, locationIndex), locationIndex.isGeoJSON);
             console.log(`Saved locations to ${regionLocationsPath}`);
         }
         
-        // Apply sampling based on zoom level
-        let sampledLocations;
-        
         // Check if we're dealing with a GeoJSON or older format
         const isGeoJSON = locations.type === 'FeatureCollection' && Array.isArray(locations.features);
+        const regionItems = (isGeoJSON ? locations.features : locations.customCoordinates) || [];
         
-        if (zoomLevel < 6) {  // Lower threshold to make testing easier
-            // No locations at very low zoom levels
-            sampledLocations = isGeoJSON ? 
-                { type: 'FeatureCollection', features: [] } : 
-                { customCoordinates: [] };
-        } else if (zoomLevel < 10) {  // Lower medium threshold
-            // Sample approximately 50% of locations at medium zoom (increased from 20%)
-            const sampleRate = 0.5;
-            
-            if (isGeoJSON) {
-                // Handle GeoJSON format 
-                sampledLocations = {
-                    type: 'FeatureCollection',
-                    features: locations.features ? 
-                        locations.features.filter(() => Math.random() < sampleRate) : 
-                        []
-                };
-            } else {
-                // Handle older format with customCoordinates
-                sampledLocations = { 
-                    customCoordinates: locations.customCoordinates && locations.customCoordinates.length > 0 ? 
-                        locations.customCoordinates.filter(() => Math.random() < sampleRate) : 
-                        []
-                };
-            }
-        } else {
-            // All locations at high zoom (zoom level 10+)
-            sampledLocations = locations;
+        // No locations at very low zoom levels; above that each location has a fixed minimum zoom
+        let visibleItems = [];
+        if (zoomLevel >= 6) {
+            const minZooms = getFileMinZooms(regionLocationsPath, regionItems, isGeoJSON);
+            visibleItems = regionItems.filter((item, i) => minZooms[i] <= zoomLevel);
         }
         
+        const sampledLocations = isGeoJSON ?
+            { type: 'FeatureCollection', features: visibleItems } :
+            { customCoordinates: visibleItems };
+        
         // Log the number of locations based on format
         if (isGeoJSON) {
             console.log(`Returning ${sampledLocations.features ? sampledLocations.features.length : 0} street view locations (GeoJSON format) for zoom level ${zoomLevel}`);
@@ -607,8 +1101,74 @@ app.get('/api/locations/:countryId/:regionId', (req, res) => {
     }
 });
 
+// API endpoint to download the locations of regions as a GeoGuessr custom map
+// :regionId is a region, a comma-separated list of regions or 'learning' for every region marked as learning.
+// ?count=N spreads at most N locations over the regions, ?tags=a,b keeps locations with one of the tags,
+// ?excludeTags=c,d drops locations with any of them, ?extra=false and ?pano=false drop the extra data
+// and the pano ID/camera fields of each location
+app.get('/api/locations/:countryId/:regionId/export', validateOperation('exportLocations'), async (req, res) => {
+    try {
+        const countryId = req.params.countryId.toLowerCase();
+        const { regionsPath, locationsPath, isAdmin } = findCountryMapFiles(countryId, req.query.admin === 'true');
+        
+        if (!fs.existsSync(regionsPath) || !fs.existsSync(locationsPath)) {
+            return res.status(404).json({
+                error: 'Regions not found',
+                message: `No region and location data found for country '${countryId}'`
+            });
+        }
+        
+        const regionsData = JSON.parse(fs.readFileSync(regionsPath, 'utf8'));
+        
+        let regions;
+        if (req.params.regionId === 'learning') {
+            // Progress is kept by vault folder and note ID
+            const countryProgress = req.storage.getProgress()[getVaultFolderName(countryId)] || {};
+            regions = regionsData.features.filter(region => countryProgress[getRegionNoteId(region, isAdmin)] === 'learning');
+            
+            if (regions.length === 0) {
+                return res.status(404).json({
+                    error: 'Region not found',
+                    message: `No regions of '${countryId}' are marked as learning`
+                });
+            }
+        } else {
+            const regionIds = Array.from(new Set(req.params.regionId.split(',')));
+            const missing = regionIds.filter(regionId => !findRegion(regionsData, regionId));
+            
+            if (missing.length > 0) {
+                return res.status(404).json({
+                    error: 'Region not found',
+                    message: `Region${missing.length > 1 ? 's' : ''} '${missing.join("', '")}' not found in country '${countryId}'`
+                });
+            }
+            regions = regionIds.map(regionId => findRegion(regionsData, regionId));
+        }
+        
+        const splitTags = value => value ? value.split(',').map(tag => tag.trim()).filter(Boolean) : [];
+        const { map, stats } = await buildGeoGuessrMap(locationsPath, countryId, regions, {
+            name: `FourNiner - ${getCountryDisplayName(countryId)} (${req.params.regionId.replace(/,/g, ', ')})`,
+            useAdminRegions: isAdmin,
+            count: req.query.count ? parseInt(req.query.count, 10) : undefined,
+            tags: splitTags(req.query.tags),
+            excludeTags: splitTags(req.query.excludeTags),
+            keepExtra: req.query.extra !== 'false',
+            keepPano: req.query.pano !== 'false'
+        });
+        
+        console.log(`Exporting ${stats.locations} locations from ${regions.length} regions of ${countryId} as a GeoGuessr map`);
+        
+        const fileName = `fourniner-${countryId}-${req.params.regionId.replace(/,/g, '-')}.json`;
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.json(map);
+    } catch (error) {
+        console.error('Error exporting region locations:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // API endpoint to get all street view locations for an entire country
-app.get('/api/country-locations/:countryId', (req, res) => {
+app.get('/api/country-locations/:countryId', validateOperation('getCountryLocations'), async (req, res) => {
     try {
         const countryId = req.params.countryId.toLowerCase();
         const zoomLevel = parseInt(req.query.zoom || '0');
@@ -645,147 +1205,109 @@ app.get('/api/country-locations/:countryId', (req, res) => {
             });
         }
         
-        const locationsData = JSON.parse(fs.readFileSync(locationsPath, 'utf8'));
+        // Points are loaded once per country into a spatial index
+        const locationIndex = await getLocationIndex(locationsPath, countryId);
+        const isGeoJSON = locationIndex.isGeoJSON;
         
-        // Check if we're dealing with a GeoJSON or older format
-        const isGeoJSON = locationsData.type === 'FeatureCollection' && Array.isArray(locationsData.features);
+        // Filter by bounds if provided; IDs come back in a fixed shuffled order
+        const filteredIds = locationIndex.query(hasBounds ? bounds.map(Number) : null);
+        if (hasBounds) {
+            console.log(`Filtered to ${filteredIds.length} locations within visible bounds`);
+        }
         
-        // Filter by bounds if provided
-        let filteredLocations;
-        if (isGeoJSON) {
-            // Handle GeoJSON format
-            const features = locationsData.features || [];
-            
-            if (hasBounds) {
-                // Filter locations within the visible bounds
-                filteredLocations = features.filter(feature => {
-                    const coords = feature.geometry.coordinates;
-                    // In GeoJSON coordinates are [lng, lat]
-                    return coords[0] >= bounds[1] && // west
-                           coords[0] <= bounds[3] && // east
-                           coords[1] >= bounds[0] && // south
-                           coords[1] <= bounds[2];   // north
-                });
-                console.log(`Filtered to ${filteredLocations.length} locations within visible bounds`);
-            } else {
-                filteredLocations = features;
-            }
-        } else {
-            // Handle older format with customCoordinates
-            const coordinates = locationsData.customCoordinates || [];
-            
-            if (hasBounds) {
-                // Filter locations within the visible bounds
-                filteredLocations = coordinates.filter(coord => {
-                    return coord.lng >= bounds[1] && // west
-                           coord.lng <= bounds[3] && // east
-                           coord.lat >= bounds[0] && // south
-                           coord.lat <= bounds[2];   // north
-                });
-                console.log(`Filtered to ${filteredLocations.length} locations within visible bounds`);
-            } else {
-                filteredLocations = coordinates;
-            }
+        // Keep the locations shown at this zoom level, the most important first if there are more than maxPoints
+        const minZooms = getIndexMinZooms(locationIndex);
+        const visibleIds = Array.from(filteredIds).filter(id => minZooms[id] <= zoomLevel);
+        if (visibleIds.length > maxPoints) {
+            visibleIds.sort((a, b) => minZooms[a] - minZooms[b] || a - b);
         }
+        const sampledItems = visibleIds.slice(0, maxPoints).map(id => locationIndex.get(id));
         
-        // Get the number of points after filtering
-        const totalFilteredPoints = filteredLocations.length;
+        const sampledLocations = isGeoJSON ?
+            { type: 'FeatureCollection', features: sampledItems } :
+            { customCoordinates: sampledItems };
         
-        // Determine the appropriate sample rate based on max points and filtered points available
-        let sampleRate = 1.0;
+        console.log(`Returning ${sampledItems.length} of ${filteredIds.length} filtered locations at zoom ${zoomLevel} (max=${maxPoints})`);
         
-        // First determine baseline rate by zoom level (only use a few discrete levels)
-        if (zoomLevel <= 5) {
-            sampleRate = 0.05; // 5% of points at lowest zoom
-        } else if (zoomLevel <= 7) {
-            sampleRate = 0.40; // 40% of points at medium zoom
-        } else if (zoomLevel <= 9) {
-            sampleRate = 0.80; // 80% of points at higher zoom
-        } // Zoom level 10+ uses 100% of points
-            
-        // Now adjust the rate to never exceed maxPoints
-        if (totalFilteredPoints * sampleRate > maxPoints) {
-            // Calculate what rate would give us maxPoints
-            const adjustedRate = maxPoints / totalFilteredPoints;
-            // Use the more restrictive rate
-            sampleRate = Math.min(sampleRate, adjustedRate);
-        }
-        
-        // Apply the sampling
-        let sampledLocations;
-        
-        // Create a consistent seed based on country and zoom threshold
-        const zoomThreshold = zoomLevel <= 5 ? 5 : (zoomLevel <= 7 ? 7 : (zoomLevel <= 9 ? 9 : 11));
-        const seedBase = countryId + '_' + zoomThreshold;
-        
-        // Simple hash function for creating a seed
-        const getSeed = str => {
-            let hash = 0;
-            for (let i = 0; i < str.length; i++) {
-                hash = ((hash << 5) - hash) + str.charCodeAt(i);
-                hash = hash & hash; // Convert to 32bit integer
-            }
-            return Math.abs(hash);
-        };
+        res.json(sampledLocations);
         
-        // Use a consistent seed for random sorting to maintain points across zooms
-        const seed = getSeed(seedBase);
+    } catch (error) {
+        console.error('Error retrieving country locations:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to get the street view locations of a country as a map tile
+app.get('/api/tiles/:countryId/:z/:x/:y', validateOperation('getLocationTile'), async (req, res, next) => {
+    try {
+        const countryId = req.params.countryId.toLowerCase();
+        const [z, x, y] = [req.params.z, req.params.x, req.params.y].map(Number);
+        const includeRegion = req.query.region === 'true';
+        const includeStatus = req.query.status === 'true';
+        const useAdminRegions = req.query.admin === 'true';
         
-        // Pseudorandom function with seed
-        const seededRandom = (max, min = 0) => {
-            const x = Math.sin(seed + filteredLocations.length) * 10000;
-            return ((x - Math.floor(x)) * (max - min)) + min;
-        };
+        if (!isValidTile(z, x, y)) {
+            throw new ValidationError('Invalid tile', `There is no tile ${z}/${x}/${y}`);
+        }
         
-        // Sort by consistent seed-based random values
-        const sortedLocations = [...filteredLocations].sort((a, b) => {
-            const aKey = isGeoJSON ? 
-                `${a.geometry.coordinates[0]},${a.geometry.coordinates[1]}` : 
-                `${a.lng},${a.lat}`;
-            const bKey = isGeoJSON ? 
-                `${b.geometry.coordinates[0]},${b.geometry.coordinates[1]}` : 
-                `${b.lng},${b.lat}`;
-                
-            return seededRandom(1) - 0.5;
-        });
+        // Fall back to natural regions if administrative regions haven't been generated
+        const { regionsPath, locationsPath, isAdmin } = findCountryMapFiles(countryId, useAdminRegions);
         
-        const sampleSize = Math.min(Math.ceil(totalFilteredPoints * sampleRate), maxPoints);
+        if (!fs.existsSync(locationsPath)) {
+            return res.status(404).json({
+                error: 'Locations not found',
+                message: `No location data found for country '${countryId}'`
+            });
+        }
         
-        if (isGeoJSON) {
-            console.log(`Sampling ${totalFilteredPoints} filtered locations with rate ${sampleRate.toFixed(4)} (zoom=${zoomLevel}, max=${maxPoints})`);
-            
-            const sampledFeatures = sortedLocations.slice(0, sampleSize);
-            
-            sampledLocations = {
-                type: 'FeatureCollection',
-                features: sampledFeatures,
-                zoomThreshold: zoomThreshold
-            };
-            
-            console.log(`Returning ${sampledLocations.features.length} of ${totalFilteredPoints} filtered locations (GeoJSON format)`);
-        } else {
-            console.log(`Sampling ${totalFilteredPoints} filtered locations with rate ${sampleRate.toFixed(4)} (zoom=${zoomLevel}, max=${maxPoints})`);
+        const locationIndex = await getLocationIndex(locationsPath, countryId);
+        
+        // Region and status tags need the regions of the country
+        let getTags = null;
+        if (includeRegion || includeStatus) {
+            if (!fs.existsSync(regionsPath)) {
+                return res.status(404).json({
+                    error: 'Regions not found',
+                    message: `No region data found for country '${countryId}'`
+                });
+            }
             
-            const sampledCoordinates = sortedLocations.slice(0, sampleSize);
+            const findRegion = getRegionLookup(regionsPath, locationIndex);
+            const countryProgress = includeStatus ?
+                (req.storage.getProgress()[getVaultFolderName(countryId)] || {}) :
+                {};
             
-            sampledLocations = {
-                customCoordinates: sampledCoordinates,
-                zoomThreshold: zoomThreshold
+            getTags = id => {
+                const region = findRegion(id);
+                if (!region) {
+                    return {};
+                }
+                
+                // Progress is kept by note ID, which depends on the regions file actually loaded
+                const noteId = getRegionNoteId(region, isAdmin);
+                const tags = {};
+                if (includeRegion) {
+                    tags.region = isAdmin ? noteId : region.properties.clusterID;
+                }
+                if (includeStatus) {
+                    tags.status = countryProgress[noteId] || 'untouched';
+                }
+                return tags;
             };
-            
-            console.log(`Returning ${sampledLocations.customCoordinates.length} of ${totalFilteredPoints} filtered locations`);
         }
         
-        res.json(sampledLocations);
-        
+        res.json(buildLocationTile(locationIndex, z, x, y, getTags));
     } catch (error) {
-        console.error('Error retrieving country locations:', error);
+        if (error instanceof ValidationError) {
+            return next(error);
+        }
+        console.error('Error building location tile:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 // API endpoint to get all available countries with data
-app.get('/api/available-countries', (req, res) => {
+app.get('/api/available-countries', validateOperation('listAvailableCountries'), (req, res) => {
     try {
         // Get all country directories in the map_data/countries directory
         const countriesDir = path.join(__dirname, 'map_data', 'countries');
@@ -815,28 +1337,9 @@ app.get('/api/available-countries', (req, res) => {
             
         // Convert country IDs to name/ID pairs with proper formatting
         availableCountries.forEach(countryId => {
-            // Generate a proper display name from the ID
-            let displayName = countryId
-                .split('-')
-                .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-                .join(' ');
-                
-            // Handle special cases
-            if (countryId === 'usa') {
-                displayName = 'United States';
-            } else if (countryId === 'uk') {
-                displayName = 'United Kingdom';
-            } else if (countryId === 'uae') {
-                displayName = 'United Arab Emirates';
-            } else if (countryId === 'southafrica') {
-                displayName = 'South Africa';
-            } else if (countryId === 'united-states-of-america') {
-                displayName = 'United States';
-            }
-            
             countries.push({
                 id: countryId,
-                name: displayName
+                name: getCountryDisplayName(countryId)
             });
         });
         
@@ -847,9 +1350,123 @@ app.get('/api/available-countries', (req, res) => {
     }
 });
 
+// API endpoint to add a country from an uploaded coverage map and queue the generation of its regions
+// Send the JSON file as an application/octet-stream body; ?regions=N sets the number of natural regions,
+// ?admin=true&level=N also generates administrative regions and ?overwrite=true replaces existing data
+app.post('/api/datasets/:countryId', validateOperation('uploadCountryDataset'), async (req, res, next) => {
+    try {
+        const { countryId } = req.params;
+        
+        if (!req.is('application/octet-stream')) {
+            throw new ValidationError('Invalid dataset', 'Send the file as the request body with Content-Type application/octet-stream', { status: 415 });
+        }
+        
+        // Refuse oversized files before reading them; the size is checked again while streaming
+        if (Number(req.get('Content-Length')) > MAX_DATASET_BYTES) {
+            throw new ValidationError('Dataset too large', `Country datasets must be at most ${MAX_DATASET_BYTES} bytes`, { status: 413 });
+        }
+        
+        // Replacing the data while regions are generated from it would mix two datasets
+        if (listActiveRegionJobs(countryId).length > 0) {
+            throw new ValidationError('Job running', `Regions for '${countryId}' are being generated, wait for the job to finish`, { status: 409 });
+        }
+        
+        const dataset = await saveCountryDataset(countryId, req, { overwrite: req.query.overwrite === 'true' });
+        
+        const jobs = [queueRegionJob(countryId, {
+            method: 'natural',
+            regionCount: req.query.regions ? parseInt(req.query.regions, 10) : undefined
+        })];
+        if (req.query.admin === 'true') {
+            jobs.push(queueRegionJob(countryId, {
+                method: 'admin',
+                adminLevel: req.query.level ? parseInt(req.query.level, 10) : undefined
+            }));
+        }
+        
+        res.json({
+            success: true,
+            country: { id: countryId, name: getCountryDisplayName(countryId), locationCount: dataset.locationCount },
+            jobs
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return next(error);
+        }
+        console.error('Error uploading country dataset:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to queue the generation of a country's regions from its location data
+// Body: { countryId, method: 'natural' | 'admin', regionCount, adminLevel }; poll /api/jobs/:jobId for progress
+app.post('/api/jobs/regions', validateOperation('startRegionJob'), (req, res) => {
+    try {
+        const { countryId, method, regionCount, adminLevel } = req.body;
+        
+        if (!fs.existsSync(getCountryDataPath(countryId))) {
+            return res.status(404).json({
+                error: 'Country not found',
+                message: `No location data found for country '${countryId}', upload it first`
+            });
+        }
+        
+        res.json(queueRegionJob(countryId, { method, regionCount, adminLevel }));
+    } catch (error) {
+        console.error('Error starting region job:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to get the status, stage and log of a background job
+app.get('/api/jobs/:jobId', validateOperation('getJob'), (req, res) => {
+    try {
+        const job = getRegionJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        res.json(job);
+    } catch (error) {
+        console.error('Error retrieving job:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to cancel a queued or running job; the regions it was replacing are kept
+app.post('/api/jobs/:jobId/cancel', validateOperation('cancelJob'), (req, res, next) => {
+    try {
+        const job = cancelRegionJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        res.json(job);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return next(error);
+        }
+        console.error('Error cancelling job:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to get the OpenAPI description of this API
+app.get('/api/openapi.json', validateOperation('getApiSpec'), (req, res) => {
+    try {
+        res.json(buildOpenApiDocument());
+    } catch (error) {
+        console.error('Error building API description:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Send validation and body parsing failures as JSON client errors
+app.use(handleValidationError);
+
 // Start the server
 app.listen(port, () => {
     console.log(`Geoguessr Trainer server running at http://localhost:${port}`);
-    console.log(`Obsidian path: ${OBSIDIAN_PATH}`);
+    console.log(`Obsidian path: ${getVaultPath()} (${getActiveProfile().storage} storage)`);
     console.log(`Open your browser and navigate to http://localhost:${port}/`);
 });
\ No newline at end of file
@@ -7,16 +7,8 @@
 
 const fs = require('fs');
 const path = require('path');
-
-// GeoJSON processing libraries
-let turf;
-try {
-  // Try to load the modern @turf/turf package first
-  turf = require('@turf/turf');
-} catch (e) {
-  // Fall back to the legacy turf package if needed
-  turf = require('turf');
-}
+const { getLocationIndex } = require('./location-index');
+const { getRegionKey, getRegionLocationsPath, findRegionLocations, saveRegionLocations } = require('./region-locations');
 
 // Map of FourNiner country IDs to ISO alpha-2 codes
 const countryMappings = {
@@ -60,6 +52,10 @@ const reverseCountryMappings = Object.entries(countryMappings).reduce(
  * 
  * @param {string} countryId - The country identifier (e.g., 'usa')
  * @param {Object} options - Processing options
+ * @param {number} options.adminLevel - Administrative level, 1 for states/provinces
+ * @param {string} options.outputFolder - Folder to save the regions and their locations in
+ * @param {Function} options.onStage - Called with the name of each processing stage as it starts
+ * @param {Function} options.replaceRegions - Moves the new regions file from its temporary path over the previous one, may return a Promise; defaults to renaming it
  * @returns {Object} GeoJSON FeatureCollection containing administrative regions
  */
 async function processAdministrativeRegions(countryId, options = {}) {
@@ -69,6 +65,8 @@ async function processAdministrativeRegions(countryId, options = {}) {
   const opts = {
     adminLevel: 1, // Default to first-level administrative divisions (states/provinces)
     outputFolder: null, // If provided, save results to this folder
+    onStage: () => {},
+    replaceRegions: (tempPath, outputPath) => fs.renameSync(tempPath, outputPath),
     ...options
   };
 
@@ -82,6 +80,7 @@ async function processAdministrativeRegions(countryId, options = {}) {
     console.log(`Using ISO country code: ${isoCountryCode} for ${countryId}`);
     
     // 2. Load administrative regions for this country
+    opts.onStage('loading-boundaries');
     const adminRegions = await loadRegionsForCountry(isoCountryCode, opts.adminLevel);
     
     if (!adminRegions || adminRegions.features.length === 0) {
@@ -105,7 +104,8 @@ async function processAdministrativeRegions(countryId, options = {}) {
         
         // Just return the administrative regions without point mapping
         if (opts.outputFolder) {
-          saveRegionsToFile(adminRegions, countryId, opts.outputFolder);
+          opts.onStage('saving-regions');
+          await saveRegionsToFile(adminRegions, countryId, opts.outputFolder, opts.replaceRegions);
         }
         
         return adminRegions;
@@ -113,18 +113,20 @@ async function processAdministrativeRegions(countryId, options = {}) {
     }
     
     console.log(`Loading street view data from: ${dataPath}`);
-    const rawData = fs.readFileSync(dataPath, 'utf8');
-    const streetViewData = JSON.parse(rawData);
     
-    // 4. Convert to GeoJSON format if needed
-    const points = convertToGeoJSON(streetViewData);
+    // 4. Index the points so each region only tests those within its bounding box
+    opts.onStage('loading-locations');
+    const locationIndex = await getLocationIndex(dataPath, countryId);
     
     // 5. Map points to administrative regions
-    const regionsWithLocations = mapPointsToRegions(points, adminRegions);
+    opts.onStage('mapping-locations');
+    const regionsWithLocations = mapPointsToRegions(locationIndex, adminRegions);
     
     // 6. Save the processed regions and individual region location files
     if (opts.outputFolder) {
-      saveRegionsToFile(regionsWithLocations, countryId, opts.outputFolder);
+      opts.onStage('saving-regions');
+      await saveRegionsToFile(regionsWithLocations, countryId, opts.outputFolder, opts.replaceRegions);
+      opts.onStage('saving-locations');
       saveRegionLocationFiles(regionsWithLocations, countryId, opts.outputFolder);
     }
     
@@ -225,71 +227,17 @@ function getRegionNameFromCode(regionCode) {
 }
 
 /**
- * Convert raw Street View coordinate data to GeoJSON format
+ * Map street view points to administrative regions
  * 
- * @param {Object} rawData - The raw Street View data
- * @returns {Object} GeoJSON FeatureCollection of points
- */
-function convertToGeoJSON(rawData) {
-  // Check if we already have GeoJSON
-  if (rawData.type === 'FeatureCollection') {
-    return rawData;
-  }
-  
-  // Log the structure to help with debugging
-  console.log(`Converting raw data to GeoJSON. Data contains ${rawData.customCoordinates.length} coordinates.`);
-  
-  // Convert the raw data to GeoJSON Points
-  const features = rawData.customCoordinates.map((coord, index) => {
-    // Ensure we have valid coordinates
-    if (typeof coord.lat !== 'number' || typeof coord.lng !== 'number') {
-      console.warn(`Invalid coordinates at index ${index}, skipping`);
-      return null;
-    }
-    
-    // Extract year from tags (e.g., ["2019-07","2013-06"])
-    let years = [];
-    if (coord.extra && coord.extra.tags) {
-      years = coord.extra.tags.map(tag => {
-        const match = tag.match(/^(\d{4})/);
-        return match ? parseInt(match[1], 10) : null;
-      }).filter(year => year !== null);
-    }
-    
-    // Find the most recent year
-    const latestYear = years.length > 0 ? Math.max(...years) : null;
-    
-    return {
-      type: 'Feature',
-      geometry: {
-        type: 'Point',
-        coordinates: [coord.lng, coord.lat]
-      },
-      properties: {
-        tags: coord.extra?.tags || [],
-        years: years,
-        latestYear: latestYear
-      }
-    };
-  }).filter(feature => feature !== null); // Remove any null features
-  
-  console.log(`Converted to GeoJSON with ${features.length} valid features`);
-  
-  return {
-    type: 'FeatureCollection',
-    features: features
-  };
-}
-
-/**
- * Map GeoJSON points to administrative regions
+ * A point belongs to a region if it lies inside the region's polygon (or any
+ * polygon of a MultiPolygon), not merely inside its bounding box.
  * 
- * @param {Object} points - GeoJSON FeatureCollection of street view points
+ * @param {Object} locationIndex - Location index of the country's street view points
  * @param {Object} regions - GeoJSON FeatureCollection of administrative regions
  * @returns {Object} Regions with point counts
  */
-function mapPointsToRegions(points, regions) {
-  console.log(`Mapping ${points.features.length} points to ${regions.features.length} regions...`);
+function mapPointsToRegions(locationIndex, regions) {
+  console.log(`Mapping ${locationIndex.count} points to ${regions.features.length} regions...`);
   
   // Create a deep copy of the regions to avoid modifying the original
   const mappedRegions = JSON.parse(JSON.stringify(regions));
@@ -297,67 +245,16 @@ function mapPointsToRegions(points, regions) {
   // Create a mapping to store points by region
   const pointsByRegion = {};
   
-  // Initialize point counts for each region
   mappedRegions.features.forEach(region => {
-    const regionCode = region.properties.regionCode;
-    region.properties.pointCount = 0;
-    pointsByRegion[regionCode] = [];
-  });
-  
-  // Map points to regions
-  points.features.forEach(point => {
-    const pointCoords = point.geometry.coordinates;
-    
-    // Find the region containing this point
-    for (const region of mappedRegions.features) {
-      try {
-        // First try the precise point-in-polygon check
-        if (turf.booleanPointInPolygon(point, region)) {
-          // Increment point count for this region
-          region.properties.pointCount++;
-          
-          // Add the point to the region's collection
-          const regionCode = region.properties.regionCode;
-          pointsByRegion[regionCode].push(point);
-          
-          // Found a match, no need to check other regions
-          break;
-        }
-      } catch (error) {
-        // If point-in-polygon check fails, try bounding box instead
-        console.warn(`Error in point-in-polygon check: ${error.message}. Trying bbox fallback.`);
-        
-        try {
-          // Get region bbox
-          const bbox = turf.bbox(region);
-          const pointCoords = point.geometry.coordinates;
-          
-          // Check if point is within bbox
-          if (pointCoords[0] >= bbox[0] && pointCoords[0] <= bbox[2] && 
-              pointCoords[1] >= bbox[1] && pointCoords[1] <= bbox[3]) {
-            
-            console.log(`Using bbox fallback for point at ${pointCoords}`);
-            // Increment point count for this region
-            region.properties.pointCount++;
-            
-            // Add the point to the region's collection
-            const regionCode = region.properties.regionCode;
-            pointsByRegion[regionCode].push(point);
-            
-            // Found a match, no need to check other regions
-            break;
-          }
-        } catch (bboxError) {
-          // Skip errors in bbox check
-          console.warn(`Error in bbox fallback: ${bboxError.message}`);
-        }
-      }
-    }
+    const points = findRegionLocations(region, locationIndex);
+    region.properties.pointCount = points.length;
+    pointsByRegion[getRegionKey(region, true)] = points;
   });
   
   // Add the points by region map to the result metadata
   mappedRegions.metadata = {
-    pointsByRegion
+    pointsByRegion,
+    isGeoJSON: locationIndex.isGeoJSON
   };
   
   console.log('Point mapping complete');
@@ -368,7 +265,7 @@ function mapPointsToRegions(points, regions) {
     console.log(`Region ${regionCode}: ${points.length} points`);
     totalMappedPoints += points.length;
   });
-  console.log(`Total mapped points: ${totalMappedPoints} out of ${points.features.length}`);
+  console.log(`Total mapped points: ${totalMappedPoints} out of ${locationIndex.count}`);
   
   return mappedRegions;
 }
@@ -379,8 +276,9 @@ function mapPointsToRegions(points, regions) {
  * @param {Object} regions - GeoJSON FeatureCollection of administrative regions
  * @param {string} countryId - The country identifier (e.g., 'usa')
  * @param {string} outputFolder - Directory to save the file
+ * @param {Function} replaceRegions - Moves the written temporary file over the previous regions file
  */
-function saveRegionsToFile(regions, countryId, outputFolder) {
+async function saveRegionsToFile(regions, countryId, outputFolder, replaceRegions) {
   // Remove the pointsByRegion data before saving (it's too large)
   const regionsToSave = JSON.parse(JSON.stringify(regions));
   delete regionsToSave.metadata;
@@ -393,14 +291,19 @@ function saveRegionsToFile(regions, countryId, outputFolder) {
   // Path to the output file
   const outputPath = path.join(outputFolder, `${countryId}_admin_regions.json`);
   
-  // Save the file
-  fs.writeFileSync(outputPath, JSON.stringify(regionsToSave, null, 2));
+  // Save to a temporary file first, so an interrupted run never leaves half a regions file
+  const tempPath = `${outputPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(regionsToSave, null, 2));
+  await replaceRegions(tempPath, outputPath, regions);
   console.log(`Saved administrative regions to ${outputPath}`);
 }
 
 /**
  * Save individual region location files
  * 
+ * Call after saveRegionsToFile: the server regenerates location files that
+ * are older than the regions file.
+ * 
  * @param {Object} regionsWithLocations - Regions with mapped points
  * @param {string} countryId - The country identifier
  * @param {string} outputFolder - Directory to save the files
@@ -411,30 +314,15 @@ function saveRegionLocationFiles(regionsWithLocations, countryId, outputFolder)
     return;
   }
   
-  // Create the output folder if it doesn't exist
-  if (!fs.existsSync(outputFolder)) {
-    fs.mkdirSync(outputFolder, { recursive: true });
-  }
+  const { pointsByRegion, isGeoJSON } = regionsWithLocations.metadata;
+  const regionsPath = path.join(outputFolder, `${countryId}_admin_regions.json`);
   
-  // Save individual location files for each region
-  Object.entries(regionsWithLocations.metadata.pointsByRegion).forEach(([regionCode, points]) => {
-    // Skip regions with no points
-    if (points.length === 0) {
-      console.log(`Skipping empty region ${regionCode}`);
-      return;
-    }
-    
-    // Create a GeoJSON collection for this region's points
-    const pointCollection = {
-      type: 'FeatureCollection',
-      features: points
-    };
-    
+  // Save individual location files for each region, empty ones too so they aren't recomputed
+  Object.entries(pointsByRegion).forEach(([regionCode, points]) => {
     // Path to the output file (use a format like usa_US-CA_locations.json)
-    const outputPath = path.join(outputFolder, `${countryId}_${regionCode}_locations.json`);
+    const outputPath = getRegionLocationsPath(regionsPath, countryId, regionCode);
     
-    // Save the file
-    fs.writeFileSync(outputPath, JSON.stringify(pointCollection, null, 2));
+    saveRegionLocations(outputPath, points, isGeoJSON);
     console.log(`Saved ${points.length} locations for region ${regionCode} to ${outputPath}`);
   });
   
@@ -0,0 +1,141 @@
+/**
+ * Anki Export for FourNiner
+ *
+ * This module turns region notes into an Anki package (.apkg). Every card of a
+ * note becomes an Anki note: the question screenshot on the front, the answer
+ * map and location text on the back. Notes are tagged by country and region
+ * so they can be filtered in Anki, e.g. tag:fourniner::russia::rN3.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AnkiExport = require('anki-apkg-export').default;
+const { parseNote } = require('./flashcard-parser');
+const { PLACEHOLDER_TEXT } = require('./vault-checker');
+
+// Top-level tag and deck name for exported cards
+const TAG_PREFIX = 'fourniner';
+const DEFAULT_DECK_NAME = 'FourNiner';
+
+/**
+ * Escape text for use in Anki's HTML fields
+ *
+ * @param {string} text - Plain text
+ * @returns {string} HTML with line breaks
+ */
+function toHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '<br>');
+}
+
+/**
+ * List the country folders to export
+ *
+ * @param {string} vaultPath - Root of the Regions vault
+ * @param {string[]} countries - Requested country folders (all when empty)
+ * @returns {string[]} Existing country folders
+ */
+function resolveCountries(vaultPath, countries = []) {
+  const available = fs.readdirSync(vaultPath, { withFileTypes: true })
+    .filter(dirent => dirent.isDirectory() && !dirent.name.startsWith('.'))
+    .map(dirent => dirent.name);
+
+  if (countries.length === 0) {
+    return available;
+  }
+  return countries.filter(country => available.includes(country));
+}
+
+/**
+ * Build an Anki package from the region notes of one or more countries
+ *
+ * @param {string} vaultPath - Root of the Regions vault
+ * @param {Object} options - Export options
+ * @param {string[]} options.countries - Country folders to export (all when empty)
+ * @param {string} options.deckName - Name of the Anki deck
+ * @returns {Promise<Object>} Package buffer and stats with countries, notes, cards, media and skipped
+ */
+async function buildAnkiPackage(vaultPath, options = {}) {
+  const countries = resolveCountries(vaultPath, options.countries);
+  const deckName = options.deckName || DEFAULT_DECK_NAME;
+  const apkg = new AnkiExport(deckName);
+  const mediaNames = new Map(); // image path -> media file name in the package
+  const stats = { countries: countries.length, notes: 0, cards: 0, media: 0, skipped: 0 };
+
+  // Add an image to the package once and return its media file name
+  const addImage = (countryPath, country, imagePath) => {
+    if (!imagePath) {
+      return null;
+    }
+
+    const absolutePath = path.resolve(countryPath, imagePath);
+    if (mediaNames.has(absolutePath)) {
+      return mediaNames.get(absolutePath);
+    }
+
+    if (!absolutePath.startsWith(path.resolve(vaultPath) + path.sep) || !fs.existsSync(absolutePath)) {
+      return null;
+    }
+
+    // Anki keeps all media in one folder, so names are made unique per country
+    const mediaName = `${TAG_PREFIX}_${country}_${path.basename(absolutePath)}`;
+    apkg.addMedia(mediaName, fs.readFileSync(absolutePath));
+    mediaNames.set(absolutePath, mediaName);
+    stats.media++;
+    return mediaName;
+  };
+
+  countries.forEach(country => {
+    const countryPath = path.join(vaultPath, country);
+    const files = fs.readdirSync(countryPath).filter(file => file.endsWith('.md'));
+
+    files.forEach(file => {
+      const cellId = file.replace(/\.md$/, '');
+      const { cards } = parseNote(fs.readFileSync(path.join(countryPath, file), 'utf8'));
+      stats.notes++;
+
+      cards.forEach(card => {
+        const questionImage = addImage(countryPath, country, card.question.image);
+        const questionText = card.question.text.replace(PLACEHOLDER_TEXT, '').trim();
+
+        // A card without a screenshot or text on the front can't be reviewed
+        if (!questionImage && !questionText) {
+          stats.skipped++;
+          return;
+        }
+
+        const answerImage = addImage(countryPath, country, card.answer.image);
+        const front = [
+          questionImage ? `<img src="${questionImage}">` : '',
+          questionText ? `<div>${toHtml(questionText)}</div>` : ''
+        ].join('');
+        const back = [
+          answerImage ? `<img src="${answerImage}">` : '',
+          card.location ? `<div><b>${toHtml(card.location)}</b></div>` : '',
+          card.answer.text ? `<div>${toHtml(card.answer.text)}</div>` : '',
+          `<div><small>${toHtml(country)} / ${toHtml(cellId)}</small></div>`
+        ].join('');
+
+        apkg.addCard(front, back, {
+          tags: [
+            `${TAG_PREFIX}::${country}`,
+            `${TAG_PREFIX}::${country}::${cellId}`
+          ]
+        });
+        stats.cards++;
+      });
+    });
+  });
+
+  const buffer = await apkg.save();
+  return { buffer, stats };
+}
+
+module.exports = {
+  buildAnkiPackage,
+  DEFAULT_DECK_NAME
+};
@@ -0,0 +1,736 @@
+/**
+ * API Description for FourNiner
+ *
+ * This module lists every route of the HTTP API with the request schemas it
+ * accepts (see request-validation.js) and what it returns. The server serves
+ * it as an OpenAPI 3 document at /api/openapi.json and validates requests
+ * against the same definitions, so the description can't drift from what the
+ * server actually accepts. The browser client in public/fourniner-api.js
+ * follows the operations listed here.
+ *
+ * An operation has:
+ *   operationId   Name used by validateOperation and the browser client
+ *   method, path  Express method and route path
+ *   tag, summary  Grouping and one-line description
+ *   params        Schema name for the route parameters (optional)
+ *   query         Schema name for the query string (optional)
+ *   body          Schema name for the JSON body, or a content type for raw bodies (optional)
+ *   response      Description, and the component schema or content type(s) of a success
+ *
+ * Field patterns are published with their RegExp flags in x-pattern-flags,
+ * since JSON Schema patterns can't carry flags and the ID patterns rely on
+ * Unicode property escapes.
+ */
+
+const { schemas, validateBody } = require('./request-validation');
+const { version } = require('../package.json');
+
+// Route prefixes and patterns that need a signed-in user once user profiles are configured
+const AUTHENTICATED_PATHS = ['/api/vaults', '/api/progress', '/api/vault', '/api/flashcard', '/api/export', '/api/backup', '/api/images', '/api/tiles', '/api/datasets', '/api/jobs', '/api/locations/:countryId/:regionId/export'];
+
+const operations = [
+  // Users
+  {
+    operationId: 'listUsers', method: 'get', path: '/api/users', tag: 'Users',
+    summary: 'List the user profiles and the signed-in user',
+    response: { description: 'Users', schema: 'UserList' }
+  },
+  {
+    operationId: 'login', method: 'post', path: '/api/auth/login', tag: 'Users',
+    summary: 'Sign in with a user token, kept in a cookie',
+    body: 'login',
+    response: { description: 'Signed-in user', schema: 'LoginResult' }
+  },
+  {
+    operationId: 'logout', method: 'post', path: '/api/auth/logout', tag: 'Users',
+    summary: 'Sign out',
+    response: { description: 'Signed out', schema: 'Success' }
+  },
+
+  // Vaults and progress
+  {
+    operationId: 'listVaults', method: 'get', path: '/api/vaults', tag: 'Vaults',
+    summary: 'List the configured vault profiles',
+    response: { description: 'Vault profiles', schema: 'VaultList' }
+  },
+  {
+    operationId: 'setActiveVault', method: 'post', path: '/api/vaults/active', tag: 'Vaults',
+    summary: 'Switch the active vault profile (single-user mode only, 403 once user profiles are configured)',
+    body: 'vaultSwitch',
+    response: { description: 'The newly active profile', schema: 'VaultSwitchResult' }
+  },
+  {
+    operationId: 'getProgress', method: 'get', path: '/api/progress', tag: 'Vaults',
+    summary: 'Status of every region note, with spaced repetition details if details=true',
+    query: 'progressQuery',
+    response: { description: 'Statuses by country folder and cell ID', schema: 'Progress' }
+  },
+  {
+    operationId: 'checkVault', method: 'get', path: '/api/vault/check', tag: 'Vaults',
+    summary: 'Check the vault for broken tags, missing or orphaned images and stale notes',
+    response: { description: 'Vault report', schema: 'Object' }
+  },
+  {
+    operationId: 'fixVault', method: 'post', path: '/api/vault/check/fix', tag: 'Vaults',
+    summary: 'Apply the safe fixes of the vault check',
+    body: 'vaultFix',
+    response: { description: 'Applied fixes and the new report', schema: 'Object' }
+  },
+  {
+    operationId: 'getVaultEvents', method: 'get', path: '/api/vault/events', tag: 'Vaults',
+    summary: 'Stream of note-created, note-updated and note-deleted events',
+    response: { description: 'Server-Sent Events stream', contentType: 'text/event-stream' }
+  },
+
+  // Flashcards
+  {
+    operationId: 'saveFlashcard', method: 'post', path: '/api/flashcard', tag: 'Flashcards',
+    summary: 'Create or replace a region note',
+    body: 'flashcard',
+    response: { description: 'Saved', schema: 'Success' }
+  },
+  {
+    operationId: 'addLocationCard', method: 'post', path: '/api/flashcard/location', tag: 'Flashcards',
+    summary: 'Add a Street View location and screenshot to a region note',
+    body: 'flashcardLocation',
+    response: { description: 'Saved', schema: 'Success' }
+  },
+  {
+    operationId: 'getFlashcard', method: 'get', path: '/api/flashcard/:countryId/:regionId', tag: 'Flashcards',
+    summary: 'Get a region note parsed into cards',
+    params: 'flashcardParams',
+    response: { description: 'Region note', schema: 'FlashcardNote' }
+  },
+  {
+    operationId: 'replaceCard', method: 'put', path: '/api/flashcard/:countryId/:regionId/cards/:cardIndex', tag: 'Flashcards',
+    summary: 'Replace a single card; fields left out are cleared',
+    params: 'cardParams',
+    body: 'card',
+    response: { description: 'The new card', schema: 'CardResult' }
+  },
+  {
+    operationId: 'updateCard', method: 'patch', path: '/api/flashcard/:countryId/:regionId/cards/:cardIndex', tag: 'Flashcards',
+    summary: 'Change some fields of a single card',
+    params: 'cardParams',
+    body: 'card',
+    response: { description: 'The new card', schema: 'CardResult' }
+  },
+  {
+    operationId: 'deleteCard', method: 'delete', path: '/api/flashcard/:countryId/:regionId/cards/:cardIndex', tag: 'Flashcards',
+    summary: 'Delete a single card and move the images no other note uses to the trash',
+    params: 'cardParams',
+    response: { description: 'The deleted card', schema: 'CardResult' }
+  },
+  {
+    operationId: 'moveCard', method: 'post', path: '/api/flashcard/:countryId/:regionId/cards/:cardIndex/move', tag: 'Flashcards',
+    summary: 'Move a single card to another position in the note',
+    params: 'cardParams',
+    body: 'cardMove',
+    response: { description: 'The cards in their new order', schema: 'Object' }
+  },
+  {
+    operationId: 'getFlashcardHistory', method: 'get', path: '/api/flashcard/:countryId/:regionId/history', tag: 'Flashcards',
+    summary: 'Recent changes of a region note, newest first',
+    params: 'flashcardParams',
+    query: 'historyQuery',
+    response: { description: 'Changes', schema: 'Object' }
+  },
+  {
+    operationId: 'rollbackChange', method: 'post', path: '/api/flashcard/:countryId/:regionId/history/:changeId/rollback', tag: 'Flashcards',
+    summary: 'Roll a region note back to the version before a change, restoring its images from the trash',
+    params: 'historyParams',
+    response: { description: 'Rolled back', schema: 'Object' }
+  },
+  {
+    operationId: 'getThumbnail', method: 'get', path: '/api/images/:countryId/:fileName/thumbnail', tag: 'Flashcards',
+    summary: 'Sidebar thumbnail of a flashcard image; 404 if the image is missing, 422 if it can\'t be decoded',
+    params: 'imageParams',
+    response: { description: 'Thumbnail', contentType: 'image/*' }
+  },
+
+  // Export and backup
+  {
+    operationId: 'exportAnki', method: 'get', path: '/api/export/anki', tag: 'Export',
+    summary: 'Download region flashcards as an Anki package',
+    query: 'ankiExport',
+    response: { description: 'Anki package', contentType: 'application/octet-stream' }
+  },
+  {
+    operationId: 'exportRegions', method: 'get', path: '/api/export/regions/:countryId', tag: 'Export',
+    summary: 'Download the natural or administrative regions of a country with their learning status as KML, GPX (centroid waypoints) or GeoJSON',
+    params: 'regionExportParams',
+    query: 'regionExportQuery',
+    response: {
+      description: 'Regions file',
+      contentType: ['application/vnd.google-earth.kml+xml', 'application/gpx+xml', 'application/geo+json']
+    }
+  },
+  {
+    operationId: 'downloadBackup', method: 'get', path: '/api/backup', tag: 'Export',
+    summary: 'Download a backup of the notes, images and region definitions',
+    response: { description: 'Backup archive', contentType: 'application/zip' }
+  },
+  {
+    operationId: 'restoreBackup', method: 'post', path: '/api/backup/restore', tag: 'Export',
+    summary: 'Restore a backup archive sent as the request body; restored notes are recorded in the change history, the images and region files listed as unrecorded are not',
+    query: 'backupRestore',
+    body: 'application/zip',
+    response: { description: 'Restore summary, conflicts, restored notes and unrecorded files', schema: 'Object' }
+  },
+
+  // Map data
+  {
+    operationId: 'getCountryBoundaries', method: 'get', path: '/api/countries', tag: 'Map data',
+    summary: 'Country boundaries',
+    response: { description: 'GeoJSON of all countries', schema: 'FeatureCollection' }
+  },
+  {
+    operationId: 'listAvailableCountries', method: 'get', path: '/api/available-countries', tag: 'Map data',
+    summary: 'Countries with location data and generated regions',
+    response: { description: 'Countries', schema: 'AvailableCountries' }
+  },
+  {
+    operationId: 'getRegions', method: 'get', path: '/api/regions/:countryId', tag: 'Map data',
+    summary: 'Natural regions of a country, or administrative regions if admin=true',
+    params: 'mapCountryParams',
+    query: 'regionsQuery',
+    response: { description: 'GeoJSON of the regions', schema: 'FeatureCollection' }
+  },
+  {
+    operationId: 'getLocations', method: 'get', path: '/api/locations/:countryId/:regionId', tag: 'Map data',
+    summary: 'Street View locations inside a region, thinned out at low zoom levels',
+    params: 'mapRegionParams',
+    query: 'locationsQuery',
+    response: { description: 'Locations', schema: 'Locations' }
+  },
+  {
+    operationId: 'exportLocations', method: 'get', path: '/api/locations/:countryId/:regionId/export', tag: 'Map data',
+    summary: "GeoGuessr custom map of the locations of a region, a comma-separated list of regions or 'learning' for the regions marked as learning",
+    params: 'locationExportParams',
+    query: 'locationExportQuery',
+    response: { description: 'Custom map to import in the GeoGuessr map editor', schema: 'GeoGuessrMap' }
+  },
+  {
+    operationId: 'getCountryLocations', method: 'get', path: '/api/country-locations/:countryId', tag: 'Map data',
+    summary: 'Street View locations of a country within the map bounds, at most max of them',
+    params: 'mapCountryParams',
+    query: 'countryLocationsQuery',
+    response: { description: 'Locations', schema: 'Locations' }
+  },
+  {
+    operationId: 'getLocationTile', method: 'get', path: '/api/tiles/:countryId/:z/:x/:y', tag: 'Map data',
+    summary: 'Street View locations of a country as a map tile, thinned out below zoom 14, optionally tagged with their region and its status',
+    params: 'tileParams',
+    query: 'tileQuery',
+    response: { description: 'Tile in the geojson-vt format', schema: 'LocationTile' }
+  },
+  {
+    operationId: 'uploadCountryDataset', method: 'post', path: '/api/datasets/:countryId', tag: 'Map data',
+    summary: 'Add a country from a coverage map JSON file sent as the request body and queue the generation of its regions',
+    params: 'datasetParams',
+    query: 'datasetUpload',
+    body: 'application/octet-stream',
+    response: { description: 'Stored dataset and the queued jobs', schema: 'DatasetUpload' }
+  },
+
+  // Jobs
+  {
+    operationId: 'startRegionJob', method: 'post', path: '/api/jobs/regions', tag: 'Jobs',
+    summary: 'Queue the generation of the natural or administrative regions of a country that has location data',
+    body: 'regionJob',
+    response: { description: 'The queued job', schema: 'Job' }
+  },
+  {
+    operationId: 'getJob', method: 'get', path: '/api/jobs/:jobId', tag: 'Jobs',
+    summary: 'Status of a background job',
+    params: 'jobParams',
+    response: { description: 'Job', schema: 'Job' }
+  },
+  {
+    operationId: 'cancelJob', method: 'post', path: '/api/jobs/:jobId/cancel', tag: 'Jobs',
+    summary: 'Cancel a queued or running job; files it was writing are removed and existing regions are kept',
+    params: 'jobParams',
+    response: { description: 'The cancelled job', schema: 'Job' }
+  },
+  {
+    operationId: 'getApiSpec', method: 'get', path: '/api/openapi.json', tag: 'Meta',
+    summary: 'This API description',
+    response: { description: 'OpenAPI document', schema: 'Object' }
+  }
+];
+
+// Schemas of the response bodies
+const responseSchemas = {
+  Object: { type: 'object' },
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      message: { type: 'string' },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { field: { type: 'string' }, message: { type: 'string' } }
+        }
+      }
+    }
+  },
+  Success: {
+    type: 'object',
+    properties: { success: { type: 'boolean' } }
+  },
+  UserList: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      current: { type: 'string', nullable: true },
+      users: { type: 'array', items: { $ref: '#/components/schemas/User' } }
+    }
+  },
+  User: {
+    type: 'object',
+    properties: { id: { type: 'string' }, name: { type: 'string' } }
+  },
+  LoginResult: {
+    type: 'object',
+    properties: { success: { type: 'boolean' }, user: { $ref: '#/components/schemas/User' } }
+  },
+  VaultList: {
+    type: 'object',
+    properties: {
+      active: { type: 'string' },
+      switchable: { type: 'boolean', description: 'False once user profiles are configured, as the active vault is shared by all users' },
+      profiles: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            path: { type: 'string' },
+            storage: { type: 'string', enum: ['markdown', 'json'] },
+            active: { type: 'boolean' },
+            exists: { type: 'boolean' }
+          }
+        }
+      }
+    }
+  },
+  VaultSwitchResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      active: { type: 'string' },
+      path: { type: 'string' },
+      storage: { type: 'string' }
+    }
+  },
+  Progress: {
+    type: 'object',
+    description: 'Country folder -> cell ID -> status, or an object with status and review fields if details=true',
+    additionalProperties: { type: 'object', additionalProperties: {} }
+  },
+  Card: {
+    type: 'object',
+    properties: {
+      index: { type: 'integer' },
+      reversed: { type: 'boolean' },
+      question: { type: 'object' },
+      answer: { type: 'object' },
+      location: { type: 'string', nullable: true },
+      coordinates: {
+        type: 'object',
+        nullable: true,
+        properties: { lat: { type: 'number' }, lng: { type: 'number' } }
+      },
+      schedule: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  CardResult: {
+    type: 'object',
+    properties: { success: { type: 'boolean' }, card: { $ref: '#/components/schemas/Card' } }
+  },
+  FlashcardNote: {
+    type: 'object',
+    properties: {
+      countryId: { type: 'string' },
+      regionId: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } },
+      status: { type: 'string', enum: ['untouched', 'learning', 'mastered'] },
+      cards: { type: 'array', items: { $ref: '#/components/schemas/Card' } }
+    }
+  },
+  FeatureCollection: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['FeatureCollection'] },
+      features: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  AvailableCountries: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: { id: { type: 'string' }, name: { type: 'string' } }
+    }
+  },
+  Locations: {
+    type: 'object',
+    description: 'GeoJSON features or, for older data, customCoordinates. Locations keep their panoId, heading, pitch and zoom; GeoJSON features have them as properties',
+    properties: {
+      type: { type: 'string' },
+      features: { type: 'array', items: { type: 'object' } },
+      customCoordinates: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            lat: { type: 'number' },
+            lng: { type: 'number' },
+            panoId: { type: 'string' },
+            heading: { type: 'number' },
+            pitch: { type: 'number' },
+            zoom: { type: 'number' },
+            extra: { type: 'object', description: 'Extra data of the location, e.g. its tags' }
+          }
+        }
+      }
+    }
+  },
+  DatasetUpload: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      country: {
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' }, locationCount: { type: 'integer' } }
+      },
+      jobs: { type: 'array', items: { $ref: '#/components/schemas/Job' } }
+    }
+  },
+  GeoGuessrMap: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      customCoordinates: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['lat', 'lng'],
+          properties: {
+            lat: { type: 'number' },
+            lng: { type: 'number' },
+            panoId: { type: 'string' },
+            heading: { type: 'number' },
+            pitch: { type: 'number' },
+            zoom: { type: 'number' },
+            extra: { type: 'object', description: 'Extra data of the location, e.g. its tags' }
+          }
+        }
+      }
+    }
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string', enum: ['regions'] },
+      countryId: { type: 'string' },
+      method: { type: 'string', enum: ['natural', 'admin'] },
+      options: {
+        type: 'object',
+        properties: {
+          regionCount: { type: 'integer', nullable: true },
+          adminLevel: { type: 'integer', nullable: true }
+        }
+      },
+      status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] },
+      stage: {
+        type: 'string',
+        nullable: true,
+        description: 'Step the running job is at, e.g. loading-locations, clustering, building-regions, mapping-locations or saving-regions'
+      },
+      logs: { type: 'array', items: { type: 'string' }, description: 'Latest output lines of the job' },
+      cancellable: { type: 'boolean', description: 'False once the job has finished or replaced the regions file' },
+      position: { type: 'integer', nullable: true, description: 'Place in the queue while queued' },
+      createdAt: { type: 'string', format: 'date-time' },
+      startedAt: { type: 'string', format: 'date-time', nullable: true },
+      finishedAt: { type: 'string', format: 'date-time', nullable: true },
+      result: {
+        type: 'object',
+        nullable: true,
+        properties: { regionCount: { type: 'integer' } }
+      },
+      error: { type: 'string', nullable: true }
+    }
+  },
+  LocationTile: {
+    type: 'object',
+    properties: {
+      extent: { type: 'integer', description: 'Tile coordinates run from 0 to extent' },
+      features: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'integer', enum: [1], description: 'Point' },
+            geometry: {
+              type: 'array',
+              items: { type: 'array', items: { type: 'integer' }, minItems: 2, maxItems: 2 }
+            },
+            tags: {
+              type: 'object',
+              properties: {
+                panoId: { type: 'string' },
+                heading: { type: 'number' },
+                pitch: { type: 'number' },
+                zoom: { type: 'number' },
+                region: { description: 'Region ID, if region=true and the location is inside a region' },
+                status: { type: 'string', enum: ['untouched', 'learning', 'mastered'] }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Convert a validation rule to a JSON Schema
+ *
+ * @param {Object} rule - Field rule from request-validation.js
+ * @returns {Object} JSON Schema of the field
+ */
+function ruleToJsonSchema(rule) {
+  const schema = { type: rule.type === 'number' && rule.integer ? 'integer' : rule.type };
+
+  if (rule.pattern) {
+    schema.pattern = rule.pattern.source;
+    // JSON Schema patterns have no flags, so 'u' (needed for \p{...} escapes) and 'i' are listed separately
+    if (rule.pattern.flags) {
+      schema['x-pattern-flags'] = rule.pattern.flags;
+    }
+  }
+  if (rule.maxLength !== undefined) {
+    schema.maxLength = rule.maxLength;
+  }
+  if (rule.enum) {
+    schema.enum = rule.enum;
+  }
+  if (rule.min !== undefined) {
+    schema.minimum = rule.min;
+  }
+  if (rule.max !== undefined) {
+    schema.maximum = rule.max;
+  }
+  if (rule.maxItems !== undefined) {
+    schema.maxItems = rule.maxItems;
+  }
+  if (rule.items) {
+    schema.items = ruleToJsonSchema(rule.items);
+  }
+  if (rule.properties) {
+    Object.assign(schema, rulesToJsonSchema(rule.properties));
+  }
+
+  return schema;
+}
+
+/**
+ * Convert a set of validation rules to a JSON Schema object
+ *
+ * @param {Object} rules - Schema from request-validation.js mapping field names to rules
+ * @returns {Object} JSON Schema with properties and required
+ */
+function rulesToJsonSchema(rules) {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+
+  Object.entries(rules).forEach(([name, rule]) => {
+    schema.properties[name] = ruleToJsonSchema(rule);
+    if (rule.required) {
+      required.push(name);
+    }
+  });
+
+  if (required.length > 0) {
+    schema.required = required;
+  }
+  return schema;
+}
+
+/**
+ * Build the parameters of an operation from its params and query schemas
+ *
+ * @param {Object} operation - Operation
+ * @returns {Object[]} OpenAPI parameter objects
+ */
+function buildParameters(operation) {
+  const parameters = [];
+
+  [['path', operation.params], ['query', operation.query]].forEach(([location, schemaName]) => {
+    if (!schemaName) {
+      return;
+    }
+    Object.entries(schemas[schemaName]).forEach(([name, rule]) => {
+      parameters.push({
+        name,
+        in: location,
+        required: location === 'path' || Boolean(rule.required),
+        schema: ruleToJsonSchema(rule)
+      });
+    });
+  });
+
+  return parameters;
+}
+
+/**
+ * Check whether an operation needs a signed-in user when user profiles are configured
+ *
+ * @param {Object} operation - Operation
+ * @returns {boolean} True if the route is behind authentication
+ */
+function requiresAuthentication(operation) {
+  return AUTHENTICATED_PATHS.some(prefix => operation.path === prefix || operation.path.startsWith(`${prefix}/`));
+}
+
+/**
+ * Build the OpenAPI document of the API
+ *
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function buildOpenApiDocument() {
+  const document = {
+    openapi: '3.0.3',
+    info: {
+      title: 'FourNiner API',
+      version,
+      description: 'Progress, flashcards and map data of the FourNiner Geoguessr trainer. ' +
+        'Once user profiles are configured, most routes need a user token, sent as a Bearer token or in the cookie set by /api/auth/login. ' +
+        'Patterns with an x-pattern-flags extension must be compiled with those RegExp flags, e.g. u for the Unicode property escapes in country and region IDs.'
+    },
+    paths: {},
+    components: {
+      schemas: { ...responseSchemas },
+      securitySchemes: {
+        bearerToken: { type: 'http', scheme: 'bearer' },
+        cookieToken: { type: 'apiKey', in: 'cookie', name: 'fourniner_token' }
+      }
+    }
+  };
+
+  // Request body schemas become components too, named after the validation schema
+  operations.forEach(operation => {
+    if (operation.body && schemas[operation.body]) {
+      document.components.schemas[operation.body] = rulesToJsonSchema(schemas[operation.body]);
+    }
+  });
+
+  const errorResponse = description => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  });
+
+  operations.forEach(operation => {
+    const openApiPath = operation.path.replace(/:(\w+)/g, '{$1}');
+    const { response } = operation;
+
+    const entry = {
+      operationId: operation.operationId,
+      tags: [operation.tag],
+      summary: operation.summary
+    };
+
+    const parameters = buildParameters(operation);
+    if (parameters.length > 0) {
+      entry.parameters = parameters;
+    }
+
+    if (operation.body) {
+      entry.requestBody = {
+        required: true,
+        content: schemas[operation.body] ?
+          { 'application/json': { schema: { $ref: `#/components/schemas/${operation.body}` } } } :
+          { [operation.body]: { schema: { type: 'string', format: 'binary' } } }
+      };
+    }
+
+    entry.responses = {
+      200: {
+        description: response.description,
+        content: response.schema ?
+          { 'application/json': { schema: { $ref: `#/components/schemas/${response.schema}` } } } :
+          Object.fromEntries([].concat(response.contentType).map(contentType => [contentType, {}]))
+      },
+      500: errorResponse('Server error')
+    };
+
+    if (operation.params || operation.query || operation.body) {
+      entry.responses[400] = errorResponse('Invalid request');
+    }
+
+    if (requiresAuthentication(operation)) {
+      entry.security = [{ bearerToken: [] }, { cookieToken: [] }];
+      entry.responses[401] = errorResponse('Not signed in');
+    }
+
+    document.paths[openApiPath] = document.paths[openApiPath] || {};
+    document.paths[openApiPath][operation.method] = entry;
+  });
+
+  return document;
+}
+
+/**
+ * Get an operation by its ID
+ *
+ * @param {string} operationId - Operation ID
+ * @returns {Object} Operation
+ * @throws {Error} If no operation has this ID
+ */
+function getOperation(operationId) {
+  const operation = operations.find(entry => entry.operationId === operationId);
+  if (!operation) {
+    throw new Error(`Unknown API operation: ${operationId}`);
+  }
+  return operation;
+}
+
+/**
+ * Create middleware that validates a request against its operation
+ *
+ * Route parameters, query string and JSON body are each checked against the
+ * schema the operation names; raw bodies are left to the route.
+ *
+ * @param {string} operationId - Operation ID
+ * @returns {Function} Express middleware
+ */
+function validateOperation(operationId) {
+  const operation = getOperation(operationId);
+  const checks = [
+    ['params', operation.params],
+    ['query', operation.query],
+    ['body', schemas[operation.body] ? operation.body : null]
+  ].filter(([, schemaName]) => schemaName);
+
+  return (req, res, next) => {
+    try {
+      checks.forEach(([source, schemaName]) => validateBody(req[source], schemas[schemaName]));
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  operations,
+  buildOpenApiDocument,
+  getOperation,
+  validateOperation,
+  AUTHENTICATED_PATHS
+};
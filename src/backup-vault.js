@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Vault Backup CLI Tool for FourNiner
+ *
+ * This script writes a single archive with the progress, region notes, images
+ * and region definitions of the vault. Restore it with restore-vault.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadVaultConfig } = require('./vault-config');
+const { createBackup } = require('./vault-backup');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+let outputPath = null;
+let showHelp = false;
+
+for (let i = 0; i < args.length; i++) {
+  if ((args[i] === '--output' || args[i] === '-o') && i + 1 < args.length) {
+    outputPath = args[i + 1];
+    i++; // Skip the next argument
+  } else if (args[i] === '--help' || args[i] === '-h') {
+    showHelp = true;
+  }
+}
+
+// Display help if requested
+if (showHelp) {
+  console.log(`
+FourNiner Vault Backup
+----------------------
+Write the progress, notes, images and region definitions of the vault to one archive.
+
+Usage:
+  node backup-vault.js [options]
+
+Options:
+  --output, -o <file>  Archive to write (default: fourniner-backup-<date>.zip)
+  --vault <path>       Back up this vault instead of the configured one
+  --profile <id>       Back up the vault of this profile
+  --help, -h           Show this help message
+
+Examples:
+  node backup-vault.js
+  node backup-vault.js -o ~/backups/fourniner.zip
+  `);
+  process.exit(0);
+}
+
+// Main function
+function main() {
+  const profile = loadVaultConfig();
+  const date = new Date().toISOString().slice(0, 10);
+  const output = path.resolve(outputPath || `fourniner-backup-${date}.zip`);
+
+  // A missing vault would otherwise give an empty archive that looks like a backup
+  if (!fs.existsSync(profile.path) || !fs.statSync(profile.path).isDirectory()) {
+    console.error(`Vault folder not found: ${profile.path}`);
+    process.exit(1);
+  }
+
+  console.log(`Backing up ${profile.path}...`);
+
+  const { buffer, manifest } = createBackup(profile.path);
+  fs.writeFileSync(output, buffer);
+
+  const { stats } = manifest;
+  console.log(`\nBacked up ${stats.notes} notes and ${stats.images} images in ${stats.countries} countries`);
+  console.log(`Included ${stats.regionFiles} region definition files`);
+  console.log(`Archive written to ${output}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Error backing up vault:', error);
+  process.exit(1);
+}
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Vault Check CLI Tool for FourNiner
+ *
+ * This script scans the Obsidian Regions vault for broken tags, missing or
+ * orphaned images, placeholder cards and notes for regions that no longer exist.
+ * With --fix it applies the fixes that don't lose any data.
+ */
+
+const { loadVaultConfig } = require('./vault-config');
+const { checkVault, fixVaultIssues, ISSUE_TYPES } = require('./vault-checker');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+let applyFixes = false;
+let jsonOutput = false;
+let showHelp = false;
+const fixTypes = [];
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--fix' || args[i] === '-f') {
+    applyFixes = true;
+  } else if (args[i] === '--json') {
+    jsonOutput = true;
+  } else if (args[i] === '--only' && i + 1 < args.length) {
+    fixTypes.push(...args[i + 1].split(','));
+    i++; // Skip the next argument
+  } else if (args[i] === '--help' || args[i] === '-h') {
+    showHelp = true;
+  }
+}
+
+// Display help if requested
+if (showHelp) {
+  console.log(`
+FourNiner Vault Check
+---------------------
+Scan the Regions vault for problems and optionally fix them.
+
+Usage:
+  node check-vault.js [options]
+
+Options:
+  --fix, -f            Apply safe fixes (add/correct tags, move orphaned images to the trash)
+  --only <types>       Only fix these comma-separated issue types
+  --json               Print the report as JSON
+  --vault <path>       Check this vault instead of the configured one
+  --profile <id>       Check the vault of this profile from fourniner.config.json
+  --help, -h           Show this help message
+
+Issue types:
+${Object.entries(ISSUE_TYPES).map(([type, info]) =>
+  `  ${type.padEnd(20)} ${info.description}${info.fixable ? ' (fixable)' : ''}`).join('\n')}
+
+Examples:
+  node check-vault.js                         # Print a report
+  node check-vault.js --fix                   # Fix everything that can be fixed safely
+  node check-vault.js --fix --only missing-tag
+  `);
+  process.exit(0);
+}
+
+// Reject unknown issue types early
+const unknownTypes = fixTypes.filter(type => !ISSUE_TYPES[type]);
+if (unknownTypes.length > 0) {
+  console.error(`Unknown issue type(s): ${unknownTypes.join(', ')}`);
+  process.exit(1);
+}
+
+// Print a report grouped by issue type
+function printReport(report) {
+  console.log(`\nChecked ${report.summary.notes} notes and ${report.summary.images} images in ${report.vaultPath}\n`);
+
+  if (report.issues.length === 0) {
+    console.log('No problems found.');
+    return;
+  }
+
+  Object.entries(ISSUE_TYPES).forEach(([type, info]) => {
+    const issues = report.issues.filter(issue => issue.type === type);
+    if (issues.length === 0) {
+      return;
+    }
+
+    console.log(`${info.description} (${issues.length})${info.fixable ? ' - fixable' : ''}`);
+    console.log('-'.repeat(40));
+    issues.forEach(issue => {
+      console.log(`  ${issue.file}: ${issue.message}`);
+    });
+    console.log('');
+  });
+
+  console.log(`Total: ${report.summary.issues} problems, ${report.summary.fixable} fixable`);
+  if (report.summary.fixable > 0 && !applyFixes) {
+    console.log('Run with --fix to apply the safe fixes');
+  }
+}
+
+// Main function
+function main() {
+  const profile = loadVaultConfig();
+  const report = checkVault(profile.path);
+
+  if (!applyFixes) {
+    if (jsonOutput) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+    return;
+  }
+
+  const fixes = fixVaultIssues(profile.path, report.issues, {
+    types: fixTypes.length > 0 ? fixTypes : undefined
+  });
+
+  // Check again so the report shows what is left
+  const remaining = checkVault(profile.path);
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({ fixes, report: remaining }, null, 2));
+    return;
+  }
+
+  console.log(`\nApplied ${fixes.length} fixes:`);
+  fixes.forEach(fix => {
+    console.log(`  ${fix.file}: ${fix.action}`);
+  });
+  printReport(remaining);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Error checking vault:', error);
+  process.exit(1);
+}
@@ -0,0 +1,145 @@
+/**
+ * Country Helpers for FourNiner
+ *
+ * Countries are identified by their map_data folder name ('usa', 'south-africa'),
+ * while the Obsidian vault uses the display name in lowercase with hyphens
+ * ('united-states'). This module converts between the two and reads the region
+ * IDs generated for a country.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Root of the map data
+const MAP_DATA_PATH = path.join(__dirname, '..', 'map_data');
+
+// Display names that can't be derived from the country ID
+const DISPLAY_NAME_OVERRIDES = {
+  'usa': 'United States',
+  'uk': 'United Kingdom',
+  'uae': 'United Arab Emirates',
+  'southafrica': 'South Africa',
+  'united-states-of-america': 'United States'
+};
+
+/**
+ * Get the display name of a country
+ *
+ * @param {string} countryId - Country ID (map_data folder name)
+ * @returns {string} Display name, e.g. 'United States'
+ */
+function getCountryDisplayName(countryId) {
+  if (DISPLAY_NAME_OVERRIDES[countryId]) {
+    return DISPLAY_NAME_OVERRIDES[countryId];
+  }
+
+  return countryId
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Get the vault folder name of a country, as the frontend creates it
+ *
+ * @param {string} countryId - Country ID (map_data folder name)
+ * @returns {string} Vault folder name, e.g. 'united-states'
+ */
+function getVaultFolderName(countryId) {
+  return getCountryDisplayName(countryId).replace(/\s+/g, '-').toLowerCase();
+}
+
+/**
+ * List the countries that have data in map_data/countries
+ *
+ * @param {string} mapDataPath - Root of the map data (optional)
+ * @returns {string[]} Country IDs
+ */
+function listCountryIds(mapDataPath = MAP_DATA_PATH) {
+  const countriesDir = path.join(mapDataPath, 'countries');
+  if (!fs.existsSync(countriesDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(countriesDir, { withFileTypes: true })
+    .filter(dirent => dirent.isDirectory())
+    .map(dirent => dirent.name);
+}
+
+/**
+ * Find the country IDs whose notes belong in a vault folder
+ *
+ * @param {string} folderName - Vault folder name
+ * @param {string} mapDataPath - Root of the map data (optional)
+ * @returns {string[]} Matching country IDs (several IDs can share one folder)
+ */
+function findCountryIdsForFolder(folderName, mapDataPath = MAP_DATA_PATH) {
+  return listCountryIds(mapDataPath).filter(countryId =>
+    countryId === folderName || getVaultFolderName(countryId) === folderName);
+}
+
+/**
+ * Get the ID of a region as used for note names and progress
+ *
+ * @param {Object} region - GeoJSON region feature
+ * @param {boolean} admin - Whether the region is an administrative region
+ * @returns {string|null} 'r' + clusterID for natural regions, the region code for administrative ones
+ */
+function getRegionNoteId(region, admin) {
+  const props = region.properties || {};
+  if (admin) {
+    const code = props.regionCode || props.admin_code || props.code || props.clusterID;
+    return code !== undefined ? String(code) : null;
+  }
+  return props.clusterID !== undefined ? `r${props.clusterID}` : null;
+}
+
+/**
+ * Read the region IDs generated for a country, as used for note names
+ *
+ * Natural regions are named 'r' + clusterID ('rN1'), administrative regions use
+ * their region code, matching the progress IDs of the map.
+ *
+ * @param {string} countryId - Country ID
+ * @param {string} mapDataPath - Root of the map data (optional)
+ * @returns {Set<string>|null} Region IDs, or null if no regions were generated
+ */
+function readRegionIds(countryId, mapDataPath = MAP_DATA_PATH) {
+  const countryDir = path.join(mapDataPath, 'countries', countryId);
+  const sources = [
+    { file: path.join(countryDir, `${countryId}_regions.json`), admin: false },
+    { file: path.join(mapDataPath, `${countryId}_regions.json`), admin: false },
+    { file: path.join(countryDir, `${countryId}_admin_regions.json`), admin: true }
+  ];
+
+  let found = false;
+  const regionIds = new Set();
+
+  sources.filter(source => fs.existsSync(source.file)).forEach(source => {
+    try {
+      const regions = JSON.parse(fs.readFileSync(source.file, 'utf8'));
+      found = true;
+
+      (regions.features || []).forEach(feature => {
+        const regionId = getRegionNoteId(feature, source.admin);
+        if (regionId !== null) {
+          regionIds.add(regionId);
+        }
+      });
+    } catch (error) {
+      console.error(`Error reading regions from ${source.file}:`, error.message);
+    }
+  });
+
+  return found ? regionIds : null;
+}
+
+module.exports = {
+  MAP_DATA_PATH,
+  getCountryDisplayName,
+  getVaultFolderName,
+  listCountryIds,
+  findCountryIdsForFolder,
+  getRegionNoteId,
+  readRegionIds
+};
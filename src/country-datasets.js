@@ -0,0 +1,120 @@
+/**
+ * Country Datasets for FourNiner
+ *
+ * Adds the Street View coverage of a country from an uploaded map file,
+ * either a map editor export with customCoordinates or a GeoJSON
+ * FeatureCollection of points. The file becomes
+ * map_data/countries/<id>/<id>.json, where the region processors and the
+ * server look for it.
+ *
+ * Uploads are written to a temporary file as they arrive and read back with
+ * the streaming parser of location-store.js, so large files never have to be
+ * in memory and a file that isn't a coverage map never replaces existing data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline, Transform } = require('stream');
+const { MAP_DATA_PATH } = require('./countries');
+const { getLngLat, streamLocations } = require('./location-store');
+const { ValidationError, MAX_DATASET_BYTES } = require('./request-validation');
+
+/**
+ * Get the path of a country's coverage file
+ *
+ * @param {string} countryId - Country ID
+ * @param {string} mapDataPath - Root of the map data (optional)
+ * @returns {string} Path of map_data/countries/<id>/<id>.json
+ */
+function getCountryDataPath(countryId, mapDataPath = MAP_DATA_PATH) {
+  return path.join(mapDataPath, 'countries', countryId, `${countryId}.json`);
+}
+
+/**
+ * Write a stream to a file, stopping once it exceeds a size limit
+ *
+ * @param {Object} input - Readable stream
+ * @param {string} filePath - File to write
+ * @param {number} maxBytes - Largest accepted size
+ * @returns {Promise<number>} Bytes written
+ * @throws {ValidationError} If the stream is larger than maxBytes
+ */
+function writeLimitedStream(input, filePath, maxBytes) {
+  let bytes = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      if (bytes > maxBytes) {
+        return callback(new ValidationError('Dataset too large', `Country datasets must be at most ${maxBytes} bytes`, { status: 413 }));
+      }
+      callback(null, chunk);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    pipeline(input, limit, fs.createWriteStream(filePath), error => error ? reject(error) : resolve(bytes));
+  });
+}
+
+/**
+ * Store an uploaded coverage map as a country's dataset
+ *
+ * @param {string} countryId - Country ID, used as the folder and file name
+ * @param {Object} input - Readable stream of the JSON file, e.g. the request
+ * @param {Object} options - Options
+ * @param {boolean} options.overwrite - Replace an existing dataset of the country
+ * @param {number} options.maxBytes - Largest accepted file (defaults to FOURNINER_MAX_DATASET_BYTES)
+ * @param {string} options.mapDataPath - Root of the map data
+ * @returns {Promise<Object>} countryId, path, bytes, locationCount and isGeoJSON
+ * @throws {ValidationError} If the country exists, the file is too large or it holds no locations
+ */
+async function saveCountryDataset(countryId, input, options = {}) {
+  const dataPath = getCountryDataPath(countryId, options.mapDataPath);
+
+  if (fs.existsSync(dataPath) && !options.overwrite) {
+    throw new ValidationError('Country exists', `'${countryId}' already has location data, pass overwrite=true to replace it`, { status: 409 });
+  }
+
+  const countryDir = path.dirname(dataPath);
+  const createdDir = !fs.existsSync(countryDir);
+  fs.mkdirSync(countryDir, { recursive: true });
+  const tempPath = `${dataPath}.${process.pid}.upload`;
+
+  try {
+    const bytes = await writeLimitedStream(input, tempPath, options.maxBytes || MAX_DATASET_BYTES);
+
+    let locationCount = 0;
+    let isGeoJSON;
+    try {
+      isGeoJSON = await streamLocations(tempPath, (item, itemIsGeoJSON) => {
+        if (getLngLat(item, itemIsGeoJSON)) {
+          locationCount++;
+        }
+      });
+    } catch (error) {
+      throw new ValidationError('Invalid dataset', 'The file is not valid JSON');
+    }
+
+    if (locationCount === 0) {
+      throw new ValidationError('Invalid dataset', 'The file has no locations, expected customCoordinates or a GeoJSON FeatureCollection of points');
+    }
+
+    fs.renameSync(tempPath, dataPath);
+    console.log(`Stored ${locationCount} locations for ${countryId} at ${dataPath}`);
+
+    return { countryId, path: dataPath, bytes, locationCount, isGeoJSON };
+  } catch (error) {
+    // Don't leave an empty folder behind for a country that was never added
+    if (createdDir) {
+      fs.rmSync(countryDir, { recursive: true, force: true });
+    }
+    throw error;
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+}
+
+module.exports = {
+  getCountryDataPath,
+  saveCountryDataset
+};
@@ -10,7 +10,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const { processCountryData } = require('./region-processor');
+const { processCountryData, getDefaultRegionCount } = require('./region-processor');
 const { processAdministrativeRegions, listAvailableCountries } = require('./administrative-regions-processor');
 
 // Parse command line arguments
@@ -232,17 +232,7 @@ async function main() {
       
       // Use default region count if not specified
       if (!regionCount) {
-        // Use some defaults based on country size
-        const largeCountries = ['usa', 'canada', 'russia', 'china', 'brazil', 'australia'];
-        const mediumCountries = ['mexico', 'argentina', 'india', 'kazakhstan', 'mongolia'];
-        
-        if (largeCountries.includes(country)) {
-          regionCount = 18;
-        } else if (mediumCountries.includes(country)) {
-          regionCount = 14;
-        } else {
-          regionCount = 10;
-        }
+        regionCount = getDefaultRegionCount(country);
       }
       
       console.log(`Using ${regionCount} regions`);
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Anki Export CLI Tool for FourNiner
+ *
+ * This script exports the region flashcards of the Obsidian vault as an Anki
+ * package (.apkg) for people who review in Anki instead of Obsidian.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadVaultConfig, VAULT_FLAGS } = require('./vault-config');
+const { buildAnkiPackage, DEFAULT_DECK_NAME } = require('./anki-export');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const countries = [];
+let outputPath = null;
+let deckName = null;
+let showHelp = false;
+
+for (let i = 0; i < args.length; i++) {
+  if ((args[i] === '--output' || args[i] === '-o') && i + 1 < args.length) {
+    outputPath = args[i + 1];
+    i++; // Skip the next argument
+  } else if (args[i] === '--deck' && i + 1 < args.length) {
+    deckName = args[i + 1];
+    i++; // Skip the next argument
+  } else if (VAULT_FLAGS.includes(args[i])) {
+    i++; // Read by loadVaultConfig
+  } else if (args[i] === '--help' || args[i] === '-h') {
+    showHelp = true;
+  } else if (!args[i].startsWith('--')) {
+    countries.push(args[i]);
+  }
+}
+
+// Display help if requested
+if (showHelp) {
+  console.log(`
+FourNiner Anki Export
+---------------------
+Export region flashcards from the Obsidian vault as an Anki package.
+
+Usage:
+  node export-anki.js [country...] [options]
+
+Countries are vault folder names (e.g. russia, united-states). All countries
+are exported when none are given.
+
+Options:
+  --output, -o <file>  Package to write (default: fourniner-<countries>.apkg)
+  --deck <name>        Anki deck name (default: ${DEFAULT_DECK_NAME})
+  --vault <path>       Export from this vault instead of the configured one
+  --profile <id>       Export from the vault of this profile
+  --help, -h           Show this help message
+
+Examples:
+  node export-anki.js                           # Export every country
+  node export-anki.js russia mongolia           # Export two countries
+  node export-anki.js russia -o russia.apkg --deck "GeoGuessr::Russia"
+  `);
+  process.exit(0);
+}
+
+// Main function
+async function main() {
+  const profile = loadVaultConfig();
+  const output = path.resolve(outputPath || `fourniner-${countries.length > 0 ? countries.join('-') : 'all'}.apkg`);
+
+  console.log(`Exporting ${countries.length > 0 ? countries.join(', ') : 'all countries'} from ${profile.path}...`);
+
+  const { buffer, stats } = await buildAnkiPackage(profile.path, {
+    countries,
+    deckName: deckName || DEFAULT_DECK_NAME
+  });
+
+  if (stats.countries === 0) {
+    console.error('No matching countries found in the vault');
+    process.exit(1);
+  }
+
+  fs.writeFileSync(output, buffer);
+
+  console.log(`\nExported ${stats.cards} cards from ${stats.notes} notes in ${stats.countries} countries`);
+  console.log(`Included ${stats.media} images`);
+  if (stats.skipped > 0) {
+    console.log(`Skipped ${stats.skipped} cards without a question screenshot`);
+  }
+  console.log(`Package written to ${output}`);
+}
+
+main().catch(error => {
+  console.error('Error exporting to Anki:', error);
+  process.exit(1);
+});
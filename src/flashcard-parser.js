@@ -0,0 +1,479 @@
+/**
+ * Flashcard Parser for FourNiner
+ *
+ * This module turns a region note into a structured model and back. A note starts
+ * with a tag line and holds a series of multi-line cards:
+ *
+ *   #flash-geo/regions/russia/rN3 #status/learning
+ *   ![Street View location (question)](images/russia_rN3_....png)
+ *   ?
+ *   ![Road map: Trakt, Altai Krai (52.1, 83.2)](images/russia_rN3_....png)
+ *   Trakt, Altai Krai (52.100000, 83.200000)
+ *   <!--SR:!2024-03-01,12,250-->
+ *
+ * Cards are edited by splicing their own lines, so text around them (notes,
+ * other cards, unknown markup) is kept exactly as it was.
+ */
+
+const { parseSchedule, formatScheduleComment } = require('./spaced-repetition');
+
+// A line holding only "?" (or "??" for reversed cards)
+const SEPARATOR_REGEX = /^\?{1,2}$/;
+
+// A line holding only tags, e.g. "#flash-geo/regions/russia/rN3 #status/learning"
+const TAG_LINE_REGEX = /^\s*(?:#[^\s#]+\s*)+$/;
+
+// Tags anywhere in the note
+const TAG_REGEX = /(?:^|\s)#([^\s#]+)/g;
+
+// Markdown image ![alt](path) or Obsidian embed ![[path]]
+const IMAGE_REGEX = /^!\[([^\]]*)\]\(([^)]+)\)$|^!\[\[([^\]|]+)(?:\|([^\]]*))?\]\]$/;
+
+// SR scheduling comment
+const SR_COMMENT_REGEX = /<!--SR:([^>]*)-->/;
+
+// Location line written into questions by /api/flashcard/location
+const LOCATION_LINE_REGEX = /^((?:Street View )?Location:)\s*(.*)$/;
+
+// Trailing "lat, lng" pair, optionally in parentheses
+const COORDINATES_REGEX = /\(?(-?\d{1,2}(?:\.\d+)?),\s*(-?\d{1,3}(?:\.\d+)?)\)?\s*$/;
+
+/**
+ * Parse a single image line
+ *
+ * @param {string} line - Trimmed markdown line
+ * @returns {Object|null} Image with path, alt and style, or null if not an image
+ */
+function parseImage(line) {
+  const match = IMAGE_REGEX.exec(line);
+  if (!match) {
+    return null;
+  }
+
+  if (match[2] !== undefined) {
+    return { path: match[2], alt: match[1], style: 'markdown' };
+  }
+  return { path: match[3], alt: match[4] || '', style: 'wiki' };
+}
+
+/**
+ * Format an image as a markdown line
+ *
+ * @param {string} imagePath - Path relative to the note
+ * @param {string} alt - Caption
+ * @param {string} style - 'markdown' or 'wiki'
+ * @returns {string} Image line
+ */
+function formatImage(imagePath, alt, style = 'markdown') {
+  if (style === 'wiki') {
+    return alt ? `![[${imagePath}|${alt}]]` : `![[${imagePath}]]`;
+  }
+  return `![${alt || ''}](${imagePath})`;
+}
+
+/**
+ * Extract coordinates from location text
+ *
+ * @param {string} text - Text such as "Trakt, Altai Krai (52.100000, 83.200000)"
+ * @returns {Object|null} Coordinates with lat and lng, or null if none are found
+ */
+function extractCoordinates(text) {
+  if (!text) {
+    return null;
+  }
+
+  const match = COORDINATES_REGEX.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const lat = parseFloat(match[1]);
+  const lng = parseFloat(match[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  return { lat, lng };
+}
+
+/**
+ * Get the tags of a note
+ *
+ * @param {string} content - Markdown content of the note
+ * @returns {string[]} Unique tags without the leading '#'
+ */
+function parseTags(content) {
+  const tags = new Set();
+  let match;
+
+  TAG_REGEX.lastIndex = 0;
+  while ((match = TAG_REGEX.exec(content)) !== null) {
+    tags.add(match[1]);
+  }
+
+  return Array.from(tags);
+}
+
+/**
+ * Find the line ranges of the cards in a note
+ *
+ * @param {string[]} lines - Lines of the note
+ * @returns {Object[]} Blocks with start, separator and end line indexes (end is exclusive)
+ */
+function findCardBlocks(lines) {
+  const blocks = [];
+
+  // Skip the tag lines at the top of the note
+  let cursor = 0;
+  while (cursor < lines.length && (lines[cursor].trim() === '' || TAG_LINE_REGEX.test(lines[cursor]))) {
+    cursor++;
+  }
+
+  for (let i = cursor; i < lines.length; i++) {
+    if (!SEPARATOR_REGEX.test(lines[i].trim())) {
+      continue;
+    }
+
+    // The question is everything since the previous card
+    let start = cursor;
+    while (start < i && lines[start].trim() === '') {
+      start++;
+    }
+
+    // The answer runs until a blank line, ending with the SR comment if there is one
+    let end = i + 1;
+    while (end < lines.length && lines[end].trim() !== '' && !SEPARATOR_REGEX.test(lines[end].trim())) {
+      end++;
+      if (SR_COMMENT_REGEX.test(lines[end - 1])) {
+        break;
+      }
+    }
+
+    blocks.push({ start, separator: i, end });
+    cursor = end;
+    i = end - 1;
+  }
+
+  return blocks;
+}
+
+/**
+ * Parse the lines of one side of a card
+ *
+ * @param {string[]} lines - Lines of the question or answer
+ * @returns {Object} Side with image, imageAlt and text, plus layout details
+ */
+function parseSide(lines) {
+  const side = { image: null, imageAlt: null, text: '' };
+  const layout = { imageStyle: 'markdown', location: null, textLines: [] };
+
+  lines.forEach(line => {
+    const trimmed = line.trim();
+    const image = side.image === null ? parseImage(trimmed) : null;
+
+    if (image) {
+      side.image = image.path;
+      side.imageAlt = image.alt;
+      layout.imageStyle = image.style;
+      return;
+    }
+
+    const locationMatch = LOCATION_LINE_REGEX.exec(trimmed);
+    if (locationMatch && layout.location === null) {
+      layout.location = { prefix: locationMatch[1], text: locationMatch[2] };
+      return;
+    }
+
+    layout.textLines.push(line);
+  });
+
+  // Drop blank lines around the text but keep blank lines inside it
+  while (layout.textLines.length > 0 && layout.textLines[0].trim() === '') {
+    layout.textLines.shift();
+  }
+  while (layout.textLines.length > 0 && layout.textLines[layout.textLines.length - 1].trim() === '') {
+    layout.textLines.pop();
+  }
+  side.text = layout.textLines.join('\n');
+
+  return { side, layout };
+}
+
+/**
+ * Parse one card block into a card model
+ *
+ * @param {string[]} lines - Lines of the note
+ * @param {Object} block - Block from findCardBlocks
+ * @param {number} index - Position of the card in the note
+ * @returns {Object} Card model and the layout needed to write it back
+ */
+function parseCard(lines, block, index) {
+  const questionLines = lines.slice(block.start, block.separator);
+  const answerLines = [];
+  const schedule = [];
+
+  lines.slice(block.separator + 1, block.end).forEach(line => {
+    const match = SR_COMMENT_REGEX.exec(line);
+    if (match) {
+      schedule.push(...parseSchedule(match[1]));
+      const rest = line.replace(SR_COMMENT_REGEX, '').trimEnd();
+      if (rest.trim() !== '') {
+        answerLines.push(rest);
+      }
+      return;
+    }
+    answerLines.push(line);
+  });
+
+  const question = parseSide(questionLines);
+  const answer = parseSide(answerLines);
+
+  // Location comes from a "Location:" line in the question, or from the answer
+  // text written by the map capture ("Road, Area (lat, lng)")
+  let location = null;
+  let locationPlacement = null;
+  if (question.layout.location) {
+    location = question.layout.location.text;
+    locationPlacement = 'question';
+  } else if (answer.layout.location) {
+    location = answer.layout.location.text;
+    locationPlacement = 'answer-line';
+  } else if (extractCoordinates(answer.side.text.split('\n')[0])) {
+    const [firstLine, ...otherLines] = answer.side.text.split('\n');
+    location = firstLine.trim();
+    locationPlacement = 'answer';
+    answer.side.text = otherLines.join('\n').trim();
+  }
+
+  const coordinates = extractCoordinates(location) ||
+    extractCoordinates(answer.side.imageAlt) ||
+    extractCoordinates(question.side.imageAlt);
+
+  const card = {
+    index,
+    line: block.start + 1,
+    reversed: lines[block.separator].trim() === '??',
+    question: question.side,
+    answer: answer.side,
+    location,
+    coordinates,
+    schedule
+  };
+
+  const layout = {
+    question: question.layout,
+    answer: answer.layout,
+    locationPlacement
+  };
+
+  return { card, layout };
+}
+
+/**
+ * Parse a region note into tags and cards
+ *
+ * @param {string} content - Markdown content of the note
+ * @returns {Object} Note model with tags and cards
+ */
+function parseNote(content) {
+  const lines = content.split('\n');
+  const cards = findCardBlocks(lines).map((block, index) => parseCard(lines, block, index).card);
+
+  return {
+    tags: parseTags(content),
+    cards
+  };
+}
+
+/**
+ * Write a card model back to markdown lines
+ *
+ * @param {Object} card - Card model
+ * @param {Object} layout - Layout of the card as it was parsed (optional for new cards)
+ * @returns {string[]} Lines of the card
+ */
+function formatCard(card, layout = null) {
+  const questionLayout = layout ? layout.question : {};
+  const answerLayout = layout ? layout.answer : {};
+  const lines = [];
+
+  // New locations get their own "Location:" line in the answer. A bare first answer
+  // line is only read back as the location while it ends in coordinates, so that
+  // form is kept just for cards that already use it with coordinates.
+  let placement = (layout && layout.locationPlacement) || 'answer-line';
+  if (placement === 'answer' && !extractCoordinates(card.location)) {
+    placement = 'answer-line';
+  }
+  const answerPrefix = answerLayout.location ? answerLayout.location.prefix : 'Location:';
+
+  // Question
+  if (card.question.image) {
+    lines.push(formatImage(card.question.image, card.question.imageAlt, questionLayout.imageStyle));
+  }
+  if (card.question.text) {
+    lines.push(...card.question.text.split('\n'));
+  }
+  if (card.location && placement === 'question') {
+    lines.push('', `${questionLayout.location.prefix} ${card.location}`);
+  }
+
+  lines.push(card.reversed ? '??' : '?');
+
+  // Answer
+  if (card.answer.image) {
+    lines.push(formatImage(card.answer.image, card.answer.imageAlt, answerLayout.imageStyle));
+  }
+  if (card.location && placement === 'answer-line') {
+    lines.push(`${answerPrefix} ${card.location}`);
+  } else if (card.location && placement === 'answer') {
+    lines.push(card.location);
+  }
+  if (card.answer.text) {
+    // Blank lines would end the card, so the answer text is kept on consecutive lines
+    lines.push(...card.answer.text.split('\n').filter(line => line.trim() !== ''));
+  }
+
+  const comment = formatScheduleComment(card.schedule);
+  if (comment) {
+    lines.push(comment);
+  }
+
+  return lines;
+}
+
+/**
+ * Merge changes into a card model
+ *
+ * @param {Object} card - Current card model
+ * @param {Object} changes - Fields to change; question and answer are merged one level deep
+ * @returns {Object} Updated card model
+ */
+function mergeCard(card, changes) {
+  return {
+    ...card,
+    ...changes,
+    question: { ...card.question, ...(changes.question || {}) },
+    answer: { ...card.answer, ...(changes.answer || {}) }
+  };
+}
+
+/**
+ * Build a complete card model from a (possibly partial) replacement
+ *
+ * @param {Object} replacement - Card fields; anything left out is cleared
+ * @returns {Object} Card model
+ */
+function normalizeCard(replacement) {
+  const side = (value = {}) => ({
+    image: value.image || null,
+    imageAlt: value.imageAlt || null,
+    text: value.text || ''
+  });
+
+  return {
+    reversed: replacement.reversed === true,
+    question: side(replacement.question),
+    answer: side(replacement.answer),
+    location: replacement.location || null,
+    schedule: replacement.schedule || []
+  };
+}
+
+/**
+ * Replace a single card in a note
+ *
+ * @param {string} content - Markdown content of the note
+ * @param {number} index - Position of the card to replace
+ * @param {Function} update - Receives the current card model and returns the new one
+ * @returns {Object|null} New content and updated card, or null if there is no such card
+ */
+function updateCard(content, index, update) {
+  const lines = content.split('\n');
+  const blocks = findCardBlocks(lines);
+  const block = blocks[index];
+  if (!block) {
+    return null;
+  }
+
+  const { card, layout } = parseCard(lines, block, index);
+  const updated = update(card);
+  const cardLines = formatCard(updated, layout);
+  lines.splice(block.start, block.end - block.start, ...cardLines);
+
+  const newContent = lines.join('\n');
+  const newBlock = findCardBlocks(lines)[index];
+  return {
+    content: newContent,
+    card: parseCard(lines, newBlock, index).card
+  };
+}
+
+/**
+ * Remove a single card from a note
+ *
+ * @param {string} content - Markdown content of the note
+ * @param {number} index - Position of the card to remove
+ * @returns {Object|null} New content and the removed card, or null if there is no such card
+ */
+function removeCard(content, index) {
+  const lines = content.split('\n');
+  const block = findCardBlocks(lines)[index];
+  if (!block) {
+    return null;
+  }
+
+  const { card } = parseCard(lines, block, index);
+  lines.splice(block.start, block.end - block.start);
+
+  // Don't leave two blank lines where the card used to be
+  if (block.start > 0 && lines[block.start - 1].trim() === '' &&
+      (block.start >= lines.length || lines[block.start].trim() === '')) {
+    lines.splice(block.start, 1);
+  }
+
+  return { content: lines.join('\n'), card };
+}
+
+/**
+ * Move a card to another position in a note
+ *
+ * Cards swap places in the note without being reformatted, so everything
+ * between cards stays where it is.
+ *
+ * @param {string} content - Markdown content of the note
+ * @param {number} from - Current position of the card
+ * @param {number} to - New position of the card
+ * @returns {Object|null} New content and the reordered cards, or null if a position is out of range
+ */
+function moveCard(content, from, to) {
+  const lines = content.split('\n');
+  const blocks = findCardBlocks(lines);
+  if (!blocks[from] || !blocks[to]) {
+    return null;
+  }
+
+  const cardLines = blocks.map(block => lines.slice(block.start, block.end));
+  const order = blocks.map((block, index) => index);
+  order.splice(to, 0, ...order.splice(from, 1));
+
+  // Replace from the last block backwards so earlier line indexes stay valid
+  for (let i = blocks.length - 1; i >= 0; i--) {
+    lines.splice(blocks[i].start, blocks[i].end - blocks[i].start, ...cardLines[order[i]]);
+  }
+
+  const newContent = lines.join('\n');
+  return { content: newContent, cards: parseNote(newContent).cards };
+}
+
+module.exports = {
+  parseNote,
+  parseTags,
+  parseImage,
+  extractCoordinates,
+  findCardBlocks,
+  formatCard,
+  mergeCard,
+  normalizeCard,
+  updateCard,
+  removeCard,
+  moveCard
+};
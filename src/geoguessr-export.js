@@ -0,0 +1,175 @@
+/**
+ * GeoGuessr Export for FourNiner
+ *
+ * Builds a custom map in the JSON format the GeoGuessr map editor imports,
+ * { name, customCoordinates }, from the Street View locations of one or more
+ * regions, so the regions being studied can be played in real games.
+ *
+ * Locations are picked with the location index and then read back from the
+ * country file itself, so pano IDs, camera angles and extra data come through
+ * unchanged. GeoJSON datasets are converted to coordinates on the way.
+ */
+
+const { PANO_FIELDS, getLngLat, getPanoView, streamLocations } = require('./location-store');
+const { getLocationIndex } = require('./location-index');
+const { findRegionLocationIds, getRegionKey } = require('./region-locations');
+
+/**
+ * Split a target count over regions as evenly as their locations allow
+ *
+ * Regions with fewer locations than their share keep them all and the rest
+ * is shared among the larger regions.
+ *
+ * @param {number[]} sizes - Number of locations of each region
+ * @param {number} count - Total number of locations wanted
+ * @returns {number[]} Number of locations to take from each region
+ */
+function shareCount(sizes, count) {
+  const shares = sizes.map(() => 0);
+  let remaining = count;
+
+  sizes
+    .map((size, i) => ({ size, i }))
+    .sort((a, b) => a.size - b.size)
+    .forEach(({ size, i }, rank) => {
+      shares[i] = Math.min(size, Math.floor(remaining / (sizes.length - rank)));
+      remaining -= shares[i];
+    });
+
+  return shares;
+}
+
+/**
+ * Check a location's tags against the tag filters
+ *
+ * @param {string[]} tags - Tags of the location
+ * @param {Set<string>|null} includeTags - Lowercase tags of which one must be present, or null
+ * @param {Set<string>|null} excludeTags - Lowercase tags that must not be present, or null
+ * @returns {boolean} True if the location passes the filters
+ */
+function matchesTags(tags, includeTags, excludeTags) {
+  const lowerTags = tags.map(tag => String(tag).toLowerCase());
+  if (includeTags && !lowerTags.some(tag => includeTags.has(tag))) {
+    return false;
+  }
+  return !(excludeTags && lowerTags.some(tag => excludeTags.has(tag)));
+}
+
+/**
+ * Convert a location of the country file to a GeoGuessr coordinate
+ *
+ * @param {Object} item - Coordinate or GeoJSON point feature
+ * @param {boolean} isGeoJSON - Whether the item is a GeoJSON feature
+ * @param {Object} options - keepExtra and keepPano
+ * @returns {Object} Coordinate with lat, lng and the kept fields
+ */
+function toCustomCoordinate(item, isGeoJSON, options) {
+  let coordinate;
+  if (isGeoJSON) {
+    const [lng, lat] = getLngLat(item, true);
+    const properties = item.properties || {};
+    coordinate = { lat, lng, ...getPanoView(item, true) };
+    if (properties.extra && typeof properties.extra === 'object') {
+      coordinate.extra = properties.extra;
+    } else if (Array.isArray(properties.tags)) {
+      coordinate.extra = { tags: properties.tags };
+    }
+  } else {
+    coordinate = { ...item };
+  }
+
+  if (!options.keepExtra) {
+    delete coordinate.extra;
+  }
+  if (!options.keepPano) {
+    PANO_FIELDS.forEach(field => delete coordinate[field]);
+  }
+
+  return coordinate;
+}
+
+/**
+ * Read locations from the country file by position
+ *
+ * @param {string} dataPath - Country locations file
+ * @param {Set<number>} positions - Positions among the locations with valid coordinates
+ * @returns {Promise<Map<number, Object>>} Original items by position
+ */
+async function readLocationsAt(dataPath, positions) {
+  const items = new Map();
+  let position = 0;
+
+  await streamLocations(dataPath, (item, isGeoJSON) => {
+    // Positions count the same locations the location store keeps
+    if (!getLngLat(item, isGeoJSON)) {
+      return;
+    }
+    if (positions.has(position)) {
+      items.set(position, item);
+    }
+    position++;
+  });
+
+  return items;
+}
+
+/**
+ * Build a GeoGuessr custom map from the locations of regions
+ *
+ * @param {string} dataPath - Country locations file
+ * @param {string} countryId - Country ID, the seed of the sample order
+ * @param {Object[]} regions - GeoJSON region features to export
+ * @param {Object} options - Export options
+ * @param {string} options.name - Map name
+ * @param {boolean} options.useAdminRegions - Whether the regions are administrative regions
+ * @param {number} options.count - Most locations to export, spread evenly over the regions (default all)
+ * @param {string[]} options.tags - Only export locations with one of these tags
+ * @param {string[]} options.excludeTags - Leave out locations with any of these tags
+ * @param {boolean} options.keepExtra - Keep the extra data of each location (default true)
+ * @param {boolean} options.keepPano - Keep pano ID, heading, pitch and zoom (default true)
+ * @returns {Promise<Object>} map ({ name, customCoordinates }) and stats with the locations per region
+ */
+async function buildGeoGuessrMap(dataPath, countryId, regions, options = {}) {
+  const opts = {
+    keepExtra: true,
+    keepPano: true,
+    ...options
+  };
+  const includeTags = opts.tags && opts.tags.length > 0 ?
+    new Set(opts.tags.map(tag => tag.toLowerCase())) : null;
+  const excludeTags = opts.excludeTags && opts.excludeTags.length > 0 ?
+    new Set(opts.excludeTags.map(tag => tag.toLowerCase())) : null;
+
+  const locationIndex = await getLocationIndex(dataPath, countryId);
+
+  // IDs ascend in sample order, so the first ones of a region are an even sample of it
+  const idsByRegion = regions.map(region => findRegionLocationIds(region, locationIndex)
+    .filter(id => matchesTags(locationIndex.tags(id), includeTags, excludeTags)));
+
+  const total = idsByRegion.reduce((sum, ids) => sum + ids.length, 0);
+  const shares = opts.count !== undefined && opts.count < total ?
+    shareCount(idsByRegion.map(ids => ids.length), opts.count) :
+    idsByRegion.map(ids => ids.length);
+  const positionsByRegion = idsByRegion.map((ids, i) => ids.slice(0, shares[i]).map(id => locationIndex.position(id)));
+
+  const items = await readLocationsAt(dataPath, new Set(positionsByRegion.flat()));
+  const customCoordinates = positionsByRegion.flat()
+    .filter(position => items.has(position))
+    .map(position => toCustomCoordinate(items.get(position), locationIndex.isGeoJSON, opts));
+
+  return {
+    map: { name: opts.name || countryId, customCoordinates },
+    stats: {
+      regions: regions.map((region, i) => ({
+        id: getRegionKey(region, opts.useAdminRegions),
+        available: idsByRegion[i].length,
+        exported: shares[i]
+      })),
+      locations: customCoordinates.length
+    }
+  };
+}
+
+module.exports = {
+  buildGeoGuessrMap
+};
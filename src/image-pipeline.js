@@ -0,0 +1,220 @@
+/**
+ * Image Pipeline for FourNiner
+ *
+ * This module processes the screenshots captured for flashcards before they are
+ * stored in the vault. Images are resized to a maximum size, re-encoded to the
+ * configured format and quality, and named after a hash of their content so
+ * identical captures share one file. A small thumbnail is stored next to each
+ * image for the sidebar.
+ *
+ * Layout inside a country folder:
+ *   images/<hash>.<ext>              Processed image
+ *   images/thumbnails/<hash>.<ext>   Thumbnail
+ *
+ * Settings come from environment variables:
+ *   FOURNINER_IMAGE_FORMAT     webp, jpeg or png (default webp)
+ *   FOURNINER_IMAGE_QUALITY    1-100 (default 80)
+ *   FOURNINER_IMAGE_MAX_SIZE   Longest side in pixels (default 1920)
+ *   FOURNINER_THUMBNAIL_SIZE   Longest side of thumbnails in pixels (default 240)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { ValidationError } = require('./request-validation');
+
+// Folder for thumbnails, inside the images folder
+const THUMBNAIL_DIR = 'thumbnails';
+
+// Length of the content hash used in file names
+const HASH_LENGTH = 16;
+
+// File extension for each output format
+const FORMAT_EXTENSIONS = {
+  webp: 'webp',
+  jpeg: 'jpg',
+  png: 'png'
+};
+
+// Formats thumbnails are written in: the output formats plus GIF, which notes
+// can reference although uploads are never stored as GIF
+const THUMBNAIL_EXTENSIONS = {
+  ...FORMAT_EXTENSIONS,
+  gif: 'gif'
+};
+
+/**
+ * Read an integer setting from the environment
+ *
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when the variable is missing or invalid
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number} Setting value
+ */
+function readIntSetting(name, defaultValue, min, max) {
+  const value = parseInt(process.env[name], 10);
+  if (Number.isNaN(value)) {
+    return defaultValue;
+  }
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Get the current image settings
+ *
+ * @returns {Object} Settings with format, extension, quality, maxSize and thumbnailSize
+ */
+function getImageSettings() {
+  let format = (process.env.FOURNINER_IMAGE_FORMAT || 'webp').toLowerCase();
+  if (format === 'jpg') {
+    format = 'jpeg';
+  }
+  if (!FORMAT_EXTENSIONS[format]) {
+    console.warn(`Unknown image format '${format}', using webp`);
+    format = 'webp';
+  }
+
+  return {
+    format,
+    extension: FORMAT_EXTENSIONS[format],
+    quality: readIntSetting('FOURNINER_IMAGE_QUALITY', 80, 1, 100),
+    maxSize: readIntSetting('FOURNINER_IMAGE_MAX_SIZE', 1920, 64, 8192),
+    thumbnailSize: readIntSetting('FOURNINER_THUMBNAIL_SIZE', 240, 32, 1024)
+  };
+}
+
+/**
+ * Resize and re-encode an image
+ *
+ * @param {Buffer} input - Original image data
+ * @param {number} size - Longest side in pixels; smaller images are not enlarged
+ * @param {Object} settings - Settings from getImageSettings
+ * @returns {Promise<Buffer>} Encoded image
+ */
+function encodeImage(input, size, settings) {
+  const options = settings.format === 'png' ?
+    { compressionLevel: 9, palette: settings.quality < 100, quality: settings.quality } :
+    { quality: settings.quality };
+
+  return sharp(input)
+    .rotate() // Apply EXIF orientation before it is stripped
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .toFormat(settings.format, options)
+    .toBuffer();
+}
+
+/**
+ * Get the thumbnail path for an image
+ *
+ * @param {string} imagePath - Path of the image
+ * @returns {string} Path of its thumbnail
+ */
+function getThumbnailPath(imagePath) {
+  return path.join(path.dirname(imagePath), THUMBNAIL_DIR, path.basename(imagePath));
+}
+
+/**
+ * Process an uploaded image and store it in an images folder
+ *
+ * If an image with the same content is already stored, the existing file is
+ * reused and nothing is written.
+ *
+ * @param {string} imagesDir - Absolute path of the images folder
+ * @param {Buffer} input - Decoded image data
+ * @returns {Promise<Object>} Stored image with filename, path, thumbnailPath, size and duplicate flag
+ */
+async function storeImage(imagesDir, input) {
+  const settings = getImageSettings();
+
+  let output;
+  try {
+    output = await encodeImage(input, settings.maxSize, settings);
+  } catch (error) {
+    throw new ValidationError('Invalid image', `Image could not be decoded: ${error.message}`, {
+      details: [{ field: 'imageData', message: 'could not be decoded' }]
+    });
+  }
+
+  const hash = crypto.createHash('sha256').update(output).digest('hex').substring(0, HASH_LENGTH);
+  const filename = `${hash}.${settings.extension}`;
+  const imagePath = path.join(imagesDir, filename);
+  const thumbnailPath = getThumbnailPath(imagePath);
+  const duplicate = fs.existsSync(imagePath);
+
+  if (!duplicate) {
+    fs.mkdirSync(imagesDir, { recursive: true });
+    fs.writeFileSync(imagePath, output);
+  }
+
+  if (!fs.existsSync(thumbnailPath)) {
+    await writeThumbnail(imagePath, settings);
+  }
+
+  return {
+    filename,
+    path: imagePath,
+    thumbnailPath,
+    size: output.length,
+    duplicate
+  };
+}
+
+/**
+ * Create the thumbnail of a stored image
+ *
+ * Thumbnails keep the format of their image, so the file extension stays correct
+ * for images stored with other settings.
+ *
+ * @param {string} imagePath - Absolute path of the image
+ * @param {Object} settings - Settings from getImageSettings (optional)
+ * @returns {Promise<string>} Path of the thumbnail
+ * @throws {ValidationError} If the image can't be decoded
+ */
+async function writeThumbnail(imagePath, settings = getImageSettings()) {
+  const thumbnailPath = getThumbnailPath(imagePath);
+  const extension = path.extname(imagePath).substring(1).toLowerCase();
+  const format = Object.keys(THUMBNAIL_EXTENSIONS).find(name =>
+    THUMBNAIL_EXTENSIONS[name] === extension || name === extension) || settings.format;
+  const input = fs.readFileSync(imagePath);
+
+  // Anything put into the images folder by hand may not be an image at all
+  let thumbnail;
+  try {
+    thumbnail = await encodeImage(input, settings.thumbnailSize, { ...settings, format });
+  } catch (error) {
+    throw new ValidationError('Invalid image', `${path.basename(imagePath)} could not be decoded: ${error.message}`, { status: 422 });
+  }
+
+  fs.mkdirSync(path.dirname(thumbnailPath), { recursive: true });
+  fs.writeFileSync(thumbnailPath, thumbnail);
+  return thumbnailPath;
+}
+
+/**
+ * Get the thumbnail of an image, creating it first for images stored before
+ * thumbnails existed
+ *
+ * @param {string} imagePath - Absolute path of the image
+ * @returns {Promise<string|null>} Path of the thumbnail, or null if the image doesn't exist
+ * @throws {ValidationError} If the image can't be decoded
+ */
+async function ensureThumbnail(imagePath) {
+  const thumbnailPath = getThumbnailPath(imagePath);
+  if (fs.existsSync(thumbnailPath)) {
+    return thumbnailPath;
+  }
+  if (!fs.existsSync(imagePath)) {
+    return null;
+  }
+  return writeThumbnail(imagePath);
+}
+
+module.exports = {
+  getImageSettings,
+  storeImage,
+  ensureThumbnail,
+  getThumbnailPath,
+  THUMBNAIL_DIR
+};
@@ -0,0 +1,171 @@
+/**
+ * JSON Storage for FourNiner
+ *
+ * This backend keeps the region notes in a single JSON file managed by FourNiner,
+ * for people who don't use Obsidian. Notes hold the same markdown as in a vault,
+ * so cards, status tags and review data work the same way.
+ *
+ * Layout of the store:
+ *   <root>/fourniner-data.json        All region notes
+ *   <root>/<country>/images/          Flashcard images, as in a vault
+ *
+ * The file is read once when the store is opened and rewritten on every change.
+ * Unlike a vault it isn't watched, so edit it only while the server is stopped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { getNoteStatus } = require('./vault-index');
+const { summarizeSchedules } = require('./spaced-repetition');
+
+// Name of the data file inside the store folder
+const DATA_FILE = 'fourniner-data.json';
+const DATA_VERSION = 1;
+
+/**
+ * Build a note entry like the ones of the vault index
+ *
+ * @param {string} country - Country folder name
+ * @param {string} cellId - Region/cell ID
+ * @param {Object} stored - Stored note with content and updatedAt
+ * @returns {Object} Note entry
+ */
+function toNoteEntry(country, cellId, stored) {
+  return {
+    country,
+    cellId,
+    updatedAt: stored.updatedAt,
+    size: Buffer.byteLength(stored.content),
+    content: stored.content,
+    status: getNoteStatus(stored.content),
+    review: summarizeSchedules(stored.content)
+  };
+}
+
+/**
+ * Create a JSON storage backend
+ *
+ * @param {string} rootPath - Folder of the store
+ * @returns {Object} Storage backend, see storage.js
+ */
+function createJsonStorage(rootPath) {
+  const dataPath = path.join(rootPath, DATA_FILE);
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  let notes = new Map(); // country -> Map(cellId -> note entry)
+
+  // Write the whole store to a temporary file first, so a crash never leaves half a file
+  const save = () => {
+    const data = { version: DATA_VERSION, notes: {} };
+    notes.forEach((countryNotes, country) => {
+      data.notes[country] = {};
+      countryNotes.forEach((note, cellId) => {
+        data.notes[country][cellId] = { content: note.content, updatedAt: note.updatedAt };
+      });
+    });
+
+    fs.mkdirSync(rootPath, { recursive: true });
+    const tempPath = `${dataPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, dataPath);
+  };
+
+  const getNote = (country, cellId) => {
+    const countryNotes = notes.get(country);
+    return (countryNotes && countryNotes.get(cellId)) || null;
+  };
+
+  return {
+    type: 'json',
+    path: rootPath,
+    events,
+
+    open() {
+      notes = new Map();
+
+      if (fs.existsSync(dataPath)) {
+        const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+        Object.entries(data.notes || {}).forEach(([country, countryNotes]) => {
+          notes.set(country, new Map(Object.entries(countryNotes)
+            .map(([cellId, stored]) => [cellId, toNoteEntry(country, cellId, stored)])));
+        });
+      }
+
+      const stats = {
+        vaultPath: rootPath,
+        countries: notes.size,
+        notes: this.listNotes().length
+      };
+      console.log(`Loaded ${stats.notes} notes in ${stats.countries} countries from ${dataPath}`);
+      return stats;
+    },
+
+    close() {
+      notes = new Map();
+    },
+
+    getProgress(options = {}) {
+      const progress = {};
+      notes.forEach((countryNotes, country) => {
+        progress[country] = {};
+        countryNotes.forEach((note, cellId) => {
+          progress[country][cellId] = options.details ?
+            { status: note.status, ...note.review } :
+            note.status;
+        });
+      });
+      return progress;
+    },
+
+    getNote,
+
+    listNotes(country = null) {
+      if (country) {
+        return Array.from((notes.get(country) || new Map()).values());
+      }
+      const allNotes = [];
+      notes.forEach(countryNotes => allNotes.push(...countryNotes.values()));
+      return allNotes;
+    },
+
+    readNote(country, cellId) {
+      const note = getNote(country, cellId);
+      return note ? note.content : null;
+    },
+
+    writeNote(country, cellId, content) {
+      const previous = getNote(country, cellId);
+
+      if (content === null) {
+        if (!previous) {
+          return;
+        }
+        notes.get(country).delete(cellId);
+        if (notes.get(country).size === 0) {
+          notes.delete(country);
+        }
+      } else {
+        if (!notes.has(country)) {
+          notes.set(country, new Map());
+        }
+        notes.get(country).set(cellId, toNoteEntry(country, cellId, {
+          content,
+          updatedAt: new Date().toISOString()
+        }));
+      }
+
+      save();
+
+      const note = getNote(country, cellId);
+      const type = !note ? 'deleted' : (previous ? 'updated' : 'created');
+      events.emit('change', { type, country, cellId, note, previous });
+    }
+  };
+}
+
+module.exports = {
+  createJsonStorage,
+  DATA_FILE
+};
@@ -0,0 +1,298 @@
+/**
+ * Location Index for FourNiner
+ *
+ * This module keeps the Street View locations of each country in memory in a
+ * static KD-tree, so map bounds queries don't have to read and scan the whole
+ * country file on every request. A country is loaded from its location store
+ * (see location-store.js) on first use and loaded again when its file changes
+ * on disk.
+ *
+ * Locations are shuffled once with a seed derived from the country, and the
+ * tree returns them in that order. Taking the first N results of a query is
+ * therefore an even sample of the area, the same one on every request.
+ */
+
+const { loadLocationStore } = require('./location-store');
+
+// Points per leaf of the KD-tree
+const NODE_SIZE = 64;
+
+// Indexed countries: file path -> { store, index }
+const cache = new Map();
+
+/**
+ * Hash a string into a 32-bit seed
+ *
+ * @param {string} str - String to hash
+ * @returns {number} Seed
+ */
+function hashSeed(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) - hash) + str.charCodeAt(i);
+    hash |= 0; // Convert to 32bit integer
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded pseudorandom number generator (mulberry32)
+ *
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Swap two points of the tree arrays
+ */
+function swapItem(ids, coords, i, j) {
+  const id = ids[i];
+  ids[i] = ids[j];
+  ids[j] = id;
+
+  const x = coords[2 * i];
+  const y = coords[2 * i + 1];
+  coords[2 * i] = coords[2 * j];
+  coords[2 * i + 1] = coords[2 * j + 1];
+  coords[2 * j] = x;
+  coords[2 * j + 1] = y;
+}
+
+/**
+ * Partially sort points so the k-th is in place along an axis (Floyd-Rivest selection)
+ */
+function select(ids, coords, k, left, right, axis) {
+  while (right > left) {
+    if (right - left > 600) {
+      const n = right - left + 1;
+      const m = k - left + 1;
+      const z = Math.log(n);
+      const s = 0.5 * Math.exp(2 * z / 3);
+      const sd = 0.5 * Math.sqrt(z * s * (n - s) / n) * (m - n / 2 < 0 ? -1 : 1);
+      const newLeft = Math.max(left, Math.floor(k - m * s / n + sd));
+      const newRight = Math.min(right, Math.floor(k + (n - m) * s / n + sd));
+      select(ids, coords, k, newLeft, newRight, axis);
+    }
+
+    const t = coords[2 * k + axis];
+    let i = left;
+    let j = right;
+
+    swapItem(ids, coords, left, k);
+    if (coords[2 * right + axis] > t) {
+      swapItem(ids, coords, left, right);
+    }
+
+    while (i < j) {
+      swapItem(ids, coords, i, j);
+      i++;
+      j--;
+      while (coords[2 * i + axis] < t) i++;
+      while (coords[2 * j + axis] > t) j--;
+    }
+
+    if (coords[2 * left + axis] === t) {
+      swapItem(ids, coords, left, j);
+    } else {
+      j++;
+      swapItem(ids, coords, j, right);
+    }
+
+    if (j <= k) left = j + 1;
+    if (k <= j) right = j - 1;
+  }
+}
+
+/**
+ * Arrange points into a KD-tree, splitting alternately by longitude and latitude
+ */
+function sortKdTree(ids, coords, left, right, axis) {
+  if (right - left <= NODE_SIZE) {
+    return;
+  }
+
+  const middle = (left + right) >> 1;
+  select(ids, coords, middle, left, right, axis);
+  sortKdTree(ids, coords, left, middle - 1, 1 - axis);
+  sortKdTree(ids, coords, middle + 1, right, 1 - axis);
+}
+
+/**
+ * Build a location index over a location store
+ *
+ * @param {Object} store - Location store of the country, see location-store.js
+ * @param {string} seedKey - Key the shuffle is seeded with, e.g. the country ID
+ * @returns {Object} Index with isGeoJSON, count, query(bounds), get(id), lngLat(id), tags(id), view(id) and position(id)
+ */
+function buildLocationIndex(store, seedKey) {
+  const count = store.count;
+
+  // Shuffle once so ascending IDs are an even sample of any area (Fisher-Yates)
+  const order = Uint32Array.from({ length: count }, (value, i) => i);
+  const random = createRandom(hashSeed(seedKey));
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const ids = new Uint32Array(count);
+  const coords = new Float64Array(count * 2);
+  order.forEach((position, i) => {
+    const [lng, lat] = store.lngLat(position);
+    ids[i] = i;
+    coords[2 * i] = lng;
+    coords[2 * i + 1] = lat;
+  });
+
+  sortKdTree(ids, coords, 0, count - 1, 0);
+  const allIds = Uint32Array.from(order.keys());
+
+  return {
+    isGeoJSON: store.isGeoJSON,
+    count,
+
+    /**
+     * Find the locations within bounds, in sample order
+     *
+     * @param {number[]|null} bounds - [south, west, north, east], or null for all locations
+     * @returns {Uint32Array} IDs of the matching locations, ascending
+     */
+    query(bounds) {
+      if (!bounds) {
+        return allIds.slice();
+      }
+
+      const [minY, minX, maxY, maxX] = bounds;
+      const result = [];
+      const stack = [0, count - 1, 0];
+
+      while (stack.length > 0) {
+        const axis = stack.pop();
+        const right = stack.pop();
+        const left = stack.pop();
+
+        // Leaves are scanned point by point
+        if (right - left <= NODE_SIZE) {
+          for (let i = left; i <= right; i++) {
+            const x = coords[2 * i];
+            const y = coords[2 * i + 1];
+            if (x >= minX && x <= maxX && y >= minY && y <= maxY) {
+              result.push(ids[i]);
+            }
+          }
+          continue;
+        }
+
+        const middle = (left + right) >> 1;
+        const x = coords[2 * middle];
+        const y = coords[2 * middle + 1];
+        if (x >= minX && x <= maxX && y >= minY && y <= maxY) {
+          result.push(ids[middle]);
+        }
+
+        if (axis === 0 ? minX <= x : minY <= y) {
+          stack.push(left, middle - 1, 1 - axis);
+        }
+        if (axis === 0 ? maxX >= x : maxY >= y) {
+          stack.push(middle + 1, right, 1 - axis);
+        }
+      }
+
+      return Uint32Array.from(result).sort();
+    },
+
+    /**
+     * Get a location in the format of the country file
+     *
+     * @param {number} id - Location ID from query
+     * @returns {Object} GeoJSON feature or { lat, lng } coordinate with its tags
+     */
+    get(id) {
+      return store.get(order[id]);
+    },
+
+    /**
+     * Get the coordinates of a location
+     *
+     * @param {number} id - Location ID from query
+     * @returns {number[]} Longitude and latitude
+     */
+    lngLat(id) {
+      return store.lngLat(order[id]);
+    },
+
+    /**
+     * Get the tags of a location
+     *
+     * @param {number} id - Location ID from query
+     * @returns {string[]} Tags
+     */
+    tags(id) {
+      return store.tags(order[id]);
+    },
+
+    /**
+     * Get the pano ID and camera view of a location
+     *
+     * @param {number} id - Location ID from query
+     * @returns {Object} The panoId, heading, pitch and zoom the location has
+     */
+    view(id) {
+      return store.view(order[id]);
+    },
+
+    /**
+     * Get the position of a location in the country file
+     *
+     * @param {number} id - Location ID from query
+     * @returns {number} Index among the file's locations with valid coordinates
+     */
+    position(id) {
+      return order[id];
+    }
+  };
+}
+
+/**
+ * Get the location index of a country file, loading it on first use or when the file changed
+ *
+ * @param {string} filePath - Path of the country locations file
+ * @param {string} seedKey - Key the sample order is seeded with, e.g. the country ID
+ * @returns {Promise<Object>} Location index, see buildLocationIndex
+ */
+async function getLocationIndex(filePath, seedKey) {
+  const store = await loadLocationStore(filePath);
+  const cached = cache.get(filePath);
+  if (cached && cached.store === store) {
+    return cached.index;
+  }
+
+  const startTime = Date.now();
+  const index = buildLocationIndex(store, seedKey);
+  cache.set(filePath, { store, index });
+  console.log(`Indexed ${index.count} locations from ${filePath} in ${Date.now() - startTime} ms`);
+
+  return index;
+}
+
+/**
+ * Drop all loaded location indexes
+ */
+function clearLocationIndexes() {
+  cache.clear();
+}
+
+module.exports = {
+  buildLocationIndex,
+  getLocationIndex,
+  clearLocationIndexes
+};
@@ -0,0 +1,126 @@
+/**
+ * Location Level of Detail for FourNiner
+ *
+ * This module gives every Street View location a fixed minimum zoom level,
+ * so the map can thin out dense coverage without markers jumping around
+ * between requests. At each zoom level below FULL_DETAIL_ZOOM the world is
+ * divided into a grid of CELL_SIZE screen pixels, and of the locations in a
+ * cell only the first in sample order is shown. Grid cells of a zoom level
+ * lie within the cells of the level above, so a location shown at one zoom
+ * level is shown at every deeper one as well.
+ */
+
+const fs = require('fs');
+
+// From this zoom level on every location is shown
+const FULL_DETAIL_ZOOM = 14;
+
+// Side of a thinning grid cell in screen pixels
+const CELL_SIZE = 4;
+
+// Size of a map tile in screen pixels
+const TILE_SIZE = 256;
+
+// Web Mercator stops at this latitude
+const MAX_LATITUDE = 85.0511287798;
+
+// Minimum zooms by location index
+const indexMinZooms = new WeakMap();
+
+// Minimum zooms of region locations files: file path -> { mtimeMs, minZooms }
+const fileMinZooms = new Map();
+
+/**
+ * Project a location to Web Mercator world coordinates
+ *
+ * @param {number[]} lngLat - Longitude and latitude
+ * @returns {number[]} x from 0 (west) to 1 (east) and y from 0 (north) to 1 (south)
+ */
+function projectLngLat([lng, lat]) {
+  const sin = Math.sin(Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI / 180);
+  return [(lng + 180) / 360, 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)];
+}
+
+/**
+ * Work out the minimum zoom level of each location
+ *
+ * @param {number} count - Number of locations
+ * @param {Function} getLngLat - Returns [lng, lat] of a location by position, in sample order
+ * @returns {Uint8Array} Minimum zoom level by position
+ */
+function computeMinZooms(count, getLngLat) {
+  const minZooms = new Uint8Array(count).fill(FULL_DETAIL_ZOOM);
+  const xs = new Float64Array(count);
+  const ys = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    [xs[i], ys[i]] = projectLngLat(getLngLat(i));
+  }
+
+  // Go from the deepest thinned level up; a location that is first in its cell lowers its minimum zoom
+  for (let zoom = FULL_DETAIL_ZOOM - 1; zoom >= 0; zoom--) {
+    const cellsPerRow = 2 ** zoom * TILE_SIZE / CELL_SIZE;
+    const usedCells = new Set();
+
+    for (let i = 0; i < count; i++) {
+      // Locations hidden at a deeper level are hidden here too
+      if (minZooms[i] > zoom + 1) {
+        continue;
+      }
+
+      const cell = Math.floor(ys[i] * cellsPerRow) * cellsPerRow + Math.floor(xs[i] * cellsPerRow);
+      if (!usedCells.has(cell)) {
+        usedCells.add(cell);
+        minZooms[i] = zoom;
+      }
+    }
+  }
+
+  return minZooms;
+}
+
+/**
+ * Get the minimum zoom level of every location of a country
+ *
+ * @param {Object} locationIndex - Location index, see location-index.js
+ * @returns {Uint8Array} Minimum zoom level by location ID
+ */
+function getIndexMinZooms(locationIndex) {
+  let minZooms = indexMinZooms.get(locationIndex);
+  if (!minZooms) {
+    minZooms = computeMinZooms(locationIndex.count, id => locationIndex.lngLat(id));
+    indexMinZooms.set(locationIndex, minZooms);
+  }
+  return minZooms;
+}
+
+/**
+ * Get the minimum zoom level of the locations in a region locations file
+ *
+ * @param {string} filePath - Path of the file, used to cache the result until it changes
+ * @param {Object[]} locations - Locations of the file, in sample order
+ * @param {boolean} isGeoJSON - Whether the locations are GeoJSON features
+ * @returns {Uint8Array} Minimum zoom level by position in the file
+ */
+function getFileMinZooms(filePath, locations, isGeoJSON) {
+  const { mtimeMs } = fs.statSync(filePath);
+  const cached = fileMinZooms.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs && cached.minZooms.length === locations.length) {
+    return cached.minZooms;
+  }
+
+  const minZooms = computeMinZooms(locations.length, i => isGeoJSON ?
+    locations[i].geometry.coordinates :
+    [locations[i].lng, locations[i].lat]);
+  fileMinZooms.set(filePath, { mtimeMs, minZooms });
+  return minZooms;
+}
+
+module.exports = {
+  FULL_DETAIL_ZOOM,
+  CELL_SIZE,
+  TILE_SIZE,
+  projectLngLat,
+  computeMinZooms,
+  getIndexMinZooms,
+  getFileMinZooms
+};
@@ -0,0 +1,514 @@
+/**
+ * Location Store for FourNiner
+ *
+ * Country files can hold hundreds of thousands of Street View locations,
+ * too many to read and JSON.parse in one go. This module streams a country
+ * file location by location and keeps only what the map needs, coordinates,
+ * tags and the pano and camera view the map author chose, in typed-array
+ * columns.
+ *
+ * The columns are written to <country>.locations.bin next to the country
+ * file the first time it is loaded, so later loads by the server or the
+ * region processors skip parsing entirely. The cache records the size and
+ * modification time of the country file and is rebuilt when either changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Bytes read from a country file at a time
+const READ_CHUNK_SIZE = 1 << 20;
+
+// Arrays of a country file that hold its locations
+const LOCATION_ARRAYS = ['customCoordinates', 'features'];
+
+// Cache file layout; bump the version when it changes
+const CACHE_MAGIC = 'FNLC';
+const CACHE_VERSION = 2;
+const CACHE_HEADER_SIZE = 48;
+
+// Fields of a location that pin its panorama and camera, as in GeoGuessr maps
+const PANO_FIELDS = ['panoId', 'heading', 'pitch', 'zoom'];
+
+// Numeric camera fields, stored together per location
+const VIEW_FIELDS = ['heading', 'pitch', 'zoom'];
+
+// Loaded stores: file path -> { mtimeMs, size, promise }
+const stores = new Map();
+
+// Character codes the parser looks for
+const QUOTE = 0x22;
+const BACKSLASH = 0x5c;
+const OPEN_BRACE = 0x7b;
+const CLOSE_BRACE = 0x7d;
+const OPEN_BRACKET = 0x5b;
+const CLOSE_BRACKET = 0x5d;
+
+/**
+ * Get the [lng, lat] of a location in either file format
+ *
+ * @param {Object} item - GeoJSON feature or { lat, lng } coordinate
+ * @param {boolean} isGeoJSON - Whether the item is a GeoJSON feature
+ * @returns {number[]|null} Longitude and latitude, or null if missing
+ */
+function getLngLat(item, isGeoJSON) {
+  const lngLat = isGeoJSON ?
+    (item && item.geometry && item.geometry.coordinates) :
+    (item && [item.lng, item.lat]);
+
+  if (!lngLat || !Number.isFinite(lngLat[0]) || !Number.isFinite(lngLat[1])) {
+    return null;
+  }
+  return lngLat;
+}
+
+/**
+ * Get the tags of a location in either file format, e.g. ["2019-07"]
+ *
+ * @param {Object} item - GeoJSON feature or { lat, lng } coordinate
+ * @param {boolean} isGeoJSON - Whether the item is a GeoJSON feature
+ * @returns {string[]} Tags, empty if the location has none
+ */
+function getTags(item, isGeoJSON) {
+  const tags = isGeoJSON ?
+    (item.properties && item.properties.tags) :
+    (item.extra && item.extra.tags);
+
+  return Array.isArray(tags) ? tags.filter(tag => typeof tag === 'string') : [];
+}
+
+/**
+ * Get the pano ID and camera view of a location in either file format
+ *
+ * @param {Object} item - GeoJSON feature or { lat, lng } coordinate
+ * @param {boolean} isGeoJSON - Whether the item is a GeoJSON feature
+ * @returns {Object} The panoId, heading, pitch and zoom the location has
+ */
+function getPanoView(item, isGeoJSON) {
+  const source = (isGeoJSON ? item.properties : item) || {};
+  const view = {};
+
+  if (typeof source.panoId === 'string' && source.panoId !== '') {
+    view.panoId = source.panoId;
+  }
+  VIEW_FIELDS.filter(field => Number.isFinite(source[field])).forEach(field => {
+    view[field] = source[field];
+  });
+
+  return view;
+}
+
+/**
+ * Read the locations of a country file one at a time
+ *
+ * Only the customCoordinates or features array at the top level of the file
+ * is parsed; each of its objects is passed to onLocation as soon as it has
+ * been read, so the whole file never has to be in memory.
+ *
+ * @param {string} filePath - Path of the country file
+ * @param {Function} onLocation - Called with each location and whether it is a GeoJSON feature
+ * @returns {Promise<boolean>} Whether the file is a GeoJSON FeatureCollection
+ */
+function streamLocations(filePath, onLocation) {
+  return new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: READ_CHUNK_SIZE });
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let key = ''; // Last string read at the top level of the file
+    let arrayKey = null; // Name of the locations array while reading it
+    let isGeoJSON = false;
+    let itemParts = null; // Text of the location being read, split across chunks
+
+    stream.on('data', chunk => {
+      try {
+        let itemStart = 0;
+
+        for (let i = 0; i < chunk.length; i++) {
+          const char = chunk.charCodeAt(i);
+
+          if (inString) {
+            if (escaped) {
+              escaped = false;
+            } else if (char === BACKSLASH) {
+              escaped = true;
+            } else if (char === QUOTE) {
+              inString = false;
+            } else if (depth === 1) {
+              key += chunk[i];
+            }
+            continue;
+          }
+
+          if (char === QUOTE) {
+            inString = true;
+            if (depth === 1) {
+              key = '';
+            }
+          } else if (char === OPEN_BRACE || char === OPEN_BRACKET) {
+            if (depth === 1 && char === OPEN_BRACKET && LOCATION_ARRAYS.includes(key)) {
+              arrayKey = key;
+              isGeoJSON = key === 'features';
+            } else if (depth === 2 && arrayKey && char === OPEN_BRACE) {
+              itemParts = [];
+              itemStart = i;
+            }
+            depth++;
+          } else if (char === CLOSE_BRACE || char === CLOSE_BRACKET) {
+            depth--;
+            if (depth === 2 && itemParts) {
+              itemParts.push(chunk.slice(itemStart, i + 1));
+              onLocation(JSON.parse(itemParts.join('')), isGeoJSON);
+              itemParts = null;
+            } else if (depth === 1 && arrayKey) {
+              arrayKey = null;
+            }
+          }
+        }
+
+        if (itemParts) {
+          itemParts.push(chunk.slice(itemStart));
+        }
+      } catch (error) {
+        stream.destroy();
+        reject(new Error(`Could not parse ${filePath}: ${error.message}`));
+      }
+    });
+
+    stream.on('end', () => {
+      if (depth !== 0 || inString) {
+        reject(new Error(`Could not parse ${filePath}: unexpected end of file`));
+      } else {
+        resolve(isGeoJSON);
+      }
+    });
+
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Parse a country file into location columns
+ *
+ * @param {string} filePath - Path of the country file
+ * @returns {Promise<Object>} Columns, see createLocationStore
+ */
+async function parseLocationsFile(filePath) {
+  const lngs = [];
+  const lats = [];
+  const tagOffsets = [0];
+  const tagIds = [];
+  const tagNames = [];
+  const tagIdsByName = new Map();
+  const views = [];
+  const panoOffsets = [0];
+  const panoIds = [];
+  let panoBytes = 0;
+  let skipped = 0;
+
+  const isGeoJSON = await streamLocations(filePath, (item, itemIsGeoJSON) => {
+    const lngLat = getLngLat(item, itemIsGeoJSON);
+    if (!lngLat) {
+      skipped++;
+      return;
+    }
+
+    lngs.push(lngLat[0]);
+    lats.push(lngLat[1]);
+
+    getTags(item, itemIsGeoJSON).forEach(tag => {
+      if (!tagIdsByName.has(tag)) {
+        tagIdsByName.set(tag, tagNames.length);
+        tagNames.push(tag);
+      }
+      tagIds.push(tagIdsByName.get(tag));
+    });
+    tagOffsets.push(tagIds.length);
+
+    // Missing camera fields are stored as NaN, a missing pano ID as an empty string
+    const view = getPanoView(item, itemIsGeoJSON);
+    VIEW_FIELDS.forEach(field => views.push(view[field] !== undefined ? view[field] : NaN));
+    const panoId = Buffer.from(view.panoId || '', 'utf8');
+    panoIds.push(panoId);
+    panoBytes += panoId.length;
+    panoOffsets.push(panoBytes);
+  });
+
+  if (skipped > 0) {
+    console.warn(`Skipped ${skipped} locations without valid coordinates in ${filePath}`);
+  }
+
+  return {
+    isGeoJSON,
+    lngs: Float64Array.from(lngs),
+    lats: Float64Array.from(lats),
+    tagOffsets: Uint32Array.from(tagOffsets),
+    tagIds: Uint32Array.from(tagIds),
+    tagNames,
+    views: Float64Array.from(views),
+    panoOffsets: Uint32Array.from(panoOffsets),
+    panoIds: Buffer.concat(panoIds)
+  };
+}
+
+/**
+ * Get the path of the cache file of a country file
+ *
+ * @param {string} filePath - Path of the country file
+ * @returns {string} Path of <country>.locations.bin next to it
+ */
+function getCachePath(filePath) {
+  return path.join(path.dirname(filePath), `${path.basename(filePath, '.json')}.locations.bin`);
+}
+
+/**
+ * Write location columns to a cache file
+ *
+ * The header holds the format version, the location, tag and tag name byte
+ * counts, the size and modification time of the country file and the pano ID
+ * byte count. The columns follow in order: longitudes, latitudes, camera
+ * views, tag offsets, tag IDs, pano ID offsets, the tag names as JSON and the
+ * pano IDs.
+ *
+ * @param {string} cachePath - Path of the cache file
+ * @param {Object} columns - Location columns
+ * @param {{mtimeMs: number, size: number}} source - Country file the columns were read from
+ */
+function writeCacheFile(cachePath, columns, source) {
+  const tagNames = Buffer.from(JSON.stringify(columns.tagNames), 'utf8');
+  const header = Buffer.alloc(CACHE_HEADER_SIZE);
+  header.write(CACHE_MAGIC, 0, 'ascii');
+  header.writeUInt32LE(CACHE_VERSION, 4);
+  header.writeUInt32LE(columns.isGeoJSON ? 1 : 0, 8);
+  header.writeUInt32LE(columns.lngs.length, 12);
+  header.writeUInt32LE(columns.tagIds.length, 16);
+  header.writeUInt32LE(tagNames.length, 20);
+  header.writeDoubleLE(source.size, 24);
+  header.writeDoubleLE(source.mtimeMs, 32);
+  header.writeUInt32LE(columns.panoIds.length, 40);
+
+  const toBuffer = column => Buffer.from(column.buffer, column.byteOffset, column.byteLength);
+
+  // Write to a temporary file first so a reader never sees half a cache
+  const tempPath = `${cachePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, Buffer.concat([
+    header,
+    toBuffer(columns.lngs),
+    toBuffer(columns.lats),
+    toBuffer(columns.views),
+    toBuffer(columns.tagOffsets),
+    toBuffer(columns.tagIds),
+    toBuffer(columns.panoOffsets),
+    tagNames,
+    columns.panoIds
+  ]));
+  fs.renameSync(tempPath, cachePath);
+}
+
+/**
+ * Read location columns from a cache file if it matches the country file
+ *
+ * @param {string} cachePath - Path of the cache file
+ * @param {{mtimeMs: number, size: number}} source - Current state of the country file
+ * @returns {Object|null} Columns, or null if the cache is missing, stale or unreadable
+ */
+function readCacheFile(cachePath, source) {
+  if (!fs.existsSync(cachePath)) {
+    return null;
+  }
+
+  const buffer = fs.readFileSync(cachePath);
+  if (buffer.length < CACHE_HEADER_SIZE ||
+      buffer.toString('ascii', 0, 4) !== CACHE_MAGIC ||
+      buffer.readUInt32LE(4) !== CACHE_VERSION ||
+      buffer.readDoubleLE(24) !== source.size ||
+      buffer.readDoubleLE(32) !== source.mtimeMs) {
+    return null;
+  }
+
+  const count = buffer.readUInt32LE(12);
+  const tagIdCount = buffer.readUInt32LE(16);
+  const tagNamesLength = buffer.readUInt32LE(20);
+  const panoIdsLength = buffer.readUInt32LE(40);
+  if (buffer.length !== CACHE_HEADER_SIZE + count * 48 + 8 + tagIdCount * 4 + tagNamesLength + panoIdsLength) {
+    return null;
+  }
+
+  // Copy each column out, as the buffer's offset may not suit the typed array
+  let offset = CACHE_HEADER_SIZE;
+  const readColumn = (Type, length) => {
+    const column = new Type(length);
+    new Uint8Array(column.buffer).set(buffer.subarray(offset, offset + column.byteLength));
+    offset += column.byteLength;
+    return column;
+  };
+
+  const lngs = readColumn(Float64Array, count);
+  const lats = readColumn(Float64Array, count);
+  const views = readColumn(Float64Array, count * VIEW_FIELDS.length);
+  const tagOffsets = readColumn(Uint32Array, count + 1);
+  const tagIds = readColumn(Uint32Array, tagIdCount);
+  const panoOffsets = readColumn(Uint32Array, count + 1);
+  const tagNames = JSON.parse(buffer.toString('utf8', offset, offset + tagNamesLength));
+  const panoIds = Buffer.from(buffer.subarray(offset + tagNamesLength));
+
+  return { isGeoJSON: buffer.readUInt32LE(8) === 1, lngs, lats, tagOffsets, tagIds, tagNames, views, panoOffsets, panoIds };
+}
+
+/**
+ * Create a location store from its columns
+ *
+ * @param {Object} columns - Location columns
+ * @param {boolean} columns.isGeoJSON - Whether the country file is GeoJSON
+ * @param {Float64Array} columns.lngs - Longitude of each location
+ * @param {Float64Array} columns.lats - Latitude of each location
+ * @param {Uint32Array} columns.tagOffsets - Where each location's tags start in tagIds, plus the end
+ * @param {Uint32Array} columns.tagIds - Tags of all locations as positions in tagNames
+ * @param {string[]} columns.tagNames - Distinct tags
+ * @param {Float64Array} columns.views - Heading, pitch and zoom of each location, NaN where missing
+ * @param {Uint32Array} columns.panoOffsets - Where each location's pano ID starts in panoIds, plus the end
+ * @param {Buffer} columns.panoIds - Pano IDs of all locations as UTF-8
+ * @returns {Object} Store with isGeoJSON, count, lngLat(i), tags(i), view(i) and get(i)
+ */
+function createLocationStore(columns) {
+  const { isGeoJSON, lngs, lats, tagOffsets, tagIds, tagNames, views, panoOffsets, panoIds } = columns;
+
+  const tagsOf = i => Array.from(tagIds.subarray(tagOffsets[i], tagOffsets[i + 1]), id => tagNames[id]);
+
+  const viewOf = i => {
+    const view = {};
+    if (panoOffsets[i + 1] > panoOffsets[i]) {
+      view.panoId = panoIds.toString('utf8', panoOffsets[i], panoOffsets[i + 1]);
+    }
+    VIEW_FIELDS.forEach((field, f) => {
+      const value = views[i * VIEW_FIELDS.length + f];
+      if (!Number.isNaN(value)) {
+        view[field] = value;
+      }
+    });
+    return view;
+  };
+
+  return {
+    isGeoJSON,
+    count: lngs.length,
+
+    /**
+     * @param {number} i - Position of the location in the country file, skipping invalid ones
+     * @returns {number[]} Longitude and latitude
+     */
+    lngLat(i) {
+      return [lngs[i], lats[i]];
+    },
+
+    /**
+     * @param {number} i - Position of the location
+     * @returns {string[]} Tags of the location
+     */
+    tags(i) {
+      return tagsOf(i);
+    },
+
+    /**
+     * @param {number} i - Position of the location
+     * @returns {Object} The panoId, heading, pitch and zoom the location has
+     */
+    view(i) {
+      return viewOf(i);
+    },
+
+    /**
+     * Get a location in the format of the country file
+     *
+     * @param {number} i - Position of the location
+     * @returns {Object} GeoJSON feature or { lat, lng } coordinate with its pano, view and tags
+     */
+    get(i) {
+      const tags = tagsOf(i);
+
+      if (isGeoJSON) {
+        return {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [lngs[i], lats[i]] },
+          properties: { ...viewOf(i), tags }
+        };
+      }
+
+      const location = { lat: lats[i], lng: lngs[i], ...viewOf(i) };
+      if (tags.length > 0) {
+        location.extra = { tags };
+      }
+      return location;
+    }
+  };
+}
+
+/**
+ * Read a country file, from its cache if that is up to date
+ */
+async function readLocationStore(filePath, source) {
+  const startTime = Date.now();
+  const cachePath = getCachePath(filePath);
+
+  let columns = readCacheFile(cachePath, source);
+  if (columns) {
+    console.log(`Loaded ${columns.lngs.length} locations from ${cachePath} in ${Date.now() - startTime} ms`);
+    return createLocationStore(columns);
+  }
+
+  columns = await parseLocationsFile(filePath);
+  console.log(`Parsed ${columns.lngs.length} locations from ${filePath} in ${Date.now() - startTime} ms`);
+
+  try {
+    writeCacheFile(cachePath, columns, source);
+  } catch (error) {
+    console.warn(`Could not write location cache ${cachePath}: ${error.message}`);
+  }
+
+  return createLocationStore(columns);
+}
+
+/**
+ * Get the location store of a country file, loading it on first use or when the file changed
+ *
+ * Concurrent calls for the same file share one load.
+ *
+ * @param {string} filePath - Path of the country locations file
+ * @returns {Promise<Object>} Location store, see createLocationStore
+ */
+async function loadLocationStore(filePath) {
+  const { mtimeMs, size } = fs.statSync(filePath);
+  const cached = stores.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+    return cached.promise;
+  }
+
+  const promise = readLocationStore(filePath, { mtimeMs, size });
+  stores.set(filePath, { mtimeMs, size, promise });
+
+  // Let the next call try again after a failed load
+  promise.catch(() => {
+    if (stores.get(filePath) && stores.get(filePath).promise === promise) {
+      stores.delete(filePath);
+    }
+  });
+
+  return promise;
+}
+
+/**
+ * Drop all loaded location stores
+ */
+function clearLocationStores() {
+  stores.clear();
+}
+
+module.exports = {
+  PANO_FIELDS,
+  getLngLat,
+  getPanoView,
+  streamLocations,
+  createLocationStore,
+  loadLocationStore,
+  clearLocationStores
+};
@@ -0,0 +1,193 @@
+/**
+ * Location Tiles for FourNiner
+ *
+ * This module cuts the Street View locations of a country into map tiles, so
+ * the browser can draw the full coverage as a tile layer instead of fetching
+ * markers for the visible area on every move. Tiles use the format geojson-vt
+ * produces and leaflet-geojson-vt draws: each location is a point feature
+ * (type 1) in tile coordinates from 0 to TILE_EXTENT, with a tags object
+ * holding the location's pano ID and camera view, so a click on the map can
+ * open the exact panorama.
+ *
+ * A tile holds the locations whose minimum zoom level (see location-lod.js)
+ * is at most the tile's, so neighbouring tiles agree on the locations drawn
+ * along their shared edge and zooming in only ever adds locations.
+ */
+
+const fs = require('fs');
+const { CELL_SIZE, TILE_SIZE, projectLngLat, getIndexMinZooms } = require('./location-lod');
+const { prepareRegion, regionContains } = require('./region-locations');
+
+// Size of a tile in tile coordinates
+const TILE_EXTENT = 4096;
+
+// Highest zoom level tiles are served for
+const MAX_TILE_ZOOM = 22;
+
+// Tiles kept in memory per location index
+const MAX_CACHED_TILES = 1000;
+
+// Marks a location whose region hasn't been looked up yet
+const UNKNOWN_REGION = -2;
+
+// Thinned tile points by location index: index -> Map of 'z/x/y' -> points
+const tileCache = new WeakMap();
+
+// Region lookups: regions file path -> { mtimeMs, locationIndex, lookup }
+const regionLookups = new Map();
+
+/**
+ * Convert a Web Mercator y between 0 and 1 back to a latitude
+ */
+function yToLat(y) {
+  return Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180 / Math.PI;
+}
+
+/**
+ * Check whether a tile exists at its zoom level
+ *
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {boolean} True if the tile is on the map
+ */
+function isValidTile(z, x, y) {
+  const scale = 2 ** z;
+  return z <= MAX_TILE_ZOOM && x < scale && y < scale;
+}
+
+/**
+ * Get the area a tile covers
+ *
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @param {number} buffer - Extra margin around the tile, as a fraction of the tile size
+ * @returns {number[]} [south, west, north, east]
+ */
+function getTileBounds(z, x, y, buffer = 0) {
+  const scale = 2 ** z;
+  return [
+    yToLat(Math.min(1, (y + 1 + buffer) / scale)),
+    (x - buffer) / scale * 360 - 180,
+    yToLat(Math.max(0, (y - buffer) / scale)),
+    (x + 1 + buffer) / scale * 360 - 180
+  ];
+}
+
+/**
+ * Find the locations drawn on a tile at its zoom level
+ *
+ * @param {Object} locationIndex - Location index of the country
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {{id: number, x: number, y: number}[]} Location IDs with their tile coordinates
+ */
+function getTilePoints(locationIndex, z, x, y) {
+  let tiles = tileCache.get(locationIndex);
+  if (!tiles) {
+    tiles = new Map();
+    tileCache.set(locationIndex, tiles);
+  }
+
+  const key = `${z}/${x}/${y}`;
+  if (tiles.has(key)) {
+    return tiles.get(key);
+  }
+
+  const scale = 2 ** z;
+  const minZooms = getIndexMinZooms(locationIndex);
+  const points = [];
+
+  // Query a grid cell beyond the edges so dots near the edge aren't cut off
+  const ids = locationIndex.query(getTileBounds(z, x, y, CELL_SIZE / TILE_SIZE));
+  for (const id of ids) {
+    if (minZooms[id] > z) {
+      continue;
+    }
+
+    const [worldX, worldY] = projectLngLat(locationIndex.lngLat(id));
+    points.push({
+      id,
+      x: Math.round((worldX * scale - x) * TILE_EXTENT),
+      y: Math.round((worldY * scale - y) * TILE_EXTENT)
+    });
+  }
+
+  // Drop the oldest tile once the cache is full
+  if (tiles.size >= MAX_CACHED_TILES) {
+    tiles.delete(tiles.keys().next().value);
+  }
+  tiles.set(key, points);
+
+  return points;
+}
+
+/**
+ * Build a location tile
+ *
+ * @param {Object} locationIndex - Location index of the country, see location-index.js
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @param {Function} getTags - Returns more tags of a location ID (optional)
+ * @returns {{extent: number, features: Object[]}} Tile in the geojson-vt format
+ */
+function buildLocationTile(locationIndex, z, x, y, getTags = null) {
+  const points = getTilePoints(locationIndex, z, x, y);
+
+  return {
+    extent: TILE_EXTENT,
+    features: points.map(point => ({
+      type: 1,
+      geometry: [[point.x, point.y]],
+      tags: { ...locationIndex.view(point.id), ...(getTags ? getTags(point.id) : {}) }
+    }))
+  };
+}
+
+/**
+ * Get a function that finds the region of a location
+ *
+ * Regions are looked up once per location, the first time a tile needs it,
+ * and looked up again when the regions file or the country file changes.
+ *
+ * @param {string} regionsPath - Path of the regions GeoJSON file
+ * @param {Object} locationIndex - Location index of the country
+ * @returns {Function} Maps a location ID to its region feature, or null outside all regions
+ */
+function getRegionLookup(regionsPath, locationIndex) {
+  const { mtimeMs } = fs.statSync(regionsPath);
+  const cached = regionLookups.get(regionsPath);
+  if (cached && cached.mtimeMs === mtimeMs && cached.locationIndex === locationIndex) {
+    return cached.lookup;
+  }
+
+  const regions = (JSON.parse(fs.readFileSync(regionsPath, 'utf8')).features || [])
+    .filter(feature => feature.geometry)
+    .map(prepareRegion);
+  const regionOfLocation = new Int32Array(locationIndex.count).fill(UNKNOWN_REGION);
+
+  const lookup = id => {
+    if (regionOfLocation[id] === UNKNOWN_REGION) {
+      const lngLat = locationIndex.lngLat(id);
+      regionOfLocation[id] = regions.findIndex(region => regionContains(region, lngLat));
+    }
+
+    const regionIndex = regionOfLocation[id];
+    return regionIndex === -1 ? null : regions[regionIndex].feature;
+  };
+
+  regionLookups.set(regionsPath, { mtimeMs, locationIndex, lookup });
+  return lookup;
+}
+
+module.exports = {
+  TILE_EXTENT,
+  MAX_TILE_ZOOM,
+  isValidTile,
+  getTileBounds,
+  buildLocationTile,
+  getRegionLookup
+};
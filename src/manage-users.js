@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * User Management CLI Tool for FourNiner
+ *
+ * This script adds and removes the user profiles of a shared server and hands
+ * out their sign-in tokens. Tokens are printed once and only their hash is kept.
+ */
+
+const { listUsers, addUser, resetToken, removeUser, getUsersPath } = require('./user-profiles');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const positional = [];
+const options = {};
+let showHelp = false;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--name' && i + 1 < args.length) {
+    options.name = args[i + 1];
+    i++; // Skip the next argument
+  } else if (args[i] === '--folder' && i + 1 < args.length) {
+    options.folder = args[i + 1];
+    i++; // Skip the next argument
+  } else if (args[i] === '--help' || args[i] === '-h') {
+    showHelp = true;
+  } else {
+    positional.push(args[i]);
+  }
+}
+
+const [command, userId] = positional;
+
+// Display help if requested
+if (showHelp || !command) {
+  console.log(`
+FourNiner Users
+---------------
+Manage the user profiles of a shared server. With no users the server runs
+without authentication.
+
+Usage:
+  node manage-users.js <command> [user] [options]
+
+Commands:
+  list                 List the users
+  add <id>             Add a user and print their token
+  reset-token <id>     Print a new token for a user, the old one stops working
+  remove <id>          Remove a user (their notes stay in the vault)
+
+Options:
+  --name <name>        Display name of a new user
+  --folder <path>      Folder of a new user inside the vault (default: users/<id>)
+  --help, -h           Show this help message
+
+Users are stored in ${getUsersPath()}
+(set FOURNINER_USERS to use a different file).
+
+Examples:
+  node manage-users.js add alice --name "Alice"
+  node manage-users.js reset-token alice
+  `);
+  process.exit(showHelp ? 0 : 1);
+}
+
+// Main function
+function main() {
+  if (command === 'list') {
+    const users = listUsers();
+    if (users.length === 0) {
+      console.log('No users, the server runs in single-user mode.');
+      return;
+    }
+    users.forEach(user => {
+      console.log(`  ${user.id.padEnd(20)} ${user.name.padEnd(24)} ${user.namespace}`);
+    });
+    return;
+  }
+
+  if (!userId) {
+    console.error(`Missing user ID for ${command}`);
+    process.exit(1);
+  }
+
+  if (command === 'add') {
+    const { user, token } = addUser(userId, options);
+    console.log(`Added ${user.name} (${user.id}), notes go to ${user.namespace} in the vault`);
+    console.log(`Token: ${token}`);
+    console.log('Share the token with the user, it is not shown again.');
+  } else if (command === 'reset-token') {
+    console.log(`New token for ${userId}: ${resetToken(userId)}`);
+  } else if (command === 'remove') {
+    removeUser(userId);
+    console.log(`Removed ${userId}`);
+  } else {
+    console.error(`Unknown command: ${command}`);
+    process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Error:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,79 @@
+/**
+ * Markdown Storage for FourNiner
+ *
+ * This backend keeps every region note as a .md file in an Obsidian vault,
+ * read through a vault index (see vault-index.js) that watches the folder.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createVaultIndex } = require('./vault-index');
+const { resolveVaultPath } = require('./request-validation');
+
+/**
+ * Create a markdown vault storage backend
+ *
+ * @param {string} rootPath - Regions folder of the vault
+ * @returns {Object} Storage backend, see storage.js
+ */
+function createMarkdownStorage(rootPath) {
+  const vaultIndex = createVaultIndex();
+
+  return {
+    type: 'markdown',
+    path: rootPath,
+    events: vaultIndex.events,
+
+    open() {
+      return vaultIndex.openVault(rootPath);
+    },
+
+    close() {
+      vaultIndex.closeVault();
+    },
+
+    getProgress(options = {}) {
+      return vaultIndex.getProgress(options);
+    },
+
+    getNote(country, cellId) {
+      return vaultIndex.getNote(country, cellId);
+    },
+
+    listNotes(country = null) {
+      return vaultIndex.listNotes(country);
+    },
+
+    // Read from disk rather than the index so edits made in Obsidian aren't lost
+    readNote(country, cellId) {
+      const filePath = resolveVaultPath(rootPath, country, `${cellId}.md`);
+      return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    },
+
+    writeNote(country, cellId, content) {
+      const filePath = resolveVaultPath(rootPath, country, `${cellId}.md`);
+
+      if (content === null) {
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      } else {
+        // Create country directory if it doesn't exist
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+      }
+
+      // Update the index right away instead of waiting for the file watcher
+      vaultIndex.refreshNote(country, cellId);
+    },
+
+    // Re-read a note that was written to the vault by other means, e.g. the vault check
+    refreshNote(country, cellId) {
+      return vaultIndex.refreshNote(country, cellId);
+    }
+  };
+}
+
+module.exports = {
+  createMarkdownStorage
+};
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Storage Migration CLI Tool for FourNiner
+ *
+ * This script copies the progress, flashcards and images of a vault from one
+ * storage backend to another, e.g. from an Obsidian vault into a JSON store
+ * for use without Obsidian, or back.
+ */
+
+const path = require('path');
+const { loadVaultConfig, VAULT_FLAGS } = require('./vault-config');
+const { createStorage, migrateStorage, STORAGE_TYPES } = require('./storage');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+let targetPath = null;
+let targetType = null;
+let overwrite = false;
+let dryRun = false;
+let showHelp = false;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--to' && i + 1 < args.length) {
+    targetPath = args[i + 1];
+    i++; // Skip the next argument
+  } else if (args[i] === '--to-storage' && i + 1 < args.length) {
+    targetType = args[i + 1];
+    i++; // Skip the next argument
+  } else if (args[i] === '--overwrite') {
+    overwrite = true;
+  } else if (args[i] === '--dry-run' || args[i] === '-n') {
+    dryRun = true;
+  } else if (VAULT_FLAGS.includes(args[i])) {
+    i++; // Read by loadVaultConfig
+  } else if (args[i] === '--help' || args[i] === '-h') {
+    showHelp = true;
+  }
+}
+
+// Display help if requested
+if (showHelp || !targetPath) {
+  console.log(`
+FourNiner Storage Migration
+---------------------------
+Copy progress, flashcards and images from the configured vault to another storage backend.
+
+Usage:
+  node migrate-storage.js --to <path> [options]
+
+Options:
+  --to <path>           Folder of the target vault or store
+  --to-storage <type>   Backend of the target: ${Object.keys(STORAGE_TYPES).join(' or ')}
+                        (default: the one the source doesn't use)
+  --overwrite           Replace notes the target already has with different content
+  --dry-run, -n         Only report what would be copied
+  --vault <path>        Copy from this vault instead of the configured one
+  --storage <type>      Backend of the --vault folder (default: markdown)
+  --profile <id>        Copy from the vault of this profile
+  --help, -h            Show this help message
+
+Examples:
+  node migrate-storage.js --to ./data                     # Obsidian vault -> JSON store
+  node migrate-storage.js --vault ./data --storage json --to ~/Obsidian/Regions
+  `);
+  process.exit(showHelp ? 0 : 1);
+}
+
+// Main function
+function main() {
+  const profile = loadVaultConfig();
+  const sourceType = profile.storage;
+  const type = targetType || Object.keys(STORAGE_TYPES).find(name => name !== sourceType);
+  const resolvedTarget = path.resolve(targetPath);
+
+  if (type === sourceType && resolvedTarget === profile.path) {
+    console.error('Source and target are the same, choose a different --to or --to-storage');
+    process.exit(1);
+  }
+
+  const source = createStorage(sourceType, profile.path);
+  const target = createStorage(type, resolvedTarget);
+
+  console.log(`${dryRun ? 'Checking' : 'Copying'} ${sourceType} storage ${profile.path} -> ${type} storage ${resolvedTarget}...`);
+
+  source.open();
+  target.open();
+
+  try {
+    const result = migrateStorage(source, target, { overwrite, dryRun });
+
+    if (result.conflicts.length > 0) {
+      console.log(`\nNotes that differ in the target (${result.conflicts.length})${overwrite ? ' - overwritten' : ' - kept'}`);
+      console.log('-'.repeat(40));
+      result.conflicts.forEach(conflict => {
+        console.log(`  ${conflict.country}/${conflict.cellId}`);
+      });
+    }
+
+    const { notes, images } = result;
+    console.log(`\n${dryRun ? 'Would copy' : 'Copied'} ${notes.copied} notes and ${images.copied} images`);
+    console.log(`${notes.unchanged} notes and ${images.existing} images were already in the target`);
+    if (notes.overwritten > 0) {
+      console.log(`${notes.overwritten} notes ${dryRun ? 'would be' : 'were'} overwritten`);
+    }
+    if (notes.skipped > 0) {
+      console.log(`${notes.skipped} differing notes were kept, run with --overwrite to replace them`);
+    }
+  } finally {
+    source.close();
+    target.close();
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Error migrating storage:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,281 @@
+/**
+ * Region Export for FourNiner
+ *
+ * Converts the natural or administrative regions of a country to files that
+ * Google Earth, QGIS and phone map apps open: KML with one styled polygon per
+ * region, GPX with the region centroids as waypoints, and plain GeoJSON.
+ *
+ * Every region carries the same attributes in each format: its ID (the
+ * directional ID of natural regions, the region code of administrative ones),
+ * name, point count, most common coverage years and the learning status from
+ * the user's progress.
+ */
+
+const turf = require('@turf/turf');
+const { getRegionNoteId } = require('./countries');
+const { findRegionLocationIds } = require('./region-locations');
+
+// Supported formats with their content type and file extension
+const EXPORT_FORMATS = {
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+// Map colors of the learning statuses (rrggbb)
+const STATUS_COLORS = {
+  untouched: 'ecf0f1',
+  learning: 'f39c12',
+  mastered: '27ae60'
+};
+
+// Most common years kept per region, as in the region generator
+const MAX_YEARS = 3;
+
+/**
+ * Escape text for XML content and attributes
+ *
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Find the most common years among the tags of a region's locations
+ *
+ * @param {number[]} ids - Location IDs inside the region
+ * @param {Object} locationIndex - Location index of the country
+ * @returns {number[]} Up to MAX_YEARS years, most common first
+ */
+function countYears(ids, locationIndex) {
+  const yearCounts = new Map();
+  ids.forEach(id => {
+    locationIndex.tags(id).forEach(tag => {
+      const match = String(tag).match(/^(\d{4})/);
+      if (match) {
+        const year = parseInt(match[1], 10);
+        yearCounts.set(year, (yearCounts.get(year) || 0) + 1);
+      }
+    });
+  });
+
+  return Array.from(yearCounts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_YEARS)
+    .map(([year]) => year);
+}
+
+/**
+ * Collect the exported attributes of a region
+ *
+ * Point counts and years are counted from the locations inside the region
+ * when the country data is available. Otherwise the values the generator
+ * stored are used; it counts a sample of the locations, and administrative
+ * regions have no years.
+ *
+ * @param {Object} region - GeoJSON region feature
+ * @param {Object} options - useAdminRegions, progress and locationIndex
+ * @returns {Object} id, name (null if the region has none), pointCount, years and status
+ */
+function describeRegion(region, options) {
+  const props = region.properties || {};
+  const noteId = getRegionNoteId(region, options.useAdminRegions);
+  const id = options.useAdminRegions ? noteId : String(props.clusterID);
+
+  let name;
+  if (options.useAdminRegions) {
+    name = props.name || null;
+  } else {
+    name = props.regionName && props.regionName.displayName ? props.regionName.displayName : null;
+  }
+
+  let pointCount;
+  let years;
+  if (options.locationIndex) {
+    const ids = findRegionLocationIds(region, options.locationIndex);
+    pointCount = ids.length;
+    years = countYears(ids, options.locationIndex);
+  } else {
+    pointCount = props.pointCount || 0;
+    years = Array.isArray(props.yearTags) ? props.yearTags.map(entry => entry.year) : [];
+  }
+
+  return {
+    id,
+    name,
+    pointCount,
+    years,
+    status: (options.progress && options.progress[noteId]) || 'untouched'
+  };
+}
+
+/**
+ * Get the label of a region on the map
+ *
+ * @param {Object} info - Region attributes from describeRegion
+ * @returns {string} ID and name, e.g. 'N1 - Moscow'
+ */
+function labelRegion(info) {
+  return info.name ? `${info.id} - ${info.name}` : `Region ${info.id}`;
+}
+
+/**
+ * Describe a region's attributes as one line of text
+ *
+ * @param {Object} info - Region attributes from describeRegion
+ * @returns {string} Description
+ */
+function describeInfo(info) {
+  const years = info.years.length > 0 ? info.years.join(', ') : 'unknown';
+  return `Status: ${info.status}. ${info.pointCount} locations. Years: ${years}.`;
+}
+
+/**
+ * Convert a ring of coordinates to KML
+ *
+ * @param {number[][]} ring - Ring of [lng, lat] positions
+ * @returns {string} LinearRing element
+ */
+function kmlRing(ring) {
+  const coordinates = ring.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+  return `<LinearRing><coordinates>${coordinates}</coordinates></LinearRing>`;
+}
+
+/**
+ * Convert a Polygon or MultiPolygon geometry to KML
+ *
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {string} Polygon or MultiGeometry element
+ */
+function kmlGeometry(geometry) {
+  const polygon = rings => {
+    const [outer, ...holes] = rings;
+    return '<Polygon>' +
+      `<outerBoundaryIs>${kmlRing(outer)}</outerBoundaryIs>` +
+      holes.map(hole => `<innerBoundaryIs>${kmlRing(hole)}</innerBoundaryIs>`).join('') +
+      '</Polygon>';
+  };
+
+  if (geometry.type === 'MultiPolygon') {
+    return `<MultiGeometry>${geometry.coordinates.map(polygon).join('')}</MultiGeometry>`;
+  }
+  return polygon(geometry.coordinates);
+}
+
+/**
+ * Build a KML document of the regions
+ *
+ * @param {string} title - Document name
+ * @param {Object[]} entries - Regions with their attributes ({ region, info })
+ * @returns {string} KML document
+ */
+function buildKml(title, entries) {
+  // KML colors are written alpha, blue, green, red
+  const styles = Object.entries(STATUS_COLORS).map(([status, rgb]) => {
+    const bgr = rgb.slice(4, 6) + rgb.slice(2, 4) + rgb.slice(0, 2);
+    return `    <Style id="${status}">` +
+      `<LineStyle><color>ff333333</color><width>1</width></LineStyle>` +
+      `<PolyStyle><color>99${bgr}</color></PolyStyle>` +
+      '</Style>';
+  });
+
+  const placemarks = entries.map(({ region, info }) => {
+    const data = Object.entries({ ...info, name: info.name || '', years: info.years.join(',') })
+      .map(([key, value]) => `<Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+      .join('');
+    return '    <Placemark>' +
+      `<name>${escapeXml(labelRegion(info))}</name>` +
+      `<description>${escapeXml(describeInfo(info))}</description>` +
+      `<styleUrl>#${info.status}</styleUrl>` +
+      `<ExtendedData>${data}</ExtendedData>` +
+      kmlGeometry(region.geometry) +
+      '</Placemark>';
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(title)}</name>`,
+    ...styles,
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Build a GPX file with a waypoint at the centroid of each region
+ *
+ * @param {string} title - File name in the metadata
+ * @param {Object[]} entries - Regions with their attributes ({ region, info })
+ * @returns {string} GPX document
+ */
+function buildGpx(title, entries) {
+  const waypoints = entries.map(({ region, info }) => {
+    const [lng, lat] = turf.centroid(region).geometry.coordinates;
+    return `  <wpt lat="${lat}" lon="${lng}">` +
+      `<name>${escapeXml(labelRegion(info))}</name>` +
+      `<desc>${escapeXml(describeInfo(info))}</desc>` +
+      `<type>${escapeXml(info.status)}</type>` +
+      '</wpt>';
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="FourNiner" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(title)}</name></metadata>`,
+    ...waypoints,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Export the regions of a country
+ *
+ * @param {Object} regions - GeoJSON FeatureCollection of the regions
+ * @param {Object} options - Export options
+ * @param {string} options.format - 'kml', 'gpx' or 'geojson'
+ * @param {string} options.title - Document name, e.g. 'Russia regions'
+ * @param {boolean} options.useAdminRegions - Whether the regions are administrative regions
+ * @param {Object} options.progress - Learning status by note ID for the country ('rN1' or a region code)
+ * @param {Object} options.locationIndex - Location index of the country, to count the locations of each region (optional)
+ * @returns {Object} content, contentType and extension
+ */
+function exportRegions(regions, options) {
+  const format = EXPORT_FORMATS[options.format];
+  if (!format) {
+    throw new Error(`Unknown export format: ${options.format}`);
+  }
+
+  const entries = regions.features.map(region => ({ region, info: describeRegion(region, options) }));
+
+  let content;
+  if (options.format === 'kml') {
+    content = buildKml(options.title, entries);
+  } else if (options.format === 'gpx') {
+    content = buildGpx(options.title, entries);
+  } else {
+    content = JSON.stringify({
+      type: 'FeatureCollection',
+      name: options.title,
+      features: entries.map(({ region, info }) => ({ type: 'Feature', properties: info, geometry: region.geometry }))
+    });
+  }
+
+  return { content, contentType: format.contentType, extension: format.extension };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportRegions
+};
@@ -0,0 +1,76 @@
+/**
+ * Region Job Worker for FourNiner
+ *
+ * Child process that runs one region generation job for region-jobs.js. It
+ * receives the job options as its first message, runs the natural or
+ * administrative region processor, reporting each stage with a 'stage'
+ * message, and reports back with a 'done' or 'error' message before exiting.
+ *
+ * The new regions file is put in place by the server: the worker sends a
+ * 'replace' message with the temporary file and waits for 'replaced' (or
+ * 'replace-failed'). A job cancelled before the server handles the message
+ * is stopped without replacing the previous regions.
+ */
+
+const path = require('path');
+const { processCountryData } = require('./region-processor');
+const { processAdministrativeRegions } = require('./administrative-regions-processor');
+
+/**
+ * Ask the server to move a new regions file over the previous one
+ *
+ * @param {string} tempPath - Written temporary regions file
+ * @param {string} outputPath - Regions file to replace
+ * @param {Object} regions - GeoJSON FeatureCollection of the new regions
+ * @returns {Promise<void>} Resolves once the file is in place
+ */
+function replaceRegions(tempPath, outputPath, regions) {
+  return new Promise((resolve, reject) => {
+    process.once('message', message => {
+      if (message.type === 'replaced') {
+        resolve();
+      } else {
+        reject(new Error(message.message));
+      }
+    });
+    process.send({ type: 'replace', tempPath, outputPath, regionCount: regions.features.length });
+  });
+}
+
+/**
+ * Generate the regions of a job
+ *
+ * @param {Object} options - Job options from region-jobs.js
+ * @returns {Promise<Object>} GeoJSON FeatureCollection of the created regions
+ */
+function generateRegions(options) {
+  const { countryId, method, regionCount, adminLevel } = options;
+  const onStage = stage => process.send({ type: 'stage', stage });
+
+  if (method === 'admin') {
+    return processAdministrativeRegions(countryId, {
+      adminLevel,
+      outputFolder: path.join(__dirname, '..', 'map_data', 'countries', countryId),
+      onStage,
+      replaceRegions
+    });
+  }
+
+  return processCountryData(countryId, regionCount, {
+    useKoppen: true,
+    koppenResolution: '0p5',
+    useYearData: false,
+    useNewDirectoryStructure: true,
+    onStage,
+    replaceRegions
+  });
+}
+
+process.once('message', async options => {
+  try {
+    const regions = await generateRegions(options);
+    process.send({ type: 'done', regionCount: regions && regions.features ? regions.features.length : 0 }, () => process.exit(0));
+  } catch (error) {
+    process.send({ type: 'error', message: error.message }, () => process.exit(1));
+  }
+});
@@ -0,0 +1,340 @@
+/**
+ * Region Generation Jobs for FourNiner
+ *
+ * Generating the regions of a country can take minutes, so the server runs it
+ * as a background job instead of inside a request. Jobs wait in an in-memory
+ * queue and run one at a time, each in a child process (region-job-worker.js)
+ * so the server keeps answering requests while regions are clustered. Jobs
+ * are forgotten when the server restarts.
+ *
+ * The worker reports each processing stage and its output is kept as the
+ * job's log. Region files are written to temporary files and renamed into
+ * place, so a cancelled or crashed job leaves the previous regions intact;
+ * its leftover temporary files are removed once the worker has exited.
+ *
+ * Renaming the new regions file is the job's commit point. The server renames
+ * it when the worker asks, so a cancel is handled either before the rename,
+ * leaving the previous regions in place, or after it. From then on the job
+ * can no longer be cancelled, and a worker that stops while it stores the
+ * locations of each region still completes the job: those files are
+ * regenerated on demand when missing or older than the regions.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { fork } = require('child_process');
+const { MAP_DATA_PATH } = require('./countries');
+const { getDefaultRegionCount } = require('./region-processor');
+const { ValidationError } = require('./request-validation');
+
+// Script each job runs in
+const WORKER_PATH = path.join(__dirname, 'region-job-worker.js');
+
+// Finished jobs kept for status requests; older ones are dropped
+const MAX_FINISHED_JOBS = 50;
+
+// Output lines kept per job; older ones are dropped
+const MAX_LOG_LINES = 500;
+
+// Statuses of jobs that won't change anymore
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// All known jobs by ID, in the order they were queued
+const jobs = new Map();
+
+// Jobs waiting for the running one to finish
+const queue = [];
+
+let runningJob = null;
+
+/**
+ * Get the public view of a job
+ *
+ * @param {Object} job - Job
+ * @returns {Object} Job with id, countryId, method, options, status, stage, logs, cancellable, timestamps, result and error
+ */
+function describeJob(job) {
+  return {
+    id: job.id,
+    type: 'regions',
+    countryId: job.countryId,
+    method: job.method,
+    options: { regionCount: job.regionCount, adminLevel: job.adminLevel },
+    status: job.status,
+    stage: job.stage,
+    logs: job.logs.slice(),
+    cancellable: job.status === 'queued' || (job.status === 'running' && job.savedRegionCount === null),
+    position: job.status === 'queued' ? queue.indexOf(job) + 1 : null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    result: job.result,
+    error: job.error
+  };
+}
+
+/**
+ * Forget the oldest finished jobs beyond MAX_FINISHED_JOBS
+ */
+function pruneJobs() {
+  const finished = Array.from(jobs.values()).filter(job => FINISHED_STATUSES.includes(job.status));
+  finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => jobs.delete(job.id));
+}
+
+/**
+ * Mark a job as finished
+ *
+ * @param {Object} job - The job
+ * @param {string} status - 'completed', 'failed' or 'cancelled'
+ * @param {Object} outcome - { result } on success or { error } on failure
+ */
+function finishJob(job, status, outcome = {}) {
+  if (FINISHED_STATUSES.includes(job.status)) {
+    return;
+  }
+
+  job.status = status;
+  job.result = outcome.result || null;
+  job.error = outcome.error || null;
+  job.finishedAt = new Date().toISOString();
+  console.log(`Region job ${job.id} for ${job.countryId} ${job.status}${job.error ? `: ${job.error}` : ''}`);
+
+  pruneJobs();
+}
+
+/**
+ * Keep a line of a job's output
+ *
+ * @param {Object} job - The job
+ * @param {string} line - Output line
+ */
+function addLogLine(job, line) {
+  job.logs.push(line);
+  if (job.logs.length > MAX_LOG_LINES) {
+    job.logs.splice(0, job.logs.length - MAX_LOG_LINES);
+  }
+  console.log(`[region job ${job.id.slice(0, 8)}] ${line}`);
+}
+
+/**
+ * Remove the temporary files a worker left in the country folder
+ *
+ * @param {Object} job - The job
+ * @param {number} pid - Process ID of the worker, part of its temporary file names
+ */
+function removeTemporaryFiles(job, pid) {
+  const countryDir = path.join(MAP_DATA_PATH, 'countries', job.countryId);
+  if (!pid || !fs.existsSync(countryDir)) {
+    return;
+  }
+
+  fs.readdirSync(countryDir)
+    .filter(fileName => fileName.endsWith(`.${pid}.tmp`))
+    .forEach(fileName => fs.rmSync(path.join(countryDir, fileName), { force: true }));
+}
+
+/**
+ * Move a worker's new regions file over the previous one
+ *
+ * Cancelled jobs are left alone: their worker is being stopped and its
+ * temporary file is removed once it has exited.
+ *
+ * @param {Object} job - The job
+ * @param {Object} worker - The job's worker process
+ * @param {Object} message - 'replace' message with tempPath, outputPath and regionCount
+ */
+function replaceRegions(job, worker, message) {
+  if (job.status !== 'running') {
+    return;
+  }
+
+  try {
+    fs.renameSync(message.tempPath, message.outputPath);
+  } catch (error) {
+    worker.send({ type: 'replace-failed', message: error.message });
+    return;
+  }
+
+  job.savedRegionCount = message.regionCount;
+  worker.send({ type: 'replaced' });
+}
+
+/**
+ * Free the worker slot of a job and start the next one
+ *
+ * @param {Object} job - The job whose worker has exited
+ */
+function releaseJob(job) {
+  if (runningJob !== job) {
+    return;
+  }
+
+  runningJob = null;
+  job.worker = null;
+  runNextJob();
+}
+
+/**
+ * Start the next queued job if none is running
+ */
+function runNextJob() {
+  if (runningJob || queue.length === 0) {
+    return;
+  }
+
+  const job = queue.shift();
+  runningJob = job;
+  job.status = 'running';
+  job.stage = 'starting';
+  job.startedAt = new Date().toISOString();
+  console.log(`Starting ${job.method} region job ${job.id} for ${job.countryId}`);
+
+  // Capture the worker's output as the job's log instead of sharing the server's
+  const worker = fork(WORKER_PATH, { silent: true });
+  job.worker = worker;
+  [worker.stdout, worker.stderr].forEach(stream => {
+    readline.createInterface({ input: stream }).on('line', line => addLogLine(job, line));
+  });
+
+  worker.on('message', message => {
+    if (message.type === 'stage') {
+      job.stage = message.stage;
+    } else if (message.type === 'replace') {
+      replaceRegions(job, worker, message);
+    } else if (message.type === 'done') {
+      finishJob(job, 'completed', { result: { regionCount: message.regionCount } });
+    } else if (message.type === 'error') {
+      finishJob(job, 'failed', { error: message.message });
+    }
+  });
+  worker.on('error', error => {
+    finishJob(job, 'failed', { error: error.message });
+    releaseJob(job);
+  });
+
+  // The channel closes after the last message, so a job still running here crashed
+  worker.on('disconnect', () => {
+    if (job.savedRegionCount !== null) {
+      finishJob(job, 'completed', { result: { regionCount: job.savedRegionCount } });
+    } else {
+      finishJob(job, 'failed', { error: 'Region generation stopped unexpectedly' });
+    }
+  });
+
+  // Clean up after the worker before the next job may write to the same folder
+  worker.on('exit', () => {
+    removeTemporaryFiles(job, worker.pid);
+    releaseJob(job);
+  });
+
+  worker.send({
+    countryId: job.countryId,
+    method: job.method,
+    regionCount: job.regionCount,
+    adminLevel: job.adminLevel
+  });
+}
+
+/**
+ * Queue the generation of a country's regions
+ *
+ * @param {string} countryId - Country ID (map_data/countries folder name)
+ * @param {Object} options - Generation options
+ * @param {string} options.method - 'natural' (clustering, default) or 'admin' (administrative boundaries)
+ * @param {number} options.regionCount - Number of natural regions (defaults by country size)
+ * @param {number} options.adminLevel - Administrative level, 1 for states/provinces (default)
+ * @returns {Object} The queued job, see describeJob
+ */
+function queueRegionJob(countryId, options = {}) {
+  const method = options.method === 'admin' ? 'admin' : 'natural';
+  const job = {
+    id: crypto.randomUUID(),
+    countryId,
+    method,
+    regionCount: method === 'natural' ? (options.regionCount || getDefaultRegionCount(countryId)) : null,
+    adminLevel: method === 'admin' ? (options.adminLevel || 1) : null,
+    status: 'queued',
+    stage: null,
+    logs: [],
+    savedRegionCount: null,
+    worker: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  runNextJob();
+
+  return describeJob(job);
+}
+
+/**
+ * Get a job by ID
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job, see describeJob, or null if unknown
+ */
+function getRegionJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? describeJob(job) : null;
+}
+
+/**
+ * Cancel a queued or running job
+ *
+ * A running job's worker is stopped; the job is reported as cancelled right
+ * away and the next job starts once the worker has exited. Jobs that have
+ * already replaced the regions file can't be cancelled anymore.
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} The cancelled job, see describeJob, or null if unknown
+ * @throws {ValidationError} If the job has already finished or saved its regions
+ */
+function cancelRegionJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    return null;
+  }
+
+  if (FINISHED_STATUSES.includes(job.status)) {
+    throw new ValidationError('Job finished', `The job has already ${job.status === 'cancelled' ? 'been cancelled' : job.status}`, { status: 409 });
+  }
+
+  if (job.savedRegionCount !== null) {
+    throw new ValidationError('Job saved', 'The job has already replaced the regions and is storing their locations', { status: 409 });
+  }
+
+  if (job.status === 'queued') {
+    queue.splice(queue.indexOf(job), 1);
+  } else if (job.worker) {
+    job.worker.kill('SIGTERM');
+  }
+
+  finishJob(job, 'cancelled');
+  return describeJob(job);
+}
+
+/**
+ * List the jobs of a country that haven't finished yet
+ *
+ * @param {string} countryId - Country ID
+ * @returns {Object[]} Queued and running jobs, see describeJob
+ */
+function listActiveRegionJobs(countryId) {
+  return Array.from(jobs.values())
+    .filter(job => job.countryId === countryId && (job.status === 'queued' || job.status === 'running'))
+    .map(describeJob);
+}
+
+module.exports = {
+  queueRegionJob,
+  getRegionJob,
+  cancelRegionJob,
+  listActiveRegionJobs
+};
@@ -0,0 +1,176 @@
+/**
+ * Region Locations for FourNiner
+ *
+ * This module works out which Street View locations lie inside a region and
+ * stores them next to the region files as <country>_<region>_locations.json.
+ * Membership is tested against the region's polygon, holes and every part of
+ * a MultiPolygon included, so locations of a neighbouring region that only
+ * fall within the bounding box are left out.
+ *
+ * The region generators write these files for every region. The server
+ * writes a missing one on first request and replaces files that are older
+ * than the regions or the country data, or that were written before
+ * polygon filtering (no version field).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const turf = require('@turf/turf');
+
+// Version of the region locations files; older files are regenerated
+// (2: polygon membership, 3: pano IDs and camera views)
+const REGION_LOCATIONS_VERSION = 3;
+
+/**
+ * Prepare a region for repeated membership tests
+ *
+ * @param {Object} region - GeoJSON region feature (Polygon or MultiPolygon)
+ * @returns {{feature: Object, bbox: number[]}} Region with its bounding box
+ */
+function prepareRegion(region) {
+  return { feature: region, bbox: turf.bbox(region) };
+}
+
+/**
+ * Check whether a location lies inside a region
+ *
+ * @param {{feature: Object, bbox: number[]}} prepared - Region from prepareRegion
+ * @param {number[]} lngLat - Longitude and latitude of the location
+ * @returns {boolean} True if the location is inside the region's polygon
+ */
+function regionContains(prepared, [lng, lat]) {
+  const { feature, bbox } = prepared;
+  if (lng < bbox[0] || lng > bbox[2] || lat < bbox[1] || lat > bbox[3]) {
+    return false;
+  }
+  return turf.booleanPointInPolygon([lng, lat], feature);
+}
+
+/**
+ * Get the ID a region's locations file is named after
+ *
+ * @param {Object} region - GeoJSON region feature
+ * @param {boolean} useAdminRegions - Whether the region is an administrative region
+ * @returns {string|number} Region code for administrative regions, cluster ID otherwise
+ */
+function getRegionKey(region, useAdminRegions) {
+  return useAdminRegions && region.properties.regionCode ?
+    region.properties.regionCode :
+    region.properties.clusterID;
+}
+
+/**
+ * Get the path of a region's locations file
+ *
+ * @param {string} regionsPath - Path of the regions file the region belongs to
+ * @param {string} countryId - Country ID
+ * @param {string|number} regionKey - Region key from getRegionKey
+ * @returns {string} File path next to the regions file
+ */
+function getRegionLocationsPath(regionsPath, countryId, regionKey) {
+  return path.join(path.dirname(regionsPath), `${countryId}_${regionKey}_locations.json`);
+}
+
+/**
+ * Find the IDs of the locations inside a region
+ *
+ * @param {Object} region - GeoJSON region feature
+ * @param {Object} locationIndex - Location index of the country, see location-index.js
+ * @returns {number[]} Location IDs of the index, ascending (sample order)
+ */
+function findRegionLocationIds(region, locationIndex) {
+  const prepared = prepareRegion(region);
+  const [west, south, east, north] = prepared.bbox;
+
+  return Array.from(locationIndex.query([south, west, north, east]))
+    .filter(id => regionContains(prepared, locationIndex.lngLat(id)));
+}
+
+/**
+ * Find the locations inside a region
+ *
+ * @param {Object} region - GeoJSON region feature
+ * @param {Object} locationIndex - Location index of the country, see location-index.js
+ * @returns {Object[]} Locations in the format of the country file, in the index's sample order
+ */
+function findRegionLocations(region, locationIndex) {
+  return findRegionLocationIds(region, locationIndex).map(id => locationIndex.get(id));
+}
+
+/**
+ * Write a region's locations file
+ *
+ * @param {string} filePath - Path from getRegionLocationsPath
+ * @param {Object[]} locations - Locations inside the region
+ * @param {boolean} isGeoJSON - Whether the locations are GeoJSON features
+ * @returns {Object} The written file contents
+ */
+function saveRegionLocations(filePath, locations, isGeoJSON) {
+  const data = isGeoJSON ?
+    { version: REGION_LOCATIONS_VERSION, type: 'FeatureCollection', features: locations } :
+    { version: REGION_LOCATIONS_VERSION, customCoordinates: locations };
+
+  // Rename a temporary file into place, so readers never see half a file
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data));
+  fs.renameSync(tempPath, filePath);
+  return data;
+}
+
+/**
+ * Read a region's locations file if it is up to date
+ *
+ * @param {string} filePath - Path from getRegionLocationsPath
+ * @param {string[]} sourcePaths - Files the locations were computed from (regions and country data)
+ * @returns {Object|null} File contents, or null if the file is missing or has to be regenerated
+ */
+function loadRegionLocations(filePath, sourcePaths) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const { mtimeMs } = fs.statSync(filePath);
+  if (sourcePaths.some(sourcePath => fs.statSync(sourcePath).mtimeMs > mtimeMs)) {
+    return null;
+  }
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return data.version === REGION_LOCATIONS_VERSION ? data : null;
+}
+
+/**
+ * Write the locations files of every region of a country
+ *
+ * @param {string} countryId - Country ID
+ * @param {string} regionsPath - Path of the saved regions file
+ * @param {Object} regions - GeoJSON FeatureCollection of the regions
+ * @param {Object} locationIndex - Location index of the country
+ * @param {boolean} useAdminRegions - Whether these are administrative regions
+ * @returns {Object} Number of locations by region key
+ */
+function saveAllRegionLocations(countryId, regionsPath, regions, locationIndex, useAdminRegions) {
+  const counts = {};
+
+  regions.features.forEach(region => {
+    const regionKey = getRegionKey(region, useAdminRegions);
+    const locations = findRegionLocations(region, locationIndex);
+    saveRegionLocations(getRegionLocationsPath(regionsPath, countryId, regionKey), locations, locationIndex.isGeoJSON);
+    counts[regionKey] = locations.length;
+  });
+
+  console.log(`Saved the locations of ${regions.features.length} regions next to ${regionsPath}`);
+  return counts;
+}
+
+module.exports = {
+  REGION_LOCATIONS_VERSION,
+  prepareRegion,
+  regionContains,
+  getRegionKey,
+  getRegionLocationsPath,
+  findRegionLocationIds,
+  findRegionLocations,
+  saveRegionLocations,
+  loadRegionLocations,
+  saveAllRegionLocations
+};
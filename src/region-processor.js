@@ -9,6 +9,9 @@ const fs = require('fs');
 const path = require('path');
 const cluster = require('cluster');
 const os = require('os');
+const { getLocationIndex } = require('./location-index');
+const { loadLocationStore, getPanoView } = require('./location-store');
+const { saveAllRegionLocations } = require('./region-locations');
 
 // GeoJSON processing libraries
 let turf;
@@ -75,6 +78,24 @@ function loadCitiesData() {
   }
 }
 
+/**
+ * Get the number of natural regions to create for a country by its size
+ * 
+ * @param {string} countryId - The country identifier (e.g., 'russia')
+ * @returns {number} Default region count
+ */
+function getDefaultRegionCount(countryId) {
+  const largeCountries = ['usa', 'canada', 'russia', 'china', 'brazil', 'australia'];
+  const mediumCountries = ['mexico', 'argentina', 'india', 'kazakhstan', 'mongolia'];
+  
+  if (largeCountries.includes(countryId)) {
+    return 18;
+  } else if (mediumCountries.includes(countryId)) {
+    return 14;
+  }
+  return 10;
+}
+
 /**
  * Process a GeoJSON Street View dataset to create geographic regions
  * 
@@ -84,6 +105,8 @@ function loadCitiesData() {
  * @param {boolean} options.useKoppen - Whether to incorporate Köppen climate data
  * @param {string} options.koppenResolution - Resolution of Köppen data to use ('0p00833333', '0p1', '0p5', '1p0')
  * @param {boolean} options.useYearData - Whether to use year/date data for clustering
+ * @param {Function} options.onStage - Called with the name of each processing stage as it starts
+ * @param {Function} options.replaceRegions - Moves the new regions file from its temporary path over the previous one, may return a Promise; defaults to renaming it
  * @returns {Object} GeoJSON FeatureCollection containing the regions
  */
 async function processCountryData(countryId, targetRegions = 32, options = {}) {
@@ -95,6 +118,8 @@ async function processCountryData(countryId, targetRegions = 32, options = {}) {
     koppenResolution: '0p5', // Balance between detail and performance
     useYearData: false,
     useNewDirectoryStructure: false, // Whether to use the new directory structure
+    onStage: () => {},
+    replaceRegions: (tempPath, outputPath) => fs.renameSync(tempPath, outputPath),
     ...options
   };
   
@@ -108,11 +133,11 @@ async function processCountryData(countryId, targetRegions = 32, options = {}) {
     }
     
     console.log(`Loading street view data from: ${dataPath}`);
-    const rawData = fs.readFileSync(dataPath, 'utf8');
-    const streetViewData = JSON.parse(rawData);
+    opts.onStage('loading-locations');
+    const locationStore = await loadLocationStore(dataPath);
     
-    // Convert to GeoJSON format if it's not already
-    const points = convertToGeoJSON(streetViewData);
+    // Convert to GeoJSON points with their years
+    const points = convertStoreToGeoJSON(locationStore);
     
     // Perform clustering to create natural regions
     const regions = await createRegions(points, targetRegions, opts, countryId);
@@ -128,7 +153,16 @@ async function processCountryData(countryId, targetRegions = 32, options = {}) {
     }
     
     console.log(`Saving regions to: ${outputPath}`);
-    fs.writeFileSync(outputPath, JSON.stringify(regions, null, 2));
+    opts.onStage('saving-regions');
+    
+    // Write to a temporary file first, so an interrupted run never leaves half a regions file
+    const tempPath = `${outputPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(regions, null, 2));
+    await opts.replaceRegions(tempPath, outputPath, regions);
+    
+    // Store the locations inside each region next to the regions file
+    opts.onStage('saving-locations');
+    saveAllRegionLocations(countryId, outputPath, regions, await getLocationIndex(dataPath, countryId), false);
     
     console.log(`Created ${regions.features.length} regions for ${countryId}`);
     return regions;
@@ -161,30 +195,7 @@ function convertToGeoJSON(rawData) {
       return null;
     }
     
-    // Extract year from tags (e.g., ["2019-07","2013-06"])
-    let years = [];
-    if (coord.extra && coord.extra.tags) {
-      years = coord.extra.tags.map(tag => {
-        const match = tag.match(/^(\d{4})/);
-        return match ? parseInt(match[1], 10) : null;
-      }).filter(year => year !== null);
-    }
-    
-    // Find the most recent year
-    const latestYear = years.length > 0 ? Math.max(...years) : null;
-    
-    return {
-      type: 'Feature',
-      geometry: {
-        type: 'Point',
-        coordinates: [coord.lng, coord.lat]
-      },
-      properties: {
-        tags: coord.extra?.tags || [],
-        years: years,
-        latestYear: latestYear
-      }
-    };
+    return createPointFeature([coord.lng, coord.lat], coord.extra?.tags || [], getPanoView(coord, false));
   }).filter(feature => feature !== null); // Remove any null features
   
   console.log(`Converted to GeoJSON with ${features.length} valid features`);
@@ -195,16 +206,69 @@ function convertToGeoJSON(rawData) {
   };
 }
 
+/**
+ * Convert the locations of a location store to GeoJSON format
+ * 
+ * @param {Object} locationStore - Location store of the country, see location-store.js
+ * @returns {Object} GeoJSON FeatureCollection of points
+ */
+function convertStoreToGeoJSON(locationStore) {
+  const features = Array.from({ length: locationStore.count }, (value, i) =>
+    createPointFeature(locationStore.lngLat(i), locationStore.tags(i), locationStore.view(i)));
+  
+  console.log(`Converted ${features.length} stored locations to GeoJSON`);
+  
+  return {
+    type: 'FeatureCollection',
+    features: features
+  };
+}
+
+/**
+ * Create a GeoJSON point for a Street View location
+ * 
+ * @param {number[]} lngLat - Longitude and latitude
+ * @param {string[]} tags - Tags of the location, e.g. ["2019-07","2013-06"]
+ * @param {Object} view - The panoId, heading, pitch and zoom of the location (optional)
+ * @returns {Object} GeoJSON Feature with the view, tags, years and latestYear properties
+ */
+function createPointFeature(lngLat, tags, view = {}) {
+  // Extract year from tags
+  const years = tags.map(tag => {
+    const match = tag.match(/^(\d{4})/);
+    return match ? parseInt(match[1], 10) : null;
+  }).filter(year => year !== null);
+  
+  // Find the most recent year
+  const latestYear = years.length > 0 ? Math.max(...years) : null;
+  
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'Point',
+      coordinates: lngLat
+    },
+    properties: {
+      ...view,
+      tags: tags,
+      years: years,
+      latestYear: latestYear
+    }
+  };
+}
+
 /**
  * Create geographic regions from street view points
  * 
  * @param {Object} points - GeoJSON FeatureCollection of street view points
  * @param {number} targetRegions - The desired number of regions
  * @param {Object} options - Processing options
+ * @param {Function} options.onStage - Called with the name of each processing stage as it starts
  * @param {string} countryId - The country identifier (e.g., 'russia')
  * @returns {Object} GeoJSON FeatureCollection of polygon regions
  */
 async function createRegions(points, targetRegions, options, countryId = null) {
+  const onStage = (options && options.onStage) || (() => {});
   console.log(`Creating regions from ${points.features.length} points...`);
   
   // 1. First reduce the data if it's too large
@@ -236,12 +300,14 @@ async function createRegions(points, targetRegions, options, countryId = null) {
   console.log(`Clustering with max distance: ${maxDistance.toFixed(2)} km`);
   
   // 3. Perform spatial clustering
+  onStage('clustering');
   let clusters = performDBSCANClustering(workingPoints, maxDistance, 3);
   
   // 4. Adjust the number of clusters to match the target by merging smaller clusters
   clusters = adjustClusterCount(clusters, targetRegions);
   
   // 5. Generate polygons from the point clusters - pass country ID for city lookup
+  onStage('building-regions');
   const regionPolygons = clustersToPolygons(clusters, countryId);
   
   // 6. Assign directional IDs to regions based on distance from center
@@ -1233,6 +1299,8 @@ function calculateBearing(lat1, lng1, lat2, lng2) {
 
 module.exports = {
   processCountryData,
+  getDefaultRegionCount,
   convertToGeoJSON,
+  convertStoreToGeoJSON,
   createRegions
 };
\ No newline at end of file
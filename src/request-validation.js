@@ -0,0 +1,505 @@
+/**
+ * Request Validation for FourNiner
+ *
+ * This module validates the bodies, route parameters and query strings of the
+ * API routes; api-spec.js ties each route to its schemas and publishes them as
+ * an OpenAPI description. Country and cell IDs end up in file system paths, so
+ * they are checked against an allowlist pattern and every resolved path must
+ * stay inside the vault. Images are decoded, size limited and checked against
+ * their declared type.
+ *
+ * All failures are reported as a ValidationError, which the server turns into
+ * a JSON body of the form { error, message, details }.
+ */
+
+const path = require('path');
+
+// Country folders are lowercase names with hyphens or apostrophes, e.g. 'south-africa' or "côte-d'ivoire"
+const COUNTRY_ID_PATTERN = /^[\p{Ll}\p{Nd}]+(?:[-_'][\p{Ll}\p{Nd}]+)*$/u;
+
+// Comma-separated country folders, e.g. 'russia,south-africa'
+const COUNTRY_LIST_PATTERN = /^[\p{Ll}\p{Nd}]+(?:[-_'][\p{Ll}\p{Nd}]+)*(?:,[\p{Ll}\p{Nd}]+(?:[-_'][\p{Ll}\p{Nd}]+)*)*$/u;
+
+// Cell IDs are grid cells ('A1') or natural/admin regions ('rNE3', 'r12')
+const CELL_ID_PATTERN = /^[A-Za-z0-9]+(?:[-_][A-Za-z0-9]+)*$/;
+
+// Country folders and region IDs under map_data, e.g. 'russia', "côte-d'ivoire", '12' or 'RU-MOW'
+const MAP_ID_PATTERN = /^[\p{L}\p{Nd}]+(?:[-_.'][\p{L}\p{Nd}]+)*$/u;
+
+// Comma-separated region IDs, e.g. 'rN1,rS2', 'US-CA,US-NV' or "côte-d'ivoire_r1,côte-d'ivoire_r2"
+const MAP_ID_LIST_PATTERN = /^[\p{L}\p{Nd}]+(?:[-_.'][\p{L}\p{Nd}]+)*(?:,[\p{L}\p{Nd}]+(?:[-_.'][\p{L}\p{Nd}]+)*)*$/u;
+
+// Comma-separated location tags, e.g. '2019,gen4'
+const TAG_LIST_PATTERN = /^[^,\n]+(?:,[^,\n]+)*$/;
+
+// Map bounds as a JSON array [south, west, north, east]
+const BOUNDS_PATTERN = /^\[\s*-?\d+(?:\.\d+)?(?:e[-+]?\d+)?(?:\s*,\s*-?\d+(?:\.\d+)?(?:e[-+]?\d+)?){3}\s*\]$/i;
+
+// Leaflet zoom levels, sent as query strings
+const ZOOM_PATTERN = /^\d{1,2}(?:\.\d+)?$/;
+
+// Images referenced from notes are relative paths inside the country folder
+const IMAGE_PATH_PATTERN = /^(?![\\/])(?!.*\.\.)[^<>:"|?*\n]+\.(?:png|jpe?g|webp|gif)$/i;
+
+// Image file names inside an images folder
+const IMAGE_FILE_NAME_PATTERN = /^[\w-]+(?:\.[\w-]+)*\.(?:png|jpe?g|webp|gif)$/i;
+
+// SR dates are written as YYYY-MM-DD
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Size limits
+const MAX_ID_LENGTH = 64;
+const MAX_NOTE_LENGTH = 1024 * 1024; // 1 MB of markdown
+const MAX_TEXT_LENGTH = 1000;
+const MAX_IMAGE_BYTES = parseInt(process.env.FOURNINER_MAX_IMAGE_BYTES, 10) || 10 * 1024 * 1024;
+
+const MAX_BACKUP_BYTES = parseInt(process.env.FOURNINER_MAX_BACKUP_BYTES, 10) || 500 * 1024 * 1024;
+
+const MAX_DATASET_BYTES = parseInt(process.env.FOURNINER_MAX_DATASET_BYTES, 10) || 1024 * 1024 * 1024;
+
+// Base64 grows data by 4/3, plus room for the other JSON fields
+const JSON_BODY_LIMIT = Math.ceil(MAX_IMAGE_BYTES * 4 / 3) + MAX_NOTE_LENGTH;
+
+// Accepted image types with the file extension and magic bytes of each
+const IMAGE_TYPES = {
+  'image/png': { extension: 'png', signature: [0x89, 0x50, 0x4e, 0x47] },
+  'image/jpeg': { extension: 'jpg', signature: [0xff, 0xd8, 0xff] },
+  'image/webp': { extension: 'webp', signature: [0x52, 0x49, 0x46, 0x46] }
+};
+
+/**
+ * Error for requests that fail validation
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} error - Short error category, e.g. 'Invalid request'
+   * @param {string} message - Human readable description
+   * @param {Object} options - Extra information
+   * @param {number} options.status - HTTP status code (defaults to 400)
+   * @param {Object[]} options.details - Per-field problems with field and message
+   */
+  constructor(error, message, options = {}) {
+    super(message);
+    this.name = 'ValidationError';
+    this.error = error;
+    this.status = options.status || 400;
+    this.details = options.details || [];
+  }
+
+  /**
+   * Get the JSON body sent to the client
+   *
+   * @returns {Object} Body with error, message and details
+   */
+  toJSON() {
+    return {
+      error: this.error,
+      message: this.message,
+      details: this.details
+    };
+  }
+}
+
+// Question or answer side of a card
+const CARD_SIDE_PROPERTIES = {
+  image: { type: 'string', pattern: IMAGE_PATH_PATTERN, maxLength: 255 },
+  imageAlt: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+  text: { type: 'string', maxLength: MAX_NOTE_LENGTH }
+};
+
+// Query flags sent as 'true' or 'false'
+const FLAG_RULE = { type: 'string', enum: ['true', 'false'] };
+
+// Request schemas of the API routes, by body, params or query
+const schemas = {
+  flashcard: {
+    countryId: { type: 'string', required: true, pattern: COUNTRY_ID_PATTERN, maxLength: MAX_ID_LENGTH },
+    cellId: { type: 'string', required: true, pattern: CELL_ID_PATTERN, maxLength: MAX_ID_LENGTH },
+    content: { type: 'string', required: true, maxLength: MAX_NOTE_LENGTH },
+    status: { type: 'string', enum: ['untouched', 'learning', 'mastered'] }
+  },
+  flashcardLocation: {
+    countryId: { type: 'string', required: true, pattern: COUNTRY_ID_PATTERN, maxLength: MAX_ID_LENGTH },
+    cellId: { type: 'string', required: true, pattern: CELL_ID_PATTERN, maxLength: MAX_ID_LENGTH },
+    lat: { type: 'number', required: true, min: -90, max: 90 },
+    lng: { type: 'number', required: true, min: -180, max: 180 },
+    imageData: { type: 'string' },
+    locationInfo: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+    isAnswer: { type: 'boolean' }
+  },
+  flashcardParams: {
+    countryId: { type: 'string', required: true, pattern: COUNTRY_ID_PATTERN, maxLength: MAX_ID_LENGTH },
+    regionId: { type: 'string', required: true, pattern: CELL_ID_PATTERN, maxLength: MAX_ID_LENGTH }
+  },
+  cardParams: {
+    countryId: { type: 'string', required: true, pattern: COUNTRY_ID_PATTERN, maxLength: MAX_ID_LENGTH },
+    regionId: { type: 'string', required: true, pattern: CELL_ID_PATTERN, maxLength: MAX_ID_LENGTH },
+    cardIndex: { type: 'string', required: true, pattern: /^\d{1,4}$/ }
+  },
+  historyParams: {
+    countryId: { type: 'string', required: true, pattern: COUNTRY_ID_PATTERN, maxLength: MAX_ID_LENGTH },
+    regionId: { type: 'string', required: true, pattern: CELL_ID_PATTERN, maxLength: MAX_ID_LENGTH },
+    changeId: { type: 'string', required: true, pattern: /^[0-9a-f-]{36}$/ }
+  },
+  imageParams: {
+    countryId: { type: 'string', required: true, pattern: COUNTRY_ID_PATTERN, maxLength: MAX_ID_LENGTH },
+    fileName: { type: 'string', required: true, pattern: IMAGE_FILE_NAME_PATTERN, maxLength: 255 }
+  },
+  vaultFix: {
+    types: {
+      type: 'array',
+      maxItems: 10,
+      items: { type: 'string', enum: ['missing-tag', 'tag-mismatch', 'orphaned-image'] }
+    }
+  },
+  ankiExport: {
+    countries: { type: 'string', pattern: COUNTRY_LIST_PATTERN, maxLength: 1000 },
+    deck: { type: 'string', pattern: /^[^\n<>"]+$/, maxLength: 100 }
+  },
+  backupRestore: {
+    strategy: { type: 'string', enum: ['skip', 'overwrite', 'merge'] },
+    dryRun: FLAG_RULE,
+    regions: FLAG_RULE
+  },
+  login: {
+    token: { type: 'string', required: true, maxLength: 200 }
+  },
+  vaultSwitch: {
+    profile: { type: 'string', required: true, maxLength: MAX_ID_LENGTH }
+  },
+  progressQuery: {
+    details: FLAG_RULE
+  },
+  historyQuery: {
+    limit: { type: 'string', pattern: /^\d{1,4}$/ },
+    content: FLAG_RULE
+  },
+  mapCountryParams: {
+    countryId: { type: 'string', required: true, pattern: MAP_ID_PATTERN, maxLength: MAX_ID_LENGTH }
+  },
+  mapRegionParams: {
+    countryId: { type: 'string', required: true, pattern: MAP_ID_PATTERN, maxLength: MAX_ID_LENGTH },
+    regionId: { type: 'string', required: true, pattern: MAP_ID_PATTERN, maxLength: MAX_ID_LENGTH }
+  },
+  locationExportParams: {
+    countryId: { type: 'string', required: true, pattern: MAP_ID_PATTERN, maxLength: MAX_ID_LENGTH },
+    regionId: { type: 'string', required: true, pattern: MAP_ID_LIST_PATTERN, maxLength: MAX_TEXT_LENGTH }
+  },
+  locationExportQuery: {
+    admin: FLAG_RULE,
+    count: { type: 'string', pattern: /^[1-9]\d{0,5}$/ },
+    tags: { type: 'string', pattern: TAG_LIST_PATTERN, maxLength: MAX_TEXT_LENGTH },
+    excludeTags: { type: 'string', pattern: TAG_LIST_PATTERN, maxLength: MAX_TEXT_LENGTH },
+    extra: FLAG_RULE,
+    pano: FLAG_RULE
+  },
+  regionExportParams: {
+    countryId: { type: 'string', required: true, pattern: MAP_ID_PATTERN, maxLength: MAX_ID_LENGTH }
+  },
+  regionExportQuery: {
+    format: { type: 'string', enum: ['kml', 'gpx', 'geojson'] },
+    admin: FLAG_RULE
+  },
+  regionsQuery: {
+    admin: FLAG_RULE
+  },
+  datasetParams: {
+    countryId: { type: 'string', required: true, pattern: COUNTRY_ID_PATTERN, maxLength: MAX_ID_LENGTH }
+  },
+  datasetUpload: {
+    regions: { type: 'string', pattern: /^[1-9]\d{0,2}$/ },
+    admin: FLAG_RULE,
+    level: { type: 'string', pattern: /^[1-4]$/ },
+    overwrite: FLAG_RULE
+  },
+  regionJob: {
+    countryId: { type: 'string', required: true, pattern: COUNTRY_ID_PATTERN, maxLength: MAX_ID_LENGTH },
+    method: { type: 'string', enum: ['natural', 'admin'] },
+    regionCount: { type: 'number', integer: true, min: 1, max: 999 },
+    adminLevel: { type: 'number', integer: true, min: 1, max: 4 }
+  },
+  jobParams: {
+    jobId: { type: 'string', required: true, pattern: /^[0-9a-f-]{36}$/ }
+  },
+  locationsQuery: {
+    zoom: { type: 'string', pattern: ZOOM_PATTERN },
+    admin: FLAG_RULE
+  },
+  countryLocationsQuery: {
+    zoom: { type: 'string', pattern: ZOOM_PATTERN },
+    max: { type: 'string', pattern: /^\d{1,7}$/ },
+    bounds: { type: 'string', pattern: BOUNDS_PATTERN, maxLength: 200 }
+  },
+  tileParams: {
+    countryId: { type: 'string', required: true, pattern: MAP_ID_PATTERN, maxLength: MAX_ID_LENGTH },
+    z: { type: 'string', required: true, pattern: /^\d{1,2}$/ },
+    x: { type: 'string', required: true, pattern: /^\d{1,7}$/ },
+    y: { type: 'string', required: true, pattern: /^\d{1,7}$/ }
+  },
+  tileQuery: {
+    region: FLAG_RULE,
+    status: FLAG_RULE,
+    admin: FLAG_RULE
+  },
+  cardMove: {
+    to: { type: 'number', required: true, integer: true, min: 0 }
+  },
+  card: {
+    reversed: { type: 'boolean' },
+    question: { type: 'object', properties: CARD_SIDE_PROPERTIES },
+    answer: { type: 'object', properties: CARD_SIDE_PROPERTIES },
+    location: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+    schedule: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        properties: {
+          due: { type: 'string', required: true, pattern: DATE_PATTERN },
+          interval: { type: 'number', required: true, min: 0 },
+          ease: { type: 'number', required: true, min: 0 }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Check a single value against a field rule
+ *
+ * Objects and arrays are checked recursively, with nested field names such as
+ * 'question.image' or 'schedule[0].due'.
+ *
+ * @param {string} field - Field name used in error details
+ * @param {*} value - Value from the request
+ * @param {Object} rule - Field rule from a schema
+ * @param {Object[]} details - Problems found so far, added to in place
+ */
+function checkField(field, value, rule, details) {
+  const problem = message => details.push({ field, message });
+
+  if (rule.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return problem('must be a number');
+    }
+    if (rule.integer && !Number.isInteger(value)) {
+      return problem('must be a whole number');
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return problem(`must be at least ${rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return problem(`must be at most ${rule.max}`);
+    }
+    return;
+  }
+
+  if (rule.type === 'array') {
+    if (!Array.isArray(value)) {
+      return problem('must be an array');
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return problem(`must have at most ${rule.maxItems} items`);
+    }
+    value.forEach((item, index) => checkField(`${field}[${index}]`, item, rule.items, details));
+    return;
+  }
+
+  if (rule.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return problem('must be an object');
+    }
+    checkProperties(value, rule.properties || {}, details, `${field}.`);
+    return;
+  }
+
+  if (typeof value !== rule.type) {
+    return problem(`must be a ${rule.type}`);
+  }
+
+  if (rule.type === 'string') {
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return problem(`must be at most ${rule.maxLength} characters`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return problem('contains characters that are not allowed');
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      return problem(`must be one of ${rule.enum.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Check the properties of an object against a schema
+ *
+ * @param {Object} object - Object to check
+ * @param {Object} schema - Schema mapping property names to rules
+ * @param {Object[]} details - Problems found so far, added to in place
+ * @param {string} prefix - Prefix for nested field names
+ */
+function checkProperties(object, schema, details, prefix = '') {
+  Object.entries(schema).forEach(([name, rule]) => {
+    const field = `${prefix}${name}`;
+    const value = object[name];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        details.push({ field, message: 'is required' });
+      }
+      return;
+    }
+
+    checkField(field, value, rule, details);
+  });
+}
+
+/**
+ * Validate request data against a schema
+ *
+ * @param {Object} body - Parsed request body or route parameters
+ * @param {Object} schema - Schema mapping field names to rules
+ * @throws {ValidationError} If any field is missing or invalid
+ */
+function validateBody(body, schema) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError('Invalid request', 'Request body must be a JSON object');
+  }
+
+  const details = [];
+  checkProperties(body, schema, details);
+
+  const missing = details
+    .filter(detail => detail.message === 'is required' && !detail.field.includes('.') && !detail.field.includes('['))
+    .map(detail => detail.field);
+
+  if (missing.length > 0) {
+    throw new ValidationError('Missing required fields', `Missing: ${missing.join(', ')}`, { details });
+  }
+
+  if (details.length > 0) {
+    const message = details.map(detail => `${detail.field} ${detail.message}`).join('; ');
+    throw new ValidationError('Invalid request', message, { details });
+  }
+}
+
+/**
+ * Resolve a path inside the vault, refusing anything that escapes it
+ *
+ * @param {string} vaultPath - Root of the vault
+ * @param {...string} segments - Path segments relative to the vault root
+ * @returns {string} Absolute path inside the vault
+ * @throws {ValidationError} If the resolved path is outside the vault
+ */
+function resolveVaultPath(vaultPath, ...segments) {
+  const root = path.resolve(vaultPath);
+  const resolved = path.resolve(root, ...segments);
+  const relative = path.relative(root, resolved);
+
+  if (relative === '' || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new ValidationError('Invalid path', 'Resolved path is outside the vault');
+  }
+
+  return resolved;
+}
+
+/**
+ * Decode a Base64 data URL image and check its type and size
+ *
+ * @param {string} imageData - Data URL, e.g. 'data:image/png;base64,...'
+ * @returns {Object} Image with buffer, mimeType and extension
+ * @throws {ValidationError} If the image is malformed, too large or of an unsupported type
+ */
+function decodeImage(imageData) {
+  const match = /^data:(image\/[a-z0-9.+-]+);base64,/i.exec(imageData);
+  if (!match) {
+    throw new ValidationError('Invalid image', 'imageData must be a Base64 data URL', {
+      details: [{ field: 'imageData', message: 'must be a Base64 data URL' }]
+    });
+  }
+
+  const mimeType = match[1].toLowerCase();
+  const type = IMAGE_TYPES[mimeType];
+  if (!type) {
+    throw new ValidationError('Unsupported image type', `Images must be one of ${Object.keys(IMAGE_TYPES).join(', ')}`, {
+      status: 415,
+      details: [{ field: 'imageData', message: `type ${mimeType} is not allowed` }]
+    });
+  }
+
+  const base64Data = imageData.substring(match[0].length);
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64Data)) {
+    throw new ValidationError('Invalid image', 'imageData is not valid Base64', {
+      details: [{ field: 'imageData', message: 'is not valid Base64' }]
+    });
+  }
+
+  // Check the decoded size before decoding
+  const byteLength = Math.floor(base64Data.length * 3 / 4);
+  if (byteLength > MAX_IMAGE_BYTES) {
+    throw new ValidationError('Image too large', `Images must be at most ${MAX_IMAGE_BYTES} bytes`, {
+      status: 413,
+      details: [{ field: 'imageData', message: `is ${byteLength} bytes` }]
+    });
+  }
+
+  const buffer = Buffer.from(base64Data, 'base64');
+  const matchesSignature = type.signature.every((byte, index) => buffer[index] === byte);
+  if (!matchesSignature) {
+    throw new ValidationError('Invalid image', `imageData is not a valid ${mimeType} image`, {
+      details: [{ field: 'imageData', message: `content does not match ${mimeType}` }]
+    });
+  }
+
+  return { buffer, mimeType, extension: type.extension };
+}
+
+/**
+ * Express error handler that sends consistent JSON bodies for client errors
+ *
+ * Handles ValidationError as well as body parser errors (malformed JSON,
+ * oversized bodies). Anything else is passed on.
+ *
+ * @param {Error} error - Error raised by a route or middleware
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next error handler
+ */
+function handleValidationError(error, req, res, next) {
+  if (error instanceof ValidationError) {
+    return res.status(error.status).json(error.toJSON());
+  }
+
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Request too large',
+      message: `Request bodies must be at most ${error.limit} bytes`,
+      details: []
+    });
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'Request body is not valid JSON',
+      details: []
+    });
+  }
+
+  next(error);
+}
+
+module.exports = {
+  ValidationError,
+  schemas,
+  validateBody,
+  resolveVaultPath,
+  decodeImage,
+  handleValidationError,
+  COUNTRY_ID_PATTERN,
+  CELL_ID_PATTERN,
+  MAX_IMAGE_BYTES,
+  MAX_BACKUP_BYTES,
+  MAX_DATASET_BYTES,
+  JSON_BODY_LIMIT
+};
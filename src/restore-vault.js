@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Vault Restore CLI Tool for FourNiner
+ *
+ * This script restores an archive written by backup-vault.js into an empty or
+ * existing vault. Files that differ from the vault are reported as conflicts and
+ * resolved with the chosen strategy.
+ */
+
+const fs = require('fs');
+const { loadVaultConfig, VAULT_FLAGS } = require('./vault-config');
+const { restoreBackup, CONFLICT_STRATEGIES } = require('./vault-backup');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+let archivePath = null;
+let strategy = 'skip';
+let dryRun = false;
+let restoreRegions = true;
+let showHelp = false;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--strategy' && i + 1 < args.length) {
+    strategy = args[i + 1];
+    i++; // Skip the next argument
+  } else if (args[i] === '--dry-run' || args[i] === '-n') {
+    dryRun = true;
+  } else if (args[i] === '--no-regions') {
+    restoreRegions = false;
+  } else if (VAULT_FLAGS.includes(args[i])) {
+    i++; // Read by loadVaultConfig
+  } else if (args[i] === '--help' || args[i] === '-h') {
+    showHelp = true;
+  } else if (!args[i].startsWith('--')) {
+    archivePath = args[i];
+  }
+}
+
+// Display help if requested
+if (showHelp || !archivePath) {
+  console.log(`
+FourNiner Vault Restore
+-----------------------
+Restore a backup archive into the vault.
+
+Usage:
+  node restore-vault.js <archive> [options]
+
+Options:
+  --strategy <name>    How to resolve conflicts (default: skip)
+                         skip       keep the file in the vault
+                         overwrite  replace it with the file from the archive
+                         merge      add the cards a note is missing, keep other files
+  --dry-run, -n        Only report what would be restored and the conflicts
+  --no-regions         Don't restore region definitions into map_data
+  --vault <path>       Restore into this vault instead of the configured one
+  --profile <id>       Restore into the vault of this profile
+  --help, -h           Show this help message
+
+Examples:
+  node restore-vault.js fourniner-backup.zip --dry-run
+  node restore-vault.js fourniner-backup.zip --strategy merge
+  `);
+  process.exit(showHelp ? 0 : 1);
+}
+
+if (!CONFLICT_STRATEGIES.includes(strategy)) {
+  console.error(`Unknown strategy: ${strategy}. Use one of ${CONFLICT_STRATEGIES.join(', ')}`);
+  process.exit(1);
+}
+
+// Main function
+function main() {
+  const profile = loadVaultConfig();
+  const buffer = fs.readFileSync(archivePath);
+
+  console.log(`${dryRun ? 'Checking' : 'Restoring'} ${archivePath} into ${profile.path}...`);
+
+  const result = restoreBackup(profile.path, buffer, {
+    strategy,
+    dryRun,
+    regions: restoreRegions
+  });
+
+  console.log(`Backup created ${result.manifest.createdAt}\n`);
+
+  if (result.conflicts.length > 0) {
+    console.log(`Conflicts (${result.conflicts.length})`);
+    console.log('-'.repeat(40));
+    result.conflicts.forEach(conflict => {
+      const added = conflict.cardsAdded ? `, ${conflict.cardsAdded} cards added` : '';
+      console.log(`  ${conflict.file}: ${conflict.resolution}${added}`);
+    });
+    console.log('');
+  }
+
+  const { summary } = result;
+  console.log(dryRun ? 'Would restore:' : 'Restored:');
+  console.log(`  ${summary.created} new files, ${summary.overwritten} overwritten, ${summary.merged} merged`);
+  console.log(`  ${summary.skipped} kept as they are, ${summary.unchanged} already up to date`);
+
+  if (!dryRun && result.unrecorded.length > 0) {
+    console.log(`  Only notes are recorded in the change history; rolling back won't undo the ${result.unrecorded.length} images and region files`);
+  }
+
+  if (dryRun && summary.conflicts > 0) {
+    console.log('Run without --dry-run to apply, choosing --strategy skip, overwrite or merge');
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Error restoring vault:', error.message);
+  process.exit(1);
+}
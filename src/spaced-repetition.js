@@ -0,0 +1,154 @@
+/**
+ * Spaced Repetition Parser for FourNiner
+ *
+ * This module reads the scheduling comments that the Obsidian Spaced Repetition
+ * plugin writes into flashcards, e.g. <!--SR:!2024-03-01,12,250-->, and
+ * summarizes them so regions can be ranked by review urgency.
+ */
+
+// Matches a whole SR comment; a card with siblings can hold several schedules
+const SR_COMMENT_REGEX = /<!--SR:((?:!\d{4}-\d{2}-\d{2},\d+,\d+)+)-->/g;
+
+// Matches a single schedule inside an SR comment
+const SR_SCHEDULE_REGEX = /!(\d{4}-\d{2}-\d{2}),(\d+),(\d+)/g;
+
+// Lines that separate question and answer in a multi-line card
+const CARD_SEPARATOR_REGEX = /^\?{1,2}$/;
+
+/**
+ * Parse a single SR comment body into schedules
+ *
+ * @param {string} comment - SR comment, with or without the surrounding <!--SR: -->
+ * @returns {Object[]} Array of schedules with due, interval and ease properties
+ */
+function parseSchedule(comment) {
+  const schedules = [];
+  let match;
+
+  SR_SCHEDULE_REGEX.lastIndex = 0;
+  while ((match = SR_SCHEDULE_REGEX.exec(comment)) !== null) {
+    schedules.push({
+      due: match[1],
+      interval: parseInt(match[2], 10),
+      ease: parseInt(match[3], 10)
+    });
+  }
+
+  return schedules;
+}
+
+/**
+ * Format schedules as an SR comment, the inverse of parseSchedule
+ *
+ * @param {Object[]} schedules - Schedules with due, interval and ease properties
+ * @returns {string} SR comment, or an empty string if there are no schedules
+ */
+function formatScheduleComment(schedules) {
+  if (!schedules || schedules.length === 0) {
+    return '';
+  }
+
+  const body = schedules
+    .map(schedule => `!${schedule.due},${schedule.interval},${schedule.ease}`)
+    .join('');
+  return `<!--SR:${body}-->`;
+}
+
+/**
+ * Find all SR schedules in a note
+ *
+ * @param {string} content - Markdown content of a region note
+ * @returns {Object[]} Array of schedules with due, interval and ease properties
+ */
+function parseSchedules(content) {
+  const schedules = [];
+  let match;
+
+  SR_COMMENT_REGEX.lastIndex = 0;
+  while ((match = SR_COMMENT_REGEX.exec(content)) !== null) {
+    schedules.push(...parseSchedule(match[1]));
+  }
+
+  return schedules;
+}
+
+/**
+ * Count the flashcards in a note
+ *
+ * Multi-line cards are split by a line containing only "?" (or "??" for
+ * reversed cards), single-line cards use "::" or ":::".
+ *
+ * @param {string} content - Markdown content of a region note
+ * @returns {number} Number of cards
+ */
+function countCards(content) {
+  return content.split('\n').reduce((count, line) => {
+    const trimmed = line.trim();
+    if (CARD_SEPARATOR_REGEX.test(trimmed)) {
+      return count + 1;
+    }
+    if (trimmed.includes('::') && !trimmed.startsWith('<!--')) {
+      return count + 1;
+    }
+    return count;
+  }, 0);
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time, matching the SR plugin
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Summarize the review state of a note
+ *
+ * @param {string} content - Markdown content of a region note
+ * @param {Date} now - Reference date for overdue checks (defaults to today)
+ * @returns {Object} Summary with cards, scheduled, nextDue, averageInterval, ease and overdue
+ */
+function summarizeSchedules(content, now = new Date()) {
+  const schedules = parseSchedules(content);
+  const today = formatDate(now);
+
+  const summary = {
+    cards: Math.max(countCards(content), schedules.length),
+    scheduled: schedules.length,
+    nextDue: null,
+    averageInterval: null,
+    ease: null,
+    overdue: 0
+  };
+
+  if (schedules.length === 0) {
+    return summary;
+  }
+
+  // Dates are zero-padded, so string comparison orders them correctly
+  const dueDates = schedules.map(schedule => schedule.due).sort();
+  summary.nextDue = dueDates[0];
+  summary.overdue = dueDates.filter(due => due < today).length;
+
+  const totalInterval = schedules.reduce((sum, schedule) => sum + schedule.interval, 0);
+  const totalEase = schedules.reduce((sum, schedule) => sum + schedule.ease, 0);
+  summary.averageInterval = Math.round((totalInterval / schedules.length) * 10) / 10;
+  summary.ease = Math.round(totalEase / schedules.length);
+
+  return summary;
+}
+
+module.exports = {
+  parseSchedule,
+  parseSchedules,
+  formatScheduleComment,
+  countCards,
+  summarizeSchedules,
+  formatDate
+};
@@ -0,0 +1,216 @@
+/**
+ * Storage Backends for FourNiner
+ *
+ * Progress and flashcards are kept as region notes: the markdown of one region
+ * with its #status tag and cards. This module decides where those notes live:
+ *   markdown  One .md file per region in an Obsidian vault (default)
+ *   json      A single JSON file managed by FourNiner, for use without Obsidian
+ *
+ * Both backends keep images and the change history in the same layout under
+ * their root folder (<root>/<country>/images/, <root>/.fourniner/history.jsonl).
+ *
+ * A backend is an object with:
+ *   type                                 'markdown' or 'json'
+ *   path                                 Root folder
+ *   events                               Emits 'change' with { type, country, cellId, note, previous }
+ *   open()                               Load the notes, returns stats
+ *   close()                              Stop watching and drop the loaded notes
+ *   getProgress(options)                 Status of every region, with review details if options.details
+ *   getNote(country, cellId)             Note entry with content, status and review, or null
+ *   listNotes(country)                   Note entries, optionally of a single country
+ *   readNote(country, cellId)            Current content straight from storage, or null
+ *   writeNote(country, cellId, content)  Write a note, or delete it when content is null
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { createMarkdownStorage } = require('./markdown-storage');
+const { createJsonStorage } = require('./json-storage');
+const { recordChange } = require('./vault-history');
+
+// Available backends
+const STORAGE_TYPES = {
+  markdown: createMarkdownStorage,
+  json: createJsonStorage
+};
+
+// Change events of every open backend, so listeners survive a profile switch.
+// Events carry the namespace of the backend they come from (null for the vault root).
+const events = new EventEmitter();
+events.setMaxListeners(0); // One listener per open event stream
+
+// Active vault profile and its open backends
+let activeProfile = null;
+let backends = new Map(); // namespace ('' for the vault root) -> opened backend
+
+/**
+ * Create a storage backend
+ *
+ * @param {string} type - 'markdown' or 'json'
+ * @param {string} rootPath - Root folder of the backend
+ * @returns {Object} Storage backend (not opened yet)
+ */
+function createStorage(type, rootPath) {
+  const factory = STORAGE_TYPES[type];
+  if (!factory) {
+    throw new Error(`Unknown storage backend '${type}', use one of ${Object.keys(STORAGE_TYPES).join(', ')}`);
+  }
+  return factory(rootPath);
+}
+
+/**
+ * Make a vault profile the active one
+ *
+ * Backends are opened on first use by getStorage. Calling this again (e.g.
+ * after switching vault profiles) closes the backends of the previous profile.
+ *
+ * @param {Object} profile - Vault profile with path and storage
+ */
+function openStorage(profile) {
+  closeStorage();
+  createStorage(profile.storage || 'markdown', profile.path); // Fail early on an unknown backend
+  activeProfile = profile;
+}
+
+/**
+ * Close every open backend
+ */
+function closeStorage() {
+  backends.forEach(backend => {
+    backend.events.removeAllListeners('change');
+    backend.close();
+  });
+  backends = new Map();
+  activeProfile = null;
+}
+
+/**
+ * Get a backend of the active profile, opening it on first use
+ *
+ * Namespaces keep separate sets of notes in subfolders of the vault, e.g. one
+ * per user ('users/alice'). Without a namespace the vault root is used.
+ *
+ * @param {string|null} namespace - Subfolder of the vault (optional)
+ * @returns {Object} Opened storage backend
+ */
+function getStorage(namespace = null) {
+  if (!activeProfile) {
+    throw new Error('No vault profile has been opened');
+  }
+
+  const key = namespace || '';
+  if (!backends.has(key)) {
+    const rootPath = namespace ? path.join(activeProfile.path, namespace) : activeProfile.path;
+    const backend = createStorage(activeProfile.storage || 'markdown', rootPath);
+    backend.open();
+    backend.events.on('change', change => events.emit('change', { ...change, namespace: namespace || null }));
+    backends.set(key, backend);
+  }
+
+  return backends.get(key);
+}
+
+/**
+ * Copy the images of every country from one root folder to another
+ *
+ * @param {string} sourcePath - Root folder to copy from
+ * @param {string} targetPath - Root folder to copy to
+ * @param {boolean} dryRun - Only count the images
+ * @returns {Object} Counts of copied and existing images
+ */
+function copyImages(sourcePath, targetPath, dryRun) {
+  const result = { copied: 0, existing: 0 };
+  if (!fs.existsSync(sourcePath)) {
+    return result;
+  }
+
+  fs.readdirSync(sourcePath, { withFileTypes: true })
+    .filter(dirent => dirent.isDirectory() && !dirent.name.startsWith('.'))
+    .forEach(dirent => {
+      const imagesDir = path.join(sourcePath, dirent.name, 'images');
+      if (!fs.existsSync(imagesDir)) {
+        return;
+      }
+
+      fs.readdirSync(imagesDir, { withFileTypes: true })
+        .filter(entry => entry.isFile()) // Thumbnails are rebuilt on demand
+        .forEach(entry => {
+          const target = path.join(targetPath, dirent.name, 'images', entry.name);
+          if (fs.existsSync(target)) {
+            result.existing++;
+            return;
+          }
+          if (!dryRun) {
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.copyFileSync(path.join(imagesDir, entry.name), target);
+          }
+          result.copied++;
+        });
+    });
+
+  return result;
+}
+
+/**
+ * Copy every note and image from one backend to another
+ *
+ * Notes the target already has with different content are conflicts; they are
+ * kept unless options.overwrite is set. Written notes are recorded in the
+ * target's change history.
+ *
+ * @param {Object} source - Opened backend to copy from
+ * @param {Object} target - Opened backend to copy to
+ * @param {Object} options - Migration options
+ * @param {boolean} options.overwrite - Replace notes that differ in the target
+ * @param {boolean} options.dryRun - Only report what would be copied
+ * @returns {Object} Counts of copied, unchanged and conflicting notes, images, and the conflicts
+ */
+function migrateStorage(source, target, options = {}) {
+  const result = { notes: { copied: 0, unchanged: 0, overwritten: 0, skipped: 0 }, images: null, conflicts: [] };
+
+  source.listNotes().forEach(note => {
+    const existing = target.readNote(note.country, note.cellId);
+
+    if (existing === note.content) {
+      result.notes.unchanged++;
+      return;
+    }
+
+    if (existing !== null) {
+      result.conflicts.push({ country: note.country, cellId: note.cellId });
+      if (!options.overwrite) {
+        result.notes.skipped++;
+        return;
+      }
+    }
+
+    result.notes[existing === null ? 'copied' : 'overwritten']++;
+    if (options.dryRun) {
+      return;
+    }
+
+    target.writeNote(note.country, note.cellId, note.content);
+    recordChange(target.path, {
+      country: note.country,
+      cellId: note.cellId,
+      action: 'migrate',
+      details: { from: source.type, path: source.path },
+      previousContent: existing,
+      content: note.content
+    });
+  });
+
+  result.images = copyImages(source.path, target.path, options.dryRun);
+  return result;
+}
+
+module.exports = {
+  createStorage,
+  openStorage,
+  closeStorage,
+  getStorage,
+  migrateStorage,
+  events,
+  STORAGE_TYPES
+};
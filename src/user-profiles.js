@@ -0,0 +1,247 @@
+/**
+ * User Profiles for FourNiner
+ *
+ * This module lets several people share one server, each with their own
+ * progress, cards and change history. Users are listed in a local file and
+ * sign in with a token generated for them:
+ *   fourniner.users.json (or the file named by FOURNINER_USERS)
+ *
+ * Only a hash of each token is stored. When the file doesn't exist or lists no
+ * users, the server runs in single-user mode without authentication.
+ *
+ * Every user gets a storage namespace inside the active vault (see storage.js),
+ * by default users/<id>. Region data under map_data stays shared.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Default location of the users file
+const DEFAULT_USERS_PATH = path.join(__dirname, '..', 'fourniner.users.json');
+
+// Lowercase IDs that are safe as folder names
+const USER_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Stored token hashes, as written by hashToken
+const TOKEN_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+// Cached users file, reloaded when it changes on disk
+let cache = { filePath: null, mtimeMs: null, users: {} };
+
+/**
+ * Get the path of the users file
+ *
+ * @returns {string} Absolute path
+ */
+function getUsersPath() {
+  return path.resolve(process.env.FOURNINER_USERS || DEFAULT_USERS_PATH);
+}
+
+/**
+ * Hash a token for storage and comparison
+ *
+ * @param {string} token - Token as given to the user
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Read the users file, reusing the cached copy if it hasn't changed
+ *
+ * @returns {Object} Users keyed by ID
+ */
+function readUsers() {
+  const filePath = getUsersPath();
+
+  if (!fs.existsSync(filePath)) {
+    cache = { filePath, mtimeMs: null, users: {} };
+    return cache.users;
+  }
+
+  const { mtimeMs } = fs.statSync(filePath);
+  if (cache.filePath === filePath && cache.mtimeMs === mtimeMs) {
+    return cache.users;
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const users = data.users || {};
+
+    // A user with a malformed hash can't sign in until their token is reset
+    Object.entries(users).forEach(([id, entry]) => {
+      if (!TOKEN_HASH_PATTERN.test(entry.tokenHash)) {
+        console.warn(`User ${id} in ${filePath} has no valid token hash, run npm run users -- reset-token ${id}`);
+        entry.tokenHash = null;
+      }
+    });
+    cache = { filePath, mtimeMs, users };
+  } catch (error) {
+    console.error(`Error reading users file ${filePath}:`, error.message);
+    cache = { filePath, mtimeMs, users: {} };
+  }
+  return cache.users;
+}
+
+/**
+ * Write the users file
+ *
+ * @param {Object} users - Users keyed by ID
+ */
+function writeUsers(users) {
+  const filePath = getUsersPath();
+  fs.writeFileSync(filePath, JSON.stringify({ users }, null, 2) + '\n');
+  cache = { filePath: null, mtimeMs: null, users: {} }; // Re-read on next use
+}
+
+/**
+ * Turn a stored user entry into the public user object
+ *
+ * @param {string} id - User ID
+ * @param {Object} entry - Stored entry
+ * @returns {Object} User with id, name and namespace
+ */
+function toUser(id, entry) {
+  return {
+    id,
+    name: entry.name || id,
+    namespace: entry.folder || `users/${id}`
+  };
+}
+
+/**
+ * List the folders at the top of the vault that hold user namespaces
+ *
+ * @returns {string[]} Folder names, e.g. ['users']
+ */
+function listUserFolders() {
+  return Array.from(new Set(listUsers().map(user => user.namespace.split(/[\\/]/)[0])));
+}
+
+/**
+ * Check whether user profiles are configured
+ *
+ * @returns {boolean} True if at least one user exists
+ */
+function usersEnabled() {
+  return Object.keys(readUsers()).length > 0;
+}
+
+/**
+ * List the configured users
+ *
+ * @returns {Object[]} Users with id, name and namespace
+ */
+function listUsers() {
+  return Object.entries(readUsers()).map(([id, entry]) => toUser(id, entry));
+}
+
+/**
+ * Find the user a token belongs to
+ *
+ * @param {string} token - Token sent by the client
+ * @returns {Object|null} User, or null if the token is unknown
+ */
+function authenticateToken(token) {
+  if (!token) {
+    return null;
+  }
+
+  const hash = Buffer.from(hashToken(token), 'hex');
+  const match = Object.entries(readUsers()).find(([, entry]) =>
+    entry.tokenHash !== null && crypto.timingSafeEqual(Buffer.from(entry.tokenHash, 'hex'), hash));
+
+  return match ? toUser(match[0], match[1]) : null;
+}
+
+/**
+ * Generate a new random token
+ *
+ * @returns {string} Token
+ */
+function generateToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Add a user with a new token
+ *
+ * @param {string} id - User ID (lowercase letters, digits, '-' and '_')
+ * @param {Object} options - User options
+ * @param {string} options.name - Display name (defaults to the ID)
+ * @param {string} options.folder - Storage namespace inside the vault (defaults to users/<id>)
+ * @returns {Object} The user and the token, which is not stored and shown only once
+ */
+function addUser(id, options = {}) {
+  if (!USER_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid user ID '${id}': use lowercase letters, digits, '-' and '_'`);
+  }
+
+  if (options.folder && (path.isAbsolute(options.folder) || options.folder.split(/[\\/]/).includes('..'))) {
+    throw new Error(`Invalid folder '${options.folder}': use a path inside the vault`);
+  }
+
+  const users = readUsers();
+  if (users[id]) {
+    throw new Error(`User '${id}' already exists`);
+  }
+
+  const token = generateToken();
+  users[id] = {
+    name: options.name || id,
+    tokenHash: hashToken(token),
+    createdAt: new Date().toISOString()
+  };
+  if (options.folder) {
+    users[id].folder = options.folder;
+  }
+
+  writeUsers(users);
+  return { user: toUser(id, users[id]), token };
+}
+
+/**
+ * Give a user a new token, invalidating the old one
+ *
+ * @param {string} id - User ID
+ * @returns {string} The new token
+ */
+function resetToken(id) {
+  const users = readUsers();
+  if (!users[id]) {
+    throw new Error(`Unknown user: ${id}`);
+  }
+
+  const token = generateToken();
+  users[id] = { ...users[id], tokenHash: hashToken(token) };
+  writeUsers(users);
+  return token;
+}
+
+/**
+ * Remove a user; their notes stay in the vault
+ *
+ * @param {string} id - User ID
+ */
+function removeUser(id) {
+  const users = readUsers();
+  if (!users[id]) {
+    throw new Error(`Unknown user: ${id}`);
+  }
+
+  delete users[id];
+  writeUsers(users);
+}
+
+module.exports = {
+  usersEnabled,
+  listUsers,
+  listUserFolders,
+  authenticateToken,
+  addUser,
+  resetToken,
+  removeUser,
+  getUsersPath
+};
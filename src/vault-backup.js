@@ -0,0 +1,387 @@
+/**
+ * Vault Backup for FourNiner
+ *
+ * This module packs everything needed to move a vault to another machine into
+ * a single zip archive, and restores such an archive into an empty or existing
+ * vault.
+ *
+ * Layout of the archive:
+ *   manifest.json                             Format, version, creation date and counts
+ *   progress.json                             Status of every region, per country
+ *   vault/<country>/<cellId>.md               Region notes
+ *   vault/<country>/images/<file>             Flashcard images (thumbnails are rebuilt on demand)
+ *   map_data/countries/<id>/<id>_regions.json Region definitions the notes refer to
+ *
+ * Files that already exist in the target with different content are conflicts,
+ * resolved with one of the strategies:
+ *   skip       Keep the existing file
+ *   overwrite  Replace it with the file from the archive
+ *   merge      Notes get the cards they are missing appended; images and region
+ *              definitions are kept as they are
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { findCardBlocks } = require('./flashcard-parser');
+const { getNoteStatus } = require('./vault-index');
+const { recordChange } = require('./vault-history');
+const { ValidationError } = require('./request-validation');
+const { findCountryIdsForFolder, MAP_DATA_PATH } = require('./countries');
+
+// Identifies archives written by this module
+const BACKUP_FORMAT = 'fourniner-backup';
+const BACKUP_VERSION = 1;
+
+// Top-level folders of the archive
+const VAULT_PREFIX = 'vault/';
+const MAP_DATA_PREFIX = 'map_data/';
+
+// How conflicts can be resolved
+const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'merge'];
+
+// Status tags written by the map, and a line holding only tags
+const STATUS_TAG_REGEX = /#status\/[^\s#]+/;
+const TAG_LINE_REGEX = /^\s*(?:#[^\s#]+\s*)+$/;
+
+// Spaced repetition data changes with every review, so it is ignored when comparing cards
+const SR_COMMENT_REGEX = /<!--SR:[^>]*-->/g;
+
+/**
+ * List the non-hidden entries of a directory
+ *
+ * @param {string} dirPath - Directory to list
+ * @returns {fs.Dirent[]} Directory entries
+ */
+function listEntries(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    return [];
+  }
+  return fs.readdirSync(dirPath, { withFileTypes: true })
+    .filter(dirent => !dirent.name.startsWith('.'));
+}
+
+/**
+ * List the region definition files of the countries stored in a vault folder
+ *
+ * @param {string} country - Vault folder name
+ * @param {string} mapDataPath - Root of the map data
+ * @returns {string[]} Paths relative to the map data root
+ */
+function listRegionFiles(country, mapDataPath) {
+  const files = [];
+
+  findCountryIdsForFolder(country, mapDataPath).forEach(countryId => {
+    [
+      path.join('countries', countryId, `${countryId}_regions.json`),
+      path.join('countries', countryId, `${countryId}_admin_regions.json`),
+      `${countryId}_regions.json`
+    ].forEach(file => {
+      if (fs.existsSync(path.join(mapDataPath, file))) {
+        files.push(file);
+      }
+    });
+  });
+
+  return files;
+}
+
+/**
+ * Create a backup archive of a vault
+ *
+ * @param {string} vaultPath - Root of the Regions vault
+ * @param {Object} options - Backup options
+ * @param {string} options.mapDataPath - Root of the map data, for region definitions
+ * @returns {Object} Archive buffer and manifest
+ */
+function createBackup(vaultPath, options = {}) {
+  const mapDataPath = options.mapDataPath || MAP_DATA_PATH;
+  const zip = new AdmZip();
+  const progress = {};
+  const regionFiles = new Set();
+  const stats = { countries: 0, notes: 0, images: 0, regionFiles: 0 };
+
+  listEntries(vaultPath).filter(dirent => dirent.isDirectory()).forEach(dirent => {
+    const country = dirent.name;
+    const countryPath = path.join(vaultPath, country);
+    progress[country] = {};
+    stats.countries++;
+
+    listEntries(countryPath)
+      .filter(entry => entry.isFile() && entry.name.endsWith('.md'))
+      .forEach(entry => {
+        const content = fs.readFileSync(path.join(countryPath, entry.name));
+        zip.addFile(`${VAULT_PREFIX}${country}/${entry.name}`, content);
+        progress[country][entry.name.replace(/\.md$/, '')] = getNoteStatus(content.toString('utf8'));
+        stats.notes++;
+      });
+
+    // Only the images themselves, the thumbnails folder is skipped
+    listEntries(path.join(countryPath, 'images'))
+      .filter(entry => entry.isFile())
+      .forEach(entry => {
+        zip.addFile(`${VAULT_PREFIX}${country}/images/${entry.name}`,
+          fs.readFileSync(path.join(countryPath, 'images', entry.name)));
+        stats.images++;
+      });
+
+    listRegionFiles(country, mapDataPath).forEach(file => regionFiles.add(file));
+  });
+
+  regionFiles.forEach(file => {
+    zip.addFile(MAP_DATA_PREFIX + file.split(path.sep).join('/'), fs.readFileSync(path.join(mapDataPath, file)));
+    stats.regionFiles++;
+  });
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    countries: Object.keys(progress),
+    stats
+  };
+
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+  zip.addFile('progress.json', Buffer.from(JSON.stringify(progress, null, 2)));
+
+  return { buffer: zip.toBuffer(), manifest };
+}
+
+/**
+ * Get the content of a card that identifies it, without its review data
+ *
+ * @param {string[]} lines - Lines of the note
+ * @param {Object} block - Card block from findCardBlocks
+ * @returns {string} Comparable card content
+ */
+function getCardKey(lines, block) {
+  return lines.slice(block.start, block.end)
+    .map(line => line.replace(SR_COMMENT_REGEX, '').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Merge a note from a backup into the existing note
+ *
+ * The existing note is kept as it is. Cards that only the backup has are
+ * appended, and the backup's status tag is used if the existing note has none.
+ *
+ * @param {string} existing - Content of the note in the vault
+ * @param {string} incoming - Content of the note in the backup
+ * @returns {Object} Merged content and the number of cards added
+ */
+function mergeNotes(existing, incoming) {
+  const existingLines = existing.split('\n');
+  const incomingLines = incoming.split('\n');
+  const existingKeys = new Set(findCardBlocks(existingLines).map(block => getCardKey(existingLines, block)));
+
+  const missingCards = findCardBlocks(incomingLines)
+    .filter(block => !existingKeys.has(getCardKey(incomingLines, block)))
+    .map(block => incomingLines.slice(block.start, block.end).join('\n'));
+
+  let content = existing;
+
+  const incomingStatus = incoming.match(STATUS_TAG_REGEX);
+  if (incomingStatus && !STATUS_TAG_REGEX.test(content)) {
+    const lines = content.split('\n');
+    if (TAG_LINE_REGEX.test(lines[0])) {
+      lines[0] = `${lines[0].trimEnd()} ${incomingStatus[0]}`;
+    } else {
+      lines.unshift(incomingStatus[0]);
+    }
+    content = lines.join('\n');
+  }
+
+  if (missingCards.length > 0) {
+    content = `${content.trimEnd()}\n\n${missingCards.join('\n\n')}\n`;
+  }
+
+  return { content, cardsAdded: missingCards.length };
+}
+
+/**
+ * Read and check a backup archive
+ *
+ * @param {Buffer} buffer - Archive content
+ * @returns {Object} The zip and its manifest
+ */
+function openBackup(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new ValidationError('Invalid backup', 'The archive is not a valid zip file');
+  }
+
+  const manifestEntry = zip.getEntry('manifest.json');
+  let manifest = null;
+  try {
+    manifest = manifestEntry ? JSON.parse(manifestEntry.getData().toString('utf8')) : null;
+  } catch (error) {
+    // Reported below
+  }
+
+  if (!manifest || manifest.format !== BACKUP_FORMAT) {
+    throw new ValidationError('Invalid backup', 'The archive is not a FourNiner backup');
+  }
+  if (manifest.version > BACKUP_VERSION) {
+    throw new ValidationError('Invalid backup', `Backup version ${manifest.version} is newer than this app supports`);
+  }
+
+  return { zip, manifest };
+}
+
+/**
+ * Resolve the target of an archive entry, or null for entries that aren't restored
+ *
+ * @param {string} entryName - Path of the entry in the archive
+ * @param {string} vaultPath - Root of the Regions vault
+ * @param {string} mapDataPath - Root of the map data
+ * @returns {Object|null} Target with kind, file, path, and country/cellId for notes
+ */
+function resolveEntry(entryName, vaultPath, mapDataPath) {
+  let root;
+  let relativePath;
+  if (entryName.startsWith(VAULT_PREFIX)) {
+    root = vaultPath;
+    relativePath = entryName.substring(VAULT_PREFIX.length);
+  } else if (entryName.startsWith(MAP_DATA_PREFIX)) {
+    root = mapDataPath;
+    relativePath = entryName.substring(MAP_DATA_PREFIX.length);
+  } else {
+    return null;
+  }
+
+  // Never write outside the target folders or into hidden folders
+  const parts = relativePath.split('/');
+  if (parts.some(part => !part || part === '..' || part.startsWith('.'))) {
+    throw new ValidationError('Invalid backup', `The archive contains an invalid path: ${entryName}`);
+  }
+
+  const target = { file: entryName, path: path.join(root, ...parts) };
+  if (root === mapDataPath) {
+    target.kind = 'regions';
+  } else if (parts.length === 2 && parts[1].endsWith('.md')) {
+    target.kind = 'note';
+    target.country = parts[0];
+    target.cellId = parts[1].replace(/\.md$/, '');
+  } else {
+    target.kind = 'image';
+  }
+
+  return target;
+}
+
+/**
+ * Restore a backup archive into a vault
+ *
+ * Notes that are written are recorded in the vault history, so a restore can
+ * be rolled back note by note. The history only covers notes: the images and
+ * region definitions a restore writes are listed as unrecorded instead, since
+ * a rollback doesn't undo them.
+ *
+ * @param {string} vaultPath - Root of the Regions vault
+ * @param {Buffer} buffer - Archive content
+ * @param {Object} options - Restore options
+ * @param {string} options.strategy - 'skip', 'overwrite' or 'merge' (default 'skip')
+ * @param {boolean} options.dryRun - Only report what would happen
+ * @param {boolean} options.regions - Restore region definitions (default true)
+ * @param {string} options.mapDataPath - Root of the map data, for region definitions
+ * @returns {Object} Result with manifest, summary, conflicts, the notes that changed and the
+ *   unrecorded images and region definitions that were written (file, kind and action)
+ */
+function restoreBackup(vaultPath, buffer, options = {}) {
+  const strategy = options.strategy || 'skip';
+  const dryRun = Boolean(options.dryRun);
+  const mapDataPath = options.mapDataPath || MAP_DATA_PATH;
+
+  if (!CONFLICT_STRATEGIES.includes(strategy)) {
+    throw new ValidationError('Invalid request', `strategy must be one of ${CONFLICT_STRATEGIES.join(', ')}`);
+  }
+
+  const { zip, manifest } = openBackup(buffer);
+  const summary = { created: 0, unchanged: 0, overwritten: 0, merged: 0, skipped: 0, conflicts: 0 };
+  const conflicts = [];
+  const notes = [];
+  const unrecorded = [];
+
+  // Check every path before writing anything
+  const targets = zip.getEntries()
+    .filter(entry => !entry.isDirectory)
+    .map(entry => ({ entry, target: resolveEntry(entry.entryName, vaultPath, mapDataPath) }))
+    .filter(({ target }) => target && (target.kind !== 'regions' || options.regions !== false));
+
+  targets.forEach(({ entry, target }) => {
+    const data = entry.getData();
+    const exists = fs.existsSync(target.path);
+    const current = exists ? fs.readFileSync(target.path) : null;
+    let content = data;
+    let action = exists ? 'overwritten' : 'created';
+
+    if (current && current.equals(data)) {
+      summary.unchanged++;
+      return;
+    }
+
+    if (current) {
+      summary.conflicts++;
+      const conflict = { file: target.file, kind: target.kind, resolution: 'overwritten' };
+
+      if (strategy === 'skip' || (strategy === 'merge' && target.kind !== 'note')) {
+        conflict.resolution = 'kept';
+        conflicts.push(conflict);
+        summary.skipped++;
+        return;
+      }
+
+      if (strategy === 'merge') {
+        const merged = mergeNotes(current.toString('utf8'), data.toString('utf8'));
+        conflict.cardsAdded = merged.cardsAdded;
+        content = Buffer.from(merged.content);
+        conflict.resolution = action = 'merged';
+      }
+
+      // A merge that adds nothing leaves the note as it is
+      if (content.equals(current)) {
+        conflict.resolution = 'kept';
+        conflicts.push(conflict);
+        summary.skipped++;
+        return;
+      }
+      conflicts.push(conflict);
+    }
+
+    summary[action]++;
+    if (dryRun) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(target.path), { recursive: true });
+    fs.writeFileSync(target.path, content);
+
+    if (target.kind === 'note') {
+      recordChange(vaultPath, {
+        country: target.country,
+        cellId: target.cellId,
+        action: 'restore',
+        details: { strategy, backupCreatedAt: manifest.createdAt },
+        previousContent: current ? current.toString('utf8') : null,
+        content: content.toString('utf8')
+      });
+      notes.push({ country: target.country, cellId: target.cellId });
+    } else {
+      unrecorded.push({ file: target.file, kind: target.kind, action });
+    }
+  });
+
+  return { manifest, strategy, dryRun, summary, conflicts, notes, unrecorded };
+}
+
+module.exports = {
+  createBackup,
+  restoreBackup,
+  mergeNotes,
+  BACKUP_FORMAT,
+  CONFLICT_STRATEGIES
+};
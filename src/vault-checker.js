@@ -0,0 +1,310 @@
+/**
+ * Vault Checker for FourNiner
+ *
+ * This module scans the Regions vault for notes and images that are out of line
+ * with what the app expects, and repairs the problems that can be fixed without
+ * losing anything.
+ *
+ * Checks:
+ *   missing-tag       Note has no #flash-geo tag                         (fixable)
+ *   tag-mismatch      Tag path disagrees with the note's folder/name      (fixable)
+ *   missing-image     Card embeds an image that doesn't exist
+ *   orphaned-image    Image in <country>/images that no note references  (fixable, moved to the trash)
+ *   placeholder-card  Card still has the screenshot placeholder question
+ *   unknown-region    Note is named after a region that no longer exists
+ *
+ * Fixed notes are recorded in the vault history and orphaned images go to the
+ * same trash as images deleted with a card (see vault-images.js), so a fix
+ * can be rolled back like any other change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseNote, parseTags } = require('./flashcard-parser');
+const { moveImageToTrash } = require('./vault-images');
+const { recordChange } = require('./vault-history');
+const { findCountryIdsForFolder, readRegionIds, MAP_DATA_PATH } = require('./countries');
+
+// Placeholder question written by /api/flashcard/location for answer-only captures
+const PLACEHOLDER_TEXT = '[Your screenshot will appear here as the question]';
+
+// Images that can be embedded in notes
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.gif'];
+
+// Grid cells from the grid view ('A1'), which don't come from region files
+const GRID_CELL_REGEX = /^[A-Z]\d+$/;
+
+// Issue types with a description and whether they can be fixed automatically
+const ISSUE_TYPES = {
+  'missing-tag': { description: 'Notes without a #flash-geo tag', fixable: true },
+  'tag-mismatch': { description: 'Notes whose tag path disagrees with their folder', fixable: true },
+  'missing-image': { description: 'Cards with missing images', fixable: false },
+  'orphaned-image': { description: 'Images no note references', fixable: true },
+  'placeholder-card': { description: 'Cards with the screenshot placeholder', fixable: false },
+  'unknown-region': { description: 'Notes for regions that no longer exist', fixable: false }
+};
+
+/**
+ * Get the expected flash-geo tag of a note
+ *
+ * @param {string} country - Country folder name
+ * @param {string} cellId - Region/cell ID
+ * @returns {string} Tag without the leading '#'
+ */
+function getExpectedTag(country, cellId) {
+  return `flash-geo/regions/${country}/${cellId}`;
+}
+
+/**
+ * List the non-hidden entries of a directory
+ *
+ * @param {string} dirPath - Directory to list
+ * @returns {fs.Dirent[]} Directory entries
+ */
+function listEntries(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    return [];
+  }
+  return fs.readdirSync(dirPath, { withFileTypes: true })
+    .filter(dirent => !dirent.name.startsWith('.'));
+}
+
+/**
+ * Check whether an embedded image exists
+ *
+ * Markdown links are relative to the note. Obsidian also finds embeds by file
+ * name alone, so the country's images folder is checked as well.
+ *
+ * @param {string} countryPath - Folder of the note
+ * @param {string} imagePath - Image path as written in the note
+ * @returns {boolean} True if the image exists
+ */
+function imageExists(countryPath, imagePath) {
+  let decoded = imagePath;
+  try {
+    decoded = decodeURI(imagePath); // Markdown links may encode spaces as %20
+  } catch (error) {
+    // Keep the path as written
+  }
+  return fs.existsSync(path.resolve(countryPath, decoded)) ||
+    fs.existsSync(path.join(countryPath, 'images', path.basename(decoded)));
+}
+
+/**
+ * Scan the vault for problems
+ *
+ * @param {string} vaultPath - Root of the Regions vault
+ * @param {Object} options - Scan options
+ * @param {string} options.mapDataPath - Root of the map data, for region IDs
+ * @returns {Object} Report with vaultPath, checkedAt, summary and issues
+ */
+function checkVault(vaultPath, options = {}) {
+  const mapDataPath = options.mapDataPath || MAP_DATA_PATH;
+  const issues = [];
+  const notes = [];
+  const images = [];
+
+  const addIssue = (type, details) => {
+    issues.push({ type, fixable: ISSUE_TYPES[type].fixable, ...details });
+  };
+
+  // Read every note and list every image first, since images can be shared across notes
+  listEntries(vaultPath).filter(dirent => dirent.isDirectory()).forEach(dirent => {
+    const country = dirent.name;
+    const countryPath = path.join(vaultPath, country);
+
+    listEntries(countryPath)
+      .filter(entry => entry.isFile() && entry.name.endsWith('.md'))
+      .forEach(entry => {
+        notes.push({
+          country,
+          cellId: entry.name.replace(/\.md$/, ''),
+          file: path.join(country, entry.name),
+          content: fs.readFileSync(path.join(countryPath, entry.name), 'utf8')
+        });
+      });
+
+    listEntries(path.join(countryPath, 'images'))
+      .filter(entry => entry.isFile() && IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+      .forEach(entry => images.push({ country, file: path.join(country, 'images', entry.name), name: entry.name }));
+  });
+
+  // Region IDs per country folder, null when no regions have been generated
+  const regionIdsByFolder = new Map();
+  const getRegionIds = country => {
+    if (!regionIdsByFolder.has(country)) {
+      let regionIds = null;
+      findCountryIdsForFolder(country, mapDataPath).forEach(countryId => {
+        const ids = readRegionIds(countryId, mapDataPath);
+        if (ids) {
+          regionIds = new Set([...(regionIds || []), ...ids]);
+        }
+      });
+      regionIdsByFolder.set(country, regionIds);
+    }
+    return regionIdsByFolder.get(country);
+  };
+
+  notes.forEach(note => {
+    const { country, cellId, file, content } = note;
+    const countryPath = path.join(vaultPath, country);
+
+    // Tags
+    const expectedTag = getExpectedTag(country, cellId);
+    const flashTags = parseTags(content).filter(tag => tag.startsWith('flash-geo'));
+    if (flashTags.length === 0) {
+      addIssue('missing-tag', {
+        country, cellId, file,
+        message: `No #flash-geo tag, expected #${expectedTag}`
+      });
+    } else if (!flashTags.includes(expectedTag)) {
+      addIssue('tag-mismatch', {
+        country, cellId, file,
+        message: `Tagged #${flashTags[0]}, expected #${expectedTag}`
+      });
+    }
+
+    // Cards
+    parseNote(content).cards.forEach(card => {
+      [card.question.image, card.answer.image].filter(Boolean).forEach(image => {
+        if (!imageExists(countryPath, image)) {
+          addIssue('missing-image', {
+            country, cellId, file, card: card.index,
+            message: `Card ${card.index + 1} embeds missing image ${image}`
+          });
+        }
+      });
+
+      if (card.question.text.includes(PLACEHOLDER_TEXT)) {
+        addIssue('placeholder-card', {
+          country, cellId, file, card: card.index,
+          message: `Card ${card.index + 1} has no question screenshot yet`
+        });
+      }
+    });
+
+    // Regions
+    const regionIds = getRegionIds(country);
+    if (regionIds && !regionIds.has(cellId) && !GRID_CELL_REGEX.test(cellId)) {
+      addIssue('unknown-region', {
+        country, cellId, file,
+        message: `${cellId} is not a region of ${country} anymore`
+      });
+    }
+  });
+
+  // Images are referenced by file name, see vault-images.js
+  images.forEach(image => {
+    if (!notes.some(note => note.content.includes(image.name))) {
+      addIssue('orphaned-image', {
+        country: image.country,
+        file: image.file,
+        message: `${image.file} is not referenced by any note`
+      });
+    }
+  });
+
+  const byType = {};
+  Object.keys(ISSUE_TYPES).forEach(type => {
+    byType[type] = issues.filter(issue => issue.type === type).length;
+  });
+
+  return {
+    vaultPath,
+    checkedAt: new Date().toISOString(),
+    summary: {
+      notes: notes.length,
+      images: images.length,
+      issues: issues.length,
+      fixable: issues.filter(issue => issue.fixable).length,
+      byType
+    },
+    issues
+  };
+}
+
+/**
+ * Add or correct the flash-geo tag of a note
+ *
+ * @param {string} content - Markdown content of the note
+ * @param {string} expectedTag - Tag the note should have, without '#'
+ * @returns {string} Updated content
+ */
+function fixNoteTag(content, expectedTag) {
+  const tagRegex = /(^|\s)#flash-geo[^\s#]*/;
+
+  if (tagRegex.test(content)) {
+    return content.replace(tagRegex, `$1#${expectedTag}`);
+  }
+
+  // Add the tag to an existing tag line, or put it on a line of its own
+  const lines = content.split('\n');
+  if (/^\s*(?:#[^\s#]+\s*)+$/.test(lines[0])) {
+    lines[0] = `#${expectedTag} ${lines[0].trim()}`;
+  } else {
+    lines.unshift(`#${expectedTag}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Apply the safe fixes for the issues of a report
+ *
+ * The vault is re-read for every fix, so a stale report can't overwrite newer edits.
+ *
+ * @param {string} vaultPath - Root of the Regions vault
+ * @param {Object[]} issues - Issues from checkVault
+ * @param {Object} options - Fix options
+ * @param {string[]} options.types - Only fix these issue types (defaults to all fixable types)
+ * @returns {Object[]} Applied fixes with type, file, country, cellId and action
+ */
+function fixVaultIssues(vaultPath, issues, options = {}) {
+  const types = options.types || Object.keys(ISSUE_TYPES);
+  const fixes = [];
+
+  issues
+    .filter(issue => issue.fixable && types.includes(issue.type))
+    .forEach(issue => {
+      const filePath = path.join(vaultPath, issue.file);
+
+      try {
+        if (!fs.existsSync(filePath)) {
+          return;
+        }
+
+        if (issue.type === 'missing-tag' || issue.type === 'tag-mismatch') {
+          const expectedTag = getExpectedTag(issue.country, issue.cellId);
+          const content = fs.readFileSync(filePath, 'utf8');
+          if (parseTags(content).includes(expectedTag)) {
+            return;
+          }
+
+          const fixed = fixNoteTag(content, expectedTag);
+          fs.writeFileSync(filePath, fixed);
+          recordChange(vaultPath, {
+            country: issue.country,
+            cellId: issue.cellId,
+            action: 'fix-tag',
+            details: { issue: issue.type },
+            previousContent: content,
+            content: fixed
+          });
+          fixes.push({ ...issue, action: `Tagged #${expectedTag}` });
+        } else if (issue.type === 'orphaned-image') {
+          const trashPath = moveImageToTrash(vaultPath, filePath);
+          fixes.push({ ...issue, action: `Moved to ${trashPath}` });
+        }
+      } catch (error) {
+        console.error(`Error fixing ${issue.type} in ${issue.file}:`, error.message);
+      }
+    });
+
+  return fixes;
+}
+
+module.exports = {
+  checkVault,
+  fixVaultIssues,
+  ISSUE_TYPES,
+  PLACEHOLDER_TEXT
+};
@@ -0,0 +1,248 @@
+/**
+ * Vault Configuration for FourNiner
+ *
+ * This module resolves where the Obsidian Regions vault lives. The vault root can
+ * come from a CLI flag, an environment variable or a config file, and the config
+ * file can define several named profiles that are switched at runtime.
+ *
+ * Precedence (highest first):
+ *   1. --vault <path> / --profile <id> command line flags
+ *   2. OBSIDIAN_PATH / FOURNINER_PROFILE environment variables
+ *   3. fourniner.config.json (or the file named by --config / FOURNINER_CONFIG)
+ *   4. A local ./vault folder inside the project
+ *
+ * Each profile also names its storage backend ('markdown' or 'json', see
+ * storage.js), set with --storage / FOURNINER_STORAGE for a direct vault.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Default locations
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'fourniner.config.json');
+const DEFAULT_VAULT_PATH = path.join(__dirname, '..', 'vault');
+
+// Profile ID used for a vault passed directly via flag or environment variable
+const DIRECT_PROFILE_ID = 'default';
+
+// Flags read by parseVaultArgs, which other CLI tools skip when parsing their own arguments
+const VAULT_FLAGS = ['--vault', '--profile', '--config', '--storage'];
+
+// Storage backend used when a profile doesn't name one (see storage.js)
+const DEFAULT_STORAGE = 'markdown';
+
+// Current configuration state
+let profiles = {};
+let activeProfileId = null;
+let configPath = DEFAULT_CONFIG_PATH;
+
+/**
+ * Parse the vault-related command line flags
+ *
+ * @param {string[]} argv - Command line arguments (without node and script path)
+ * @returns {Object} Parsed flags with vault, profile, config and storage properties
+ */
+function parseVaultArgs(argv) {
+  const flags = { vault: null, profile: null, config: null, storage: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    // Support both "--vault path" and "--vault=path"; the path itself may contain '='
+    const separator = arg.indexOf('=');
+    const name = separator === -1 ? arg : arg.slice(0, separator);
+    const inlineValue = separator === -1 ? undefined : arg.slice(separator + 1);
+    if (!VAULT_FLAGS.includes(name)) {
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === undefined && i + 1 < argv.length) {
+      value = argv[i + 1];
+      i++; // Skip the next argument
+    }
+
+    flags[name.substring(2)] = value || null;
+  }
+
+  return flags;
+}
+
+/**
+ * Read profiles from a config file
+ *
+ * @param {string} filePath - Path to the JSON config file
+ * @returns {Object} Config with profiles and activeProfile, or empty config if missing
+ */
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { profiles: {}, activeProfile: null };
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+      profiles: config.profiles || {},
+      activeProfile: config.activeProfile || null
+    };
+  } catch (error) {
+    console.error(`Error reading vault config ${filePath}:`, error.message);
+    return { profiles: {}, activeProfile: null };
+  }
+}
+
+/**
+ * Normalize a profile entry from the config file
+ *
+ * @param {string} id - Profile ID
+ * @param {Object|string} entry - Profile entry, either an object or just a path
+ * @param {string} baseDir - Directory used to resolve relative paths
+ * @returns {Object} Profile with id, name, absolute path and storage backend
+ */
+function normalizeProfile(id, entry, baseDir) {
+  const profile = typeof entry === 'string' ? { path: entry } : { ...entry };
+
+  if (!profile.path) {
+    throw new Error(`Vault profile '${id}' has no path`);
+  }
+
+  return {
+    id,
+    name: profile.name || id,
+    path: path.resolve(baseDir, profile.path),
+    storage: profile.storage || DEFAULT_STORAGE
+  };
+}
+
+/**
+ * Load the vault configuration from flags, environment and config file
+ *
+ * @param {Object} options - Sources to read from
+ * @param {string[]} options.argv - Command line arguments (defaults to process.argv)
+ * @param {Object} options.env - Environment variables (defaults to process.env)
+ * @returns {Object} The active profile
+ */
+function loadVaultConfig(options = {}) {
+  const argv = options.argv || process.argv.slice(2);
+  const env = options.env || process.env;
+  const flags = parseVaultArgs(argv);
+
+  // 1. Profiles from the config file
+  configPath = path.resolve(flags.config || env.FOURNINER_CONFIG || DEFAULT_CONFIG_PATH);
+  const config = readConfigFile(configPath);
+  const configDir = path.dirname(configPath);
+
+  profiles = {};
+  Object.entries(config.profiles).forEach(([id, entry]) => {
+    try {
+      profiles[id] = normalizeProfile(id, entry, configDir);
+    } catch (error) {
+      console.warn(error.message);
+    }
+  });
+
+  // 2. A vault given directly on the command line or in the environment
+  const directVault = flags.vault || env.OBSIDIAN_PATH;
+  const directStorage = flags.storage || env.FOURNINER_STORAGE || DEFAULT_STORAGE;
+  if (directVault) {
+    profiles[DIRECT_PROFILE_ID] = {
+      id: DIRECT_PROFILE_ID,
+      name: profiles[DIRECT_PROFILE_ID]?.name || 'Default vault',
+      path: path.resolve(directVault),
+      storage: directStorage
+    };
+  }
+
+  // 3. Fall back to a local vault folder if nothing was configured
+  if (Object.keys(profiles).length === 0) {
+    profiles[DIRECT_PROFILE_ID] = {
+      id: DIRECT_PROFILE_ID,
+      name: 'Local vault',
+      path: DEFAULT_VAULT_PATH,
+      storage: directStorage
+    };
+  }
+
+  // Pick the active profile
+  const requested = flags.profile || env.FOURNINER_PROFILE ||
+    (directVault ? DIRECT_PROFILE_ID : config.activeProfile);
+
+  if (requested && profiles[requested]) {
+    activeProfileId = requested;
+  } else {
+    if (requested) {
+      console.warn(`Vault profile '${requested}' not found, using '${Object.keys(profiles)[0]}'`);
+    }
+    activeProfileId = Object.keys(profiles)[0];
+  }
+
+  return getActiveProfile();
+}
+
+/**
+ * Get the currently active vault profile
+ *
+ * @returns {Object} Profile with id, name, path and storage
+ */
+function getActiveProfile() {
+  if (!activeProfileId) {
+    loadVaultConfig();
+  }
+  return profiles[activeProfileId];
+}
+
+/**
+ * Get the root path of the active vault
+ *
+ * @returns {string} Absolute path to the Regions folder of the active vault
+ */
+function getVaultPath() {
+  return getActiveProfile().path;
+}
+
+/**
+ * List all configured vault profiles
+ *
+ * @returns {Object[]} Profiles with id, name, path, active and exists flags
+ */
+function listProfiles() {
+  if (!activeProfileId) {
+    loadVaultConfig();
+  }
+
+  return Object.values(profiles).map(profile => ({
+    ...profile,
+    active: profile.id === activeProfileId,
+    exists: fs.existsSync(profile.path)
+  }));
+}
+
+/**
+ * Switch the active vault profile at runtime
+ *
+ * @param {string} profileId - ID of the profile to activate
+ * @returns {Object} The newly active profile
+ */
+function setActiveProfile(profileId) {
+  if (!activeProfileId) {
+    loadVaultConfig();
+  }
+
+  if (!profiles[profileId]) {
+    throw new Error(`Unknown vault profile: ${profileId}`);
+  }
+
+  activeProfileId = profileId;
+  console.log(`Switched to vault profile '${profileId}': ${profiles[profileId].path}`);
+  return getActiveProfile();
+}
+
+module.exports = {
+  loadVaultConfig,
+  getActiveProfile,
+  getVaultPath,
+  listProfiles,
+  setActiveProfile,
+  parseVaultArgs,
+  VAULT_FLAGS
+};
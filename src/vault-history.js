@@ -0,0 +1,207 @@
+/**
+ * Vault History for FourNiner
+ *
+ * This module records every note the server writes in an append-only log, so a
+ * wrong status click or a malformed append can be undone. Each entry keeps the
+ * content of the note before and after the write.
+ *
+ * The log lives in the vault, in a hidden folder that the index, the vault
+ * check and Obsidian's file list all skip:
+ *   <vault>/.fourniner/history.jsonl   One JSON entry per line
+ *
+ * Notes edited outside the server (in Obsidian, or moved with npm run
+ * migrate-storage) aren't recorded, and neither are images or region files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Location of the log inside the vault
+const HISTORY_DIR = '.fourniner';
+const HISTORY_FILE = 'history.jsonl';
+
+// Parsed logs by path, see loadHistory
+const historyCache = new Map();
+
+/**
+ * Get the path of the history log of a vault
+ *
+ * @param {string} vaultPath - Root of the Regions vault
+ * @returns {string} Absolute path of the log
+ */
+function getHistoryPath(vaultPath) {
+  return path.join(vaultPath, HISTORY_DIR, HISTORY_FILE);
+}
+
+/**
+ * Append a change to the history log
+ *
+ * @param {string} vaultPath - Root of the Regions vault
+ * @param {Object} change - Change to record
+ * @param {string} change.country - Country folder name
+ * @param {string} change.cellId - Region/cell ID
+ * @param {string} change.action - What caused the write, e.g. 'create' or 'add-location'
+ * @param {string|null} change.previousContent - Content before the write, null if the note was new
+ * @param {string|null} change.content - Content after the write, null if the note was deleted
+ * @param {Object} change.details - Extra information about the change (optional)
+ * @returns {Object} The recorded entry
+ */
+function recordChange(vaultPath, change) {
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    country: change.country,
+    cellId: change.cellId,
+    action: change.action,
+    details: change.details || null,
+    previousContent: change.previousContent,
+    content: change.content
+  };
+
+  const historyPath = getHistoryPath(vaultPath);
+  fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+  fs.appendFileSync(historyPath, JSON.stringify(entry) + '\n');
+
+  return entry;
+}
+
+/**
+ * Get the key of a note in the history index
+ *
+ * @param {string} country - Country folder name
+ * @param {string} cellId - Region/cell ID
+ * @returns {string} Key
+ */
+function getNoteKey(country, cellId) {
+  return `${country}/${cellId}`;
+}
+
+/**
+ * Load the history of a vault, reading only what was appended since the last call
+ *
+ * The parsed entries are kept per log, indexed by note and by ID. A log that
+ * shrank or was replaced is read again from the start. Only complete lines are
+ * parsed, so an entry still being appended is picked up by the next call.
+ *
+ * @param {string} vaultPath - Root of the Regions vault
+ * @returns {Object} History with entries (oldest first), byNote and byId
+ */
+function loadHistory(vaultPath) {
+  const historyPath = getHistoryPath(vaultPath);
+  if (!fs.existsSync(historyPath)) {
+    historyCache.delete(historyPath);
+    return { entries: [], byNote: new Map(), byId: new Map() };
+  }
+
+  const stats = fs.statSync(historyPath);
+  let history = historyCache.get(historyPath);
+  if (!history || stats.ino !== history.ino || stats.size < history.offset) {
+    history = { ino: stats.ino, offset: 0, entries: [], byNote: new Map(), byId: new Map() };
+    historyCache.set(historyPath, history);
+  }
+
+  if (stats.size === history.offset) {
+    return history;
+  }
+
+  const buffer = Buffer.alloc(stats.size - history.offset);
+  const fd = fs.openSync(historyPath, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, history.offset);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const end = buffer.lastIndexOf('\n') + 1;
+  history.offset += end;
+
+  buffer.subarray(0, end).toString('utf8').split('\n').forEach(line => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      // A write interrupted halfway leaves a partial line; skip it
+      console.warn('Skipping unreadable history entry');
+      return;
+    }
+
+    const key = getNoteKey(entry.country, entry.cellId);
+    if (!history.byNote.has(key)) {
+      history.byNote.set(key, []);
+    }
+    history.entries.push(entry);
+    history.byNote.get(key).push(entry);
+    history.byId.set(entry.id, entry);
+  });
+
+  return history;
+}
+
+/**
+ * Read the history entries of a vault, oldest first
+ *
+ * @param {string} vaultPath - Root of the Regions vault
+ * @param {Function} filter - Only keep entries for which this returns true (optional)
+ * @returns {Object[]} History entries
+ */
+function readHistory(vaultPath, filter = () => true) {
+  return loadHistory(vaultPath).entries.filter(filter);
+}
+
+/**
+ * List the recent changes of a note, newest first
+ *
+ * @param {string} vaultPath - Root of the Regions vault
+ * @param {string} country - Country folder name
+ * @param {string} cellId - Region/cell ID
+ * @param {Object} options - Listing options
+ * @param {number} options.limit - Maximum number of changes (default 50)
+ * @param {boolean} options.content - Include the note content before and after each change
+ * @returns {Object[]} Changes
+ */
+function listChanges(vaultPath, country, cellId, options = {}) {
+  const limit = options.limit || 50;
+  const entries = loadHistory(vaultPath).byNote.get(getNoteKey(country, cellId)) || [];
+
+  return entries.slice(-limit)
+    .reverse()
+    .map(entry => {
+      if (options.content) {
+        return { ...entry };
+      }
+      const { previousContent, content, ...summary } = entry;
+      return {
+        ...summary,
+        previousSize: previousContent === null ? null : previousContent.length,
+        size: content === null ? null : content.length
+      };
+    });
+}
+
+/**
+ * Find a single change of a note
+ *
+ * @param {string} vaultPath - Root of the Regions vault
+ * @param {string} country - Country folder name
+ * @param {string} cellId - Region/cell ID
+ * @param {string} changeId - ID of the change
+ * @returns {Object|null} The change, or null if the note has no such change
+ */
+function getChange(vaultPath, country, cellId, changeId) {
+  const entry = loadHistory(vaultPath).byId.get(changeId);
+  return entry && entry.country === country && entry.cellId === cellId ? { ...entry } : null;
+}
+
+module.exports = {
+  recordChange,
+  readHistory,
+  listChanges,
+  getChange,
+  getHistoryPath,
+  HISTORY_DIR
+};
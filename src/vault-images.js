@@ -0,0 +1,160 @@
+/**
+ * Vault Images for FourNiner
+ *
+ * Flashcard screenshots live in <vault>/<country>/images/ and are referenced from
+ * region notes. This module finds out whether an image is still used and removes
+ * images that no note points to anymore.
+ *
+ * Removed images, whether deleted with a card or found orphaned by the vault
+ * check, are moved to a trash folder next to the change history rather than
+ * deleted, so rolling a note back to a version that used them can put them
+ * back in place:
+ *   <vault>/.fourniner/trash/<country>/images/<file>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveVaultPath } = require('./request-validation');
+const { getThumbnailPath } = require('./image-pipeline');
+const { parseNote } = require('./flashcard-parser');
+const { HISTORY_DIR } = require('./vault-history');
+
+// Folder for removed images inside the vault, mirroring their vault paths
+const TRASH_DIR = path.join(HISTORY_DIR, 'trash');
+
+/**
+ * Get the trash path of an image
+ *
+ * @param {string} vaultPath - Root of the vault
+ * @param {string} imagePath - Absolute path of the image inside the vault
+ * @returns {string} Absolute path the image is moved to when removed
+ */
+function getTrashPath(vaultPath, imagePath) {
+  return path.join(vaultPath, TRASH_DIR, path.relative(vaultPath, imagePath));
+}
+
+/**
+ * Move a file, creating the target folder first
+ *
+ * @param {string} from - Current path
+ * @param {string} to - New path
+ */
+function moveFile(from, to) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  fs.renameSync(from, to);
+}
+
+/**
+ * Move an image to the trash and delete its thumbnail, which is rebuilt on demand
+ *
+ * @param {string} vaultPath - Root of the vault
+ * @param {string} imagePath - Absolute path of the image inside the vault
+ * @returns {string} Path (relative to the vault) the image was moved to
+ */
+function moveImageToTrash(vaultPath, imagePath) {
+  const trashPath = getTrashPath(vaultPath, imagePath);
+  moveFile(imagePath, trashPath);
+
+  const thumbnailPath = getThumbnailPath(imagePath);
+  if (fs.existsSync(thumbnailPath)) {
+    fs.unlinkSync(thumbnailPath);
+  }
+  return path.relative(vaultPath, trashPath);
+}
+
+/**
+ * Check whether any note in the vault references an image
+ *
+ * Obsidian resolves embeds like ![[name.png]] by file name anywhere in the vault,
+ * so an image counts as referenced if any note mentions its file name at all.
+ *
+ * @param {Object} notes - Storage backend the image belongs to (see storage.js)
+ * @param {string} imagePath - Absolute path of the image
+ * @returns {boolean} True if at least one note references the image
+ */
+function isImageReferenced(notes, imagePath) {
+  const fileName = path.basename(imagePath);
+  return notes.listNotes().some(note => note.content.includes(fileName));
+}
+
+/**
+ * Delete the images of a removed card that no note references anymore
+ *
+ * Call this after the note has been written to the storage backend. The images
+ * are moved to the trash and their thumbnails, which are rebuilt on demand, are
+ * deleted.
+ *
+ * @param {Object} notes - Storage backend the note was written to (see storage.js)
+ * @param {string} countryId - Country folder the note lives in
+ * @param {string[]} imagePaths - Image paths as written in the note (relative to the note)
+ * @returns {string[]} Paths (relative to the vault) of the deleted images
+ */
+function deleteUnreferencedImages(notes, countryId, imagePaths) {
+  const vaultPath = notes.path;
+  const deleted = [];
+
+  imagePaths.filter(Boolean).forEach(imagePath => {
+    try {
+      const absolutePath = resolveVaultPath(vaultPath, countryId, imagePath);
+
+      if (!fs.existsSync(absolutePath) || isImageReferenced(notes, absolutePath)) {
+        return;
+      }
+
+      moveImageToTrash(vaultPath, absolutePath);
+      deleted.push(path.relative(vaultPath, absolutePath));
+      console.log(`Moved unreferenced image ${absolutePath} to the trash`);
+    } catch (error) {
+      // An image path pointing outside the vault is skipped, never deleted
+      console.warn(`Not deleting image ${imagePath}: ${error.message}`);
+    }
+  });
+
+  return deleted;
+}
+
+/**
+ * Put back the images a note refers to that were moved to the trash
+ *
+ * Call this after rolling a note back to a version whose cards used images
+ * that have since been deleted with a card.
+ *
+ * @param {Object} notes - Storage backend the note was written to (see storage.js)
+ * @param {string} countryId - Country folder the note lives in
+ * @param {string} content - Content of the note
+ * @returns {string[]} Paths (relative to the vault) of the restored images
+ */
+function restoreTrashedImages(notes, countryId, content) {
+  const vaultPath = notes.path;
+  const restored = [];
+
+  const imagePaths = parseNote(content).cards.flatMap(card => [card.question.image, card.answer.image]);
+
+  new Set(imagePaths.filter(Boolean)).forEach(imagePath => {
+    try {
+      const absolutePath = resolveVaultPath(vaultPath, countryId, imagePath);
+      const trashPath = getTrashPath(vaultPath, absolutePath);
+
+      if (fs.existsSync(absolutePath) || !fs.existsSync(trashPath)) {
+        return;
+      }
+
+      moveFile(trashPath, absolutePath);
+      restored.push(path.relative(vaultPath, absolutePath));
+      console.log(`Restored image ${absolutePath} from the trash`);
+    } catch (error) {
+      // An image path pointing outside the vault is skipped, never written
+      console.warn(`Not restoring image ${imagePath}: ${error.message}`);
+    }
+  });
+
+  return restored;
+}
+
+module.exports = {
+  moveImageToTrash,
+  isImageReferenced,
+  deleteUnreferencedImages,
+  restoreTrashedImages,
+  TRASH_DIR
+};
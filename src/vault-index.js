@@ -0,0 +1,510 @@
+/**
+ * Vault Index for FourNiner
+ *
+ * This module keeps an in-memory index of the region notes in the Obsidian vault.
+ * The index is built once when a vault is opened and then kept current by watching
+ * the vault folders, so requests don't have to re-read every markdown file.
+ *
+ * Layout of the vault:
+ *   <vault>/<country>/<cellId>.md     Region notes
+ *   <vault>/<country>/images/*.png    Flashcard images (not indexed)
+ *   <vault>/users/<id>/               Notes of each user, indexed separately (see user-profiles.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { summarizeSchedules } = require('./spaced-repetition');
+const { listUserFolders } = require('./user-profiles');
+
+// Delay before re-reading a file after a change event (editors often fire several)
+const CHANGE_DEBOUNCE_MS = 100;
+
+/**
+ * Determine the learning status of a region note
+ *
+ * @param {string} content - Markdown content of the note
+ * @returns {string} 'mastered' or 'learning'
+ */
+function getNoteStatus(content) {
+  if (content.includes('#status/mastered')) {
+    return 'mastered';
+  }
+  // Notes with #status/learning or no status tag at all count as learning
+  return 'learning';
+}
+
+/**
+ * Create an index for one vault
+ *
+ * Each storage namespace (see storage.js) gets its own index, so several
+ * vaults can be open and watched at the same time.
+ *
+ * @returns {Object} Index with openVault, closeVault, refreshNote, getProgress,
+ *   getNote, listNotes, getStats and events
+ */
+function createVaultIndex() {
+  // Emits 'change' events with { type, country, cellId, note, previous }
+  const events = new EventEmitter();
+  events.setMaxListeners(0); // One listener per open event stream
+
+  // Index state
+  let vaultPath = null;
+  let notes = new Map(); // country -> Map(cellId -> note)
+  let watchers = new Map(); // directory path -> fs.FSWatcher
+  let pendingChanges = new Map(); // file or directory path -> timeout
+
+  /**
+   * Read a region note from disk into an index entry
+   *
+   * @param {string} country - Country folder name
+   * @param {string} fileName - Markdown file name (e.g. 'rN1.md')
+   * @returns {Object|null} Note entry or null if the file can't be read
+   */
+  function readNote(country, fileName) {
+    const filePath = path.join(vaultPath, country, fileName);
+
+    try {
+      const stats = fs.statSync(filePath);
+      if (!stats.isFile()) {
+        return null;
+      }
+
+      const content = fs.readFileSync(filePath, 'utf8');
+      return {
+        country,
+        cellId: fileName.replace(/\.md$/, ''),
+        filePath,
+        mtimeMs: stats.mtimeMs,
+        size: stats.size,
+        content,
+        status: getNoteStatus(content),
+        review: summarizeSchedules(content)
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error indexing ${filePath}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Index every note in a country folder, replacing what was indexed before
+   *
+   * @param {string} country - Country folder name
+   */
+  function indexCountry(country) {
+    const countryPath = path.join(vaultPath, country);
+    const countryNotes = new Map();
+
+    const files = fs.readdirSync(countryPath, { withFileTypes: true })
+      .filter(dirent => dirent.isFile() && dirent.name.endsWith('.md'))
+      .map(dirent => dirent.name);
+
+    files.forEach(file => {
+      const note = readNote(country, file);
+      if (note) {
+        countryNotes.set(note.cellId, note);
+      }
+    });
+
+    notes.set(country, countryNotes);
+    watchDirectory(countryPath, (eventType, fileName) => handleCountryEvent(country, fileName));
+  }
+
+  /**
+   * Compare the indexed notes of a country against disk and apply the differences
+   *
+   * @param {string} country - Country folder name
+   */
+  function rescanCountry(country) {
+    const countryPath = path.join(vaultPath, country);
+
+    if (!fs.existsSync(countryPath)) {
+      removeCountry(country);
+      return;
+    }
+
+    if (!notes.has(country)) {
+      indexCountry(country);
+      notes.get(country).forEach(note => emitChange('created', note, null));
+      return;
+    }
+
+    const countryNotes = notes.get(country);
+    const onDisk = new Set(
+      fs.readdirSync(countryPath)
+        .filter(file => file.endsWith('.md'))
+        .map(file => file.replace(/\.md$/, ''))
+    );
+
+    // Removed notes
+    Array.from(countryNotes.keys())
+      .filter(cellId => !onDisk.has(cellId))
+      .forEach(cellId => refreshNote(country, cellId));
+
+    // New or modified notes
+    onDisk.forEach(cellId => {
+      const existing = countryNotes.get(cellId);
+      const filePath = path.join(countryPath, `${cellId}.md`);
+      try {
+        if (!existing || fs.statSync(filePath).mtimeMs !== existing.mtimeMs) {
+          refreshNote(country, cellId);
+        }
+      } catch (error) {
+        refreshNote(country, cellId);
+      }
+    });
+  }
+
+  /**
+   * Drop a country from the index and stop watching its folder
+   *
+   * @param {string} country - Country folder name
+   */
+  function removeCountry(country) {
+    const countryNotes = notes.get(country);
+    if (!countryNotes) {
+      return;
+    }
+
+    notes.delete(country);
+    unwatchDirectory(path.join(vaultPath, country));
+    countryNotes.forEach(note => emitChange('deleted', null, note));
+  }
+
+  /**
+   * Re-read a single note from disk and update the index
+   *
+   * Routes that write to the vault call this right after writing so that reads
+   * don't have to wait for the file watcher.
+   *
+   * @param {string} country - Country folder name
+   * @param {string} cellId - Region/cell ID (file name without .md)
+   * @returns {Object|null} The updated note, or null if it no longer exists
+   */
+  function refreshNote(country, cellId) {
+    if (!vaultPath) {
+      return null;
+    }
+
+    if (!notes.has(country)) {
+      const countryPath = path.join(vaultPath, country);
+      if (!fs.existsSync(countryPath)) {
+        return null;
+      }
+      notes.set(country, new Map());
+      watchDirectory(countryPath, (eventType, fileName) => handleCountryEvent(country, fileName));
+    }
+
+    const countryNotes = notes.get(country);
+    const previous = countryNotes.get(cellId) || null;
+    const note = readNote(country, `${cellId}.md`);
+
+    if (note) {
+      // Skip notifications when nothing actually changed
+      if (previous && previous.mtimeMs === note.mtimeMs && previous.content === note.content) {
+        return previous;
+      }
+      countryNotes.set(cellId, note);
+      emitChange(previous ? 'updated' : 'created', note, previous);
+    } else if (previous) {
+      countryNotes.delete(cellId);
+      emitChange('deleted', null, previous);
+    }
+
+    return note;
+  }
+
+  /**
+   * Emit a change event for listeners such as the live update stream
+   *
+   * @param {string} type - 'created', 'updated' or 'deleted'
+   * @param {Object|null} note - The note after the change
+   * @param {Object|null} previous - The note before the change
+   */
+  function emitChange(type, note, previous) {
+    const source = note || previous;
+    events.emit('change', {
+      type,
+      country: source.country,
+      cellId: source.cellId,
+      note,
+      previous
+    });
+  }
+
+  /**
+   * Schedule work for a path, collapsing bursts of watcher events into one call
+   *
+   * @param {string} key - Path the work is for
+   * @param {Function} callback - Work to run after the debounce delay
+   */
+  function debounce(key, callback) {
+    if (pendingChanges.has(key)) {
+      clearTimeout(pendingChanges.get(key));
+    }
+
+    pendingChanges.set(key, setTimeout(() => {
+      pendingChanges.delete(key);
+      try {
+        callback();
+      } catch (error) {
+        console.error(`Error updating vault index for ${key}:`, error.message);
+      }
+    }, CHANGE_DEBOUNCE_MS));
+  }
+
+  /**
+   * Handle a watcher event in the vault root (countries added or removed)
+   *
+   * @param {string|null} fileName - Name of the changed entry, if the platform reports it
+   */
+  function handleRootEvent(fileName) {
+    if (!fileName) {
+      debounce(vaultPath, rescanVault);
+      return;
+    }
+
+    if (!isCountryFolder(fileName)) {
+      return;
+    }
+
+    debounce(path.join(vaultPath, fileName), () => {
+      const entryPath = path.join(vaultPath, fileName);
+      if (fs.existsSync(entryPath) && fs.statSync(entryPath).isDirectory()) {
+        rescanCountry(fileName);
+      } else {
+        removeCountry(fileName);
+      }
+    });
+  }
+
+  /**
+   * Handle a watcher event in a country folder (notes added, edited or removed)
+   *
+   * @param {string} country - Country folder name
+   * @param {string|null} fileName - Name of the changed file, if the platform reports it
+   */
+  function handleCountryEvent(country, fileName) {
+    if (!fileName) {
+      debounce(path.join(vaultPath, country), () => rescanCountry(country));
+      return;
+    }
+
+    if (!fileName.endsWith('.md')) {
+      return;
+    }
+
+    const cellId = fileName.replace(/\.md$/, '');
+    debounce(path.join(vaultPath, country, fileName), () => refreshNote(country, cellId));
+  }
+
+  /**
+   * Start watching a directory if it isn't watched yet
+   *
+   * @param {string} dirPath - Directory to watch
+   * @param {Function} listener - fs.watch listener
+   */
+  function watchDirectory(dirPath, listener) {
+    if (watchers.has(dirPath)) {
+      return;
+    }
+
+    try {
+      const watcher = fs.watch(dirPath, listener);
+      watcher.on('error', error => {
+        console.warn(`Stopped watching ${dirPath}: ${error.message}`);
+        unwatchDirectory(dirPath);
+      });
+      watchers.set(dirPath, watcher);
+    } catch (error) {
+      console.warn(`Unable to watch ${dirPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop watching a directory
+   *
+   * @param {string} dirPath - Directory to stop watching
+   */
+  function unwatchDirectory(dirPath) {
+    const watcher = watchers.get(dirPath);
+    if (watcher) {
+      watcher.close();
+      watchers.delete(dirPath);
+    }
+  }
+
+  /**
+   * Check whether a folder at the top of the vault holds region notes
+   *
+   * Hidden folders such as .obsidian or .trash are not countries, and neither
+   * are the folders that hold the namespaces of users.
+   *
+   * @param {string} name - Folder name
+   * @returns {boolean} True for country folders
+   */
+  function isCountryFolder(name) {
+    return !name.startsWith('.') && !listUserFolders().includes(name);
+  }
+
+  /**
+   * List the country folders of the vault
+   *
+   * @returns {string[]} Country folder names
+   */
+  function listCountryFolders() {
+    return fs.readdirSync(vaultPath, { withFileTypes: true })
+      .filter(dirent => dirent.isDirectory() && isCountryFolder(dirent.name))
+      .map(dirent => dirent.name);
+  }
+
+  /**
+   * Bring the whole index in line with the vault folder
+   */
+  function rescanVault() {
+    const countries = listCountryFolders();
+
+    Array.from(notes.keys())
+      .filter(country => !countries.includes(country))
+      .forEach(removeCountry);
+
+    countries.forEach(rescanCountry);
+  }
+
+  /**
+   * Build the index for a vault and start watching it for changes
+   *
+   * Calling this again (e.g. after switching vault profiles) closes the watchers
+   * of the previous vault first.
+   *
+   * @param {string} newVaultPath - Root folder of the Regions vault
+   * @returns {Object} Index statistics with countries and notes counts
+   */
+  function openVault(newVaultPath) {
+    closeVault();
+    vaultPath = newVaultPath;
+
+    // Create the vault folder if it doesn't exist yet
+    if (!fs.existsSync(vaultPath)) {
+      console.log(`Creating directory: ${vaultPath}`);
+      fs.mkdirSync(vaultPath, { recursive: true });
+    }
+
+    const startTime = Date.now();
+    const countries = listCountryFolders();
+
+    countries.forEach(country => {
+      try {
+        indexCountry(country);
+      } catch (error) {
+        console.error(`Error indexing country ${country}:`, error.message);
+      }
+    });
+
+    watchDirectory(vaultPath, (eventType, fileName) => handleRootEvent(fileName));
+
+    const stats = getStats();
+    console.log(`Indexed ${stats.notes} notes in ${stats.countries} countries in ${Date.now() - startTime}ms`);
+    return stats;
+  }
+
+  /**
+   * Stop watching the current vault and clear the index
+   */
+  function closeVault() {
+    watchers.forEach(watcher => watcher.close());
+    pendingChanges.forEach(timeout => clearTimeout(timeout));
+    watchers = new Map();
+    pendingChanges = new Map();
+    notes = new Map();
+    vaultPath = null;
+  }
+
+  /**
+   * Get the progress of every indexed region
+   *
+   * @param {Object} options - Output options
+   * @param {boolean} options.details - Include spaced repetition details for each cell
+   * @returns {Object} Progress keyed by country and cell ID
+   */
+  function getProgress(options = {}) {
+    const progress = {};
+
+    notes.forEach((countryNotes, country) => {
+      progress[country] = {};
+      countryNotes.forEach((note, cellId) => {
+        progress[country][cellId] = options.details ?
+          { status: note.status, ...note.review } :
+          note.status;
+      });
+    });
+
+    return progress;
+  }
+
+  /**
+   * Get a single indexed note
+   *
+   * @param {string} country - Country folder name
+   * @param {string} cellId - Region/cell ID
+   * @returns {Object|null} Note entry or null if not indexed
+   */
+  function getNote(country, cellId) {
+    const countryNotes = notes.get(country);
+    return (countryNotes && countryNotes.get(cellId)) || null;
+  }
+
+  /**
+   * List the indexed notes, optionally for a single country
+   *
+   * @param {string} country - Country folder name (optional)
+   * @returns {Object[]} Note entries
+   */
+  function listNotes(country = null) {
+    if (country) {
+      return Array.from((notes.get(country) || new Map()).values());
+    }
+
+    const allNotes = [];
+    notes.forEach(countryNotes => allNotes.push(...countryNotes.values()));
+    return allNotes;
+  }
+
+  /**
+   * Get the size of the index
+   *
+   * @returns {Object} Statistics with vaultPath, countries and notes counts
+   */
+  function getStats() {
+    let noteCount = 0;
+    notes.forEach(countryNotes => {
+      noteCount += countryNotes.size;
+    });
+
+    return {
+      vaultPath,
+      countries: notes.size,
+      notes: noteCount,
+      watchers: watchers.size
+    };
+  }
+
+  return {
+    openVault,
+    closeVault,
+    refreshNote,
+    getProgress,
+    getNote,
+    listNotes,
+    getStats,
+    events
+  };
+}
+
+module.exports = {
+  createVaultIndex,
+  getNoteStatus
+};
@@ -0,0 +1,102 @@
+/**
+ * Tests for the flashcard parser: cards edited through updateCard must parse
+ * back to the fields that were written.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNote, updateCard, mergeCard, normalizeCard } = require('../src/flashcard-parser');
+
+const TAG_LINE = '#flash-geo/regions/russia/rN3 #status/learning';
+
+/**
+ * Build a note from card lines
+ *
+ * @param {...string[]} cards - Lines of each card
+ * @returns {string} Note content
+ */
+function note(...cards) {
+  return [TAG_LINE, '', ...cards.map(lines => lines.join('\n')).join('\n\n').split('\n'), ''].join('\n');
+}
+
+test('parses the location of a map capture from the first answer line', () => {
+  const { cards } = parseNote(note([
+    '![Street View location (question)](images/q.png)',
+    '?',
+    'Trakt, Altai Krai (52.100000, 83.200000)',
+    'Near town',
+    '<!--SR:!2024-03-01,12,250-->'
+  ]));
+
+  assert.equal(cards.length, 1);
+  assert.equal(cards[0].location, 'Trakt, Altai Krai (52.100000, 83.200000)');
+  assert.deepEqual(cards[0].coordinates, { lat: 52.1, lng: 83.2 });
+  assert.equal(cards[0].answer.text, 'Near town');
+  assert.equal(cards[0].schedule.length, 1);
+});
+
+test('leaves a note unchanged when a card is rewritten without changes', () => {
+  const content = note(
+    ['![Street View location (question)](images/q.png)', '?', 'Trakt, Altai Krai (52.1, 83.2)', 'Near town', '<!--SR:!2024-03-01,12,250-->'],
+    ['Bollards', '', 'Location: Kazan', '?', 'White with red tops']
+  );
+
+  [0, 1].forEach(index => {
+    assert.equal(updateCard(content, index, card => card).content, content);
+  });
+});
+
+test('adds a location without coordinates to a card that has none as a Location line', () => {
+  const content = note(['Bollards', '?', 'Near town']);
+
+  const { content: updated, card } = updateCard(content, 0, current => mergeCard(current, { location: 'Somewhere' }));
+
+  assert.match(updated, /^Location: Somewhere$/m);
+  assert.equal(card.location, 'Somewhere');
+  assert.equal(card.answer.text, 'Near town');
+  assert.deepEqual(parseNote(updated).cards[0], card);
+});
+
+test('writes the location of a replaced card so it parses back', () => {
+  const content = note(['Bollards', '?', 'Near town']);
+
+  const { content: updated, card } = updateCard(content, 0, () => normalizeCard({
+    question: { text: 'Bollards' },
+    answer: { text: 'Near town' },
+    location: 'Somewhere (55.8, 49.1)'
+  }));
+
+  assert.equal(card.location, 'Somewhere (55.8, 49.1)');
+  assert.deepEqual(card.coordinates, { lat: 55.8, lng: 49.1 });
+  assert.equal(card.answer.text, 'Near town');
+  assert.equal(parseNote(updated).cards[0].location, 'Somewhere (55.8, 49.1)');
+});
+
+test('keeps the bare location line of map captures while it has coordinates', () => {
+  const content = note(['Bollards', '?', 'Trakt (52.1, 83.2)', 'Near town']);
+
+  const { content: updated, card } = updateCard(content, 0, current => mergeCard(current, { location: 'Chuysky Trakt (52.2, 83.3)' }));
+
+  assert.match(updated, /^Chuysky Trakt \(52\.2, 83\.3\)$/m);
+  assert.equal(card.location, 'Chuysky Trakt (52.2, 83.3)');
+  assert.equal(card.answer.text, 'Near town');
+});
+
+test('moves a bare location line to a Location line when its coordinates are removed', () => {
+  const content = note(['Bollards', '?', 'Trakt (52.1, 83.2)', 'Near town']);
+
+  const { card } = updateCard(content, 0, current => mergeCard(current, { location: 'Somewhere' }));
+
+  assert.equal(card.location, 'Somewhere');
+  assert.equal(card.answer.text, 'Near town');
+});
+
+test('keeps a location in the question where it was written', () => {
+  const content = note(['Bollards', '', 'Street View Location: Kazan', '?', 'White with red tops']);
+
+  const { content: updated, card } = updateCard(content, 0, current => mergeCard(current, { location: 'Kazan (55.8, 49.1)' }));
+
+  assert.match(updated, /^Street View Location: Kazan \(55\.8, 49\.1\)\n\?$/m);
+  assert.equal(card.location, 'Kazan (55.8, 49.1)');
+  assert.equal(card.question.text, 'Bollards');
+});
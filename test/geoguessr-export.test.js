@@ -0,0 +1,135 @@
+/**
+ * Tests for the GeoGuessr export: the locations of the chosen regions come
+ * back from the country file unchanged, and counts and tag filters pick an
+ * even share of each region.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildGeoGuessrMap } = require('../src/geoguessr-export');
+
+/**
+ * Create a square region feature
+ *
+ * @param {string} clusterID - Natural region ID
+ * @param {number} west - Longitude of the west side, the square is one degree wide
+ * @returns {Object} GeoJSON Polygon feature
+ */
+function squareRegion(clusterID, west) {
+  return {
+    type: 'Feature',
+    properties: { clusterID },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[west, 0], [west + 1, 0], [west + 1, 1], [west, 1], [west, 0]]]
+    }
+  };
+}
+
+const REGIONS = [squareRegion('N1', 0), squareRegion('S1', 2)];
+
+/**
+ * Write a country file to a new temporary folder
+ *
+ * @param {Object} t - Test context, removes the folder afterwards
+ * @param {Object} contents - Country file contents
+ * @returns {string} Path of the country file
+ */
+function writeCountryFile(t, contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fourniner-geoguessr-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const dataPath = path.join(dir, 'testland.json');
+  fs.writeFileSync(dataPath, JSON.stringify(contents));
+  return dataPath;
+}
+
+/**
+ * Write a country file with four locations in N1, one in S1 and one outside both
+ *
+ * @param {Object} t - Test context, removes the file afterwards
+ * @returns {string} Path of the country file
+ */
+function writeCoordinates(t) {
+  return writeCountryFile(t, {
+    customCoordinates: [
+      { lat: 0.5, lng: 0.1, panoId: 'a', heading: 90, pitch: 0, zoom: 0, extra: { tags: ['2019'] } },
+      // Locations without coordinates don't shift the ones after them
+      { lat: null, lng: 0.5, panoId: 'invalid' },
+      { lat: 0.5, lng: 0.3, panoId: 'b', heading: 180, extra: { tags: ['2021', 'Car'] } },
+      { lat: 0.5, lng: 0.5, panoId: 'c', extra: { tags: ['2021'] } },
+      { lat: 0.5, lng: 0.7, panoId: 'd' },
+      { lat: 0.5, lng: 2.5, panoId: 'e', extra: { tags: ['2021'] } },
+      { lat: 0.5, lng: 5.5, panoId: 'outside' }
+    ]
+  });
+}
+
+/**
+ * Get the pano IDs of a map in a fixed order
+ *
+ * @param {Object} map - GeoGuessr map from buildGeoGuessrMap
+ * @returns {string[]} Sorted pano IDs
+ */
+function panoIds(map) {
+  return map.customCoordinates.map(coordinate => coordinate.panoId).sort();
+}
+
+test('exports the locations of the regions as they are in the country file', async t => {
+  const dataPath = writeCoordinates(t);
+  const { map, stats } = await buildGeoGuessrMap(dataPath, 'testland', REGIONS, { name: 'Testland' });
+
+  assert.equal(map.name, 'Testland');
+  assert.deepEqual(panoIds(map), ['a', 'b', 'c', 'd', 'e']);
+  assert.deepEqual(map.customCoordinates.find(coordinate => coordinate.panoId === 'a'),
+    { lat: 0.5, lng: 0.1, panoId: 'a', heading: 90, pitch: 0, zoom: 0, extra: { tags: ['2019'] } });
+  assert.deepEqual(stats, {
+    regions: [{ id: 'N1', available: 4, exported: 4 }, { id: 'S1', available: 1, exported: 1 }],
+    locations: 5
+  });
+});
+
+test('spreads a count over the regions and applies the tag filters', async t => {
+  const dataPath = writeCoordinates(t);
+
+  // The small region keeps its one location, the rest comes from the large one
+  const counted = await buildGeoGuessrMap(dataPath, 'testland', REGIONS, { count: 3 });
+  assert.equal(counted.map.name, 'testland');
+  assert.deepEqual(counted.stats.regions.map(region => region.exported), [2, 1]);
+  assert.equal(counted.map.customCoordinates.length, 3);
+  assert.ok(counted.map.customCoordinates.some(coordinate => coordinate.panoId === 'e'));
+
+  const tagged = await buildGeoGuessrMap(dataPath, 'testland', REGIONS, { tags: ['2021'], excludeTags: ['car'] });
+  assert.deepEqual(panoIds(tagged.map), ['c', 'e']);
+
+  const bare = await buildGeoGuessrMap(dataPath, 'testland', REGIONS.slice(0, 1), { keepPano: false, keepExtra: false });
+  assert.deepEqual(bare.map.customCoordinates.map(coordinate => Object.keys(coordinate).sort()),
+    [['lat', 'lng'], ['lat', 'lng'], ['lat', 'lng'], ['lat', 'lng']]);
+});
+
+test('converts GeoJSON locations to coordinates', async t => {
+  const dataPath = writeCountryFile(t, {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        properties: { panoId: 'a', heading: 90, tags: ['2019'] },
+        geometry: { type: 'Point', coordinates: [0.5, 0.5] }
+      },
+      {
+        type: 'Feature',
+        properties: { extra: { tags: ['2021'], note: 'Bollard' } },
+        geometry: { type: 'Point', coordinates: [2.5, 0.5] }
+      }
+    ]
+  });
+
+  const { map } = await buildGeoGuessrMap(dataPath, 'testland', REGIONS);
+  assert.deepEqual(map.customCoordinates.sort((a, b) => a.lng - b.lng), [
+    { lat: 0.5, lng: 0.5, panoId: 'a', heading: 90, extra: { tags: ['2019'] } },
+    { lat: 0.5, lng: 2.5, extra: { tags: ['2021'], note: 'Bollard' } }
+  ]);
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for the image pipeline: uploads are resized, re-encoded and stored
+ * once per content, and thumbnails keep the format of their image.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { storeImage, ensureThumbnail, getThumbnailPath } = require('../src/image-pipeline');
+
+/**
+ * Create a new temporary images folder
+ *
+ * @param {Object} t - Test context, removes the folder afterwards
+ * @returns {string} Path of the images folder, which doesn't exist yet
+ */
+function createImagesDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fourniner-images-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'russia', 'images');
+}
+
+/**
+ * Encode a single-colour image
+ *
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {string} format - Output format, e.g. 'png'
+ * @returns {Promise<Buffer>} Encoded image
+ */
+function createImage(width, height, format) {
+  return sharp({ create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } } })
+    .toFormat(format)
+    .toBuffer();
+}
+
+test('stores uploads resized and re-encoded, once per content', async t => {
+  const imagesDir = createImagesDir(t);
+  const input = await createImage(4000, 1000, 'png');
+
+  const stored = await storeImage(imagesDir, input);
+
+  assert.match(stored.filename, /^[0-9a-f]{16}\.webp$/);
+  assert.equal(stored.duplicate, false);
+  assert.deepEqual(await sharp(stored.path).metadata().then(({ format, width, height }) => ({ format, width, height })),
+    { format: 'webp', width: 1920, height: 480 });
+  assert.deepEqual(await sharp(stored.thumbnailPath).metadata().then(({ format, width }) => ({ format, width })),
+    { format: 'webp', width: 240 });
+
+  const again = await storeImage(imagesDir, input);
+  assert.equal(again.filename, stored.filename);
+  assert.equal(again.duplicate, true);
+  assert.deepEqual(fs.readdirSync(imagesDir).sort(), [stored.filename, 'thumbnails']);
+});
+
+test('rejects uploads that are not images', async t => {
+  const imagesDir = createImagesDir(t);
+
+  await assert.rejects(storeImage(imagesDir, Buffer.from('not an image')), { name: 'ValidationError', status: 400 });
+  assert.ok(!fs.existsSync(imagesDir));
+});
+
+test('creates missing thumbnails in the format of their image', async t => {
+  const imagesDir = createImagesDir(t);
+  fs.mkdirSync(imagesDir, { recursive: true });
+
+  const gifPath = path.join(imagesDir, 'old.gif');
+  fs.writeFileSync(gifPath, await createImage(800, 600, 'gif'));
+  const jpegPath = path.join(imagesDir, 'old.jpg');
+  fs.writeFileSync(jpegPath, await createImage(800, 600, 'jpeg'));
+
+  assert.equal(await ensureThumbnail(gifPath), getThumbnailPath(gifPath));
+  assert.equal((await sharp(getThumbnailPath(gifPath)).metadata()).format, 'gif');
+  assert.equal((await sharp(await ensureThumbnail(jpegPath)).metadata()).format, 'jpeg');
+  assert.equal(await ensureThumbnail(path.join(imagesDir, 'missing.png')), null);
+});
+
+test('reports images that can not be decoded as a client error', async t => {
+  const imagesDir = createImagesDir(t);
+  fs.mkdirSync(imagesDir, { recursive: true });
+  const imagePath = path.join(imagesDir, 'broken.png');
+  fs.writeFileSync(imagePath, 'not an image');
+
+  await assert.rejects(ensureThumbnail(imagePath), { name: 'ValidationError', status: 422 });
+  assert.ok(!fs.existsSync(getThumbnailPath(imagePath)));
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for the location store: the binary cache must give back what the
+ * country file holds, and be rebuilt whenever it no longer matches the file.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadLocationStore, clearLocationStores } = require('../src/location-store');
+
+const COORDINATES = {
+  name: 'Testland',
+  customCoordinates: [
+    { lat: 52.1, lng: 83.2, panoId: 'pano-1', heading: 90, pitch: -5, zoom: 1, extra: { tags: ['2019', 'gen3'] } },
+    { foo: 'not a location' },
+    { lat: 55.8, lng: 49.1, extra: { tags: ['2021'] } },
+    { lat: -33.9, lng: 18.4, panoId: 'pano-ü' }
+  ]
+};
+
+const FEATURES = {
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', geometry: { type: 'Point', coordinates: [83.2, 52.1] }, properties: { tags: ['2019'], heading: 12.5 } },
+    { type: 'Feature', geometry: { type: 'Point', coordinates: [49.1, 55.8] }, properties: {} }
+  ]
+};
+
+/**
+ * Write a country file into a new temporary folder
+ *
+ * @param {Object} t - Test context, removes the folder afterwards
+ * @param {Object} data - Content of the country file
+ * @returns {{filePath: string, cachePath: string}} Paths of the country file and its cache
+ */
+function writeCountryFile(t, data) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fourniner-locations-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const filePath = path.join(dir, 'testland.json');
+  fs.writeFileSync(filePath, JSON.stringify(data));
+  return { filePath, cachePath: path.join(dir, 'testland.locations.bin') };
+}
+
+/**
+ * Load a store the way a freshly started server does, without the stores already in memory
+ *
+ * @param {string} filePath - Country file
+ * @returns {Promise<Object>} Location store
+ */
+function loadFresh(filePath) {
+  clearLocationStores();
+  return loadLocationStore(filePath);
+}
+
+/**
+ * Read every location of a store
+ *
+ * @param {Object} store - Location store
+ * @returns {Object[]} Locations in the format of the country file
+ */
+function readAll(store) {
+  return Array.from({ length: store.count }, (value, i) => store.get(i));
+}
+
+test('keeps coordinates, tags, pano IDs and camera views of locations', async t => {
+  const { filePath } = writeCountryFile(t, COORDINATES);
+  const store = await loadFresh(filePath);
+
+  assert.equal(store.isGeoJSON, false);
+  assert.deepEqual(readAll(store), [
+    { lat: 52.1, lng: 83.2, panoId: 'pano-1', heading: 90, pitch: -5, zoom: 1, extra: { tags: ['2019', 'gen3'] } },
+    { lat: 55.8, lng: 49.1, extra: { tags: ['2021'] } },
+    { lat: -33.9, lng: 18.4, panoId: 'pano-ü' }
+  ]);
+  assert.deepEqual(store.view(1), {});
+});
+
+test('reads a matching cache instead of parsing the country file again', async t => {
+  const { filePath, cachePath } = writeCountryFile(t, COORDINATES);
+  const parsed = readAll(await loadFresh(filePath));
+  const { ino } = fs.statSync(cachePath);
+
+  const cached = readAll(await loadFresh(filePath));
+
+  // The cache is written to a temporary file and renamed, so a rebuilt cache is a new file
+  assert.equal(fs.statSync(cachePath).ino, ino);
+  assert.deepEqual(cached, parsed);
+});
+
+test('rebuilds the cache when the country file changes', async t => {
+  const { filePath, cachePath } = writeCountryFile(t, COORDINATES);
+  await loadFresh(filePath);
+  const { ino } = fs.statSync(cachePath);
+
+  fs.writeFileSync(filePath, JSON.stringify({ customCoordinates: [{ lat: 1, lng: 2, panoId: 'new' }] }));
+  const store = await loadLocationStore(filePath);
+
+  assert.notEqual(fs.statSync(cachePath).ino, ino);
+  assert.deepEqual(readAll(store), [{ lat: 1, lng: 2, panoId: 'new' }]);
+  assert.deepEqual(readAll(await loadFresh(filePath)), [{ lat: 1, lng: 2, panoId: 'new' }]);
+});
+
+test('rebuilds caches of another format version', async t => {
+  const { filePath, cachePath } = writeCountryFile(t, COORDINATES);
+  const parsed = readAll(await loadFresh(filePath));
+
+  const buffer = fs.readFileSync(cachePath);
+  buffer.writeUInt32LE(1, 4);
+  fs.writeFileSync(cachePath, buffer);
+  const { ino } = fs.statSync(cachePath);
+
+  assert.deepEqual(readAll(await loadFresh(filePath)), parsed);
+  assert.notEqual(fs.statSync(cachePath).ino, ino);
+});
+
+test('rebuilds truncated caches', async t => {
+  const { filePath, cachePath } = writeCountryFile(t, COORDINATES);
+  const parsed = readAll(await loadFresh(filePath));
+
+  fs.truncateSync(cachePath, fs.statSync(cachePath).size - 3);
+
+  assert.deepEqual(readAll(await loadFresh(filePath)), parsed);
+  assert.deepEqual(readAll(await loadFresh(filePath)), parsed);
+});
+
+test('keeps GeoJSON features as features through the cache', async t => {
+  const { filePath } = writeCountryFile(t, FEATURES);
+  const parsed = readAll(await loadFresh(filePath));
+  const cached = readAll(await loadFresh(filePath));
+
+  assert.deepEqual(cached, parsed);
+  assert.deepEqual(cached[0], {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [83.2, 52.1] },
+    properties: { heading: 12.5, tags: ['2019'] }
+  });
+  assert.deepEqual(cached[1].properties, { tags: [] });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for the region export: every format carries the same ID, name,
+ * point count, years and learning status of each region.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exportRegions } = require('../src/region-export');
+const { getLocationIndex } = require('../src/location-index');
+
+const SQUARE = [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]];
+
+const NATURAL_REGIONS = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: {
+        clusterID: 'N1',
+        regionName: { displayName: 'Pskov & Novgorod' },
+        pointCount: 120,
+        yearTags: [{ year: 2021 }, { year: 2019 }]
+      },
+      geometry: { type: 'Polygon', coordinates: SQUARE }
+    },
+    {
+      type: 'Feature',
+      properties: { clusterID: 'S1' },
+      geometry: {
+        type: 'MultiPolygon',
+        coordinates: [
+          [[[2, 0], [3, 0], [3, 1], [2, 1], [2, 0]]],
+          [[[4, 0], [6, 0], [6, 2], [4, 2], [4, 0]], [[4.5, 0.5], [5, 0.5], [5, 1], [4.5, 0.5]]]
+        ]
+      }
+    }
+  ]
+};
+
+test('exports the regions as GeoJSON with their attributes', () => {
+  const exported = exportRegions(NATURAL_REGIONS, {
+    format: 'geojson',
+    title: 'Testland regions',
+    progress: { rN1: 'mastered' }
+  });
+  assert.equal(exported.contentType, 'application/geo+json');
+  assert.equal(exported.extension, 'geojson');
+
+  const collection = JSON.parse(exported.content);
+  assert.equal(collection.name, 'Testland regions');
+  assert.deepEqual(collection.features.map(feature => feature.properties), [
+    { id: 'N1', name: 'Pskov & Novgorod', pointCount: 120, years: [2021, 2019], status: 'mastered' },
+    { id: 'S1', name: null, pointCount: 0, years: [], status: 'untouched' }
+  ]);
+  assert.deepEqual(collection.features[1].geometry, NATURAL_REGIONS.features[1].geometry);
+});
+
+test('exports styled KML placemarks with escaped names', () => {
+  const { content, extension } = exportRegions(NATURAL_REGIONS, {
+    format: 'kml',
+    title: 'Testland <regions>',
+    progress: { rS1: 'learning' }
+  });
+  assert.equal(extension, 'kml');
+
+  assert.match(content, /<name>Testland &lt;regions&gt;<\/name>/);
+  // Statuses are colored alpha, blue, green, red
+  assert.match(content, /<Style id="learning">.*<PolyStyle><color>99129cf3<\/color>/);
+  assert.match(content, /<name>N1 - Pskov &amp; Novgorod<\/name><description>Status: untouched\. 120 locations\. Years: 2021, 2019\.<\/description><styleUrl>#untouched<\/styleUrl>/);
+  assert.match(content, /<Data name="years"><value>2021,2019<\/value><\/Data>/);
+  assert.match(content, /<name>Region S1<\/name><description>Status: learning\. 0 locations\. Years: unknown\.<\/description><styleUrl>#learning<\/styleUrl>/);
+  assert.match(content, /<MultiGeometry><Polygon>.*<\/Polygon><Polygon><outerBoundaryIs>.*<\/outerBoundaryIs><innerBoundaryIs><LinearRing><coordinates>4.5,0.5 5,0.5 5,1 4.5,0.5<\/coordinates>/);
+});
+
+test('exports a GPX waypoint at the centroid of each region', () => {
+  const { content, contentType } = exportRegions({ type: 'FeatureCollection', features: NATURAL_REGIONS.features.slice(0, 1) }, {
+    format: 'gpx',
+    title: 'Testland regions'
+  });
+  assert.equal(contentType, 'application/gpx+xml');
+  assert.match(content, /<metadata><name>Testland regions<\/name><\/metadata>/);
+  assert.match(content, /<wpt lat="0.5" lon="0.5"><name>N1 - Pskov &amp; Novgorod<\/name>.*<type>untouched<\/type><\/wpt>/);
+});
+
+test('counts the locations and years of administrative regions from the country data', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fourniner-region-export-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const dataPath = path.join(dir, 'testland.json');
+  fs.writeFileSync(dataPath, JSON.stringify({
+    customCoordinates: [
+      { lat: 0.5, lng: 0.2, extra: { tags: ['2019-07'] } },
+      { lat: 0.5, lng: 0.4, extra: { tags: ['2021-05', 'Car'] } },
+      { lat: 0.5, lng: 0.6, extra: { tags: ['2021-06'] } },
+      { lat: 0.5, lng: 5.5 }
+    ]
+  }));
+
+  const regions = {
+    type: 'FeatureCollection',
+    features: [{ type: 'Feature', properties: { regionCode: 'TL-A', name: 'Aland' }, geometry: { type: 'Polygon', coordinates: SQUARE } }]
+  };
+  const { content } = exportRegions(regions, {
+    format: 'geojson',
+    useAdminRegions: true,
+    progress: { 'TL-A': 'learning' },
+    locationIndex: await getLocationIndex(dataPath, 'testland')
+  });
+
+  assert.deepEqual(JSON.parse(content).features[0].properties,
+    { id: 'TL-A', name: 'Aland', pointCount: 3, years: [2021, 2019], status: 'learning' });
+});
+
+test('refuses unknown formats', () => {
+  assert.throws(() => exportRegions(NATURAL_REGIONS, { format: 'shp' }), /Unknown export format: shp/);
+});
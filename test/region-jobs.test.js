@@ -0,0 +1,126 @@
+/**
+ * Tests for region jobs: a cancel either wins over the replacement of the
+ * regions file or is refused, never both. Workers are stood in for by fakes
+ * that send the messages region-job-worker.js would.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const childProcess = require('child_process');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+
+const workers = [];
+
+/**
+ * Start a fake worker in place of region-job-worker.js
+ *
+ * @returns {EventEmitter} Worker that keeps the messages sent to it and the signals it got
+ */
+function forkFakeWorker() {
+  const worker = new EventEmitter();
+  worker.pid = 90000 + workers.length;
+  worker.stdout = new PassThrough();
+  worker.stderr = new PassThrough();
+  // The first message is the job options
+  worker.received = [];
+  worker.signals = [];
+  worker.send = message => worker.received.push(message);
+  worker.kill = signal => {
+    worker.signals.push(signal);
+    worker.exit();
+  };
+  worker.exit = () => setImmediate(() => {
+    worker.emit('disconnect');
+    worker.emit('exit', null, 'SIGTERM');
+  });
+  workers.push(worker);
+  return worker;
+}
+
+test.mock.method(childProcess, 'fork', forkFakeWorker);
+const { queueRegionJob, getRegionJob, cancelRegionJob } = require('../src/region-jobs');
+
+/**
+ * Write a previous regions file and the temporary file of a new one
+ *
+ * @param {Object} t - Test context, removes the files afterwards
+ * @returns {{tempPath: string, outputPath: string}} Temporary and regions file
+ */
+function writeRegionFiles(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fourniner-jobs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const outputPath = path.join(dir, 'testland_regions.json');
+  const tempPath = `${outputPath}.90000.tmp`;
+  fs.writeFileSync(outputPath, 'previous');
+  fs.writeFileSync(tempPath, 'new');
+  return { tempPath, outputPath };
+}
+
+/**
+ * Wait for the fake workers to have exited
+ *
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+test('keeps the previous regions when the cancel comes before the replacement', async t => {
+  const { tempPath, outputPath } = writeRegionFiles(t);
+  const job = queueRegionJob('testland', { regionCount: 8 });
+  const worker = workers[workers.length - 1];
+
+  // The worker asked for the replacement while the cancel was on its way
+  assert.equal(cancelRegionJob(job.id).status, 'cancelled');
+  worker.emit('message', { type: 'replace', tempPath, outputPath, regionCount: 8 });
+  await settle();
+
+  assert.deepEqual(worker.signals, ['SIGTERM']);
+  assert.deepEqual(worker.received.slice(1).map(message => message.type), []);
+  assert.equal(fs.readFileSync(outputPath, 'utf8'), 'previous');
+  assert.equal(getRegionJob(job.id).status, 'cancelled');
+});
+
+test('refuses to cancel once the regions are replaced and completes the job', async t => {
+  const { tempPath, outputPath } = writeRegionFiles(t);
+  const job = queueRegionJob('testland', { regionCount: 8 });
+  const worker = workers[workers.length - 1];
+
+  worker.emit('message', { type: 'replace', tempPath, outputPath, regionCount: 8 });
+
+  assert.deepEqual(worker.received.slice(1).map(message => message.type), ['replaced']);
+  assert.equal(fs.readFileSync(outputPath, 'utf8'), 'new');
+  assert.equal(getRegionJob(job.id).cancellable, false);
+  assert.throws(() => cancelRegionJob(job.id), { name: 'ValidationError', status: 409 });
+  assert.deepEqual(worker.signals, []);
+
+  // A worker that stops while storing the region locations still completes the job
+  worker.exit();
+  await settle();
+
+  assert.equal(getRegionJob(job.id).status, 'completed');
+  assert.deepEqual(getRegionJob(job.id).result, { regionCount: 8 });
+});
+
+test('fails the replacement of a job whose temporary file is gone', async t => {
+  const { outputPath } = writeRegionFiles(t);
+  const job = queueRegionJob('testland', { regionCount: 8 });
+  const worker = workers[workers.length - 1];
+
+  worker.emit('message', { type: 'replace', tempPath: `${outputPath}.missing.tmp`, outputPath, regionCount: 8 });
+
+  assert.deepEqual(worker.received.slice(1).map(message => message.type), ['replace-failed']);
+  assert.equal(fs.readFileSync(outputPath, 'utf8'), 'previous');
+  assert.equal(getRegionJob(job.id).cancellable, true);
+
+  worker.emit('message', { type: 'error', message: 'Replacing failed' });
+  worker.exit();
+  await settle();
+
+  assert.equal(getRegionJob(job.id).status, 'failed');
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for region locations: membership follows the region's polygon rather
+ * than its bounding box, and stored files are only reused while up to date.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getLocationIndex } = require('../src/location-index');
+const {
+  REGION_LOCATIONS_VERSION,
+  getRegionLocationsPath,
+  findRegionLocations,
+  saveRegionLocations,
+  loadRegionLocations
+} = require('../src/region-locations');
+
+// A 10x10 square with a 2x2 hole in the middle and a separate 2x2 island to the east
+const REGION = {
+  type: 'Feature',
+  properties: { clusterID: 'N1' },
+  geometry: {
+    type: 'MultiPolygon',
+    coordinates: [
+      [
+        [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+        [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]]
+      ],
+      [[[20, 0], [22, 0], [22, 2], [20, 2], [20, 0]]]
+    ]
+  }
+};
+
+/**
+ * Write a country file with locations into a new temporary folder
+ *
+ * @param {Object} t - Test context, removes the folder afterwards
+ * @param {Object[]} locations - Coordinates of the country file
+ * @returns {{dir: string, dataPath: string}} Folder and country file
+ */
+function writeCountryFile(t, locations) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fourniner-regions-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const dataPath = path.join(dir, 'testland.json');
+  fs.writeFileSync(dataPath, JSON.stringify({ customCoordinates: locations }));
+  return { dir, dataPath };
+}
+
+test('finds the locations inside a region polygon, leaving out holes', async t => {
+  const { dataPath } = writeCountryFile(t, [
+    { lat: 1, lng: 1, panoId: 'inside' },
+    { lat: 5, lng: 5, panoId: 'hole' },
+    { lat: 1, lng: 21, panoId: 'island', heading: 180 },
+    { lat: 1, lng: 15, panoId: 'between-parts' },
+    { lat: 11, lng: 1, panoId: 'outside' }
+  ]);
+  const locationIndex = await getLocationIndex(dataPath, 'testland');
+
+  const locations = findRegionLocations(REGION, locationIndex);
+
+  assert.deepEqual(locations.map(location => location.panoId).sort(), ['inside', 'island']);
+  assert.deepEqual(locations.find(location => location.panoId === 'island'), { lat: 1, lng: 21, panoId: 'island', heading: 180 });
+});
+
+test('reuses stored region locations only while they are newer than their sources', async t => {
+  const { dir, dataPath } = writeCountryFile(t, [{ lat: 1, lng: 1 }]);
+  const regionsPath = path.join(dir, 'testland_regions.json');
+  fs.writeFileSync(regionsPath, JSON.stringify({ type: 'FeatureCollection', features: [REGION] }));
+
+  const filePath = getRegionLocationsPath(regionsPath, 'testland', 'N1');
+  assert.equal(filePath, path.join(dir, 'testland_N1_locations.json'));
+  assert.equal(loadRegionLocations(filePath, [regionsPath, dataPath]), null);
+
+  const saved = saveRegionLocations(filePath, [{ lat: 1, lng: 1 }], false);
+  assert.deepEqual(saved, { version: REGION_LOCATIONS_VERSION, customCoordinates: [{ lat: 1, lng: 1 }] });
+  assert.deepEqual(loadRegionLocations(filePath, [regionsPath, dataPath]), saved);
+
+  // Regions regenerated after the file was written
+  const later = new Date(Date.now() + 10000);
+  fs.utimesSync(regionsPath, later, later);
+  assert.equal(loadRegionLocations(filePath, [regionsPath, dataPath]), null);
+
+  // Files of older versions
+  fs.writeFileSync(filePath, JSON.stringify({ version: REGION_LOCATIONS_VERSION - 1, customCoordinates: [] }));
+  fs.utimesSync(filePath, later, later);
+  assert.equal(loadRegionLocations(filePath, [regionsPath, dataPath]), null);
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for request validation: IDs of every country are accepted, anything
+ * that could leave the vault or isn't the declared image is rejected.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { schemas, validateBody, resolveVaultPath, decodeImage } = require('../src/request-validation');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+test("accepts country and region IDs with apostrophes such as côte-d'ivoire", () => {
+  const countryId = "côte-d'ivoire";
+
+  validateBody({ countryId, cellId: 'rN3', content: '#flash-geo' }, schemas.flashcard);
+  validateBody({ countries: `russia,${countryId}` }, schemas.ankiExport);
+  validateBody({ countryId, regionId: "côte-d'ivoire_r1" }, schemas.mapRegionParams);
+  validateBody({ countryId, regionId: "côte-d'ivoire_r1,côte-d'ivoire_r2,CI-AB" }, schemas.locationExportParams);
+  validateBody({ countryId }, schemas.regionJob);
+});
+
+test('rejects IDs that could reach outside their folder', () => {
+  [
+    ['flashcard', { countryId: '../etc', cellId: 'rN3', content: 'x' }, 'countryId'],
+    ['flashcard', { countryId: 'russia', cellId: 'rN3/..', content: 'x' }, 'cellId'],
+    ['flashcard', { countryId: "'russia", cellId: 'rN3', content: 'x' }, 'countryId'],
+    ['mapRegionParams', { countryId: 'russia', regionId: "r1''" }, 'regionId'],
+    ['locationExportParams', { countryId: 'russia', regionId: 'r1,,r2' }, 'regionId'],
+    ['imageParams', { countryId: 'russia', fileName: '../a.png' }, 'fileName']
+  ].forEach(([schema, body, field]) => {
+    assert.throws(() => validateBody(body, schemas[schema]), error => {
+      assert.equal(error.name, 'ValidationError');
+      assert.equal(error.status, 400);
+      assert.deepEqual(error.details.map(detail => detail.field), [field]);
+      return true;
+    }, `${schema} ${JSON.stringify(body)}`);
+  });
+});
+
+test('reports missing fields and nested problems with their field names', () => {
+  assert.throws(() => validateBody({ countryId: 'russia' }, schemas.flashcard), {
+    error: 'Missing required fields',
+    message: 'Missing: cellId, content'
+  });
+
+  assert.throws(() => validateBody({ schedule: [{ due: '2024-3-1', interval: 1, ease: 250 }] }, schemas.card), {
+    error: 'Invalid request',
+    message: 'schedule[0].due contains characters that are not allowed'
+  });
+});
+
+test('resolves paths inside the vault only', () => {
+  const vaultPath = path.resolve('vault');
+
+  assert.equal(resolveVaultPath(vaultPath, 'russia', 'images/a.png'), path.join(vaultPath, 'russia', 'images', 'a.png'));
+  assert.throws(() => resolveVaultPath(vaultPath, 'russia', '../../a.png'), { name: 'ValidationError' });
+  assert.throws(() => resolveVaultPath(vaultPath, 'russia', '/etc/passwd'), { name: 'ValidationError' });
+  assert.throws(() => resolveVaultPath(vaultPath, '.'), { name: 'ValidationError' });
+});
+
+test('decodes images only when their content matches the declared type', () => {
+  const image = decodeImage(`data:image/png;base64,${PNG.toString('base64')}`);
+  assert.deepEqual(image, { buffer: PNG, mimeType: 'image/png', extension: 'png' });
+
+  assert.throws(() => decodeImage(`data:image/jpeg;base64,${PNG.toString('base64')}`), { name: 'ValidationError', status: 400 });
+  assert.throws(() => decodeImage(`data:image/svg+xml;base64,${PNG.toString('base64')}`), { status: 415 });
+  assert.throws(() => decodeImage('data:image/png;base64,not base64!'), { status: 400 });
+  assert.throws(() => decodeImage(PNG.toString('base64')), { status: 400 });
+});
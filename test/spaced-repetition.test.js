@@ -0,0 +1,68 @@
+/**
+ * Tests for the spaced repetition parser: SR comments written back must parse
+ * to the same schedules, and notes are summarized by review urgency.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSchedule, parseSchedules, formatScheduleComment, countCards, summarizeSchedules } = require('../src/spaced-repetition');
+
+test('formats schedules as an SR comment that parses back to them', () => {
+  const schedules = [
+    { due: '2024-03-01', interval: 12, ease: 250 },
+    { due: '2024-02-20', interval: 3, ease: 230 }
+  ];
+
+  const comment = formatScheduleComment(schedules);
+
+  assert.equal(comment, '<!--SR:!2024-03-01,12,250!2024-02-20,3,230-->');
+  assert.deepEqual(parseSchedule(comment), schedules);
+  assert.equal(formatScheduleComment([]), '');
+});
+
+test('finds the schedules of every card in a note', () => {
+  const content = [
+    '#flash-geo/regions/russia/rN3 #status/learning',
+    'Bollards',
+    '?',
+    'Kazan',
+    '<!--SR:!2024-03-01,12,250-->',
+    '',
+    'Plates :: Russian',
+    '<!--SR:!2024-02-20,3,230!2024-02-25,5,270-->',
+    '<!--SR:not a schedule-->'
+  ].join('\n');
+
+  assert.deepEqual(parseSchedules(content).map(schedule => schedule.due), ['2024-03-01', '2024-02-20', '2024-02-25']);
+  assert.equal(countCards(content), 2);
+});
+
+test('summarizes the review state of a note', () => {
+  const content = [
+    'A', '?', 'B', '<!--SR:!2024-03-01,12,250-->',
+    '',
+    'C', '?', 'D', '<!--SR:!2024-02-20,3,230-->',
+    '',
+    'E', '?', 'F'
+  ].join('\n');
+
+  assert.deepEqual(summarizeSchedules(content, new Date(2024, 1, 25)), {
+    cards: 3,
+    scheduled: 2,
+    nextDue: '2024-02-20',
+    averageInterval: 7.5,
+    ease: 240,
+    overdue: 1
+  });
+});
+
+test('summarizes notes without reviews', () => {
+  assert.deepEqual(summarizeSchedules('A\n?\nB', new Date(2024, 1, 25)), {
+    cards: 1,
+    scheduled: 0,
+    nextDue: null,
+    averageInterval: null,
+    ease: null,
+    overdue: 0
+  });
+});
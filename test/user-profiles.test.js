@@ -0,0 +1,98 @@
+/**
+ * Tests for user profiles: tokens sign in the user they were issued to, a
+ * malformed users file never turns a sign-in into an error, and the folders
+ * holding user notes are not indexed as countries of the vault.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { usersEnabled, listUserFolders, authenticateToken, addUser, resetToken, removeUser } = require('../src/user-profiles');
+const { createVaultIndex } = require('../src/vault-index');
+
+/**
+ * Point the users file at a new temporary folder
+ *
+ * @param {Object} t - Test context, removes the folder afterwards
+ * @returns {string} Path of the users file, which doesn't exist yet
+ */
+function useUsersFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fourniner-users-'));
+  const previous = process.env.FOURNINER_USERS;
+  process.env.FOURNINER_USERS = path.join(dir, 'fourniner.users.json');
+
+  t.after(() => {
+    if (previous === undefined) {
+      delete process.env.FOURNINER_USERS;
+    } else {
+      process.env.FOURNINER_USERS = previous;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return process.env.FOURNINER_USERS;
+}
+
+test('signs in the user a token was issued to until it is reset', t => {
+  const usersPath = useUsersFile(t);
+  assert.equal(usersEnabled(), false);
+
+  const alice = addUser('alice', { name: 'Alice' });
+  const bob = addUser('bob', { folder: 'people/bob' });
+
+  assert.equal(usersEnabled(), true);
+  assert.ok(!fs.readFileSync(usersPath, 'utf8').includes(alice.token));
+  assert.deepEqual(authenticateToken(alice.token), { id: 'alice', name: 'Alice', namespace: 'users/alice' });
+  assert.deepEqual(authenticateToken(bob.token), { id: 'bob', name: 'bob', namespace: 'people/bob' });
+  assert.equal(authenticateToken('not a token'), null);
+  assert.equal(authenticateToken(''), null);
+
+  const token = resetToken('alice');
+  assert.equal(authenticateToken(alice.token), null);
+  assert.equal(authenticateToken(token).id, 'alice');
+
+  removeUser('alice');
+  assert.equal(authenticateToken(token), null);
+});
+
+test('refuses sign-ins for users with malformed token hashes instead of failing', t => {
+  const usersPath = useUsersFile(t);
+  const { token } = addUser('alice');
+  const users = JSON.parse(fs.readFileSync(usersPath, 'utf8')).users;
+
+  // Right length, but not hex: decodes to a shorter buffer
+  users.bob = { name: 'Bob', tokenHash: 'z'.repeat(64) };
+  users.carol = { name: 'Carol', tokenHash: 42 };
+  users.dave = { name: 'Dave' };
+  fs.writeFileSync(usersPath, JSON.stringify({ users }));
+  const later = new Date(Date.now() + 10000);
+  fs.utimesSync(usersPath, later, later);
+
+  assert.equal(authenticateToken('some token'), null);
+  assert.equal(authenticateToken(token).id, 'alice');
+
+  // A reset gives the user a working token again
+  assert.equal(authenticateToken(resetToken('bob')).id, 'bob');
+});
+
+test('leaves the folders of user notes out of the countries of the vault', t => {
+  useUsersFile(t);
+  addUser('alice');
+  addUser('bob', { folder: 'people/bob' });
+  assert.deepEqual(listUserFolders(), ['users', 'people']);
+
+  const vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'fourniner-vault-'));
+  t.after(() => fs.rmSync(vaultPath, { recursive: true, force: true }));
+  ['russia', 'users/alice/russia', 'people/bob/russia'].forEach(folder => {
+    fs.mkdirSync(path.join(vaultPath, folder), { recursive: true });
+    fs.writeFileSync(path.join(vaultPath, folder, 'rN3.md'), '#flash-geo/regions/russia/rN3\n');
+  });
+
+  const vaultIndex = createVaultIndex();
+  vaultIndex.openVault(vaultPath);
+  t.after(() => vaultIndex.closeVault());
+
+  assert.deepEqual(vaultIndex.listNotes().map(note => note.country), ['russia']);
+  assert.equal(vaultIndex.getStats().countries, 1);
+});
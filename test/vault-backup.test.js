@@ -0,0 +1,125 @@
+/**
+ * Tests for backups: an archive restores the vault it was made from, and
+ * conflicts are resolved by the chosen strategy without losing cards.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { createBackup, restoreBackup, mergeNotes } = require('../src/vault-backup');
+const { listChanges } = require('../src/vault-history');
+
+const NOTE = [
+  '#flash-geo/regions/russia/rN3 #status/mastered',
+  '',
+  'Bollards',
+  '?',
+  'White with red tops',
+  '<!--SR:!2024-03-01,12,250-->',
+  ''
+].join('\n');
+
+const REGIONS = JSON.stringify({ type: 'FeatureCollection', features: [] });
+
+/**
+ * Create a vault with a note and an image, and map data with its regions
+ *
+ * @param {Object} t - Test context, removes everything afterwards
+ * @returns {{root: string, vaultPath: string, mapDataPath: string}} Paths
+ */
+function createVault(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'fourniner-backup-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const vaultPath = path.join(root, 'vault');
+  fs.mkdirSync(path.join(vaultPath, 'russia', 'images', 'thumbnails'), { recursive: true });
+  fs.writeFileSync(path.join(vaultPath, 'russia', 'rN3.md'), NOTE);
+  fs.writeFileSync(path.join(vaultPath, 'russia', 'images', 'a.webp'), 'image');
+  fs.writeFileSync(path.join(vaultPath, 'russia', 'images', 'thumbnails', 'a.webp'), 'thumbnail');
+
+  const mapDataPath = path.join(root, 'map_data');
+  fs.mkdirSync(path.join(mapDataPath, 'countries', 'russia'), { recursive: true });
+  fs.writeFileSync(path.join(mapDataPath, 'countries', 'russia', 'russia_regions.json'), REGIONS);
+
+  return { root, vaultPath, mapDataPath };
+}
+
+test('restores notes, images and regions into an empty vault', t => {
+  const { root, vaultPath, mapDataPath } = createVault(t);
+  const { buffer, manifest } = createBackup(vaultPath, { mapDataPath });
+  assert.deepEqual(manifest.stats, { countries: 1, notes: 1, images: 1, regionFiles: 1 });
+
+  const targetVault = path.join(root, 'restored');
+  const targetMapData = path.join(root, 'restored_map_data');
+  const result = restoreBackup(targetVault, buffer, { mapDataPath: targetMapData });
+
+  assert.equal(result.summary.created, 3);
+  assert.equal(fs.readFileSync(path.join(targetVault, 'russia', 'rN3.md'), 'utf8'), NOTE);
+  assert.equal(fs.readFileSync(path.join(targetVault, 'russia', 'images', 'a.webp'), 'utf8'), 'image');
+  assert.ok(!fs.existsSync(path.join(targetVault, 'russia', 'images', 'thumbnails')));
+  assert.equal(fs.readFileSync(path.join(targetMapData, 'countries', 'russia', 'russia_regions.json'), 'utf8'), REGIONS);
+
+  // Notes can be rolled back, the other files are reported instead
+  assert.deepEqual(result.notes, [{ country: 'russia', cellId: 'rN3' }]);
+  assert.deepEqual(listChanges(targetVault, 'russia', 'rN3').map(change => change.action), ['restore']);
+  assert.deepEqual(result.unrecorded.map(file => [file.kind, file.action]).sort(), [['image', 'created'], ['regions', 'created']]);
+});
+
+test('resolves conflicts by skipping, overwriting or merging', t => {
+  const { vaultPath, mapDataPath } = createVault(t);
+  const { buffer } = createBackup(vaultPath, { mapDataPath });
+  const notePath = path.join(vaultPath, 'russia', 'rN3.md');
+  const edited = NOTE.replace(' #status/mastered', '').replace('<!--SR:!2024-03-01,12,250-->', '<!--SR:!2024-04-01,30,270-->') +
+    '\nPlates\n?\nRussian\n';
+  fs.writeFileSync(notePath, edited);
+  fs.writeFileSync(path.join(vaultPath, 'russia', 'images', 'a.webp'), 'edited image');
+
+  const dryRun = restoreBackup(vaultPath, buffer, { mapDataPath, strategy: 'overwrite', dryRun: true });
+  assert.equal(dryRun.summary.conflicts, 2);
+  assert.equal(fs.readFileSync(notePath, 'utf8'), edited);
+
+  const skipped = restoreBackup(vaultPath, buffer, { mapDataPath });
+  assert.deepEqual(skipped.conflicts.map(conflict => conflict.resolution), ['kept', 'kept']);
+  assert.equal(fs.readFileSync(notePath, 'utf8'), edited);
+
+  // The card with new review data is the same card, only the status is missing
+  const merged = restoreBackup(vaultPath, buffer, { mapDataPath, strategy: 'merge' });
+  assert.equal(merged.summary.merged, 1);
+  assert.equal(fs.readFileSync(notePath, 'utf8'), edited.replace('rN3', 'rN3 #status/mastered'));
+  assert.equal(fs.readFileSync(path.join(vaultPath, 'russia', 'images', 'a.webp'), 'utf8'), 'edited image');
+
+  const overwritten = restoreBackup(vaultPath, buffer, { mapDataPath, strategy: 'overwrite' });
+  assert.equal(overwritten.summary.overwritten, 2);
+  assert.equal(fs.readFileSync(notePath, 'utf8'), NOTE);
+  assert.deepEqual(overwritten.unrecorded, [{ file: 'vault/russia/images/a.webp', kind: 'image', action: 'overwritten' }]);
+});
+
+test('appends only the cards a note is missing', () => {
+  const existing = '#flash-geo/regions/russia/rN3\n\nA\n?\nB\n<!--SR:!2024-04-01,30,270-->\n';
+  const incoming = '#flash-geo/regions/russia/rN3 #status/learning\n\nA\n?\nB\n<!--SR:!2024-03-01,12,250-->\n\nC\n?\nD\n';
+
+  assert.deepEqual(mergeNotes(existing, incoming), {
+    content: '#flash-geo/regions/russia/rN3 #status/learning\n\nA\n?\nB\n<!--SR:!2024-04-01,30,270-->\n\nC\n?\nD\n',
+    cardsAdded: 1
+  });
+  assert.deepEqual(mergeNotes(incoming, existing), { content: incoming, cardsAdded: 0 });
+});
+
+test('refuses archives that are not backups or write into hidden folders', t => {
+  const { vaultPath } = createVault(t);
+
+  assert.throws(() => restoreBackup(vaultPath, Buffer.from('not a zip')), { name: 'ValidationError' });
+
+  const zip = new AdmZip();
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify({ format: 'fourniner-backup', version: 1 })));
+  zip.addFile('vault/russia/rN4.md', Buffer.from('x'));
+  zip.addFile('vault/.fourniner/history.jsonl', Buffer.from('x'));
+  assert.throws(() => restoreBackup(vaultPath, zip.toBuffer()), { name: 'ValidationError', message: /invalid path/ });
+
+  // Every path is checked before anything is written
+  assert.ok(!fs.existsSync(path.join(vaultPath, 'russia', 'rN4.md')));
+  assert.ok(!fs.existsSync(path.join(vaultPath, '.fourniner')));
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests for the vault check: fixes are recorded in the change history and
+ * orphaned images go to the trash that rollbacks restore images from.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkVault, fixVaultIssues } = require('../src/vault-checker');
+const { listChanges } = require('../src/vault-history');
+const { createMarkdownStorage } = require('../src/markdown-storage');
+const { restoreTrashedImages } = require('../src/vault-images');
+
+const IMAGE = 'images/14f378c1f7b18ddb.webp';
+
+/**
+ * Create a vault with an untagged note and an image no note references
+ *
+ * @param {Object} t - Test context, removes the vault afterwards
+ * @returns {{vaultPath: string, mapDataPath: string}} Vault and empty map data folder
+ */
+function createVault(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'fourniner-check-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const vaultPath = path.join(root, 'vault');
+  fs.mkdirSync(path.join(vaultPath, 'russia', 'images'), { recursive: true });
+  fs.writeFileSync(path.join(vaultPath, 'russia', 'rN3.md'), 'Bollards\n?\nWhite with red tops\n');
+  fs.writeFileSync(path.join(vaultPath, 'russia', IMAGE), 'image data');
+
+  const mapDataPath = path.join(root, 'map_data');
+  fs.mkdirSync(mapDataPath);
+  return { vaultPath, mapDataPath };
+}
+
+test('records tag fixes in the change history', t => {
+  const { vaultPath, mapDataPath } = createVault(t);
+  const report = checkVault(vaultPath, { mapDataPath });
+
+  const fixes = fixVaultIssues(vaultPath, report.issues, { types: ['missing-tag'] });
+
+  assert.deepEqual(fixes.map(fix => fix.action), ['Tagged #flash-geo/regions/russia/rN3']);
+  const [change] = listChanges(vaultPath, 'russia', 'rN3', { content: true });
+  assert.equal(change.action, 'fix-tag');
+  assert.equal(change.previousContent, 'Bollards\n?\nWhite with red tops\n');
+  assert.equal(change.content, fs.readFileSync(path.join(vaultPath, 'russia', 'rN3.md'), 'utf8'));
+  assert.match(change.content, /^#flash-geo\/regions\/russia\/rN3\n/);
+});
+
+test('moves orphaned images to the trash a rollback restores them from', t => {
+  const { vaultPath, mapDataPath } = createVault(t);
+  const imagePath = path.join(vaultPath, 'russia', IMAGE);
+  const report = checkVault(vaultPath, { mapDataPath });
+
+  const fixes = fixVaultIssues(vaultPath, report.issues, { types: ['orphaned-image'] });
+
+  assert.deepEqual(fixes.map(fix => fix.action), [`Moved to ${path.join('.fourniner', 'trash', 'russia', IMAGE)}`]);
+  assert.ok(!fs.existsSync(imagePath));
+  assert.equal(checkVault(vaultPath, { mapDataPath }).summary.images, 0);
+
+  // A note version that embeds the image gets it back
+  const notes = createMarkdownStorage(vaultPath);
+  const restored = restoreTrashedImages(notes, 'russia', `![Street View location (question)](${IMAGE})\n?\nKazan\n`);
+
+  assert.deepEqual(restored, [path.join('russia', IMAGE)]);
+  assert.equal(fs.readFileSync(imagePath, 'utf8'), 'image data');
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for the change history: notes rolled back to an earlier version get
+ * back the images their cards used, even after those were deleted with a card,
+ * and changes appended to the log show up without reading it all again.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonStorage } = require('../src/json-storage');
+const { recordChange, listChanges, getChange, getHistoryPath } = require('../src/vault-history');
+const { removeCard } = require('../src/flashcard-parser');
+const { deleteUnreferencedImages, restoreTrashedImages } = require('../src/vault-images');
+
+const IMAGE = 'images/14f378c1f7b18ddb.webp';
+
+const NOTE = [
+  '#flash-geo/regions/russia/rN3 #status/learning',
+  '',
+  `![Street View location (question)](${IMAGE})`,
+  '?',
+  'Trakt (52.1, 83.2)',
+  '',
+  `![Street View location (question)](${IMAGE})`,
+  '?',
+  'Kazan (55.8, 49.1)',
+  ''
+].join('\n');
+
+/**
+ * Write a note and record the change, as the server does
+ *
+ * @param {Object} notes - Storage backend
+ * @param {string|null} content - New content, null to delete the note
+ * @param {string} action - What caused the write
+ * @returns {Object} The recorded change
+ */
+function writeNote(notes, content, action) {
+  const previousContent = notes.readNote('russia', 'rN3');
+  notes.writeNote('russia', 'rN3', content);
+  return recordChange(notes.path, { country: 'russia', cellId: 'rN3', action, previousContent, content });
+}
+
+/**
+ * Delete the first card of the note and its unreferenced images, as the server does
+ *
+ * @param {Object} notes - Storage backend
+ * @returns {Object} The recorded change and the deleted images
+ */
+function deleteFirstCard(notes) {
+  const result = removeCard(notes.readNote('russia', 'rN3'), 0);
+  const change = writeNote(notes, result.content, 'delete-card');
+  const deletedImages = deleteUnreferencedImages(notes, 'russia', [result.card.question.image, result.card.answer.image]);
+  return { change, deletedImages };
+}
+
+test('rolling back card deletions restores the note and the images it uses', t => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'fourniner-history-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const notes = createJsonStorage(root);
+  notes.open();
+  t.after(() => notes.close());
+
+  const imagePath = path.join(root, 'russia', IMAGE);
+  fs.mkdirSync(path.dirname(imagePath), { recursive: true });
+  fs.writeFileSync(imagePath, 'image data');
+
+  writeNote(notes, NOTE, 'save');
+
+  // The image stays while the second card still uses it
+  const first = deleteFirstCard(notes);
+  assert.deepEqual(first.deletedImages, []);
+  assert.ok(fs.existsSync(imagePath));
+
+  const second = deleteFirstCard(notes);
+  assert.deepEqual(second.deletedImages, [path.join('russia', IMAGE)]);
+  assert.ok(!fs.existsSync(imagePath));
+
+  // Newest change first
+  assert.deepEqual(listChanges(root, 'russia', 'rN3').map(change => change.action), ['delete-card', 'delete-card', 'save']);
+
+  const change = getChange(root, 'russia', 'rN3', first.change.id);
+  writeNote(notes, change.previousContent, 'rollback');
+  const restoredImages = restoreTrashedImages(notes, 'russia', change.previousContent);
+
+  assert.equal(notes.readNote('russia', 'rN3'), NOTE);
+  assert.deepEqual(restoredImages, [path.join('russia', IMAGE)]);
+  assert.equal(fs.readFileSync(imagePath, 'utf8'), 'image data');
+
+  // The rollback is recorded like any other change, so it can be undone too
+  assert.equal(listChanges(root, 'russia', 'rN3', { content: true })[0].previousContent, second.change.content);
+});
+
+test('restoring leaves images alone that are still in place or were never trashed', t => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'fourniner-history-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const notes = createJsonStorage(root);
+  notes.open();
+  t.after(() => notes.close());
+
+  assert.deepEqual(restoreTrashedImages(notes, 'russia', NOTE), []);
+
+  const imagePath = path.join(root, 'russia', IMAGE);
+  fs.mkdirSync(path.dirname(imagePath), { recursive: true });
+  fs.writeFileSync(imagePath, 'current');
+  assert.deepEqual(restoreTrashedImages(notes, 'russia', NOTE), []);
+  assert.equal(fs.readFileSync(imagePath, 'utf8'), 'current');
+});
+
+test('reads changes appended since the last read, including those of other processes', t => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'fourniner-history-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const first = recordChange(root, { country: 'russia', cellId: 'rN3', action: 'save', previousContent: null, content: 'A' });
+  assert.deepEqual(listChanges(root, 'russia', 'rN3').map(change => change.id), [first.id]);
+
+  // An entry another process is still appending is only read once it is complete
+  const second = recordChange(root, { country: 'russia', cellId: 'rN3', action: 'save', previousContent: 'A', content: 'B' });
+  const line = fs.readFileSync(getHistoryPath(root), 'utf8').split('\n')[1];
+  fs.truncateSync(getHistoryPath(root), fs.statSync(getHistoryPath(root)).size - line.length - 1);
+  fs.appendFileSync(getHistoryPath(root), line.slice(0, 20));
+  assert.deepEqual(listChanges(root, 'russia', 'rN3').map(change => change.id), [first.id]);
+
+  fs.appendFileSync(getHistoryPath(root), line.slice(20) + '\n');
+  assert.deepEqual(listChanges(root, 'russia', 'rN3').map(change => change.id), [second.id, first.id]);
+  assert.equal(getChange(root, 'russia', 'rN3', second.id).content, 'B');
+  assert.equal(getChange(root, 'russia', 'rN4', second.id), null);
+
+  // A log rewritten shorter is read again from the start
+  fs.writeFileSync(getHistoryPath(root), line + '\n');
+  assert.deepEqual(listChanges(root, 'russia', 'rN3').map(change => change.id), [second.id]);
+});